@@ -0,0 +1,190 @@
+// Audio Sinks - one PulseAudio null sink per tuner, so tuners never hear each other
+// start-pulseaudio.sh creates virtual_speaker_<id> at boot, each tuner's Chrome plays
+// into it (PULSE_SINK) and FFmpeg records its .monitor source. This module creates the
+// sink when a tuner starts if it's missing (PulseAudio restarted, more tuners than it was
+// started with), moves any of the tuner's Chrome audio that ended up on another sink,
+// and reports the mapping for /tuners and the health probe.
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const config = require('./config');
+
+const PACTL_TIMEOUT = 5000;
+
+function sinkName(tunerId) {
+  return `virtual_speaker_${tunerId}`;
+}
+
+// Parent PID from /proc/<pid>/stat ("pid (comm) state ppid ..."), or null
+function parentPid(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// PID of the Chrome browser process listening on a debug port (not its renderers/utilities)
+function chromePid(debugPort) {
+  let pids;
+  try {
+    pids = fs.readdirSync('/proc').filter(name => /^\d+$/.test(name));
+  } catch (e) {
+    return null;
+  }
+  for (const pid of pids) {
+    try {
+      const args = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0');
+      if (args.includes(`--remote-debugging-port=${debugPort}`) && !args.some(arg => arg.startsWith('--type='))) {
+        return parseInt(pid);
+      }
+    } catch (e) {
+      // Exited while scanning
+    }
+  }
+  return null;
+}
+
+function isDescendant(pid, ancestor) {
+  for (let current = pid, depth = 0; current && depth < 20; current = parentPid(current), depth++) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+// "Sink Input #12" blocks from `pactl list sink-inputs` -> [{ index, sinkIndex, pid, app }]
+function parseSinkInputs(output) {
+  return output.split(/^Sink Input #/m).slice(1).map(block => ({
+    index: parseInt(block),
+    sinkIndex: parseInt((block.match(/^\s*Sink:\s*(\d+)/m) || [])[1]),
+    pid: parseInt((block.match(/application\.process\.id = "(\d+)"/) || [])[1]) || null,
+    app: (block.match(/application\.name = "([^"]*)"/) || [])[1] || null,
+  }));
+}
+
+class AudioSinks {
+  constructor() {
+    this.pactlMissing = false;   // No pactl binary - nothing to route (dev box, macOS)
+  }
+
+  getSinkName(tunerId) {
+    return sinkName(tunerId);
+  }
+
+  // What FFmpeg records for a tuner
+  getMonitorName(tunerId) {
+    return `${sinkName(tunerId)}.monitor`;
+  }
+
+  // Environment for a Chrome started for a tuner, so its audio goes to the tuner's sink
+  getChromeEnv(tunerId) {
+    return { PULSE_SERVER: config.pulseServer, PULSE_SINK: sinkName(tunerId) };
+  }
+
+  pactl(args) {
+    return new Promise((resolve, reject) => {
+      execFile('pactl', args, { timeout: PACTL_TIMEOUT, env: { ...process.env, PULSE_SERVER: config.pulseServer } }, (error, stdout, stderr) => {
+        if (error) {
+          if (error.code === 'ENOENT') this.pactlMissing = true;
+          reject(new Error((stderr || error.message).trim()));
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+  }
+
+  // Sink index -> name
+  async listSinks() {
+    const sinks = new Map();
+    for (const line of (await this.pactl(['list', 'short', 'sinks'])).split('\n')) {
+      const [index, name] = line.split('\t');
+      if (name) sinks.set(parseInt(index), name);
+    }
+    return sinks;
+  }
+
+  // Create the tuner's null sink if PulseAudio doesn't have it. Returns true if it exists now.
+  async ensureSink(tunerId) {
+    if (this.pactlMissing) return false;
+    const name = sinkName(tunerId);
+    try {
+      const sinks = await this.listSinks();
+      if (![...sinks.values()].includes(name)) {
+        await this.pactl(['load-module', 'module-null-sink', `sink_name=${name}`, `sink_properties=device.description=VirtualSpeaker${tunerId}`]);
+        console.log(`[audio] Created sink ${name} for tuner ${tunerId}`);
+      }
+      return true;
+    } catch (e) {
+      if (!this.pactlMissing) {
+        console.log(`[audio] Could not set up sink ${name}: ${e.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Check a tuner's audio routing: its sink exists and every stream its Chrome plays
+   * goes into it. With fix, a missing sink is created and stray streams are moved.
+   * @returns {Promise<{sink, monitor, healthy, sinkExists, chromeStreams, misrouted, fixed, problem, checkedAt}>}
+   */
+  async check(tunerId, debugPort, { fix = false } = {}) {
+    const result = {
+      sink: sinkName(tunerId),
+      monitor: this.getMonitorName(tunerId),
+      healthy: null,         // null = couldn't check
+      sinkExists: null,
+      chromeStreams: 0,
+      misrouted: [],         // Sinks the tuner's Chrome was (also) playing into
+      fixed: [],
+      problem: null,
+      checkedAt: new Date().toISOString(),
+    };
+    if (this.pactlMissing) {
+      result.problem = 'pactl not installed';
+      return result;
+    }
+
+    try {
+      let sinks = await this.listSinks();
+      result.sinkExists = [...sinks.values()].includes(result.sink);
+      if (!result.sinkExists && fix && await this.ensureSink(tunerId)) {
+        result.fixed.push(`created ${result.sink}`);
+        result.sinkExists = true;
+        sinks = await this.listSinks();
+      }
+
+      const browserPid = chromePid(debugPort);
+      const inputs = browserPid
+        ? parseSinkInputs(await this.pactl(['list', 'sink-inputs'])).filter(input => input.pid && isDescendant(input.pid, browserPid))
+        : [];
+      result.chromeStreams = inputs.length;
+
+      for (const input of inputs) {
+        const current = sinks.get(input.sinkIndex) || `#${input.sinkIndex}`;
+        if (current === result.sink) continue;
+        if (fix && result.sinkExists) {
+          await this.pactl(['move-sink-input', String(input.index), result.sink]);
+          result.fixed.push(`moved stream ${input.index} from ${current}`);
+          console.log(`[audio] Tuner ${tunerId}: moved Chrome stream ${input.index} from ${current} to ${result.sink}`);
+        } else {
+          result.misrouted.push(current);
+        }
+      }
+
+      if (!result.sinkExists) {
+        result.problem = `sink ${result.sink} does not exist`;
+      } else if (result.misrouted.length > 0) {
+        result.problem = `Chrome is playing into ${[...new Set(result.misrouted)].join(', ')}`;
+      }
+      result.healthy = !result.problem;
+    } catch (e) {
+      result.problem = this.pactlMissing ? 'pactl not installed' : e.message;
+      result.healthy = this.pactlMissing ? null : false;
+    }
+    return result;
+  }
+}
+
+module.exports = new AudioSinks();
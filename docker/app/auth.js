@@ -0,0 +1,461 @@
+// Auth - admin password for the settings UI, per-device API keys for IPTV clients
+// Auth stays off until an admin password is set (in the UI or with DVR_ADMIN_PASSWORD),
+// so existing installs keep working until someone turns it on. The first password can
+// only be set from this machine or with the one-time setup token printed to the log,
+// so nobody else on the network can claim an open install.
+//
+// Roles:
+//   admin  - everything (settings, diagnostics, tuner resets, key management)
+//   viewer - read-only: playlists, EPG, streams, recordings playback
+//
+// IPTV clients can't send headers, so a key can also be passed as ?token=. Playlists
+// and redirects served to a tokenised request carry the token on every URL that
+// points back at this server.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const AUTH_PATH = process.env.DVR_DATA_DIR
+  ? path.join(process.env.DVR_DATA_DIR, 'auth.json')
+  : '/data/auth.json';
+
+const Role = {
+  ADMIN: 'admin',
+  VIEWER: 'viewer',
+};
+
+const SESSION_COOKIE = 'dvr_session';
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;  // 7 days
+
+// Failed logins per IP before a lockout. Each lockout in a row doubles, up to
+// MAX_LOGIN_LOCKOUT, and an IP quiet for that long starts over.
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCKOUT = 60 * 1000;
+const MAX_LOGIN_LOCKOUT = 60 * 60 * 1000;
+
+// Reachable without credentials: login page and HDHomeRun discovery (Plex/Jellyfin probe these by IP)
+const PUBLIC_PATHS = [
+  '/health',
+  '/tuners/audio',  // read-only audio probe, for container health checks
+  '/login.html',
+  '/style.css',
+  '/guide.html',    // static shell only - its data calls need a session or ?token=
+  '/guide.js',
+  '/api/auth/status',
+  '/api/auth/login',
+  '/api/auth/logout',
+  '/discover.json',
+  '/device.xml',
+  '/lineup_status.json',
+  '/lineup.post',   // Plex posts its channel scan to BaseURL, which has no token - the route does nothing
+];
+
+// Path prefixes open to everyone - the simulator page is only registered when DVR_SIMULATE=true
+const PUBLIC_PREFIXES = ['/simulator/'];
+
+// Non-GET requests viewers may still make
+const VIEWER_WRITE_PATHS = [
+  /^\/tuner\/[^/]+\/release$/,
+];
+
+class AuthManager {
+  constructor() {
+    this.data = { passwordHash: null, keys: [] };
+    this.sessions = new Map();        // session id -> { expires }
+    this.loginFailures = new Map();   // ip -> { count, lockouts, until, last }
+    this.load();
+
+    if (process.env.DVR_ADMIN_PASSWORD) {
+      this.data.passwordHash = hashPassword(process.env.DVR_ADMIN_PASSWORD);
+    }
+
+    // Needed to set the first password from another device (null once auth is on)
+    this.setupToken = null;
+    if (!this.isEnabled()) {
+      this.setupToken = crypto.randomBytes(12).toString('hex');
+      console.log(`[auth] Auth is off. Setup token for setting the admin password from another device: ${this.setupToken}`);
+    }
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(AUTH_PATH)) {
+        this.data = { ...this.data, ...JSON.parse(fs.readFileSync(AUTH_PATH, 'utf8')) };
+        console.log(`[auth] Loaded ${this.data.keys.length} API key(s)`);
+      }
+    } catch (err) {
+      console.warn('[auth] Failed to load auth.json:', err.message);
+    }
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(AUTH_PATH);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      // The env password is not written back, so removing the variable turns it off again
+      const data = process.env.DVR_ADMIN_PASSWORD ? { ...this.data, passwordHash: this.storedPasswordHash() } : this.data;
+      fs.writeFileSync(AUTH_PATH, JSON.stringify(data, null, 2), { mode: 0o600 });
+    } catch (err) {
+      console.error('[auth] Failed to save auth.json:', err.message);
+    }
+  }
+
+  storedPasswordHash() {
+    try {
+      return JSON.parse(fs.readFileSync(AUTH_PATH, 'utf8')).passwordHash || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  isEnabled() {
+    return !!this.data.passwordHash;
+  }
+
+  isPasswordFromEnv() {
+    return !!process.env.DVR_ADMIN_PASSWORD;
+  }
+
+  // ============================================
+  // Admin password and sessions
+  // ============================================
+
+  // Returns a session id, or throws if the password is wrong or the IP is locked out
+  login(password, ip) {
+    const now = Date.now();
+    const failures = this.loginFailures.get(ip);
+    if (failures && failures.until > now) {
+      const minutes = Math.ceil((failures.until - now) / 60000);
+      const err = new Error(`Too many failed logins, try again in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+      err.status = 429;
+      throw err;
+    }
+
+    if (!this.isEnabled() || !verifyPassword(password || '', this.data.passwordHash)) {
+      this.pruneLoginFailures(now);
+      const entry = this.loginFailures.get(ip) || { count: 0, lockouts: 0, until: 0 };
+      entry.count++;
+      entry.last = now;
+      if (entry.count >= MAX_LOGIN_FAILURES) {
+        // The count starts over, but the next lockout is twice as long
+        entry.until = now + Math.min(LOGIN_LOCKOUT * 2 ** entry.lockouts, MAX_LOGIN_LOCKOUT);
+        entry.lockouts++;
+        entry.count = 0;
+      }
+      this.loginFailures.set(ip, entry);
+      console.warn(`[auth] Failed admin login from ${ip}`);
+      const err = new Error('Invalid password');
+      err.status = 401;
+      throw err;
+    }
+
+    this.loginFailures.delete(ip);
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    this.sessions.set(sessionId, { expires: Date.now() + SESSION_TTL });
+    console.log(`[auth] Admin login from ${ip}`);
+    return sessionId;
+  }
+
+  // Forget IPs that aren't locked out and haven't failed for MAX_LOGIN_LOCKOUT, so
+  // failed logins from ever-new addresses don't pile up
+  pruneLoginFailures(now = Date.now()) {
+    for (const [ip, entry] of this.loginFailures) {
+      if (entry.until <= now && now - entry.last > MAX_LOGIN_LOCKOUT) {
+        this.loginFailures.delete(ip);
+      }
+    }
+  }
+
+  logout(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  isValidSession(sessionId) {
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session) return false;
+    if (session.expires < Date.now()) {
+      this.sessions.delete(sessionId);
+      return false;
+    }
+    return true;
+  }
+
+  // Setting the first password turns auth on, and needs the setup token unless the
+  // request came from this machine. Changing it needs the current one and signs out
+  // every session.
+  setPassword(currentPassword, newPassword, { setupToken, local = false } = {}) {
+    if (this.isPasswordFromEnv()) {
+      throw new Error('Admin password is set by DVR_ADMIN_PASSWORD');
+    }
+    if (!newPassword || newPassword.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+    if (this.isEnabled() && !verifyPassword(currentPassword || '', this.data.passwordHash)) {
+      const err = new Error('Current password is incorrect');
+      err.status = 401;
+      throw err;
+    }
+    if (!this.isEnabled() && !local && !tokensMatch(setupToken, this.setupToken)) {
+      const err = new Error('Setting the first password needs the setup token from the server log');
+      err.status = 403;
+      throw err;
+    }
+
+    this.data.passwordHash = hashPassword(newPassword);
+    this.setupToken = null;
+    this.sessions.clear();
+    this.save();
+    console.log('[auth] Admin password changed');
+  }
+
+  // ============================================
+  // API keys
+  // ============================================
+
+  // The token is only returned here; auth.json keeps a hash
+  createKey({ name, role, maxPriority } = {}) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Key name is required');
+    }
+    if (role && !Object.values(Role).includes(role)) {
+      throw new Error(`Invalid role "${role}" (use admin or viewer)`);
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const key = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: String(name).trim(),
+      role: role || Role.VIEWER,
+      maxPriority: maxPriority || null,
+      tokenHash: hashToken(token),
+      createdAt: new Date().toISOString(),
+      lastUsed: null,
+      lastIp: null,
+    };
+
+    this.data.keys.push(key);
+    this.save();
+    console.log(`[auth] Created ${key.role} key "${key.name}" (${key.id})`);
+    return { ...this.publicKey(key), token };
+  }
+
+  revokeKey(id) {
+    const index = this.data.keys.findIndex(k => k.id === id);
+    if (index === -1) return false;
+    const [key] = this.data.keys.splice(index, 1);
+    this.save();
+    console.log(`[auth] Revoked key "${key.name}" (${key.id})`);
+    return true;
+  }
+
+  getKeys() {
+    return this.data.keys.map(k => this.publicKey(k));
+  }
+
+  publicKey(key) {
+    const { tokenHash, ...rest } = key;
+    return rest;
+  }
+
+  findKey(token) {
+    if (!token) return null;
+    const hash = hashToken(token);
+    return this.data.keys.find(k => crypto.timingSafeEqual(Buffer.from(k.tokenHash), Buffer.from(hash))) || null;
+  }
+
+  // Usage is tracked in memory and written at most once a minute per key
+  touchKey(key, ip) {
+    const now = Date.now();
+    const last = key.lastUsed ? Date.parse(key.lastUsed) : 0;
+    key.lastIp = ip;
+    if (now - last > 60000) {
+      key.lastUsed = new Date(now).toISOString();
+      this.save();
+    }
+  }
+
+  // ============================================
+  // Request handling
+  // ============================================
+
+  // Who is making this request: { role, key, via } or null
+  identify(req) {
+    if (!this.isEnabled()) {
+      return { role: Role.ADMIN, key: null, via: 'open' };
+    }
+
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (this.isValidSession(sessionId)) {
+      return { role: Role.ADMIN, key: null, via: 'session' };
+    }
+
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    const headerToken = req.headers['x-api-key'] || bearer?.[1];
+    const token = headerToken || req.query.token;
+    const key = this.findKey(token);
+    if (key) {
+      this.touchKey(key, req.ip);
+      return { role: key.role, key, via: headerToken ? 'header' : 'token', token };
+    }
+
+    return null;
+  }
+
+  // Role a request needs
+  requiredRole(req) {
+    const pathname = req.path;
+    // CORS preflights never carry credentials
+    if (req.method === 'OPTIONS' || PUBLIC_PATHS.includes(pathname) || PUBLIC_PREFIXES.some(prefix => pathname.startsWith(prefix))) return null;
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      // The settings UI and the management API are admin-only; everything else is viewing
+      if (pathname === '/' || pathname === '/index.html' || pathname === '/app.js' || pathname.startsWith('/api/')) {
+        return Role.ADMIN;
+      }
+      return Role.VIEWER;
+    }
+
+    return VIEWER_WRITE_PATHS.some(re => re.test(pathname)) ? Role.VIEWER : Role.ADMIN;
+  }
+
+  // Express middleware - must run before the routes and static files
+  middleware() {
+    return (req, res, next) => {
+      const required = this.requiredRole(req);
+      const identity = this.identify(req);
+      req.auth = identity;
+
+      if (required) {
+        if (!identity) {
+          // Browsers opening the UI go to the login page; everything else gets a 401
+          if (req.method === 'GET' && (req.path === '/' || req.path === '/index.html')) {
+            return res.redirect(302, '/login.html');
+          }
+          return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (required === Role.ADMIN && identity.role !== Role.ADMIN) {
+          return res.status(403).json({ error: 'Admin access required' });
+        }
+      }
+
+      if (identity?.via === 'token') {
+        this.propagateToken(req, res, identity.token);
+      }
+      next();
+    };
+  }
+
+  // Add ?token= to every URL pointing back at this server in playlists and redirects,
+  // so IPTV clients that only got a tokenised playlist URL can follow it
+  propagateToken(req, res, token) {
+    const host = req.headers.host;
+    if (!host) return;
+
+    const urlPattern = new RegExp(`https?://${escapeRegExp(host)}/[^\\s"'<>]*`, 'g');
+    const addToken = (url, separator) => {
+      if (/[?&]token=/.test(url)) return url;
+      return `${url}${url.includes('?') ? separator : '?'}token=${encodeURIComponent(token)}`;
+    };
+
+    const send = res.send.bind(res);
+    res.send = (body) => {
+      if (typeof body === 'string') {
+        // XMLTV needs the ampersand escaped
+        const separator = body.trimStart().startsWith('<') ? '&amp;' : '&';
+        body = body.replace(urlPattern, url => addToken(url, separator));
+      }
+      return send(body);
+    };
+
+    const redirect = res.redirect.bind(res);
+    res.redirect = (status, url) => {
+      if (typeof status === 'string') {
+        return redirect(addToken(status, '&'));
+      }
+      return redirect(status, addToken(url, '&'));
+    };
+  }
+
+  sessionCookie(sessionId, req) {
+    const secure = req.secure || req.headers['x-forwarded-proto'] === 'https' ? '; Secure' : '';
+    return `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL / 1000}${secure}`;
+  }
+
+  clearSessionCookie() {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+  }
+
+  getSessionId(req) {
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  }
+
+  getStatus(req) {
+    return {
+      enabled: this.isEnabled(),
+      passwordFromEnv: this.isPasswordFromEnv(),
+      setupTokenRequired: !this.isEnabled() && !isLocalRequest(req),
+      authenticated: !!req.auth,
+      role: req.auth?.role || null,
+      via: req.auth?.via || null,
+    };
+  }
+}
+
+// scrypt$<salt>$<hash>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function tokensMatch(given, expected) {
+  if (!given || !expected) return false;
+  const a = Buffer.from(hashToken(given), 'hex');
+  const b = Buffer.from(hashToken(expected), 'hex');
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Straight from loopback - the socket address, so X-Forwarded-For can't fake it
+function isLocalRequest(req) {
+  const address = req.socket?.remoteAddress || '';
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (e) {
+      // Malformed escape in someone else's cookie - skip it
+    }
+  }
+  return cookies;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const authManager = new AuthManager();
+
+module.exports = authManager;
+module.exports.Role = Role;
+module.exports.isLocalRequest = isLocalRequest;
@@ -0,0 +1,371 @@
+// Break Detect - commercial break boundaries from black frames plus silence
+// FFmpeg's blackdetect and silencedetect filters find the short black, silent gaps
+// networks put around every spot. A gap that is both black and silent is a marker; a run
+// of markers no further apart than a spot is long is a break. Works offline on any TS
+// file or HLS playlist (recordings, or `node break-detect.js file.ts`), and live on each
+// finished segment of a tuner's stream, where the segment's EXT-X-PROGRAM-DATE-TIME
+// places it on the wall clock.
+//
+// Breaks come out as { start, end } seconds - from the start of the file, or wall-clock
+// epoch seconds live - and are exported as an EDL, chapters and EXT-X-DATERANGE tags.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+
+const DEFAULT_SILENCE_DB = -50;   // Quieter than this is silence
+const MIN_GAP = 0.1;              // Shortest black / silence FFmpeg reports (seconds)
+const PIXEL_THRESHOLD = 0.1;      // Luma below this counts as a black pixel
+
+const MARKER_TOLERANCE = 0.5;     // Black and silence this far apart still make a marker
+const MARKER_MERGE = 1;           // Markers closer than this are one gap
+const MAX_SPOT = 125;             // Longest spot - markers further apart end the break
+const MIN_BREAK = 30;             // Shorter runs are scene changes, not breaks
+const MAX_BREAK = 600;            // Longer runs are fades in the programme
+
+// Live: segments analysed per check when catching up, and how long detections are kept
+// (the longest timeshift window)
+const MAX_CATCHUP = 3;
+const RETENTION = 720 * 60;
+const SEGMENT_TIMEOUT = 30000;
+
+// CLASS of the EXT-X-DATERANGE tags marking breaks
+const DATERANGE_CLASS = 'com.directvtuner.break';
+
+/**
+ * Run blackdetect + silencedetect over a file or playlist
+ * @param {string} input - TS file, HLS playlist, or anything else FFmpeg reads
+ * @param {{ silenceDb?: number, timeout?: number }} options
+ * @returns {Promise<{ black: Array<{start, end}>, silence: Array<{start, end}>, duration: number|null }>}
+ *   seconds from the start of the input
+ */
+function analyze(input, { silenceDb = DEFAULT_SILENCE_DB, timeout = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-hide_banner', '-nostats',
+      '-i', input,
+      '-map', '0:v:0?', '-map', '0:a:0?', '-sn', '-dn',
+      '-vf', `blackdetect=d=${MIN_GAP}:pix_th=${PIXEL_THRESHOLD}`,
+      '-af', `silencedetect=noise=${silenceDb}dB:d=${MIN_GAP}`,
+      '-f', 'null', '-',
+    ];
+    const proc = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+
+    let output = '';
+    proc.stderr.on('data', (data) => {
+      output += data.toString();
+    });
+
+    const timer = timeout ? setTimeout(() => proc.kill('SIGKILL'), timeout) : null;
+    proc.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    proc.on('close', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        const lastLine = output.trim().split('\n').pop() || '';
+        return reject(new Error(`ffmpeg exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+      }
+      resolve(parseOutput(output));
+    });
+  });
+}
+
+// blackdetect / silencedetect lines from FFmpeg's log -> intervals in seconds
+function parseOutput(output) {
+  const durationMatch = output.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+  const duration = durationMatch
+    ? parseInt(durationMatch[1]) * 3600 + parseInt(durationMatch[2]) * 60 + parseFloat(durationMatch[3])
+    : null;
+
+  const black = [...output.matchAll(/black_start:\s*(-?[\d.]+)\s+black_end:\s*(-?[\d.]+)/g)]
+    .map(match => ({ start: Math.max(0, parseFloat(match[1])), end: parseFloat(match[2]) }));
+
+  const silence = [];
+  let silenceStart = null;
+  for (const match of output.matchAll(/silence_(start|end):\s*(-?[\d.]+)/g)) {
+    const time = Math.max(0, parseFloat(match[2]));
+    if (match[1] === 'start') {
+      silenceStart = time;
+    } else {
+      // No start: silent from the beginning (carried over from the previous live segment)
+      silence.push({ start: silenceStart ?? 0, end: time });
+      silenceStart = null;
+    }
+  }
+  // Older FFmpeg doesn't close silence that runs to the end
+  if (silenceStart !== null && duration !== null) {
+    silence.push({ start: silenceStart, end: duration });
+  }
+
+  return { black, silence, duration };
+}
+
+// Join intervals that touch (gap <= maxGap) - a gap split across two live segments
+function mergeIntervals(intervals, maxGap) {
+  const merged = [];
+  for (const interval of [...intervals].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start - last.end <= maxGap) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Breaks from black and silence intervals
+ * @param {number} until - how far the input has been analysed; a run that could still
+ *   continue past it is returned with open: true
+ * @returns {Array<{start, end, markers, open}>}
+ */
+function findBreaks(black, silence, { until = Infinity } = {}) {
+  const sortedSilence = [...silence].sort((a, b) => a.start - b.start);
+  const markers = mergeIntervals(
+    black.filter(b => sortedSilence.some(s => s.start <= b.end + MARKER_TOLERANCE && s.end >= b.start - MARKER_TOLERANCE)),
+    MARKER_MERGE
+  );
+
+  const breaks = [];
+  let run = [];
+  const finish = (open) => {
+    if (run.length < 2) return;
+    const start = run[0].start;
+    const end = run[run.length - 1].end;
+    if (end - start > MAX_BREAK) return;
+    // An open run too short to be a break yet may still become one
+    if (end - start >= MIN_BREAK) {
+      breaks.push({ start, end, markers: run.length, open });
+    }
+  };
+
+  for (const marker of markers) {
+    if (run.length > 0 && marker.start - run[run.length - 1].end > MAX_SPOT) {
+      finish(false);
+      run = [];
+    }
+    run.push(marker);
+  }
+  if (run.length > 0) {
+    finish(until - run[run.length - 1].end <= MAX_SPOT);
+  }
+  return breaks;
+}
+
+// Kodi/MPlayer EDL - "start end 3" per break (3 = commercial break)
+function toEdl(breaks) {
+  return breaks.map(b => `${b.start.toFixed(2)}\t${b.end.toFixed(2)}\t3`).join('\n') + (breaks.length > 0 ? '\n' : '');
+}
+
+// Chapters alternating programme parts and breaks, covering 0..duration
+function toChapters(breaks, duration) {
+  const chapters = [];
+  let position = 0;
+  let part = 1;
+  breaks.forEach((b, i) => {
+    if (b.start > position) {
+      chapters.push({ start: position, end: b.start, title: `Part ${part++}` });
+    }
+    chapters.push({ start: Math.max(b.start, position), end: b.end, title: `Break ${i + 1}`, break: true });
+    position = b.end;
+  });
+  const end = Math.max(duration || 0, position);
+  if (end > position) {
+    chapters.push({ start: position, end, title: `Part ${part}` });
+  }
+  return chapters;
+}
+
+// FFmpeg metadata file (ffmpeg -i video -i chapters.txt -map_metadata 1 -map_chapters 1 ...)
+function toFfmetadata(chapters) {
+  const lines = [';FFMETADATA1'];
+  for (const chapter of chapters) {
+    lines.push('', '[CHAPTER]', 'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.start * 1000)}`,
+      `END=${Math.round(chapter.end * 1000)}`,
+      `title=${chapter.title.replace(/[=;#\\\n]/g, '\\$&')}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Breaks as hls-playlist addDateRanges() ranges; offset turns break times into epoch seconds
+function toDateRanges(breaks, offset = 0) {
+  return breaks.map(b => ({
+    id: `break-${Math.round((offset + b.start) * 1000)}`,
+    class: DATERANGE_CLASS,
+    start: (offset + b.start) * 1000,
+    end: b.open ? null : (offset + b.end) * 1000,
+  }));
+}
+
+// Live detection for one tuner's stream: every check analyses the segments finished
+// since the last one and keeps their black / silence intervals on the wall clock
+class BreakDetector {
+  constructor(tunerId) {
+    this.tunerId = tunerId;
+    this.black = [];       // Epoch seconds
+    this.silence = [];
+    this.since = null;     // Start of the first analysed segment
+    this.until = null;     // End of the last analysed segment
+    this.interval = null;
+    this.busy = false;
+    this.lastError = null;
+    this.silenceDb = DEFAULT_SILENCE_DB;
+  }
+
+  /**
+   * Start checking for new segments
+   * @param {Function} listSegments - () => [{ path, start (epoch ms), duration (s) }]
+   */
+  start(listSegments, checkInterval, { silenceDb = DEFAULT_SILENCE_DB } = {}) {
+    this.stop();
+    this.silenceDb = silenceDb;
+    console.log(`[breaks-${this.tunerId}] Starting break detection (check every ${checkInterval / 1000}s)`);
+    this.interval = setInterval(() => {
+      this.check(listSegments).catch(err => {
+        console.error(`[breaks-${this.tunerId}] Check failed: ${err.message}`);
+      });
+    }, checkInterval);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  // New channel - earlier detections don't belong to the new stream
+  reset() {
+    this.black = [];
+    this.silence = [];
+    this.since = null;
+    this.until = null;
+    this.lastError = null;
+  }
+
+  isRunning() {
+    return this.interval !== null;
+  }
+
+  async check(listSegments) {
+    if (this.busy) return;
+    this.busy = true;
+    try {
+      const pending = listSegments()
+        .filter(s => Number.isFinite(s.start) && fs.existsSync(s.path))
+        .filter(s => this.until === null || s.start / 1000 + s.duration > this.until + MIN_GAP)
+        .slice(-MAX_CATCHUP);
+
+      for (const segment of pending) {
+        const offset = segment.start / 1000;
+        try {
+          const { black, silence } = await analyze(segment.path, { silenceDb: this.silenceDb, timeout: SEGMENT_TIMEOUT });
+          const shift = interval => ({ start: offset + interval.start, end: offset + Math.min(interval.end, segment.duration) });
+          this.black = mergeIntervals([...this.black, ...black.map(shift)], MIN_GAP * 2);
+          this.silence = mergeIntervals([...this.silence, ...silence.map(shift)], MIN_GAP * 2);
+          this.lastError = null;
+        } catch (err) {
+          if (this.lastError !== err.message) {
+            console.error(`[breaks-${this.tunerId}] Could not analyse ${segment.path}: ${err.message}`);
+          }
+          this.lastError = err.message;
+        }
+        if (this.since === null) this.since = offset;
+        this.until = offset + segment.duration;
+      }
+
+      const cutoff = this.until - RETENTION;
+      this.black = this.black.filter(interval => interval.end >= cutoff);
+      this.silence = this.silence.filter(interval => interval.end >= cutoff);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  // Breaks in epoch seconds
+  getBreaks() {
+    if (this.until === null) return [];
+    return findBreaks(this.black, this.silence, { until: this.until });
+  }
+
+  getDateRanges() {
+    return toDateRanges(this.getBreaks());
+  }
+
+  // Breaks relative to the start of detection, for the EDL / chapters exports
+  getRelativeBreaks() {
+    return this.getBreaks().map(b => ({ ...b, start: b.start - this.since, end: b.end - this.since }));
+  }
+
+  getStatus() {
+    const breaks = this.getBreaks();
+    return {
+      running: this.isRunning(),
+      since: this.since !== null ? new Date(this.since * 1000).toISOString() : null,
+      analyzedUntil: this.until !== null ? new Date(this.until * 1000).toISOString() : null,
+      breaks: breaks.map(b => ({
+        start: new Date(b.start * 1000).toISOString(),
+        end: new Date(b.end * 1000).toISOString(),
+        duration: Math.round(b.end - b.start),
+        open: b.open,
+      })),
+      lastError: this.lastError,
+    };
+  }
+}
+
+/**
+ * Analyse a file or playlist and find its breaks
+ * @returns {Promise<{ breaks: Array<{start, end, markers}>, duration: number|null }>}
+ */
+async function detect(input, options = {}) {
+  const { black, silence, duration } = await analyze(input, options);
+  return {
+    breaks: findBreaks(black, silence).map(({ start, end, markers }) => ({ start, end, markers })),
+    duration,
+  };
+}
+
+// node break-detect.js <file.ts|playlist.m3u8> [--chapters|--json] [--silence-db -50]
+async function main() {
+  const args = process.argv.slice(2);
+  const input = args.find(arg => !arg.startsWith('--') && !/^-\d/.test(arg));
+  if (!input) {
+    console.error('Usage: node break-detect.js <file.ts|playlist.m3u8> [--chapters|--json] [--silence-db -50]');
+    process.exit(1);
+  }
+  const dbIndex = args.indexOf('--silence-db');
+  const silenceDb = dbIndex !== -1 ? parseInt(args[dbIndex + 1]) : DEFAULT_SILENCE_DB;
+
+  try {
+    const { breaks, duration } = await detect(input, { silenceDb });
+    if (args.includes('--json')) {
+      process.stdout.write(JSON.stringify({ duration, breaks }, null, 2) + '\n');
+    } else if (args.includes('--chapters')) {
+      process.stdout.write(toFfmetadata(toChapters(breaks, duration)));
+    } else {
+      process.stdout.write(toEdl(breaks));
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = BreakDetector;
+module.exports.analyze = analyze;
+module.exports.detect = detect;
+module.exports.parseOutput = parseOutput;
+module.exports.mergeIntervals = mergeIntervals;
+module.exports.findBreaks = findBreaks;
+module.exports.toEdl = toEdl;
+module.exports.toChapters = toChapters;
+module.exports.toFfmetadata = toFfmetadata;
+module.exports.toDateRanges = toDateRanges;
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,266 @@
+// Caption Capture - closed captions from the tuner's web player, served as WebVTT
+// The player's caption text (its <video> text tracks, or the caption overlay it draws
+// in the DOM) is forwarded out of the page with a Playwright binding and kept as cues
+// stamped with the wall clock. FFmpeg writes EXT-X-PROGRAM-DATE-TIME on every segment,
+// so each video segment gets a matching .vtt segment holding the cues that overlap it.
+// Captions are not embedded in the TS as CEA-608/708 - FFmpeg can't encode text into
+// 608 data, so only players that read the WebVTT rendition get them.
+
+const fs = require('fs');
+
+// Player caption containers tried after settings captions.selectors (Shaka, Video.js,
+// JW Player, Bitmovin, hls.js demo/DirecTV-style overlays)
+const DEFAULT_SELECTORS = [
+  '.shaka-text-container',
+  '.vjs-text-track-display',
+  '.jw-captions',
+  '.bmpui-ui-subtitle-overlay',
+  '[class*="caption-window"]',
+  '[class*="closed-caption"]',
+  '[class*="subtitle-container"]',
+];
+
+// Cues are kept as long as the longest timeshift window (timeshift.minutes max)
+const CUE_RETENTION = 720 * 60 * 1000;
+
+// A caption left on screen longer than this is treated as stale (player stopped updating)
+const MAX_CUE_DURATION = 15000;
+
+// Fallback PTS for X-TIMESTAMP-MAP when a segment's first PTS can't be read
+// (FFmpeg starts MPEG-TS output at 1.4s)
+const DEFAULT_PTS = 126000;
+
+const TS_PACKET = 188;
+const ptsCache = new Map();   // "<path>:<size>:<mtime>" -> first video PTS
+const PTS_CACHE_SIZE = 500;
+
+// Runs in the page: hide native caption rendering (it would end up in the capture)
+// and report caption text changes to window.__dvrCaption
+function installCaptionWatcher(selectors) {
+  if (window.__dvrCaptionWatcher) {
+    window.__dvrCaptionWatcher.selectors = selectors;
+    return window.__dvrCaptionWatcher.source;
+  }
+  const watcher = window.__dvrCaptionWatcher = { selectors, last: null, source: null, track: null, video: null };
+
+  const emit = (text, source) => {
+    const clean = String(text || '').replace(/<[^>]+>/g, '').replace(/[ \t]*\n\s*/g, '\n').trim();
+    if (clean === watcher.last) return;
+    watcher.last = clean;
+    watcher.source = source;
+    window.__dvrCaption({ text: clean, source, at: Date.now() });
+  };
+
+  const captionTracks = (video) => Array.from(video.textTracks || [])
+    .filter(track => track.kind === 'captions' || track.kind === 'subtitles');
+
+  // Follow the track the player shows (or the first one), keeping its cues hidden
+  const pickTrack = () => {
+    const video = document.querySelector('video');
+    if (!video) return;
+    if (video !== watcher.video) {
+      watcher.video = video;
+      if (video.textTracks) {
+        video.textTracks.addEventListener('addtrack', pickTrack);
+        video.textTracks.addEventListener('change', pickTrack);
+      }
+    }
+    const tracks = captionTracks(video);
+    const track = tracks.find(t => t.mode === 'showing') || (tracks.includes(watcher.track) ? watcher.track : tracks[0]);
+    if (!track) return;
+    if (track.mode !== 'hidden') track.mode = 'hidden';
+    if (track === watcher.track) return;
+    watcher.track = track;
+    track.addEventListener('cuechange', () => {
+      if (track !== watcher.track) return;
+      emit(Array.from(track.activeCues || []).map(cue => cue.text).join('\n'), 'track');
+    });
+  };
+
+  // Caption overlays drawn by the player itself, when there are no text tracks with cues
+  const readDom = () => {
+    if (watcher.track && watcher.track.cues && watcher.track.cues.length > 0) return;
+    const element = watcher.selectors.map(selector => {
+      try { return document.querySelector(selector); } catch (e) { return null; }
+    }).find(Boolean);
+    if (element) {
+      emit(element.innerText, 'dom');
+    } else if (watcher.source === 'dom') {
+      emit('', 'dom');
+    }
+  };
+
+  pickTrack();
+  readDom();
+  new MutationObserver(readDom).observe(document.body, { childList: true, subtree: true, characterData: true });
+  // Players swap <video> elements and add tracks late
+  setInterval(pickTrack, 1000);
+  return watcher.source;
+}
+
+// First video PTS (90kHz) of an MPEG-TS segment, or null
+function readFirstPts(filePath) {
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (e) {
+    return null;
+  }
+  const key = `${filePath}:${stat.size}:${stat.mtimeMs}`;
+  if (ptsCache.has(key)) return ptsCache.get(key);
+
+  let pts = null;
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(TS_PACKET * 512);
+    const length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    for (let offset = 0; offset + TS_PACKET <= length && pts === null; offset += TS_PACKET) {
+      if (buffer[offset] !== 0x47 || !(buffer[offset + 1] & 0x40)) continue;  // Sync byte, payload unit start
+      let payload = offset + 4;
+      const adaptation = (buffer[offset + 3] >> 4) & 0x3;
+      if (adaptation === 2) continue;
+      if (adaptation === 3) payload += 1 + buffer[offset + 4];
+      const pes = buffer.subarray(payload, offset + TS_PACKET);
+      // PES start code, video stream ID, PTS present
+      if (pes.length < 14 || pes[0] !== 0 || pes[1] !== 0 || pes[2] !== 1) continue;
+      if ((pes[3] & 0xf0) !== 0xe0 || !(pes[7] & 0x80)) continue;
+      pts = ((pes[9] >> 1) & 0x07) * 2 ** 30 + pes[10] * 2 ** 22 + (pes[11] >> 1) * 2 ** 15 + pes[12] * 2 ** 7 + (pes[13] >> 1);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (pts !== null) {
+    ptsCache.set(key, pts);
+    if (ptsCache.size > PTS_CACHE_SIZE) ptsCache.delete(ptsCache.keys().next().value);
+  }
+  return pts;
+}
+
+// 61.5 -> "00:01:01.500"
+function formatTime(seconds) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor(ms / 60000) % 60;
+  const secs = Math.floor(ms / 1000) % 60;
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms % 1000, 3)}`;
+}
+
+// Cue text can't contain blank lines (they end the cue) or raw markup characters
+function escapeCueText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n{2,}/g, '\n');
+}
+
+class CaptionCapture {
+  constructor(tunerId) {
+    this.tunerId = tunerId;
+    this.cues = [];        // { start, end, text } in wall-clock ms; end is null while on screen
+    this.page = null;      // Page the binding was exposed on
+    this.source = null;    // 'track' or 'dom' once the player has shown captions
+    this.lastCueAt = null;
+  }
+
+  // Start forwarding the page's captions (call after every navigation)
+  async attach(page, selectors = []) {
+    if (page !== this.page) {
+      try {
+        await page.exposeBinding('__dvrCaption', (source, caption) => this.addCaption(caption));
+      } catch (e) {
+        // Already exposed on this page by an earlier attach
+        if (!/registered/i.test(e.message)) throw e;
+      }
+      this.page = page;
+    }
+    await page.evaluate(installCaptionWatcher, [...selectors, ...DEFAULT_SELECTORS]);
+    console.log(`[tuner-${this.tunerId}] Caption capture attached`);
+  }
+
+  addCaption({ text, source, at } = {}) {
+    const now = Date.now();
+    const time = Math.min(Number(at) || now, now);
+    const open = this.cues[this.cues.length - 1];
+    if (open && open.end === null) {
+      open.end = Math.max(time, open.start);
+    }
+    if (text) {
+      this.cues.push({ start: time, end: null, text: String(text) });
+      this.lastCueAt = time;
+      if (!this.source) {
+        console.log(`[tuner-${this.tunerId}] Captions found (${source})`);
+      }
+      this.source = source || this.source;
+    }
+
+    const cutoff = now - CUE_RETENTION;
+    while (this.cues.length > 0 && this.cues[0].end !== null && this.cues[0].end < cutoff) {
+      this.cues.shift();
+    }
+  }
+
+  // Channel change or tuner stop - old cues don't belong to the new stream
+  reset() {
+    this.cues = [];
+    this.source = null;
+    this.lastCueAt = null;
+  }
+
+  hasCaptions() {
+    return this.cues.length > 0;
+  }
+
+  // Cues overlapping [start, end) wall-clock ms
+  getCues(start, end) {
+    const now = Date.now();
+    return this.cues
+      .map(cue => ({ ...cue, end: Math.min(cue.end ?? now, cue.start + MAX_CUE_DURATION) }))
+      .filter(cue => cue.start < end && cue.end > start);
+  }
+
+  /**
+   * Subtitle playlist mirroring a video media playlist: same tags and durations,
+   * segmentNNN.ts -> <baseUrl>/segmentNNN.vtt
+   */
+  getPlaylist(videoPlaylist, baseUrl) {
+    return videoPlaylist.replace(/^segment(\d+)\.ts$/gm, `${baseUrl}/segment$1.vtt`);
+  }
+
+  /**
+   * WebVTT for one video segment, or null if the segment isn't in the playlist.
+   * X-TIMESTAMP-MAP ties the segment's start (LOCAL 0) to its first video PTS, so cue
+   * times are offsets from the segment's EXT-X-PROGRAM-DATE-TIME.
+   * @param {Array} segments - parsed video playlist (hls-playlist.js)
+   * @param {string} name - segment name without extension (segment042)
+   * @param {string} segmentPath - the .ts file, for its PTS
+   */
+  getSegmentVtt(segments, name, segmentPath) {
+    const segment = segments.find(s => s.uri === `${name}.ts`);
+    if (!segment) return null;
+
+    const lines = ['WEBVTT'];
+    const dateTag = segment.tags.find(tag => tag.startsWith('#EXT-X-PROGRAM-DATE-TIME:'));
+    const segmentStart = dateTag ? Date.parse(dateTag.slice(dateTag.indexOf(':') + 1)) : NaN;
+    lines.push(`X-TIMESTAMP-MAP=MPEGTS:${readFirstPts(segmentPath) ?? DEFAULT_PTS},LOCAL:00:00:00.000`, '');
+
+    // Without a date there's no way to line cues up - serve an empty segment
+    if (Number.isFinite(segmentStart)) {
+      const segmentEnd = segmentStart + segment.duration * 1000;
+      for (const cue of this.getCues(segmentStart, segmentEnd)) {
+        lines.push(`${formatTime((cue.start - segmentStart) / 1000)} --> ${formatTime((cue.end - segmentStart) / 1000)}`);
+        lines.push(escapeCueText(cue.text), '');
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  getStatus() {
+    return {
+      source: this.source,
+      cues: this.cues.length,
+      lastCueAt: this.lastCueAt ? new Date(this.lastCueAt).toISOString() : null,
+    };
+  }
+}
+
+module.exports = CaptionCapture;
+module.exports.readFirstPts = readFirstPts;
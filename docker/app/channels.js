@@ -2,6 +2,10 @@
 // Complete lineup of 300+ channels with channel numbers
 // searchTerms field allows matching against different variations of channel names in the guide
 
+const lineupManager = require('./lineup-manager');
+const { logoUrl } = require('./logo-manager');
+const { m3uAttr } = lineupManager;
+
 const channels = [
   // ================== NEWS ==================
   { id: 'cnn', name: 'CNN', number: '202', category: 'News' },
@@ -433,14 +437,29 @@ function getChannelsByCategory(category) {
 }
 
 // Generate M3U playlist
-function generateM3U(serverHost) {
+// Base entries for the lineup overlay - tvg-id and stream URL stay on the channel id
+function getLineupChannels() {
+  return channels.map(ch => ({
+    key: ch.number,
+    tvgId: ch.id,
+    number: ch.number,
+    name: ch.name,
+    group: ch.category,
+    logo: ch.logo || '',
+    streamId: ch.id,
+  }));
+}
+
+// lineup: base lineup entries (defaults to the channels above)
+function generateM3U(serverHost, lineup = getLineupChannels()) {
   let m3u = '#EXTM3U\n';
   m3u += '#EXTM3U x-tvg-url=""\n\n';
 
-  for (const ch of channels) {
-    m3u += `#EXTINF:-1 tvg-id="${ch.id}" tvg-name="${ch.name}" `;
-    m3u += `tvg-chno="${ch.number}" group-title="${ch.category}",${ch.name}\n`;
-    m3u += `http://${serverHost}/stream/${ch.id}\n`;
+  for (const ch of lineupManager.getVisible(lineup)) {
+    m3u += `#EXTINF:-1 tvg-id="${ch.tvgId}" tvg-name="${m3uAttr(ch.name)}" `;
+    m3u += `tvg-logo="${m3uAttr(logoUrl(serverHost, ch.streamId))}" `;
+    m3u += `tvg-chno="${m3uAttr(ch.number)}" group-title="${m3uAttr(ch.group)}",${ch.name}\n`;
+    m3u += `http://${serverHost}/stream/${ch.streamId}\n`;
   }
 
   return m3u;
@@ -463,6 +482,7 @@ module.exports = {
   getChannelUrl,
   getAllChannels,
   getChannelsByCategory,
+  getLineupChannels,
   generateM3U,
   searchChannels,
 };
@@ -8,16 +8,23 @@ const isLinux = os.platform() === 'linux';
 // Low resource mode for FFmpeg - reduces CPU usage for NAS and weak hardware
 const lowResourceFFmpeg = process.env.DVR_LOW_RESOURCE_FFMPEG === 'true';
 
+// Offline simulator - tuners use the fake guide/player in simulator/ instead of DirecTV
+const simulate = process.env.DVR_SIMULATE === 'true';
+const port = parseInt(process.env.DVR_PORT) || 7070;
+
 module.exports = {
   // Server settings
-  port: parseInt(process.env.DVR_PORT) || 7070,
+  port,
   host: process.env.DVR_HOST || '0.0.0.0',
 
+  // Streaming site the tuners drive (the local simulator page when DVR_SIMULATE=true)
+  simulate,
+  siteUrl: simulate ? `http://127.0.0.1:${port}/simulator` : 'https://stream.directv.com',
+
   // Low resource mode flag (FFmpeg only - Chrome has its own DVR_LOW_RESOURCE_CHROME)
   lowResourceFFmpeg,
 
-  // Tuner settings
-  numTuners: parseInt(process.env.DVR_NUM_TUNERS) || 1,
+  // Tuner settings (the tuner count is tuners.count in effective-config.js, from DVR_NUM_TUNERS)
   baseDebugPort: parseInt(process.env.CHROME_DEBUG_PORT) || 9222,
   baseDisplayNum: 1,  // Xvfb display :1 in Docker
 
@@ -28,28 +35,36 @@ module.exports = {
   // Chrome settings - Linux in Docker
   chromePath: '/usr/bin/google-chrome-stable',
 
+  // PulseAudio (system mode, started by start-pulseaudio.sh) - each tuner's Chrome plays
+  // into its own null sink and FFmpeg records that sink's monitor (see audio-sinks.js)
+  pulseServer: process.env.PULSE_SERVER || 'unix:/run/pulse/native',
+
   // Timing
   idleTimeout: 300000,  // 5 min before releasing idle tuner
   ffmpegIdleTimeout: parseInt(process.env.DVR_FFMPEG_IDLE_TIMEOUT) || 30000,  // 30 sec before stopping FFmpeg when no clients
   channelSwitchDelay: 5000,  // Wait for video to start after navigation
   ffmpegStartDelay: 3000,  // Wait after FFmpeg starts before serving
 
-  // Video settings - lower in low resource mode
+  // Xvfb screen / Chrome window size when we start them ourselves (outside Docker).
+  // This is the capture surface - output resolution, bitrates and HLS timing come from
+  // effective-config.js (defaults, DVR_LOW_RESOURCE_FFMPEG / DVR_HLS_* env, settings.json).
   resolution: {
     width: lowResourceFFmpeg ? 1280 : 1920,
     height: lowResourceFFmpeg ? 720 : 1080,
   },
-  videoBitrate: lowResourceFFmpeg ? '2M' : '4M',
-  audioBitrate: lowResourceFFmpeg ? '96k' : '128k',
 
-  // HLS settings (better for multiple clients watching same channel)
+  // HLS output (better for multiple clients watching same channel)
   hlsMode: process.env.DVR_HLS_MODE !== 'false', // Default true, set DVR_HLS_MODE=false to use MPEG-TS pipe
-  hls: {
-    segmentTime: parseInt(process.env.DVR_HLS_SEGMENT_TIME) || 4,  // Seconds per segment (4s = less HTTP overhead)
-    listSize: parseInt(process.env.DVR_HLS_LIST_SIZE) || 6,        // Segments in playlist (24s buffer)
+
+  // HDHomeRun emulation (Plex/Jellyfin/Emby native tuner support)
+  hdhomerun: {
+    enabled: process.env.DVR_HDHR_ENABLED !== 'false',  // Default true
+    ssdp: process.env.DVR_HDHR_SSDP !== 'false',        // SSDP discovery responder
+    deviceId: process.env.DVR_HDHR_DEVICE_ID || null,   // 8 hex chars, derived from hostname if unset
+    friendlyName: process.env.DVR_HDHR_FRIENDLY_NAME || 'DirecTV Tuner',
+    advertiseHost: process.env.DVR_HDHR_ADVERTISE_HOST || null,  // host:port for SSDP LOCATION
+    token: process.env.DVR_HDHR_TOKEN || null,          // Device key added to LineupURL when auth is on
   },
-  hlsSegmentTime: 4,  // Legacy
-  hlsListSize: 6,     // Legacy
 
   // Hardware acceleration settings
   // DVR_HW_ACCEL: 'none' | 'nvenc' | 'vaapi' | 'qsv' (auto-detected from env)
@@ -90,6 +105,11 @@ module.exports = {
     return 'linux';  // Always Linux in Docker
   },
 
+  // Whether a browser URL is on the streaming site (DirecTV or the simulator)
+  isSiteUrl(url) {
+    return typeof url === 'string' && url.startsWith(this.siteUrl);
+  },
+
   // Check if hardware acceleration is enabled
   isHwAccelEnabled() {
     return this.hwAccel !== 'none';
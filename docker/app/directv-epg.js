@@ -4,6 +4,8 @@
 const fs = require('fs');
 const path = require('path');
 const { chromium } = require('playwright');
+const config = require('./config');
+const simulator = require('./simulator');
 
 const DATA_DIR = path.join(__dirname, 'data');
 const CHANNELS_CACHE = path.join(DATA_DIR, 'directv_channels.json');
@@ -12,17 +14,53 @@ const EPG_CACHE = path.join(DATA_DIR, 'directv_epg.json');
 // DirecTV API base
 const API_BASE = 'https://api.cld.dtvce.com';
 
-// Default client context (New York DMA 501)
+// Default client context (New York DMA 501) - only used until the account's own context is
+// seen on a guide request. Market fields in it are overridden by settings.market.
 const DEFAULT_CLIENT_CONTEXT = 'dmaID:501_0,billingDmaID:501,regionID:OV MSG SPOT_RegC New York NY_OTT MSG Plus 08152022 SPOT_OV New York NY 501_BTN4OF_BG10O2H_BTN3OF_BTN2OF_SNF SportsNet NY SPOT_YESHDNY_YES2HD_BGTN4HD_OV2 RegC New York NY_BGTN3HD_BIG10HD_MSG OTT SPOT_YES Network Spot SPOT_OV MSG PLUS SPOT_MSG OV 02052021 SPOT_YES OOM B/O_OV MeTV Allowed SPOT_OV New York NY DMA 501,zipCode:11369,countyCode:081,stateNumber:36,stateAbbr:NY,usrLocAndBillLocAreSame:true,bRegionID:OV MSG SPOT_RegC New York NY_OTT MSG Plus 08152022 SPOT_OV New York NY 501_BTN4OF_BG10O2H_BTN3OF_BTN2OF_SNF SportsNet NY SPOT_YESHDNY_YES2HD_BGTN4HD_OV2 RegC New York NY_BGTN3HD_BIG10HD_MSG OTT SPOT_YES Network Spot SPOT_OV MSG PLUS SPOT_MSG OV 02052021 SPOT_YES OOM B/O_OV MeTV Allowed SPOT_OV New York NY DMA 501,isFFP:false,deviceProximity:OOH';
 
-// Auto-refresh interval (4 hours)
-const settingsManager = require('./settings-manager');
+// Retry delay when a background refresh has to wait for the tuners
+const DEFER_RETRY = 5 * 60 * 1000;
 
-// Get refresh interval from settings (in hours), default 4
+// Auto-refresh interval (4 hours)
+const effectiveConfig = require('./effective-config');
+const eventBus = require('./event-bus');
+const { EventType } = eventBus;
+const lineupManager = require('./lineup-manager');
+const { m3uAttr } = lineupManager;
+const logoManager = require('./logo-manager');
+const { logoUrl } = logoManager;
+
+// Refresh interval from settings (in hours)
 function getRefreshInterval() {
-  const settings = settingsManager.getSettings();
-  const hours = settings.epg?.refreshInterval || 4;
-  return hours * 60 * 60 * 1000;
+  return effectiveConfig.get('epg.refreshInterval') * 60 * 60 * 1000;
+}
+
+// Guide length from settings (in days)
+function getGuideDays() {
+  return effectiveConfig.get('epg.days');
+}
+
+// Schedule paging: each API request covers this many hours, with a pause in between
+const SCHEDULE_PAGE_HOURS = 6;
+const SCHEDULE_PAGE_DELAY = 250;
+
+// Give up paging after this many failed requests in a row (session expired, API changed)
+const MAX_PAGE_FAILURES = 5;
+
+// Programmes that ended longer ago than this are dropped when schedules are merged
+const SCHEDULE_RETENTION = 2 * 60 * 60 * 1000;
+
+// Query parameters that carry the time window in a schedule API URL
+const WINDOW_PARAMS = ['startTime', 'endTime', 'duration'];
+
+// Market overrides from settings, empty fields keep the account's value
+function getMarketSettings() {
+  const market = effectiveConfig.get('market');
+  return {
+    zipCode: market.zipCode || '',
+    dmaId: market.dmaId || '',
+    regionId: market.regionId || ''
+  };
 }
 
 class DirectvEpg {
@@ -32,7 +70,21 @@ class DirectvEpg {
     this.lastFetch = null;
     this.refreshTimer = null;
     this.isRefreshing = false;
-    this.loadCache();
+    this.deferCheck = null;
+    this.deferTimer = null;
+    this.accountContext = null;   // clientContext the logged-in account sends
+    this.fetchedContext = null;   // clientContext the cached lineup was fetched with
+    if (config.simulate) {
+      this.loadSimulated();
+    } else {
+      this.loadCache();
+    }
+  }
+
+  // Register a check that returns a reason to postpone background refreshes
+  // (e.g. the tuner whose browser we'd borrow is busy), or null to proceed
+  setDeferCheck(fn) {
+    this.deferCheck = fn;
   }
 
   // Start auto-refresh timer
@@ -68,12 +120,25 @@ class DirectvEpg {
       return;
     }
 
+    const deferReason = this.deferCheck ? this.deferCheck() : null;
+    if (deferReason) {
+      if (!this.deferTimer) {
+        console.log(`[epg] Deferring auto-refresh for ${DEFER_RETRY / 60000} minutes: ${deferReason}`);
+        this.deferTimer = setTimeout(() => {
+          this.deferTimer = null;
+          this.autoRefresh();
+        }, DEFER_RETRY);
+      }
+      return;
+    }
+
     console.log('[epg] Starting auto-refresh...');
     try {
       await this.fetchFromBrowser();
       console.log('[epg] Auto-refresh completed successfully');
     } catch (err) {
       console.error('[epg] Auto-refresh failed:', err.message);
+      eventBus.publish(EventType.EPG_REFRESH_FAILED, `EPG auto-refresh failed: ${err.message}`, { error: err.message });
     }
   }
 
@@ -82,6 +147,8 @@ class DirectvEpg {
       if (fs.existsSync(CHANNELS_CACHE)) {
         const data = JSON.parse(fs.readFileSync(CHANNELS_CACHE, 'utf8'));
         this.channels = data.channels || [];
+        this.accountContext = data.accountContext || null;
+        this.fetchedContext = data.fetchedContext || null;
         console.log(`[epg] Loaded ${this.channels.length} channels from cache`);
       }
       if (fs.existsSync(EPG_CACHE)) {
@@ -100,7 +167,11 @@ class DirectvEpg {
       if (!fs.existsSync(DATA_DIR)) {
         fs.mkdirSync(DATA_DIR, { recursive: true });
       }
-      fs.writeFileSync(CHANNELS_CACHE, JSON.stringify({ channels: this.channels }, null, 2));
+      fs.writeFileSync(CHANNELS_CACHE, JSON.stringify({
+        channels: this.channels,
+        accountContext: this.accountContext,
+        fetchedContext: this.fetchedContext
+      }, null, 2));
       fs.writeFileSync(EPG_CACHE, JSON.stringify({ schedules: this.schedules, lastFetch: this.lastFetch }, null, 2));
       console.log('[epg] Cache saved');
     } catch (err) {
@@ -108,6 +179,19 @@ class DirectvEpg {
     }
   }
 
+  // Simulator lineup and a generated schedule - never written over the DirecTV cache
+  loadSimulated() {
+    const { channels, schedules } = simulator.getSchedule(getGuideDays());
+    this.channels = channels;
+    this.schedules = schedules;
+    this.lastFetch = Date.now();
+    console.log(`[epg] Simulator mode - generated guide for ${channels.length} channels`);
+    return {
+      channels: this.channels.length,
+      schedules: Object.keys(this.schedules).length
+    };
+  }
+
   // Fetch channels and EPG via browser CDP (uses authenticated session)
   async fetchFromBrowser() {
     if (this.isRefreshing) {
@@ -115,6 +199,10 @@ class DirectvEpg {
       return { channels: this.channels.length, schedules: Object.keys(this.schedules).length };
     }
 
+    if (config.simulate) {
+      return this.loadSimulated();
+    }
+
     this.isRefreshing = true;
     console.log('[epg] Fetching EPG data via browser...');
 
@@ -131,10 +219,19 @@ class DirectvEpg {
     try {
       // Capture API responses
       const apiResponses = {};
+      const scheduleTemplates = new Map();  // URL without time window -> { url, headers }
+      let channelsTemplate = null;
 
       context.on('response', async (response) => {
         const url = response.url();
         if (url.includes('api.cld.dtvce.com')) {
+          // The account's market rides along on its API requests
+          const accountContext = findClientContext(url, response.request().headers());
+          if (accountContext && accountContext !== this.accountContext) {
+            this.accountContext = accountContext;
+            console.log(`[epg] Account market: ${describeMarket(marketFromContext(accountContext))}`);
+          }
+
           try {
             const contentType = response.headers()['content-type'] || '';
             if (contentType.includes('application/json')) {
@@ -143,6 +240,7 @@ class DirectvEpg {
               // Capture channels
               if (url.includes('/allchannels')) {
                 apiResponses.channels = body;
+                channelsTemplate = { url, headers: response.request().headers() };
                 console.log(`[epg] Captured ${body.channelInfoList?.length || 0} channels`);
                 // Log first channel to see available properties
                 if (body.channelInfoList?.[0]) {
@@ -152,10 +250,11 @@ class DirectvEpg {
                 }
               }
 
-              // Capture schedule
+              // Capture schedule, and the request itself as a template for paging
               if (url.includes('/schedule') && body.schedules) {
                 if (!apiResponses.schedules) apiResponses.schedules = [];
                 apiResponses.schedules.push(...body.schedules);
+                scheduleTemplates.set(stripWindow(url), { url, headers: response.request().headers() });
                 console.log(`[epg] Captured ${body.schedules.length} schedule items`);
               }
             }
@@ -200,61 +299,52 @@ class DirectvEpg {
       // Close the page we created
       await page.close();
 
+      // The page loaded the account's own market. With a different market configured,
+      // the lineup is re-requested with our client context and the page's schedules dropped.
+      const overridden = this.hasMarketOverride();
+      if (overridden) {
+        console.log(`[epg] Using configured market: ${describeMarket(this.getMarket())}`);
+        apiResponses.schedules = null;
+        if (channelsTemplate) {
+          apiResponses.channels = await this.requestApi(context, channelsTemplate);
+        } else {
+          console.warn('[epg] No channel list request captured, lineup is for the account market');
+        }
+      }
+
+      // A different market has different locals and RSNs - start the guide over
+      const clientContext = this.getClientContext();
+      if (this.fetchedContext && this.fetchedContext !== clientContext) {
+        console.log('[epg] Market changed, discarding cached schedules');
+        this.schedules = {};
+      }
+
       // Process captured data
       if (apiResponses.channels?.channelInfoList) {
-        const allChannels = apiResponses.channels.channelInfoList;
-        const mDVRValues = [...new Set(allChannels.map(ch => ch.mDVR))];
-        const mdvrValues = [...new Set(allChannels.map(ch => ch.mdvr))];
-        console.log("[epg] mDVR values found:", mDVRValues, "mdvr values:", mdvrValues);
-        const streamableChannels = allChannels.filter(ch => ch.augmentation?.constraints?.isLiveStreamEnabled === true);
-        console.log(`[epg] Filtering: ${allChannels.length} total -> ${streamableChannels.length} streamable (isLiveStreamEnabled=true)`);
-        this.channels = streamableChannels.map(ch => ({
-          id: ch.resourceId,
-          name: ch.channelName,
-          number: ch.channelNumber,
-          callSign: ch.callSign,
-          ccid: ch.ccid,
-          logo: ch.imageList?.find(i => i.imageType === 'chlogo-clb-guide')?.imageUrl || null,
-          format: ch.format
-        }));
-        console.log(`[epg] Processed ${this.channels.length} channels`);
+        this.setChannels(apiResponses.channels.channelInfoList);
       }
 
       if (apiResponses.schedules) {
-        // Group schedules by channel
-        for (const schedule of apiResponses.schedules) {
-          const channelId = schedule.channelId;
-          if (!this.schedules[channelId]) {
-            this.schedules[channelId] = [];
-          }
-
-          for (const content of schedule.contents || []) {
-            const consumable = content.consumables?.[0];
-            if (consumable) {
-              this.schedules[channelId].push({
-                title: content.title || content.displayTitle,
-                subtitle: content.episodeTitle || null,
-                description: content.description || '',
-                startTime: consumable.startTime,
-                endTime: consumable.endTime,
-                duration: consumable.duration,
-                categories: content.categories || [],
-                genres: content.genres || [],
-                rating: consumable.parentalRating || content.parentalRating,
-                seasonNumber: content.seasonNumber,
-                episodeNumber: content.episodeNumber,
-                originalAirDate: content.originalAirDate,
-                year: content.releaseYear
-              });
-            }
-          }
-        }
+        this.mergeSchedules(apiResponses.schedules);
         console.log(`[epg] Processed schedules for ${Object.keys(this.schedules).length} channels`);
       }
 
+      // The guide page only loads a few hours - page through the rest of the guide window
+      if (scheduleTemplates.size > 0) {
+        await this.fetchSchedulePages(context, [...scheduleTemplates.values()]);
+      } else {
+        console.warn('[epg] No schedule request captured, guide limited to what the page loaded');
+      }
+
+      this.fetchedContext = clientContext;
       this.lastFetch = Date.now();
       this.saveCache();
 
+      // Keep local copies of the logos in the background
+      logoManager.refresh(lineupManager.apply(this.getLineupChannels())).catch(err => {
+        console.warn('[epg] Logo refresh failed:', err.message);
+      });
+
       this.isRefreshing = false;
       return {
         channels: this.channels.length,
@@ -298,8 +388,176 @@ class DirectvEpg {
     }
   }
 
-  // Generate XMLTV format EPG
-  generateXMLTV(hoursAhead = 24) {
+  setChannels(allChannels) {
+    const mDVRValues = [...new Set(allChannels.map(ch => ch.mDVR))];
+    const mdvrValues = [...new Set(allChannels.map(ch => ch.mdvr))];
+    console.log("[epg] mDVR values found:", mDVRValues, "mdvr values:", mdvrValues);
+    const streamableChannels = allChannels.filter(ch => ch.augmentation?.constraints?.isLiveStreamEnabled === true);
+    console.log(`[epg] Filtering: ${allChannels.length} total -> ${streamableChannels.length} streamable (isLiveStreamEnabled=true)`);
+    this.channels = streamableChannels.map(ch => ({
+      id: ch.resourceId,
+      name: ch.channelName,
+      number: ch.channelNumber,
+      callSign: ch.callSign,
+      ccid: ch.ccid,
+      logo: ch.imageList?.find(i => i.imageType === 'chlogo-clb-guide')?.imageUrl || null,
+      format: ch.format
+    }));
+    console.log(`[epg] Processed ${this.channels.length} channels`);
+  }
+
+  // Replay a captured API request through the browser context (shares its cookies),
+  // with the client context swapped for the configured market
+  async requestApi(context, { url, headers }) {
+    const request = this.withClientContext(url, headers);
+    const res = await context.request.get(request.url, {
+      headers: cleanHeaders(request.headers),
+      timeout: 30000
+    });
+    if (!res.ok()) {
+      throw new Error(`HTTP ${res.status()}`);
+    }
+    return res.json();
+  }
+
+  // Client context for API requests: the account's (or the New York default) with any
+  // market fields from settings applied
+  getClientContext() {
+    const { zipCode, dmaId, regionId } = getMarketSettings();
+    const overrides = {};
+    if (zipCode) overrides.zipCode = zipCode;
+    if (dmaId) {
+      overrides.dmaID = `${dmaId}_0`;
+      overrides.billingDmaID = dmaId;
+    }
+    if (regionId) {
+      overrides.regionID = regionId;
+      overrides.bRegionID = regionId;
+    }
+    return setContextFields(this.accountContext || DEFAULT_CLIENT_CONTEXT, overrides);
+  }
+
+  hasMarketOverride() {
+    return this.getClientContext() !== (this.accountContext || DEFAULT_CLIENT_CONTEXT);
+  }
+
+  // Active market for status pages
+  getMarket() {
+    const source = this.hasMarketOverride() ? 'settings' : (this.accountContext ? 'account' : 'default');
+    return {
+      source,
+      ...marketFromContext(this.getClientContext()),
+      account: this.accountContext ? marketFromContext(this.accountContext) : null,
+      // False between a market change and the refresh that picks it up
+      lineupCurrent: !this.fetchedContext || this.fetchedContext === this.getClientContext()
+    };
+  }
+
+  // Called after settings are saved - re-fetch the lineup if the market moved
+  checkMarketChange() {
+    if (!this.fetchedContext || this.fetchedContext === this.getClientContext()) {
+      return false;
+    }
+    console.log(`[epg] Market changed to ${describeMarket(this.getMarket())}, refreshing lineup`);
+    this.autoRefresh();
+    return true;
+  }
+
+  withClientContext(url, headers = {}) {
+    const clientContext = this.getClientContext();
+    const u = new URL(url);
+    for (const name of [...u.searchParams.keys()]) {
+      if (name.toLowerCase() === 'clientcontext') u.searchParams.set(name, clientContext);
+    }
+    const newHeaders = { ...headers };
+    for (const name of Object.keys(newHeaders)) {
+      if (name.toLowerCase().replace(/^x-/, '') === 'clientcontext') newHeaders[name] = clientContext;
+    }
+    return { url: u.toString(), headers: newHeaders };
+  }
+
+  // Walk the schedule API forward in SCHEDULE_PAGE_HOURS windows, reusing requests the guide
+  // page made (same auth headers, via the browser context's cookies). Each page is merged
+  // into schedules as it arrives, so a failure part way keeps what was fetched.
+  async fetchSchedulePages(context, templates) {
+    const days = getGuideDays();
+    const pageMs = SCHEDULE_PAGE_HOURS * 60 * 60 * 1000;
+    const start = Math.floor(Date.now() / 3600000) * 3600000;
+    const end = start + days * 24 * 60 * 60 * 1000;
+    const requests = this.buildScheduleRequests(templates);
+
+    console.log(`[epg] Fetching ${days}-day guide: ${Math.ceil((end - start) / pageMs)} window(s) x ${requests.length} request(s)`);
+
+    let pages = 0;
+    let failures = 0;
+    for (let from = start; from < end; from += pageMs) {
+      for (const { url, headers } of requests) {
+        try {
+          const body = await this.requestApi(context, { url: setWindow(url, from, Math.min(from + pageMs, end)), headers });
+          this.mergeSchedules(body.schedules || []);
+          pages++;
+          failures = 0;
+        } catch (err) {
+          failures++;
+          console.warn(`[epg] Schedule page ${new Date(from).toISOString()} failed: ${err.message}`);
+          if (failures >= MAX_PAGE_FAILURES) {
+            console.error(`[epg] Stopping schedule paging after ${failures} consecutive failures`);
+            return { pages, complete: false };
+          }
+        }
+        await new Promise(resolve => setTimeout(resolve, SCHEDULE_PAGE_DELAY));
+      }
+    }
+
+    console.log(`[epg] Fetched ${pages} schedule page(s)`);
+    return { pages, complete: true };
+  }
+
+  // One request per channel batch. If the guide asked for explicit channel IDs, rebuild the
+  // batches from the full channel list (the page only requested the rows it rendered);
+  // otherwise replay each captured request as-is.
+  buildScheduleRequests(templates) {
+    const withIds = templates.find(t => new URL(t.url).searchParams.get('channelIds'));
+    if (!withIds || this.channels.length === 0) {
+      return templates;
+    }
+
+    const batchSize = new URL(withIds.url).searchParams.get('channelIds').split(',').length;
+    const ids = this.channels.map(ch => ch.id).filter(Boolean);
+    const requests = [];
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const url = new URL(withIds.url);
+      url.searchParams.set('channelIds', ids.slice(i, i + batchSize).join(','));
+      requests.push({ url: url.toString(), headers: withIds.headers });
+    }
+    return requests;
+  }
+
+  // Merge raw schedule API entries into this.schedules (keyed by channel ID)
+  mergeSchedules(schedules) {
+    const incoming = {};
+    for (const schedule of schedules) {
+      const channelId = schedule.channelId;
+      if (!incoming[channelId]) {
+        incoming[channelId] = [];
+      }
+      for (const content of schedule.contents || []) {
+        const programme = parseProgramme(content);
+        if (programme) {
+          incoming[channelId].push(programme);
+        }
+      }
+    }
+
+    for (const [channelId, programmes] of Object.entries(incoming)) {
+      this.schedules[channelId] = mergeProgrammes(this.schedules[channelId], programmes);
+    }
+  }
+
+  // Generate XMLTV format EPG (icons point at the local logo cache when host is given)
+  // extraChannels: other channels to list after ours, each { tvgId, streamId, name, number,
+  // programmes } with programmes in our shape (passthrough channels with an XMLTV guide)
+  generateXMLTV(hoursAhead = 24, host = null, extraChannels = []) {
     const now = new Date();
     const endTime = new Date(now.getTime() + hoursAhead * 60 * 60 * 1000);
 
@@ -316,82 +574,113 @@ class DirectvEpg {
       if (channel.callSign) {
         xml += `    <display-name>${this.escapeXml(channel.callSign)}</display-name>\n`;
       }
-      if (channel.logo) {
+      if (host) {
+        xml += `    <icon src="${this.escapeXml(logoUrl(host, channel.number))}" />\n`;
+      } else if (channel.logo) {
         xml += `    <icon src="${this.escapeXml(channel.logo)}" />\n`;
       }
       xml += `  </channel>\n`;
     }
 
-    // Add programs
-    for (const channel of this.channels) {
-      const programs = this.schedules[channel.id] || [];
-      const tvgId = `dtv-${channel.number}`;
+    for (const channel of extraChannels) {
+      xml += `  <channel id="${this.escapeXml(channel.tvgId)}">\n`;
+      xml += `    <display-name>${this.escapeXml(channel.name)}</display-name>\n`;
+      xml += `    <display-name>${this.escapeXml(String(channel.number))}</display-name>\n`;
+      if (host) {
+        xml += `    <icon src="${this.escapeXml(logoUrl(host, channel.streamId))}" />\n`;
+      }
+      xml += `  </channel>\n`;
+    }
 
-      for (const program of programs) {
+    // Add programs
+    const guides = [
+      ...this.channels.map(channel => ({ tvgId: `dtv-${channel.number}`, programmes: this.schedules[channel.id] || [] })),
+      ...extraChannels.map(channel => ({ tvgId: this.escapeXml(channel.tvgId), programmes: channel.programmes || [] })),
+    ];
+    for (const { tvgId, programmes } of guides) {
+      for (const program of programmes) {
         const start = new Date(program.startTime);
         const end = new Date(program.endTime);
 
         // Skip programs outside our time window
         if (end < now || start > endTime) continue;
 
-        xml += `  <programme start="${this.formatXMLTVDate(start)}" stop="${this.formatXMLTVDate(end)}" channel="${tvgId}">\n`;
-        xml += `    <title lang="en">${this.escapeXml(program.title)}</title>\n`;
+        xml += this.programmeXml(program, tvgId, start, end);
+      }
+    }
 
-        if (program.subtitle) {
-          xml += `    <sub-title lang="en">${this.escapeXml(program.subtitle)}</sub-title>\n`;
-        }
+    xml += '</tv>\n';
+    return xml;
+  }
 
-        if (program.description) {
-          xml += `    <desc lang="en">${this.escapeXml(program.description)}</desc>\n`;
-        }
+  // One <programme> element
+  programmeXml(program, tvgId, start, end) {
+    let xml = `  <programme start="${this.formatXMLTVDate(start)}" stop="${this.formatXMLTVDate(end)}" channel="${tvgId}">\n`;
+    xml += `    <title lang="en">${this.escapeXml(program.title)}</title>\n`;
 
-        if (program.categories?.length > 0) {
-          for (const cat of program.categories) {
-            xml += `    <category lang="en">${this.escapeXml(cat)}</category>\n`;
-          }
-        }
+    if (program.subtitle) {
+      xml += `    <sub-title lang="en">${this.escapeXml(program.subtitle)}</sub-title>\n`;
+    }
 
-        if (program.genres?.length > 0) {
-          for (const genre of program.genres) {
-            xml += `    <category lang="en">${this.escapeXml(genre)}</category>\n`;
-          }
-        }
+    if (program.description) {
+      xml += `    <desc lang="en">${this.escapeXml(program.description)}</desc>\n`;
+    }
 
-        if (program.seasonNumber && program.episodeNumber) {
-          // XMLTV episode format: season-1.episode-1.0
-          const s = program.seasonNumber - 1;
-          const e = program.episodeNumber - 1;
-          xml += `    <episode-num system="xmltv_ns">${s}.${e}.0</episode-num>\n`;
-        }
+    if (program.categories?.length > 0) {
+      for (const cat of program.categories) {
+        xml += `    <category lang="en">${this.escapeXml(cat)}</category>\n`;
+      }
+    }
 
-        if (program.originalAirDate) {
-          xml += `    <date>${program.originalAirDate.replace(/-/g, '')}</date>\n`;
-        }
+    if (program.genres?.length > 0) {
+      for (const genre of program.genres) {
+        xml += `    <category lang="en">${this.escapeXml(genre)}</category>\n`;
+      }
+    }
 
-        if (program.rating) {
-          xml += `    <rating system="VCHIP">\n`;
-          xml += `      <value>${this.escapeXml(program.rating)}</value>\n`;
-          xml += `    </rating>\n`;
-        }
+    if (program.seasonNumber && program.episodeNumber) {
+      // XMLTV episode format: season-1.episode-1.0
+      const s = program.seasonNumber - 1;
+      const e = program.episodeNumber - 1;
+      xml += `    <episode-num system="xmltv_ns">${s}.${e}.0</episode-num>\n`;
+    }
 
-        xml += `  </programme>\n`;
-      }
+    if (program.originalAirDate) {
+      xml += `    <date>${program.originalAirDate.replace(/-/g, '')}</date>\n`;
     }
 
-    xml += '</tv>\n';
+    if (program.rating) {
+      xml += `    <rating system="VCHIP">\n`;
+      xml += `      <value>${this.escapeXml(program.rating)}</value>\n`;
+      xml += `    </rating>\n`;
+    }
+
+    xml += `  </programme>\n`;
     return xml;
   }
 
-  // Generate M3U playlist with tvg-id matching EPG
-  generateM3U(host) {
-    let m3u = '#EXTM3U url-tvg="http://' + host + '/tve/directv/epg.xml"\n\n';
+  // Base entries for the lineup overlay - tvg-id and stream URL stay on the original number
+  getLineupChannels() {
+    return this.channels.map(channel => ({
+      key: String(channel.number),
+      tvgId: `dtv-${channel.number}`,
+      number: String(channel.number),
+      name: channel.name,
+      group: this.getChannelGroup(channel),
+      logo: channel.logo || '',
+      streamId: channel.number,
+      format: channel.format,
+    }));
+  }
 
-    for (const channel of this.channels) {
-      const tvgId = `dtv-${channel.number}`;
-      const groupTitle = this.getChannelGroup(channel);
+  // Generate M3U playlist with tvg-id matching EPG (channels: base lineup entries, e.g. with
+  // the browser capture channels added)
+  generateM3U(host, channels = this.getLineupChannels()) {
+    let m3u = '#EXTM3U url-tvg="http://' + host + '/tve/directv/epg.xml"\n\n';
 
-      m3u += `#EXTINF:-1 tvg-id="${tvgId}" tvg-name="${channel.name}" tvg-logo="${channel.logo || ''}" tvg-chno="${channel.number}" group-title="${groupTitle}",${channel.name}\n`;
-      m3u += `http://${host}/stream/${channel.number}\n\n`;
+    for (const ch of lineupManager.getVisible(channels)) {
+      m3u += `#EXTINF:-1 tvg-id="${ch.tvgId}" tvg-name="${m3uAttr(ch.name)}" tvg-logo="${m3uAttr(logoUrl(host, ch.streamId))}" tvg-chno="${m3uAttr(ch.number)}" group-title="${m3uAttr(ch.group)}",${ch.name}\n`;
+      m3u += `http://${host}/stream/${ch.streamId}\n\n`;
     }
 
     return m3u;
@@ -430,7 +719,7 @@ class DirectvEpg {
 
   // Get channel by number
   getChannelByNumber(number) {
-    return this.channels.find(ch => ch.number === number);
+    return this.channels.find(ch => String(ch.number) === String(number));
   }
 
   // Get all channels
@@ -438,15 +727,312 @@ class DirectvEpg {
     return this.channels;
   }
 
+  // Get programmes for a channel number, sorted by start time
+  getSchedule(number) {
+    const channel = this.getChannelByNumber(number);
+    if (!channel) return [];
+    return (this.schedules[channel.id] || [])
+      .slice()
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  }
+
+  // Find a channel by number, call sign, name or EPG id (case-insensitive), e.g. "206" or "espn"
+  findChannel(query) {
+    const q = String(query || '').trim().toLowerCase();
+    if (!q) return null;
+    return this.channels.find(ch => String(ch.number) === q) ||
+      this.channels.find(ch => (ch.callSign || '').toLowerCase() === q) ||
+      this.channels.find(ch => (ch.name || '').toLowerCase() === q) ||
+      this.channels.find(ch => String(ch.id).toLowerCase() === q) ||
+      null;
+  }
+
+  // What's on now and next on every channel (or just the given ones) at a point in time
+  getNowNext({ at, channels } = {}) {
+    const time = parseTime(at) ?? Date.now();
+    const list = channels
+      ? String(channels).split(',').map(c => this.findChannel(c)).filter(Boolean)
+      : this.channels;
+
+    return list.map(channel => {
+      const programmes = this.getSchedule(channel.number);
+      const index = programmes.findIndex(p => Date.parse(p.endTime) > time);
+      const current = index !== -1 && Date.parse(programmes[index].startTime) <= time ? programmes[index] : null;
+      const upcoming = programmes.slice(index === -1 ? programmes.length : index).find(p => Date.parse(p.startTime) > time);
+      return {
+        channel: channelSummary(channel),
+        now: current ? { ...current, progress: programmeProgress(current, time) } : null,
+        next: upcoming || null
+      };
+    });
+  }
+
+  // One channel's programmes overlapping a window (default: now to 24 hours ahead)
+  getProgrammes(channel, { from, to } = {}) {
+    const start = parseTime(from) ?? Date.now();
+    const end = parseTime(to) ?? start + 24 * 60 * 60 * 1000;
+    return {
+      channel: channelSummary(channel),
+      from: new Date(start).toISOString(),
+      to: new Date(end).toISOString(),
+      programmes: this.getSchedule(channel.number).filter(p =>
+        Date.parse(p.endTime) > start && Date.parse(p.startTime) < end
+      )
+    };
+  }
+
+  // Full-text search over title, subtitle and description (every word must match), with
+  // optional genre/rating/channel filters. Only programmes that haven't ended, by default.
+  searchProgrammes({ q, genre, rating, channel, from, to, limit } = {}) {
+    const words = String(q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const genres = genre ? String(genre).toLowerCase().split(',').map(g => g.trim()).filter(Boolean) : null;
+    const ratings = rating ? String(rating).toLowerCase().split(',').map(r => r.trim()).filter(Boolean) : null;
+    const start = parseTime(from) ?? Date.now();
+    const end = parseTime(to) ?? Infinity;
+    const max = Math.max(1, Math.min(parseInt(limit) || 100, 500));
+
+    let channels = this.channels;
+    if (channel) {
+      const found = this.findChannel(channel);
+      channels = found ? [found] : [];
+    }
+
+    const results = [];
+    for (const ch of channels) {
+      for (const programme of this.schedules[ch.id] || []) {
+        if (Date.parse(programme.endTime) <= start || Date.parse(programme.startTime) >= end) continue;
+
+        if (words.length > 0) {
+          const text = [programme.title, programme.subtitle, programme.description].join(' ').toLowerCase();
+          if (!words.every(w => text.includes(w))) continue;
+        }
+        if (genres) {
+          const tags = [...(programme.genres || []), ...(programme.categories || [])].map(t => String(t).toLowerCase());
+          if (!genres.some(g => tags.some(t => t.includes(g)))) continue;
+        }
+        if (ratings && !ratings.includes(String(programme.rating || '').toLowerCase())) continue;
+
+        results.push({ ...programme, channel: channelSummary(ch) });
+      }
+    }
+
+    results.sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+    return { total: results.length, results: results.slice(0, max) };
+  }
+
+  // Hours of guide the XMLTV export covers by default
+  getGuideHours() {
+    return getGuideDays() * 24;
+  }
+
   // Get EPG status
   getStatus() {
     return {
       channelCount: this.channels.length,
       scheduledChannels: Object.keys(this.schedules).length,
+      guideDays: getGuideDays(),
+      market: this.getMarket(),
       lastFetch: this.lastFetch,
       cacheAge: this.lastFetch ? Math.round((Date.now() - this.lastFetch) / 1000) : null
     };
   }
+
+  // How far ahead each channel's schedule reaches, and where it has holes
+  getCoverage() {
+    const now = Date.now();
+    const targetHours = this.getGuideHours();
+
+    const channels = this.channels.map(channel => {
+      const upcoming = (this.schedules[channel.id] || [])
+        .filter(p => Date.parse(p.endTime) > now)
+        .sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+
+      let gaps = 0;
+      for (let i = 1; i < upcoming.length; i++) {
+        // Anything over 5 minutes between programmes is missing data, not a scheduling quirk
+        if (Date.parse(upcoming[i].startTime) - Date.parse(upcoming[i - 1].endTime) > 5 * 60 * 1000) gaps++;
+      }
+
+      const lastEnd = upcoming.length > 0 ? Date.parse(upcoming[upcoming.length - 1].endTime) : null;
+      return {
+        number: channel.number,
+        name: channel.name,
+        programmes: upcoming.length,
+        coveredUntil: lastEnd ? new Date(lastEnd).toISOString() : null,
+        hoursAhead: lastEnd ? Math.round((lastEnd - now) / 360000) / 10 : 0,
+        gaps
+      };
+    });
+
+    const hours = channels.map(c => c.hoursAhead).sort((a, b) => a - b);
+    return {
+      targetHours,
+      // A channel counts as covered if it reaches into the last schedule page
+      fullyCovered: channels.filter(c => c.hoursAhead >= targetHours - SCHEDULE_PAGE_HOURS).length,
+      empty: channels.filter(c => c.programmes === 0).length,
+      minHoursAhead: hours.length > 0 ? hours[0] : 0,
+      medianHoursAhead: hours.length > 0 ? hours[Math.floor(hours.length / 2)] : 0,
+      channels
+    };
+  }
+}
+
+// Accepts ISO dates or epoch milliseconds; null when missing or unparseable
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function channelSummary(channel) {
+  return {
+    id: channel.id,
+    number: channel.number,
+    name: channel.name,
+    callSign: channel.callSign || null,
+    logo: channel.logo || null
+  };
+}
+
+// Percent of a programme that has aired
+function programmeProgress(programme, time) {
+  const start = Date.parse(programme.startTime);
+  const end = Date.parse(programme.endTime);
+  return end > start ? Math.round(((time - start) / (end - start)) * 100) : 0;
+}
+
+function parseProgramme(content) {
+  const consumable = content.consumables?.[0];
+  if (!consumable) return null;
+  return {
+    title: content.title || content.displayTitle,
+    subtitle: content.episodeTitle || null,
+    description: content.description || '',
+    startTime: consumable.startTime,
+    endTime: consumable.endTime,
+    duration: consumable.duration,
+    categories: content.categories || [],
+    genres: content.genres || [],
+    rating: consumable.parentalRating || content.parentalRating,
+    seasonNumber: content.seasonNumber,
+    episodeNumber: content.episodeNumber,
+    originalAirDate: content.originalAirDate,
+    year: content.releaseYear
+  };
+}
+
+// Newer data wins: an incoming programme replaces any cached one it overlaps (same slot
+// fetched twice, or the schedule changed). Pages overlap at their edges, so incoming
+// programmes are deduped by start time too. Long-finished programmes are dropped.
+function mergeProgrammes(existing = [], incoming) {
+  const cutoff = Date.now() - SCHEDULE_RETENTION;
+  const byStart = new Map();
+  for (const programme of incoming) {
+    byStart.set(Date.parse(programme.startTime), programme);
+  }
+  const fresh = [...byStart.values()];
+
+  const kept = existing.filter(p =>
+    Date.parse(p.endTime) > cutoff &&
+    !fresh.some(n => Date.parse(p.startTime) < Date.parse(n.endTime) && Date.parse(n.startTime) < Date.parse(p.endTime))
+  );
+
+  // Whatever still overlaps came from the same response - keep the earlier programme
+  const merged = [];
+  for (const programme of [...kept, ...fresh].sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime))) {
+    const previous = merged[merged.length - 1];
+    if (Date.parse(programme.endTime) <= cutoff) continue;
+    if (previous && Date.parse(programme.startTime) < Date.parse(previous.endTime)) continue;
+    merged.push(programme);
+  }
+  return merged;
+}
+
+// Schedule request URL without its time window, to tell channel batches apart
+function stripWindow(url) {
+  const u = new URL(url);
+  for (const param of WINDOW_PARAMS) u.searchParams.delete(param);
+  return u.toString();
+}
+
+// Point a captured schedule URL at another window, keeping the timestamp format it used
+function setWindow(url, from, to) {
+  const u = new URL(url);
+  u.searchParams.set('startTime', formatLike(u.searchParams.get('startTime'), from));
+  if (u.searchParams.has('endTime')) {
+    u.searchParams.set('endTime', formatLike(u.searchParams.get('endTime'), to));
+  }
+  if (u.searchParams.has('duration')) {
+    u.searchParams.set('duration', String(Math.round((to - from) / 60000)));
+  }
+  return u.toString();
+}
+
+function formatLike(sample, ms) {
+  if (/^\d{13}$/.test(sample || '')) return String(ms);
+  if (/^\d{10}$/.test(sample || '')) return String(Math.floor(ms / 1000));
+  return new Date(ms).toISOString();
+}
+
+// clientContext is a comma-separated list of key:value pairs, e.g.
+// "dmaID:501_0,billingDmaID:501,regionID:...,zipCode:11369,stateAbbr:NY,..."
+function parseClientContext(context) {
+  return String(context || '').split(',').filter(Boolean).map(pair => {
+    const i = pair.indexOf(':');
+    return i === -1 ? [pair, ''] : [pair.slice(0, i), pair.slice(i + 1)];
+  });
+}
+
+// Replace fields in a client context, keeping the order (and adding missing ones at the end)
+function setContextFields(context, overrides) {
+  const fields = parseClientContext(context);
+  const seen = new Set();
+  const result = fields.map(([key, value]) => {
+    seen.add(key);
+    return [key, key in overrides ? overrides[key] : value];
+  });
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!seen.has(key)) result.push([key, value]);
+  }
+  return result.map(([key, value]) => `${key}:${value}`).join(',');
+}
+
+function marketFromContext(context) {
+  const fields = Object.fromEntries(parseClientContext(context));
+  return {
+    zipCode: fields.zipCode || null,
+    dmaId: fields.billingDmaID || (fields.dmaID || '').split('_')[0] || null,
+    regionId: fields.regionID || null,
+    state: fields.stateAbbr || null
+  };
+}
+
+function describeMarket(market) {
+  return `DMA ${market.dmaId || '?'}, zip ${market.zipCode || '?'}${market.state ? ` (${market.state})` : ''}`;
+}
+
+// The client context from a request's query string or headers, if it carries one
+function findClientContext(url, headers = {}) {
+  try {
+    for (const [name, value] of new URL(url).searchParams) {
+      if (name.toLowerCase() === 'clientcontext' && value) return value;
+    }
+  } catch (e) {}
+  for (const [name, value] of Object.entries(headers)) {
+    if (name.toLowerCase().replace(/^x-/, '') === 'clientcontext' && value) return value;
+  }
+  return null;
+}
+
+// Headers Playwright sets itself (or refuses) when replaying a captured request
+function cleanHeaders(headers = {}) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (name.startsWith(':') || ['host', 'cookie', 'content-length', 'accept-encoding', 'connection'].includes(name)) continue;
+    result[name] = value;
+  }
+  return result;
 }
 
 module.exports = new DirectvEpg();
+module.exports.parseTime = parseTime;
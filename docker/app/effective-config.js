@@ -0,0 +1,155 @@
+// Effective configuration - the one place that decides what each setting resolves to
+// Layers, lowest first:
+//   default   DEFAULTS in settings-manager.js
+//   env       environment variables (DVR_LOW_RESOURCE_FFMPEG, DVR_HLS_*, DVR_NUM_TUNERS)
+//   settings  values present in settings.json (presets are applied into it)
+//   channel   settings.channelOverrides[<channel>] for the stream being encoded
+// Keys are dotted paths into the settings object ('video.bitrate'). Objects that are
+// maps or lists in DEFAULTS (priority.keys, notifications.webhooks) are single values.
+
+const settingsManager = require('./settings-manager');
+const { DEFAULTS, CHANNEL_OVERRIDE_GROUPS } = settingsManager;
+const { presets } = require('./presets');
+
+const LAYERS = ['default', 'env', 'settings', 'channel'];
+
+// Keys only the environment may set - the container starts one Xvfb/Chrome per
+// DVR_NUM_TUNERS, so a different count in settings.json can't take effect
+const ENV_ONLY = ['tuners.count'];
+
+// Environment layer: { key: { value, variable } }
+function readEnv(env = process.env) {
+  const layer = {};
+  const set = (key, value, variable) => {
+    if (value !== undefined && !Number.isNaN(value)) {
+      layer[key] = { value, variable };
+    }
+  };
+
+  // Low resource mode lowers the stream quality defaults
+  if (env.DVR_LOW_RESOURCE_FFMPEG === 'true') {
+    set('video.resolution.width', 1280, 'DVR_LOW_RESOURCE_FFMPEG');
+    set('video.resolution.height', 720, 'DVR_LOW_RESOURCE_FFMPEG');
+    set('video.bitrate', '2M', 'DVR_LOW_RESOURCE_FFMPEG');
+    set('audio.bitrate', '96k', 'DVR_LOW_RESOURCE_FFMPEG');
+  }
+  set('hls.segmentTime', parseInt(env.DVR_HLS_SEGMENT_TIME) || undefined, 'DVR_HLS_SEGMENT_TIME');
+  set('hls.listSize', parseInt(env.DVR_HLS_LIST_SIZE) || undefined, 'DVR_HLS_LIST_SIZE');
+  set('tuners.count', parseInt(env.DVR_NUM_TUNERS) || undefined, 'DVR_NUM_TUNERS');
+  return layer;
+}
+
+// Every value of every layer for one key, lowest layer first
+function collect(channel) {
+  const env = readEnv();
+  const saved = flatten(settingsManager.getSavedSettings());
+  const override = channel != null
+    ? flatten(pick(settingsManager.getSettings().channelOverrides?.[String(channel)], CHANNEL_OVERRIDE_GROUPS))
+    : {};
+
+  return Object.entries(flatten(DEFAULTS)).map(([key, value]) => {
+    const layers = [{ layer: 'default', value }];
+    if (key in env) {
+      layers.push({ layer: 'env', value: env[key].value, variable: env[key].variable });
+    }
+    if (key in saved) {
+      layers.push({ layer: 'settings', value: saved[key], ignored: ENV_ONLY.includes(key) });
+    }
+    if (key in override) {
+      layers.push({ layer: 'channel', value: override[key] });
+    }
+    return { key, layers };
+  });
+}
+
+// Winning layer for a key: the highest one that isn't ignored
+function winner(layers) {
+  return [...layers].reverse().find(l => !l.ignored);
+}
+
+// Effective settings object (same shape as settings.json) for a channel, or globally
+function resolve(channel = null) {
+  const values = {};
+  for (const { key, layers } of collect(channel)) {
+    setPath(values, key, winner(layers).value);
+  }
+  return values;
+}
+
+// One effective value by dotted key
+function get(key, channel = null) {
+  return key.split('.').reduce((obj, part) => obj?.[part], resolve(channel));
+}
+
+// Every key with its value, the layer it came from and the values it overrides
+function describe(channel = null) {
+  const values = collect(channel).map(({ key, layers }) => {
+    const chosen = winner(layers);
+    return {
+      key,
+      value: chosen.value,
+      source: chosen.variable ? `env:${chosen.variable}` : chosen.layer,
+      layers: layers.map(l => ({
+        layer: l.variable ? `env:${l.variable}` : l.layer,
+        value: l.value,
+        ...(l.ignored ? { ignored: true } : {}),
+      })),
+    };
+  });
+
+  return {
+    channel: channel != null ? String(channel) : null,
+    layers: LAYERS,
+    preset: findMatchingPreset(resolve(channel)),
+    values,
+  };
+}
+
+// Preset whose settings all match the effective values (applying one writes into settings.json)
+function findMatchingPreset(values) {
+  const match = Object.entries(presets).find(([, preset]) =>
+    Object.entries(flatten(preset.settings)).every(([key, value]) =>
+      JSON.stringify(key.split('.').reduce((obj, part) => obj?.[part], values)) === JSON.stringify(value)
+    )
+  );
+  return match ? match[0] : null;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// { a: { b: 1 } } -> { 'a.b': 1 }; empty objects in DEFAULTS (maps) stay whole
+function flatten(obj, prefix = '', result = {}) {
+  for (const [key, value] of Object.entries(obj || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const defaultValue = path.split('.').reduce((o, part) => o?.[part], DEFAULTS);
+    if (isPlainObject(value) && isPlainObject(defaultValue) && Object.keys(defaultValue).length > 0) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  }
+  return result;
+}
+
+function pick(obj, groups) {
+  return Object.fromEntries(Object.entries(obj || {}).filter(([group]) => groups.includes(group)));
+}
+
+function setPath(obj, key, value) {
+  const parts = key.split('.');
+  let target = obj;
+  for (const part of parts.slice(0, -1)) {
+    target = target[part] = target[part] || {};
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+module.exports = {
+  resolve,
+  get,
+  describe,
+  readEnv,
+  LAYERS
+};
@@ -0,0 +1,152 @@
+// Event Bus - typed events for things an operator should hear about
+// Every event goes into a ring buffer persisted to /data/events.json (served at
+// /api/events) and out to listeners such as the webhook notifier.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const EVENTS_PATH = process.env.DVR_DATA_DIR
+  ? path.join(process.env.DVR_DATA_DIR, 'events.json')
+  : '/data/events.json';
+
+// Events kept in the ring buffer
+const MAX_EVENTS = 500;
+
+const Severity = {
+  INFO: 'info',
+  WARNING: 'warning',
+  ERROR: 'error',
+};
+
+const SEVERITY_ORDER = [Severity.INFO, Severity.WARNING, Severity.ERROR];
+
+// type -> default severity
+const EventType = {
+  LOGIN_LOST: 'login.lost',
+  LOGIN_RESTORED: 'login.restored',
+  TUNER_ERROR: 'tuner.error',
+  TUNER_RECOVERED: 'tuner.recovered',
+  BLACK_SCREEN: 'tuner.black_screen',
+  AUDIO_MISROUTED: 'tuner.audio_misrouted',
+  HWACCEL_FALLBACK: 'ffmpeg.hwaccel_fallback',
+  EPG_REFRESH_FAILED: 'epg.refresh_failed',
+  NO_UPCOMING_AIRINGS: 'channel.no_upcoming_airings',
+  PASSTHROUGH_ERROR: 'passthrough.error',
+  RECORDING_STARTED: 'recording.started',
+  RECORDING_COMPLETED: 'recording.completed',
+  RECORDING_FAILED: 'recording.failed',
+  SETTINGS_CHANGED: 'settings.changed',
+  TEST: 'test',
+};
+
+const DEFAULT_SEVERITY = {
+  [EventType.LOGIN_LOST]: Severity.ERROR,
+  [EventType.LOGIN_RESTORED]: Severity.INFO,
+  [EventType.TUNER_ERROR]: Severity.ERROR,
+  [EventType.TUNER_RECOVERED]: Severity.INFO,
+  [EventType.BLACK_SCREEN]: Severity.WARNING,
+  [EventType.AUDIO_MISROUTED]: Severity.WARNING,
+  [EventType.HWACCEL_FALLBACK]: Severity.WARNING,
+  [EventType.EPG_REFRESH_FAILED]: Severity.ERROR,
+  [EventType.NO_UPCOMING_AIRINGS]: Severity.INFO,
+  [EventType.PASSTHROUGH_ERROR]: Severity.WARNING,
+  [EventType.RECORDING_STARTED]: Severity.INFO,
+  [EventType.RECORDING_COMPLETED]: Severity.INFO,
+  [EventType.RECORDING_FAILED]: Severity.ERROR,
+  [EventType.SETTINGS_CHANGED]: Severity.INFO,
+  [EventType.TEST]: Severity.INFO,
+};
+
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.events = [];
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(EVENTS_PATH)) {
+        this.events = (JSON.parse(fs.readFileSync(EVENTS_PATH, 'utf8')).events || []).slice(-MAX_EVENTS);
+      }
+    } catch (err) {
+      console.warn('[events] Failed to load events:', err.message);
+      this.events = [];
+    }
+  }
+
+  // Debounced - a flapping tuner can raise several events in a second
+  save() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        const dir = path.dirname(EVENTS_PATH);
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(EVENTS_PATH, JSON.stringify({ events: this.events }));
+      } catch (err) {
+        console.error('[events] Failed to save events:', err.message);
+      }
+    }, 2000);
+  }
+
+  // Raise an event. data is free-form context (tunerId, channel, error, ...);
+  // data.severity overrides the type's default.
+  publish(type, message, data = {}) {
+    const { severity, ...rest } = data;
+    const event = {
+      id: crypto.randomBytes(6).toString('hex'),
+      type,
+      severity: severity || DEFAULT_SEVERITY[type] || Severity.INFO,
+      time: new Date().toISOString(),
+      message,
+      data: rest,
+    };
+
+    this.events.push(event);
+    if (this.events.length > MAX_EVENTS) {
+      this.events.splice(0, this.events.length - MAX_EVENTS);
+    }
+    this.save();
+
+    console.log(`[events] ${event.severity.toUpperCase()} ${type}: ${message}`);
+    this.emit('event', event);
+    return event;
+  }
+
+  // Newest first. filter: { type, severity (minimum), since (ISO or ms), limit }
+  getEvents({ type, severity, since, limit } = {}) {
+    const types = type ? String(type).split(',') : null;
+    const minSeverity = severity ? SEVERITY_ORDER.indexOf(severity) : -1;
+    const sinceMs = since ? (isNaN(since) ? Date.parse(since) : Number(since)) : null;
+
+    const matches = this.events.filter(e =>
+      (!types || types.some(t => e.type === t || e.type.startsWith(`${t}.`))) &&
+      SEVERITY_ORDER.indexOf(e.severity) >= minSeverity &&
+      (!sinceMs || Date.parse(e.time) > sinceMs)
+    ).reverse();
+
+    return matches.slice(0, Math.max(1, Math.min(parseInt(limit) || 100, MAX_EVENTS)));
+  }
+
+  clear() {
+    this.events = [];
+    this.save();
+  }
+}
+
+function severityAtLeast(severity, minimum) {
+  return SEVERITY_ORDER.indexOf(severity) >= SEVERITY_ORDER.indexOf(minimum || Severity.INFO);
+}
+
+const eventBus = new EventBus();
+
+module.exports = eventBus;
+module.exports.EventType = EventType;
+module.exports.Severity = Severity;
+module.exports.severityAtLeast = severityAtLeast;
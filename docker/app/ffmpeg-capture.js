@@ -3,7 +3,32 @@ const path = require('path');
 const fs = require('fs');
 const { PassThrough } = require('stream');
 const config = require('./config');
-const settingsManager = require('./settings-manager');
+const effectiveConfig = require('./effective-config');
+const hlsPlaylist = require('./hls-playlist');
+const { getLadder } = require('./presets');
+const metrics = require('./metrics');
+const eventBus = require('./event-bus');
+const { EventType } = eventBus;
+const simulator = require('./simulator');
+const audioSinks = require('./audio-sinks');
+const BreakDetector = require('./break-detect');
+
+// Settings groups the encoder is started with - a change to any of them needs a restart
+const ENCODER_SETTINGS = ['video', 'audio', 'hls', 'abr', 'encoding', 'timeshift'];
+
+function encoderSettings(settings) {
+  // The audio language is picked in the player when tuning, not by the encoder
+  const { language, ...audio } = settings.audio || {};
+  return JSON.stringify(ENCODER_SETTINGS.map(group => group === 'audio' ? audio : settings[group]));
+}
+
+// '2500k' / '4M' / '128000' -> bits per second
+function parseBitrate(value) {
+  const match = String(value).trim().match(/^([\d.]+)\s*([kKmM]?)/);
+  if (!match) return 0;
+  const multiplier = { k: 1000, K: 1000, m: 1000000, M: 1000000 }[match[2]] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
 
 class FFmpegCapture {
   constructor(tunerId, outputDir) {
@@ -30,8 +55,20 @@ class FFmpegCapture {
     this.hlsMode = config.hlsMode !== false; // Default to HLS mode
     this.hlsDir = path.join(config.hlsDir || '/data/streams', `tuner-${tunerId}`);
     this.hlsPlaylist = path.join(this.hlsDir, 'stream.m3u8');
-    this.hlsSegmentTime = config.hls?.segmentTime || 2;
-    this.hlsListSize = config.hls?.listSize || 5;
+    this.defaultHlsPlaylist = this.hlsPlaylist;
+    const { hls } = effectiveConfig.resolve();
+    this.hlsSegmentTime = hls.segmentTime;
+    this.hlsListSize = hls.listSize;
+    this.channel = null;  // Channel being encoded, for per-channel settings
+    this.appliedSettings = null;  // encoderSettings() of the running encoder (null for placeholders)
+
+    // ABR: renditions encoded from the one capture (null = single rendition)
+    this.renditions = null;
+    this.outputInfo = null;  // { width, height, videoBitrate, audioBitrate } of the single rendition
+
+    // Timeshift: keep a rolling window of segments on disk for pause/rewind
+    this.timeshift = null;  // { minutes, maxBytes, windowSize } when enabled for this tuner
+    this.timeshiftCleanupInterval = null;
 
     // Segment size monitor for black screen detection
     this.segmentMonitorInterval = null;
@@ -41,6 +78,10 @@ class FFmpegCapture {
     this.smallSegmentThreshold = parseInt(process.env.DVR_SMALL_SEGMENT_THRESHOLD) || 3; // 3 consecutive small segments triggers retune
     this.onBlackScreenDetected = null; // Callback for black screen detection
 
+    // Commercial break detection (black frames + silence) on each finished segment
+    this.breakDetector = new BreakDetector(tunerId);
+    this.breakDetection = null;  // { silenceDb } when enabled for this stream
+
     this.stats = {
       startTime: null,
       bytesTransferred: 0,
@@ -75,7 +116,8 @@ class FFmpegCapture {
     });
   }
 
-  async start(displayNum) {
+  // channel picks up per-channel settings overrides; restarts keep the last one
+  async start(displayNum, channel = this.channel) {
     // Prevent concurrent start calls while stopping
     if (this.stopping) {
       console.log(`[ffmpeg-${this.tunerId}] Waiting for stop to complete...`);
@@ -89,6 +131,10 @@ class FFmpegCapture {
     }
 
     this.displayNum = displayNum;
+    if (channel !== this.channel) {
+      this.breakDetector.reset();  // Breaks found so far belong to the old channel
+    }
+    this.channel = channel;
     this.shouldRestart = true;
     this.restartAttempts = 0;
     this.stopping = false;
@@ -108,6 +154,13 @@ class FFmpegCapture {
     this.stats.bytesTransferred = 0;
     this.stats.errors = [];
 
+    // Defaults < env < settings.json < this channel's overrides
+    const settings = effectiveConfig.resolve(channel);
+    this.appliedSettings = encoderSettings(settings);
+    const videoBitrate = settings.video.bitrate;
+    const audioBitrate = settings.audio.bitrate;
+    const { width, height } = settings.video.resolution;
+
     let args;
 
     if (platform === 'mac') {
@@ -120,33 +173,28 @@ class FFmpegCapture {
         '-preset', 'ultrafast',
         '-tune', 'zerolatency',
         '-pix_fmt', 'yuv420p',
-        '-s', `${config.resolution.width}x${config.resolution.height}`,
-        '-b:v', config.videoBitrate,
-        '-maxrate', config.videoBitrate,
+        '-s', `${width}x${height}`,
+        '-b:v', videoBitrate,
+        '-maxrate', videoBitrate,
         '-bufsize', '1M',
         '-g', '30',
         '-f', 'mpegts',
         'pipe:1',
       ];
     } else {
-      // Linux: Read user settings from settingsManager (falls back to defaults)
-      const settings = settingsManager.getSettings();
-      const videoBitrate = settings.video?.bitrate || config.videoBitrate || '4M';
-      const audioBitrate = settings.audio?.bitrate || config.audioBitrate || '128k';
-      const width = settings.video?.resolution?.width || config.resolution?.width || 1280;
-      const height = settings.video?.resolution?.height || config.resolution?.height || 720;
-      // HLS settings from user config
-      this.hlsSegmentTime = settings.hls?.segmentTime || config.hls?.segmentTime || 4;
-      this.hlsListSize = settings.hls?.listSize || config.hls?.listSize || 6;
-      // Encoding settings from user config (with defaults)
-      const encSettings = settings.encoding || {};
-      const bufferSize = encSettings.bufferSize || '8M';
-      const threadQueueSize = encSettings.threadQueueSize || 2048;
-      const probeSize = encSettings.probeSize || '10M';
-      const drawMouse = encSettings.drawMouse ?? false;
-      const vsyncMode = encSettings.vsync || 'cfr';
-      const gopSize = encSettings.gopSize || 60;
-      const lowLatency = encSettings.lowLatency ?? true;
+      this.hlsSegmentTime = settings.hls.segmentTime;
+      this.hlsListSize = settings.hls.listSize;
+      this.timeshift = this.getTimeshiftConfig(settings);
+      this.breakDetection = settings.breaks?.enabled ? { silenceDb: settings.breaks.silenceDb } : null;
+      this.renditions = this.getAbrRenditions(settings, { width, height, videoBitrate, audioBitrate });
+      this.outputInfo = { width, height, videoBitrate, audioBitrate };
+      // With ABR the top rendition's playlist is the one readiness/monitoring/recordings follow
+      this.hlsPlaylist = this.renditions
+        ? path.join(this.hlsDir, this.renditions[0].name, 'stream.m3u8')
+        : this.defaultHlsPlaylist;
+      const {
+        bufferSize, threadQueueSize, probeSize, drawMouse, vsync: vsyncMode, gopSize, lowLatency
+      } = settings.encoding;
       // Use instance hwAccel which may have been downgraded from NVENC to none
       // hwAccel comes from config (env var), not user settings
       const hwAccel = this.useHwAccel;
@@ -154,7 +202,7 @@ class FFmpegCapture {
                       (hwAccel === 'qsv' ? 'h264_qsv' :
                       (hwAccel === 'vaapi' ? 'h264_vaapi' : 'libx264'));
 
-      console.log(`[ffmpeg-${this.tunerId}] Using settings: ${width}x${height} @ ${videoBitrate} video, ${audioBitrate} audio`);
+      console.log(`[ffmpeg-${this.tunerId}] Using settings: ${width}x${height} @ ${videoBitrate} video, ${audioBitrate} audio${channel != null ? ` (channel ${channel})` : ''}`);
       console.log(`[ffmpeg-${this.tunerId}] Encoder: ${encoder} (hwAccel: ${hwAccel})${this.hwAccelFailed ? ' [HW accel failed, using software fallback]' : ''}`);
       console.log(`[ffmpeg-${this.tunerId}] Encoding: buffer=${bufferSize}, queue=${threadQueueSize}, vsync=${vsyncMode}, gop=${gopSize}`);
       this.stats.encoder = encoder;
@@ -277,21 +325,45 @@ class FFmpegCapture {
         if (!fs.existsSync(this.hlsDir)) {
           fs.mkdirSync(this.hlsDir, { recursive: true });
         }
-        // Clean old segments
-        const oldFiles = fs.readdirSync(this.hlsDir).filter(f => f.endsWith('.ts') || f.endsWith('.m3u8'));
-        for (const f of oldFiles) {
-          try { fs.unlinkSync(path.join(this.hlsDir, f)); } catch (e) {}
+        // Clean old segments (and rendition directories from a previous ABR session)
+        for (const entry of fs.readdirSync(this.hlsDir, { withFileTypes: true })) {
+          const entryPath = path.join(this.hlsDir, entry.name);
+          if (entry.isDirectory()) {
+            try { fs.rmSync(entryPath, { recursive: true, force: true }); } catch (e) {}
+          } else if (entry.name.endsWith('.ts') || entry.name.endsWith('.m3u8')) {
+            try { fs.unlinkSync(entryPath); } catch (e) {}
+          }
         }
 
         outputArgs = [
           '-f', 'hls',
           '-hls_time', String(this.hlsSegmentTime),
-          '-hls_list_size', String(this.hlsListSize),
-          '-hls_flags', 'delete_segments+append_list',
-          '-hls_segment_filename', path.join(this.hlsDir, 'segment%03d.ts'),
-          this.hlsPlaylist,
+          // With timeshift FFmpeg keeps the whole window; the live playlist is trimmed when served
+          '-hls_list_size', String(this.timeshift ? this.timeshift.windowSize : this.hlsListSize),
+          // Segment dates let caption-capture.js line up the WebVTT cues with the video
+          '-hls_flags', 'delete_segments+append_list+program_date_time',
         ];
+        if (this.renditions) {
+          // One playlist + segment directory per rendition: <hlsDir>/<name>/stream.m3u8
+          for (const r of this.renditions) {
+            fs.mkdirSync(path.join(this.hlsDir, r.name), { recursive: true });
+          }
+          outputArgs.push(
+            '-var_stream_map', this.renditions.map((r, i) => `v:${i},a:${i},name:${r.name}`).join(' '),
+            '-hls_segment_filename', path.join(this.hlsDir, '%v', 'segment%03d.ts'),
+            path.join(this.hlsDir, '%v', 'stream.m3u8'),
+          );
+          console.log(`[ffmpeg-${this.tunerId}] ABR ladder: ${this.renditions.map(r => `${r.name} @ ${r.videoBitrate}`).join(', ')}`);
+        } else {
+          outputArgs.push(
+            '-hls_segment_filename', path.join(this.hlsDir, 'segment%03d.ts'),
+            this.hlsPlaylist,
+          );
+        }
         console.log(`[ffmpeg-${this.tunerId}] HLS mode: ${this.hlsSegmentTime}s segments, ${this.hlsListSize} in playlist`);
+        if (this.timeshift) {
+          console.log(`[ffmpeg-${this.tunerId}] Timeshift: ${this.timeshift.minutes} min window (${this.timeshift.windowSize} segments, max ${Math.round(this.timeshift.maxBytes / 1024 / 1024)} MB)`);
+        }
       } else {
         outputArgs = [
           '-f', 'mpegts',
@@ -299,8 +371,25 @@ class FFmpegCapture {
         ];
       }
 
-      // Use per-tuner audio sink for isolated audio capture
-      const audioSink = `virtual_speaker_${this.tunerId}.monitor`;
+      // Per-tuner sink monitor, so each tuner records only its own Chrome
+      const audioSink = audioSinks.getMonitorName(this.tunerId);
+
+      // The simulator has nothing to grab without an X server - generate the picture instead
+      const captureInputs = config.simulate && !simulator.hasDisplay(displayNum)
+        ? simulator.testPatternInputs(channel, width, height)
+        : [
+          '-thread_queue_size', String(threadQueueSize),
+          '-probesize', probeSize,
+          '-f', 'x11grab',
+          '-framerate', '30',
+          '-draw_mouse', drawMouse ? '1' : '0',
+          '-video_size', `${width}x${height}`,
+          '-i', `:${displayNum}`,
+          '-thread_queue_size', String(threadQueueSize),
+          '-f', 'pulse',
+          '-ac', '2',
+          '-i', audioSink,
+        ];
 
       // Hardware acceleration initialization args
       let hwInitArgs = [];
@@ -315,21 +404,10 @@ class FFmpegCapture {
       args = [
         ...hwInitArgs,
         '-fflags', '+genpts+igndts',
-        '-thread_queue_size', String(threadQueueSize),
-        '-probesize', probeSize,
-        '-f', 'x11grab',
-        '-framerate', '30',
-        '-draw_mouse', drawMouse ? '1' : '0',
-        '-video_size', `${width}x${height}`,
-        '-i', `:${displayNum}`,
-        '-thread_queue_size', String(threadQueueSize),
-        '-f', 'pulse',
-        '-ac', '2',
-        '-i', audioSink,
-        ...vaapiFilter,
-        ...videoEncoderArgs,
-        '-c:a', 'aac',
-        '-b:a', audioBitrate,
+        ...captureInputs,
+        ...(this.renditions
+          ? this.getAbrStreamArgs(videoEncoderArgs, hwAccel)
+          : [...vaapiFilter, ...videoEncoderArgs, '-c:a', 'aac', '-b:a', audioBitrate]),
         '-ar', '48000',
         '-ac', '2',
         '-af', 'aresample=async=1:min_hard_comp=0.1:first_pts=0',
@@ -346,7 +424,7 @@ class FFmpegCapture {
     const ffmpegEnv = {
       ...process.env,
       DISPLAY: `:${displayNum}`,
-      PULSE_SERVER: 'unix:/var/run/pulse/native',
+      PULSE_SERVER: config.pulseServer,
     };
 
     // Small delay before spawning FFmpeg to ensure GPU encoder is ready
@@ -365,11 +443,13 @@ class FFmpegCapture {
       this.stats.bytesTransferred += data.length;
       this.stats.lastActivity = Date.now();
 
+      let written = 0;
       for (let i = this.clients.length - 1; i >= 0; i--) {
         const client = this.clients[i];
         if (client.writable && !client.destroyed) {
           try {
             client.write(data);
+            written++;
           } catch (err) {
             this.clients.splice(i, 1);
             console.log(`[ffmpeg-${this.tunerId}] Client write error, ${this.clients.length} remaining`);
@@ -379,6 +459,9 @@ class FFmpegCapture {
           console.log(`[ffmpeg-${this.tunerId}] Removed dead client, ${this.clients.length} remaining`);
         }
       }
+      if (written > 0) {
+        metrics.recordBytesOut(this.tunerId, data.length * written);
+      }
     });
 
     this.process.stderr.on('data', (data) => {
@@ -434,6 +517,8 @@ class FFmpegCapture {
       // Code 255 is also returned on SIGTERM, so we need actual error detection
       if (code !== 0 && uptime < 5000 && this.useHwAccel === 'nvenc' && !this.hwAccelFailed && this.nvencErrorDetected) {
         console.warn(`[ffmpeg-${this.tunerId}] NVENC failed with actual errors (${uptime}ms), falling back to software encoding`);
+        eventBus.publish(EventType.HWACCEL_FALLBACK, `NVENC failed on tuner ${this.tunerId}, falling back to libx264`,
+          { tunerId: this.tunerId, hwAccel: 'nvenc' });
         this.hwAccelFailed = true;
         this.useHwAccel = 'none';
         this.restartAttempts = 0; // Reset restart attempts for fallback
@@ -452,6 +537,8 @@ class FFmpegCapture {
       // Check if VAAPI actually failed (not just killed) - only fallback if we saw real VAAPI errors
       if (code !== 0 && uptime < 5000 && this.useHwAccel === 'vaapi' && !this.hwAccelFailed && this.vaapiErrorDetected) {
         console.warn(`[ffmpeg-${this.tunerId}] VAAPI failed with actual errors (${uptime}ms), falling back to software encoding`);
+        eventBus.publish(EventType.HWACCEL_FALLBACK, `VAAPI failed on tuner ${this.tunerId}, falling back to libx264`,
+          { tunerId: this.tunerId, hwAccel: 'vaapi' });
         this.hwAccelFailed = true;
         this.useHwAccel = 'none';
         this.restartAttempts = 0; // Reset restart attempts for fallback
@@ -476,6 +563,7 @@ class FFmpegCapture {
         if (this.restartAttempts <= this.maxRestartAttempts) {
           console.log(`[ffmpeg-${this.tunerId}] Auto-restarting (attempt ${this.restartAttempts}/${this.maxRestartAttempts})...`);
           this.stats.restarts++;
+          metrics.recordFfmpegRestart(this.tunerId);
           setTimeout(() => {
             if (this.shouldRestart && !this.isRunning) {
               this.start(this.displayNum);
@@ -514,6 +602,14 @@ class FFmpegCapture {
         }
       }, (this.hlsSegmentTime * 2 + 2) * 1000); // Wait for 2 segments + buffer
     }
+
+    if (this.hlsMode && this.timeshift) {
+      this.startTimeshiftCleanup();
+    }
+
+    if (this.hlsMode && this.breakDetection) {
+      this.startBreakDetection();
+    }
   }
 
   addClient(res) {
@@ -587,6 +683,8 @@ class FFmpegCapture {
   async stopAndWait() {
     this.cancelIdleTimer();
     this.stopSegmentMonitor();
+    this.stopTimeshiftCleanup();
+    this.breakDetector.stop();
     this.shouldRestart = false;
     this.stopping = true;
 
@@ -626,6 +724,22 @@ class FFmpegCapture {
     this.stopping = false;
   }
 
+  // True when the running encoder was started with different settings than it would get now
+  needsRestart() {
+    return this.isRunning && this.appliedSettings !== null &&
+      this.appliedSettings !== encoderSettings(effectiveConfig.resolve(this.channel));
+  }
+
+  // Restart on the same display and channel with the current settings. MPEG-TS clients
+  // stay connected and carry on with the new stream; HLS clients follow the playlist.
+  async restart() {
+    const clients = this.clients;
+    this.clients = [];  // Keep stopAndWait() from ending them
+    await this.start(this.displayNum, this.channel);
+    this.stats.restarts++;
+    this.clients.push(...clients.filter(client => !client.destroyed));
+  }
+
   async startPlaceholder(displayNum, message) {
     // Stop any existing stream first
     if (this.isRunning && this.process) {
@@ -636,6 +750,7 @@ class FFmpegCapture {
     this.shouldRestart = true;
     this.restartAttempts = 0;
     this.stopping = false;
+    this.appliedSettings = null;
 
     this.broadcastStream = new PassThrough();
 
@@ -644,11 +759,8 @@ class FFmpegCapture {
     this.stats.errors = [];
     this.stats.encoder = 'lavfi (placeholder)';
 
-    // Read user settings for placeholder resolution
-    const settings = settingsManager.getSettings();
-    const width = settings.video?.resolution?.width || config.resolution?.width || 1920;
-    const height = settings.video?.resolution?.height || config.resolution?.height || 1080;
-    const videoBitrate = settings.video?.bitrate || config.videoBitrate || '4M';
+    // Placeholder matches the resolution of the real stream
+    const { width, height } = effectiveConfig.get('video.resolution', this.channel);
 
     // Escape special characters for FFmpeg drawtext filter
     const escapedMessage = message
@@ -723,6 +835,8 @@ class FFmpegCapture {
   stop() {
     this.cancelIdleTimer();
     this.stopSegmentMonitor();
+    this.stopTimeshiftCleanup();
+    this.breakDetector.stop();
     this.shouldRestart = false;
     this.stopping = true;
 
@@ -768,7 +882,10 @@ class FFmpegCapture {
       healthy: this.isRunning && (Date.now() - (this.stats.lastActivity || 0)) < 5000,
       encoder: this.stats.encoder,
       hwAccel: this.useHwAccel,
-      hwAccelFailed: this.hwAccelFailed
+      hwAccelFailed: this.hwAccelFailed,
+      timeshift: this.getTimeshiftStatus(),
+      breaks: this.breakDetection ? this.breakDetector.getStatus() : null,
+      renditions: this.renditions ? this.renditions.map(r => r.name) : null
     };
   }
 
@@ -799,8 +916,11 @@ class FFmpegCapture {
     return null;
   }
 
-  getSegmentPath(filename) {
+  getSegmentPath(filename, rendition) {
     if (this.hlsMode) {
+      if (rendition) {
+        return this.hasRendition(rendition) ? path.join(this.hlsDir, rendition, filename) : null;
+      }
       return path.join(this.hlsDir, filename);
     }
     return null;
@@ -818,6 +938,280 @@ class FFmpegCapture {
     }
   }
 
+  // Newest finished segment of the top rendition (the one FFmpeg is writing isn't listed yet)
+  getLatestSegmentPath() {
+    if (!this.hlsMode || !fs.existsSync(this.hlsPlaylist)) return null;
+    try {
+      const { segments } = hlsPlaylist.parse(fs.readFileSync(this.hlsPlaylist, 'utf8'));
+      if (segments.length === 0) return null;
+      const segmentPath = path.join(path.dirname(this.hlsPlaylist), path.basename(segments[segments.length - 1].uri));
+      return fs.existsSync(segmentPath) ? segmentPath : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Playlist for live viewers - only the last listSize segments, even when
+  // timeshift keeps a longer window on disk
+  getLivePlaylist(rendition) {
+    const content = fs.readFileSync(this.getRenditionPlaylistPath(rendition), 'utf8');
+    const breaks = this.getBreakDateRanges();
+    if (!this.timeshift && breaks.length === 0) {
+      return content;
+    }
+    let playlist = hlsPlaylist.parse(content);
+    if (this.timeshift) {
+      playlist = hlsPlaylist.trim(playlist, { count: this.hlsListSize });
+    }
+    return hlsPlaylist.serialize(hlsPlaylist.addDateRanges(playlist, breaks));
+  }
+
+  // Parsed segments of a rendition's playlist on disk (with their #EXT-X-PROGRAM-DATE-TIME tags)
+  getPlaylistSegments(rendition) {
+    return hlsPlaylist.parse(fs.readFileSync(this.getRenditionPlaylistPath(rendition), 'utf8')).segments;
+  }
+
+  // Sliding playlist covering the last depthSeconds of the timeshift window (whole window
+  // if depthSeconds is not given). Old segments leave the front, so it has no
+  // EXT-X-PLAYLIST-TYPE (EVENT playlists may only grow) and EXT-X-MEDIA-SEQUENCE counts
+  // what was dropped. Returns null if timeshift is off.
+  getTimeshiftPlaylist(depthSeconds, rendition) {
+    if (!this.timeshift) {
+      return null;
+    }
+
+    const playlistPath = this.getRenditionPlaylistPath(rendition);
+    let playlist = hlsPlaylist.parse(fs.readFileSync(playlistPath, 'utf8'));
+    playlist = hlsPlaylist.dropMissing(playlist, uri => fs.existsSync(path.join(path.dirname(playlistPath), uri)));
+    if (depthSeconds) {
+      playlist = hlsPlaylist.trim(playlist, { duration: depthSeconds });
+    }
+    return hlsPlaylist.serialize(hlsPlaylist.addDateRanges(playlist, this.getBreakDateRanges()));
+  }
+
+  // Finished segments of a rendition with their wall-clock start (ms), for break detection
+  getDatedSegments(rendition) {
+    const playlistPath = this.getRenditionPlaylistPath(rendition);
+    if (!fs.existsSync(playlistPath)) return [];
+    const playlist = hlsPlaylist.parse(fs.readFileSync(playlistPath, 'utf8'));
+    const dates = hlsPlaylist.segmentDates(playlist);
+    return playlist.segments.map((segment, i) => ({
+      path: path.join(path.dirname(playlistPath), segment.uri),
+      start: dates[i],
+      duration: segment.duration,
+    }));
+  }
+
+  // Analyse the smallest rendition - the breaks are the same in all of them
+  startBreakDetection() {
+    const rendition = this.renditions ? this.renditions[this.renditions.length - 1].name : null;
+    this.breakDetector.start(() => this.getDatedSegments(rendition), (this.hlsSegmentTime + 1) * 1000, this.breakDetection);
+  }
+
+  // EXT-X-DATERANGE ranges for the breaks found so far (none when detection is off)
+  getBreakDateRanges() {
+    return this.breakDetection ? this.breakDetector.getDateRanges() : [];
+  }
+
+  // Timeshift settings for this tuner, or null if disabled
+  getTimeshiftConfig(settings) {
+    const ts = settings.timeshift;
+    if (!this.hlsMode || !ts?.enabled) {
+      return null;
+    }
+    // Empty tuner list means every tuner
+    if (Array.isArray(ts.tuners) && ts.tuners.length > 0 && !ts.tuners.includes(this.tunerId)) {
+      return null;
+    }
+
+    const minutes = ts.minutes || 30;
+    return {
+      minutes,
+      maxBytes: (ts.maxSizeMB || 2048) * 1024 * 1024,
+      windowSize: Math.max(this.hlsListSize, Math.ceil(minutes * 60 / this.hlsSegmentTime)),
+    };
+  }
+
+  startTimeshiftCleanup() {
+    this.stopTimeshiftCleanup();
+    this.timeshiftCleanupInterval = setInterval(() => {
+      this.cleanupTimeshift();
+    }, 30000);
+  }
+
+  stopTimeshiftCleanup() {
+    if (this.timeshiftCleanupInterval) {
+      clearInterval(this.timeshiftCleanupInterval);
+      this.timeshiftCleanupInterval = null;
+    }
+  }
+
+  // FFmpeg's delete_segments handles the window length; this catches leftovers
+  // older than the window and enforces the size cap
+  cleanupTimeshift() {
+    if (!this.timeshift) return;
+
+    try {
+      const maxAge = (this.timeshift.minutes * 60 + this.hlsSegmentTime * 2) * 1000;
+      let totalSize = 0;
+      let removable = [];
+
+      // The size cap covers all renditions together
+      for (const dir of this.getRenditionDirs()) {
+        const files = fs.readdirSync(dir)
+          .filter(f => f.endsWith('.ts'))
+          .map(f => {
+            const filePath = path.join(dir, f);
+            return { name: f, path: filePath, stat: fs.statSync(filePath) };
+          })
+          .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs); // Oldest first
+
+        totalSize += files.reduce((total, f) => total + f.stat.size, 0);
+        // Never touch the live edge
+        removable = removable.concat(files.slice(0, Math.max(0, files.length - this.hlsListSize)));
+      }
+      removable.sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs);
+
+      let removed = 0;
+      for (const file of removable) {
+        const tooOld = Date.now() - file.stat.mtimeMs > maxAge;
+        const overSize = totalSize > this.timeshift.maxBytes;
+        if (!tooOld && !overSize) break;
+
+        try {
+          fs.unlinkSync(file.path);
+          totalSize -= file.stat.size;
+          removed++;
+        } catch (e) {}
+      }
+
+      if (removed > 0) {
+        console.log(`[ffmpeg-${this.tunerId}] Timeshift cleanup removed ${removed} segment(s), ${this.formatBytes(totalSize)} buffered`);
+      }
+    } catch (err) {
+      console.error(`[ffmpeg-${this.tunerId}] Timeshift cleanup error: ${err.message}`);
+    }
+  }
+
+  getTimeshiftStatus() {
+    if (!this.timeshift) {
+      return { enabled: false };
+    }
+
+    let bufferedSeconds = 0;
+    let segments = 0;
+    try {
+      const playlist = hlsPlaylist.dropMissing(
+        hlsPlaylist.parse(fs.readFileSync(this.hlsPlaylist, 'utf8')),
+        uri => fs.existsSync(path.join(path.dirname(this.hlsPlaylist), uri))
+      );
+      bufferedSeconds = Math.round(hlsPlaylist.totalDuration(playlist));
+      segments = playlist.segments.length;
+    } catch (e) {}
+
+    return {
+      enabled: true,
+      minutes: this.timeshift.minutes,
+      maxSizeMB: Math.round(this.timeshift.maxBytes / 1024 / 1024),
+      bufferedSeconds,
+      segments,
+    };
+  }
+
+  // ABR renditions for this session, or null for a single rendition
+  getAbrRenditions(settings, capture) {
+    if (!this.hlsMode || !settings.abr?.enabled) {
+      return null;
+    }
+
+    const ladder = getLadder(settings.abr.ladder) || getLadder('standard');
+    // Never upscale beyond what x11grab captures
+    const renditions = ladder.renditions.filter(r => r.height <= capture.height && r.width <= capture.width);
+    if (renditions.length === 0) {
+      return [{
+        name: `${capture.height}p`,
+        width: capture.width,
+        height: capture.height,
+        videoBitrate: capture.videoBitrate,
+        audioBitrate: capture.audioBitrate,
+      }];
+    }
+    return renditions.map(r => ({ ...r }));
+  }
+
+  // Split the capture into one scaled video stream per rendition, each paired with its own audio encode.
+  // Generic encoder options apply to every video stream; bitrates are set per stream after them.
+  getAbrStreamArgs(videoEncoderArgs, hwAccel) {
+    const upload = hwAccel === 'vaapi' ? ',format=nv12,hwupload' : '';
+    const filters = [
+      `[0:v]split=${this.renditions.length}${this.renditions.map((r, i) => `[v${i}]`).join('')}`,
+      ...this.renditions.map((r, i) => `[v${i}]scale=${r.width}:${r.height}${upload}[v${i}out]`),
+    ];
+
+    const args = ['-filter_complex', filters.join(';')];
+    this.renditions.forEach((r, i) => {
+      args.push('-map', `[v${i}out]`, '-map', '1:a');
+    });
+    args.push(...videoEncoderArgs, '-c:a', 'aac');
+    this.renditions.forEach((r, i) => {
+      args.push(
+        `-b:v:${i}`, r.videoBitrate,
+        `-maxrate:v:${i}`, r.videoBitrate,
+        `-bufsize:v:${i}`, `${Math.round(parseBitrate(r.videoBitrate) * 2 / 1000)}k`,
+        `-b:a:${i}`, r.audioBitrate,
+      );
+    });
+    return args;
+  }
+
+  hasRendition(name) {
+    return !!this.renditions && this.renditions.some(r => r.name === name);
+  }
+
+  // Playlist for a rendition (null/undefined = the default/top playlist)
+  getRenditionPlaylistPath(rendition) {
+    if (rendition && this.hasRendition(rendition)) {
+      return path.join(this.hlsDir, rendition, 'stream.m3u8');
+    }
+    return this.hlsPlaylist;
+  }
+
+  // Name of the rendition served at the tuner's top-level playlist (null without ABR)
+  getDefaultRendition() {
+    return this.renditions ? this.renditions[0].name : null;
+  }
+
+  getRenditionDirs() {
+    return this.renditions
+      ? this.renditions.map(r => path.join(this.hlsDir, r.name))
+      : [this.hlsDir];
+  }
+
+  // Master playlist with relative variant URIs (<name>/stream.m3u8, or stream.m3u8 without ABR).
+  // playlistName lets callers point the variants at timeshift.m3u8 instead; captionsUri
+  // adds the WebVTT captions rendition to every variant.
+  getMasterPlaylist(playlistName = 'stream.m3u8', captionsUri = null) {
+    const variants = this.renditions
+      ? this.renditions.map(r => ({ ...r, uri: `${r.name}/${playlistName}` }))
+      : this.outputInfo ? [{ ...this.outputInfo, uri: playlistName }] : [];
+
+    // High profile 4.1 for everything except low-resource libx264 (main 4.0)
+    const videoCodec = config.lowResourceFFmpeg && this.useHwAccel === 'none' ? 'avc1.4d4028' : 'avc1.640029';
+
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+    if (captionsUri) {
+      lines.push(`#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="cc",NAME="English (CC)",LANGUAGE="en",DEFAULT=NO,AUTOSELECT=YES,URI="${captionsUri}"`);
+    }
+    for (const v of variants) {
+      const average = parseBitrate(v.videoBitrate) + parseBitrate(v.audioBitrate);
+      // Peak allows ~10% for MPEG-TS overhead on top of the capped video + audio rate
+      const peak = Math.round(average * 1.1);
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${peak},AVERAGE-BANDWIDTH=${average},RESOLUTION=${v.width}x${v.height},FRAME-RATE=30.000,CODECS="${videoCodec},mp4a.40.2"${captionsUri ? ',SUBTITLES="cc"' : ''}`);
+      lines.push(v.uri);
+    }
+    return lines.join('\n') + '\n';
+  }
+
   // Get HLS directory for this tuner
   getHlsDir() {
     return this.hlsDir;
@@ -867,12 +1261,14 @@ class FFmpegCapture {
     }
 
     try {
-      const files = fs.readdirSync(this.hlsDir)
+      // With ABR, watch the top rendition
+      const segmentDir = path.dirname(this.hlsPlaylist);
+      const files = fs.readdirSync(segmentDir)
         .filter(f => f.endsWith('.ts'))
         .map(f => ({
           name: f,
-          path: path.join(this.hlsDir, f),
-          stat: fs.statSync(path.join(this.hlsDir, f))
+          path: path.join(segmentDir, f),
+          stat: fs.statSync(path.join(segmentDir, f))
         }))
         .sort((a, b) => b.stat.mtimeMs - a.stat.mtimeMs); // Newest first
 
@@ -891,6 +1287,7 @@ class FFmpegCapture {
         if (this.smallSegmentCount >= this.smallSegmentThreshold) {
           console.warn(`[ffmpeg-${this.tunerId}] BLACK SCREEN DETECTED: ${this.smallSegmentCount} consecutive small segments`);
           this.smallSegmentCount = 0; // Reset counter
+          metrics.recordBlackScreen(this.tunerId);
 
           // Trigger callback if set
           if (this.onBlackScreenDetected) {
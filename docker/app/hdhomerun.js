@@ -0,0 +1,233 @@
+// HDHomeRun Emulation
+// Lets Plex, Jellyfin and Emby add this container as a native network tuner.
+// Serves the HDHomeRun HTTP API (discover/lineup/device.xml) and answers SSDP searches.
+
+const dgram = require('dgram');
+const os = require('os');
+const crypto = require('crypto');
+const config = require('./config');
+const effectiveConfig = require('./effective-config');
+const liveSources = require('./live-sources/source-registry');
+const lineupManager = require('./lineup-manager');
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+const SSDP_NOTIFY_INTERVAL = 30 * 60 * 1000; // Re-announce every 30 minutes (max-age is 1800s)
+
+// Search targets we answer for
+const SEARCH_TARGETS = [
+  'upnp:rootdevice',
+  'urn:schemas-upnp-org:device:MediaServer:1',
+];
+
+// Stable device ID derived from the hostname so it survives container restarts
+function getDeviceId() {
+  if (config.hdhomerun.deviceId) {
+    return config.hdhomerun.deviceId.toUpperCase();
+  }
+  return crypto.createHash('md5').update(os.hostname()).digest('hex').substring(0, 8).toUpperCase();
+}
+
+function getDeviceUuid() {
+  const hash = crypto.createHash('md5').update(`hdhr-${getDeviceId()}`).digest('hex');
+  return `${hash.substring(0, 8)}-${hash.substring(8, 12)}-${hash.substring(12, 16)}-${hash.substring(16, 20)}-${hash.substring(20, 32)}`;
+}
+
+// First non-internal IPv4 address (used for SSDP LOCATION when no host header is available)
+function getAdvertiseHost() {
+  if (config.hdhomerun.advertiseHost) {
+    return config.hdhomerun.advertiseHost;
+  }
+  for (const addrs of Object.values(os.networkInterfaces())) {
+    for (const addr of addrs || []) {
+      if (addr.family === 'IPv4' && !addr.internal) {
+        return `${addr.address}:${config.port}`;
+      }
+    }
+  }
+  return `127.0.0.1:${config.port}`;
+}
+
+function escapeXml(str) {
+  return String(str || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// discover.json - what Plex/Jellyfin/Emby read when the device is added
+function getDiscoverData(host) {
+  const baseUrl = `http://${host}`;
+  return {
+    FriendlyName: config.hdhomerun.friendlyName,
+    Manufacturer: 'Silicondust',
+    ManufacturerURL: 'https://github.com/jorge123255/directvtunner',
+    ModelNumber: 'HDTC-2US',
+    FirmwareName: 'hdhomeruntc_atsc',
+    FirmwareVersion: '20200101',
+    TunerCount: effectiveConfig.get('tuners.count'),
+    DeviceID: getDeviceId(),
+    DeviceAuth: 'directvtuner',
+    BaseURL: baseUrl,
+    // Plex/Jellyfin can't send credentials, so a configured device key rides along on the lineup URL
+    // (stream URLs in the lineup then pick it up from the request)
+    LineupURL: `${baseUrl}/lineup.json${config.hdhomerun.token ? `?token=${encodeURIComponent(config.hdhomerun.token)}` : ''}`,
+  };
+}
+
+// lineup.json - one entry per visible channel, pointing at the existing /stream/:channelId route
+// (channel numbers and names come from the lineup overlay)
+function getLineup(host) {
+  // EPG channels (or the static list before the first fetch) plus browser capture channels
+  return lineupManager.getVisible(liveSources.getLineupChannels()).map(ch => {
+    const entry = {
+      GuideNumber: String(ch.number),
+      GuideName: ch.name,
+      URL: `http://${host}/stream/${ch.streamId}`,
+    };
+    if (ch.format) {
+      entry.HD = ch.format === 'HD' || ch.format === 'UHD' ? 1 : 0;
+    }
+    return entry;
+  });
+}
+
+function getLineupStatus() {
+  return {
+    ScanInProgress: 0,
+    ScanPossible: 1,
+    Source: 'Cable',
+    SourceList: ['Cable'],
+  };
+}
+
+// device.xml - UPnP device description referenced from SSDP LOCATION
+function getDeviceXml(host) {
+  const friendlyName = escapeXml(config.hdhomerun.friendlyName);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<root xmlns="urn:schemas-upnp-org:device-1-0">
+  <specVersion>
+    <major>1</major>
+    <minor>0</minor>
+  </specVersion>
+  <URLBase>http://${escapeXml(host)}</URLBase>
+  <device>
+    <deviceType>urn:schemas-upnp-org:device:MediaServer:1</deviceType>
+    <friendlyName>${friendlyName}</friendlyName>
+    <manufacturer>Silicondust</manufacturer>
+    <modelName>HDTC-2US</modelName>
+    <modelNumber>HDTC-2US</modelNumber>
+    <serialNumber>${getDeviceId()}</serialNumber>
+    <UDN>uuid:${getDeviceUuid()}</UDN>
+  </device>
+</root>
+`;
+}
+
+// SSDP responder - answers M-SEARCH requests and periodically announces the device
+class SsdpResponder {
+  constructor() {
+    this.socket = null;
+    this.notifyTimer = null;
+  }
+
+  start() {
+    if (this.socket) return;
+
+    this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+    this.socket.on('error', (err) => {
+      console.error(`[hdhomerun] SSDP socket error: ${err.message}`);
+      this.stop();
+    });
+
+    this.socket.on('message', (msg, rinfo) => {
+      this.handleMessage(msg.toString(), rinfo);
+    });
+
+    this.socket.bind(SSDP_PORT, () => {
+      try {
+        this.socket.addMembership(SSDP_ADDRESS);
+        this.socket.setMulticastTTL(4);
+      } catch (err) {
+        console.error(`[hdhomerun] Could not join SSDP multicast group: ${err.message}`);
+      }
+      console.log(`[hdhomerun] SSDP responder listening (device ${getDeviceId()}, ${effectiveConfig.get('tuners.count')} tuner(s))`);
+      this.notify();
+      this.notifyTimer = setInterval(() => this.notify(), SSDP_NOTIFY_INTERVAL);
+    });
+  }
+
+  stop() {
+    if (this.notifyTimer) {
+      clearInterval(this.notifyTimer);
+      this.notifyTimer = null;
+    }
+    if (this.socket) {
+      try { this.socket.close(); } catch (e) {}
+      this.socket = null;
+    }
+  }
+
+  handleMessage(message, rinfo) {
+    if (!message.startsWith('M-SEARCH')) return;
+
+    const stMatch = message.match(/^ST:\s*(.+)$/im);
+    if (!stMatch) return;
+    const st = stMatch[1].trim();
+
+    const targets = st === 'ssdp:all' ? SEARCH_TARGETS : SEARCH_TARGETS.filter(t => t === st);
+    for (const target of targets) {
+      const response = [
+        'HTTP/1.1 200 OK',
+        'CACHE-CONTROL: max-age=1800',
+        'EXT:',
+        `LOCATION: http://${getAdvertiseHost()}/device.xml`,
+        'SERVER: Linux/3.14 UPnP/1.0 HDHomeRun/1.0',
+        `ST: ${target}`,
+        `USN: uuid:${getDeviceUuid()}::${target}`,
+        '',
+        '',
+      ].join('\r\n');
+      this.send(response, rinfo.port, rinfo.address);
+    }
+  }
+
+  notify() {
+    for (const target of SEARCH_TARGETS) {
+      const message = [
+        'NOTIFY * HTTP/1.1',
+        `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+        'CACHE-CONTROL: max-age=1800',
+        `LOCATION: http://${getAdvertiseHost()}/device.xml`,
+        'SERVER: Linux/3.14 UPnP/1.0 HDHomeRun/1.0',
+        `NT: ${target}`,
+        'NTS: ssdp:alive',
+        `USN: uuid:${getDeviceUuid()}::${target}`,
+        '',
+        '',
+      ].join('\r\n');
+      this.send(message, SSDP_PORT, SSDP_ADDRESS);
+    }
+  }
+
+  send(message, port, address) {
+    if (!this.socket) return;
+    const buf = Buffer.from(message);
+    this.socket.send(buf, 0, buf.length, port, address, (err) => {
+      if (err) {
+        console.log(`[hdhomerun] SSDP send to ${address}:${port} failed: ${err.message}`);
+      }
+    });
+  }
+}
+
+module.exports = {
+  getDiscoverData,
+  getLineup,
+  getLineupStatus,
+  getDeviceXml,
+  getDeviceId,
+  ssdp: new SsdpResponder(),
+};
@@ -0,0 +1,179 @@
+// HLS media playlist helpers
+// Parses the playlists FFmpeg writes so they can be trimmed to a window
+// (live edge / timeshift depth) and written back out.
+
+// Parse a media playlist into header tags and segments
+// Each segment keeps the tags that preceded it (#EXT-X-DISCONTINUITY, #EXT-X-PROGRAM-DATE-TIME, ...)
+function parse(content) {
+  const playlist = {
+    version: null,
+    targetDuration: null,
+    mediaSequence: 0,
+    headerTags: [],   // Other header tags, kept verbatim
+    segments: [],     // { uri, duration, tags: [] }
+    endList: false,
+  };
+
+  let pendingTags = [];
+  let pendingDuration = null;
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line === '#EXTM3U') continue;
+
+    if (line.startsWith('#EXT-X-VERSION:')) {
+      playlist.version = parseInt(line.split(':')[1]);
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = parseInt(line.split(':')[1]);
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      playlist.mediaSequence = parseInt(line.split(':')[1]) || 0;
+    } else if (line.startsWith('#EXT-X-PLAYLIST-TYPE:')) {
+      // Decided by whoever serializes the playlist
+    } else if (line === '#EXT-X-ENDLIST') {
+      playlist.endList = true;
+    } else if (line.startsWith('#EXTINF:')) {
+      pendingDuration = parseFloat(line.substring(8)) || 0;
+    } else if (line.startsWith('#')) {
+      // Tags before the first segment belong to the header, later ones to the next segment
+      if (playlist.segments.length === 0 && pendingDuration === null && isHeaderTag(line)) {
+        playlist.headerTags.push(line);
+      } else {
+        pendingTags.push(line);
+      }
+    } else {
+      playlist.segments.push({ uri: line, duration: pendingDuration || 0, tags: pendingTags });
+      pendingTags = [];
+      pendingDuration = null;
+    }
+  }
+
+  return playlist;
+}
+
+function isHeaderTag(line) {
+  return line.startsWith('#EXT-X-INDEPENDENT-SEGMENTS') ||
+    line.startsWith('#EXT-X-START') ||
+    line.startsWith('#EXT-X-ALLOW-CACHE') ||
+    line.startsWith('#EXT-X-MAP');
+}
+
+// Keep only the newest segments, either a count or a total duration (seconds)
+function trim(playlist, { count, duration } = {}) {
+  let keep = playlist.segments.length;
+
+  if (count !== undefined && count !== null) {
+    keep = Math.min(keep, Math.max(1, count));
+  }
+
+  if (duration !== undefined && duration !== null) {
+    let total = 0;
+    let n = 0;
+    for (let i = playlist.segments.length - 1; i >= 0; i--) {
+      total += playlist.segments[i].duration;
+      n++;
+      if (total >= duration) break;
+    }
+    keep = Math.min(keep, Math.max(1, n));
+  }
+
+  const dropped = playlist.segments.length - keep;
+  return {
+    ...playlist,
+    mediaSequence: playlist.mediaSequence + dropped,
+    segments: playlist.segments.slice(dropped),
+  };
+}
+
+// Drop segments at the start of the window whose files no longer exist
+// (e.g. removed by size-based cleanup before FFmpeg rewrote the playlist)
+function dropMissing(playlist, exists) {
+  let first = 0;
+  while (first < playlist.segments.length && !exists(playlist.segments[first].uri)) {
+    first++;
+  }
+  return {
+    ...playlist,
+    mediaSequence: playlist.mediaSequence + first,
+    segments: playlist.segments.slice(first),
+  };
+}
+
+function totalDuration(playlist) {
+  return playlist.segments.reduce((total, s) => total + s.duration, 0);
+}
+
+// Wall-clock start (ms) of every segment, from the last #EXT-X-PROGRAM-DATE-TIME at or
+// before it plus the durations since. NaN until the first date.
+function segmentDates(playlist) {
+  let time = NaN;
+  return playlist.segments.map(segment => {
+    const dateTag = segment.tags.find(tag => tag.startsWith('#EXT-X-PROGRAM-DATE-TIME:'));
+    if (dateTag) {
+      time = Date.parse(dateTag.slice(dateTag.indexOf(':') + 1));
+    }
+    const start = time;
+    time += segment.duration * 1000;
+    return start;
+  });
+}
+
+// Add #EXT-X-DATERANGE tags, each before the segment it starts in (or the first segment
+// if it started before the window). Ranges that end before the window or start after it
+// are left out. ranges: [{ id, class, start, end }] in wall-clock ms, end null while open.
+function addDateRanges(playlist, ranges) {
+  const dates = segmentDates(playlist);
+  const segments = playlist.segments.map(segment => ({ ...segment, tags: [...segment.tags] }));
+
+  for (const range of ranges) {
+    const index = dates.findIndex((start, i) => start + segments[i].duration * 1000 > range.start);
+    if (index === -1 || (range.end !== null && range.end <= dates[index])) continue;
+
+    const attributes = [`ID="${range.id}"`];
+    if (range.class) attributes.push(`CLASS="${range.class}"`);
+    attributes.push(`START-DATE="${new Date(range.start).toISOString()}"`);
+    if (range.end !== null) {
+      attributes.push(`END-DATE="${new Date(range.end).toISOString()}"`, `DURATION=${((range.end - range.start) / 1000).toFixed(3)}`);
+    }
+    segments[index].tags.push(`#EXT-X-DATERANGE:${attributes.join(',')}`);
+  }
+
+  return { ...playlist, segments };
+}
+
+// Serialize back to m3u8 text
+// options.type: 'EVENT' | 'VOD' | null, options.extraHeaderTags: string[]
+function serialize(playlist, options = {}) {
+  const targetDuration = playlist.targetDuration ||
+    Math.ceil(Math.max(1, ...playlist.segments.map(s => s.duration)));
+
+  const lines = ['#EXTM3U'];
+  lines.push(`#EXT-X-VERSION:${playlist.version || 3}`);
+  lines.push(`#EXT-X-TARGETDURATION:${targetDuration}`);
+  lines.push(`#EXT-X-MEDIA-SEQUENCE:${playlist.mediaSequence}`);
+  if (options.type) {
+    lines.push(`#EXT-X-PLAYLIST-TYPE:${options.type}`);
+  }
+  lines.push(...playlist.headerTags, ...(options.extraHeaderTags || []));
+
+  for (const segment of playlist.segments) {
+    lines.push(...segment.tags);
+    lines.push(`#EXTINF:${segment.duration.toFixed(6)},`);
+    lines.push(segment.uri);
+  }
+
+  if (playlist.endList) {
+    lines.push('#EXT-X-ENDLIST');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  parse,
+  trim,
+  dropMissing,
+  totalDuration,
+  segmentDates,
+  addDateRanges,
+  serialize,
+};
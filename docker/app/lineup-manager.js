@@ -0,0 +1,154 @@
+// Lineup Manager - user overlay on top of the channel lineup
+// The base lineup comes from the DirecTV EPG (or the static list in channels.js before
+// the first EPG fetch). The overlay, persisted to /data/lineup.json, can hide channels,
+// renumber, rename and regroup them, swap logos and set the playlist order.
+//
+// Overrides are keyed by the original DirecTV channel number, which both lineups share.
+// tvg-id and the /stream/ URL always come from the original channel, so renumbering
+// never breaks EPG mapping or tuning.
+
+const fs = require('fs');
+const path = require('path');
+
+const LINEUP_PATH = process.env.DVR_DATA_DIR
+  ? path.join(process.env.DVR_DATA_DIR, 'lineup.json')
+  : '/data/lineup.json';
+
+// Fields a channel override may set
+const OVERRIDE_FIELDS = ['enabled', 'number', 'name', 'group', 'logo'];
+
+class LineupManager {
+  constructor() {
+    this.overlay = { order: [], channels: {} };
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(LINEUP_PATH)) {
+        this.overlay = normalizeOverlay(JSON.parse(fs.readFileSync(LINEUP_PATH, 'utf8')));
+        console.log(`[lineup] Loaded ${Object.keys(this.overlay.channels).length} channel override(s)`);
+      }
+    } catch (err) {
+      console.warn('[lineup] Failed to load lineup.json:', err.message);
+    }
+  }
+
+  save() {
+    const dir = path.dirname(LINEUP_PATH);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(LINEUP_PATH, JSON.stringify(this.overlay, null, 2));
+  }
+
+  getOverlay() {
+    return this.overlay;
+  }
+
+  // Replace the whole overlay (the lineup editor saves everything at once)
+  setOverlay(overlay) {
+    this.overlay = normalizeOverlay(overlay);
+    this.save();
+    console.log(`[lineup] Saved ${Object.keys(this.overlay.channels).length} channel override(s)`);
+    return this.overlay;
+  }
+
+  // Merge a partial override into one channel; null/empty values fall back to the original
+  setChannel(key, patch) {
+    const merged = normalizeOverride({ ...this.overlay.channels[key], ...patch });
+    if (merged) {
+      this.overlay.channels[key] = merged;
+    } else {
+      delete this.overlay.channels[key];
+    }
+    this.save();
+    return merged || {};
+  }
+
+  resetChannel(key) {
+    delete this.overlay.channels[key];
+    this.overlay.order = this.overlay.order.filter(k => k !== key);
+    this.save();
+  }
+
+  reset() {
+    this.setOverlay({});
+  }
+
+  // Apply the overlay to base channels of the form
+  //   { key, tvgId, number, name, group, logo, streamId }
+  // Returns every channel with the overrides resolved plus `enabled`, `original` (the
+  // base values) and `overridden`, in playlist order. Pass { includeDisabled: false }
+  // to drop hidden channels.
+  apply(channels, { includeDisabled = true } = {}) {
+    const rank = new Map(this.overlay.order.map((key, i) => [key, i]));
+
+    const resolved = channels.map((ch, index) => {
+      const override = this.overlay.channels[ch.key] || {};
+      return {
+        ...ch,
+        number: override.number || ch.number,
+        name: override.name || ch.name,
+        group: override.group || ch.group,
+        logo: override.logo || ch.logo,
+        enabled: override.enabled !== false,
+        overridden: Object.keys(override).length > 0,
+        original: { number: ch.number, name: ch.name, group: ch.group, logo: ch.logo },
+        index,
+      };
+    });
+
+    // Explicitly ordered channels first, the rest keep the source order
+    resolved.sort((a, b) => {
+      const ra = rank.has(a.key) ? rank.get(a.key) : Infinity;
+      const rb = rank.has(b.key) ? rank.get(b.key) : Infinity;
+      return ra === rb ? a.index - b.index : ra - rb;
+    });
+
+    return resolved
+      .filter(ch => includeDisabled || ch.enabled)
+      .map(({ index, ...ch }) => ch);
+  }
+
+  // Enabled channels only, as they should appear in playlists
+  getVisible(channels) {
+    return this.apply(channels, { includeDisabled: false });
+  }
+}
+
+function normalizeOverlay(overlay) {
+  const channels = {};
+  for (const [key, override] of Object.entries(overlay?.channels || {})) {
+    const normalized = normalizeOverride(override);
+    if (normalized) channels[String(key)] = normalized;
+  }
+  return {
+    order: Array.isArray(overlay?.order) ? [...new Set(overlay.order.map(String))] : [],
+    channels,
+  };
+}
+
+// Drops unset fields; returns null when nothing is overridden
+function normalizeOverride(override) {
+  const result = {};
+  for (const field of OVERRIDE_FIELDS) {
+    const value = override?.[field];
+    if (field === 'enabled') {
+      if (value === false) result.enabled = false;
+    } else if (value !== undefined && value !== null && String(value).trim() !== '') {
+      result[field] = String(value).trim();
+    }
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+// M3U attribute values can't contain double quotes
+function m3uAttr(value) {
+  return String(value ?? '').replace(/"/g, "'");
+}
+
+const lineupManager = new LineupManager();
+
+module.exports = lineupManager;
+module.exports.m3uAttr = m3uAttr;
@@ -0,0 +1,243 @@
+// Base Live Source - Abstract class for sites a tuner can capture live channels from
+// A tuner owns the browser page, Xvfb display and FFmpeg; a live source only knows how
+// to drive the page: navigate, select a channel, wait for playback, maximize the player.
+// Tuner.tuneToChannel() calls the steps in that order and captures the screen after.
+
+// How long the player's audio menu gets to open after its button is clicked
+const AUDIO_MENU_DELAY = 500;
+
+// Spellings a track in this language may be labelled with: 'es' -> ['es', 'spanish', 'espanol']
+function languageNames(code) {
+  const names = new Set([code.toLowerCase()]);
+  for (const locale of ['en', code]) {
+    try {
+      const name = new Intl.DisplayNames([locale], { type: 'language' }).of(code);
+      names.add(name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase());
+    } catch (e) {
+      // Not a locale Intl knows
+    }
+  }
+  return [...names];
+}
+
+class BaseLiveSource {
+  constructor(config) {
+    this.id = config.id;
+    this.name = config.name;
+  }
+
+  // ========== Required Methods (must be overridden) ==========
+
+  /**
+   * Find one of this source's channels by stream ID or number
+   * @returns {Object|null} - channel with at least { number, name }
+   */
+  getChannel(channelId) {
+    throw new Error(`${this.id}: getChannel() must be implemented`);
+  }
+
+  /**
+   * Load the page the channel is picked from (or the channel itself)
+   * @param {Tuner} tuner - tuner whose page to drive (tuner.page, tuner.id)
+   */
+  async navigate(tuner, channel) {
+    throw new Error(`${this.id}: navigate() must be implemented`);
+  }
+
+  /**
+   * Pick the channel on the page
+   * @returns {Promise<{clicked: boolean, strategy?: string, ariaLabel?: string, offAir?: boolean}>}
+   *   offAir: the channel has nothing to play - the tuner serves a placeholder instead
+   */
+  async selectChannel(tuner, channel) {
+    throw new Error(`${this.id}: selectChannel() must be implemented`);
+  }
+
+  /**
+   * Make the player fill the window so the screen capture shows only the video
+   */
+  async maximize(tuner, channel) {
+    throw new Error(`${this.id}: maximize() must be implemented`);
+  }
+
+  // ========== Optional Methods (can be overridden) ==========
+
+  /**
+   * Base entries for the lineup overlay ({ key, tvgId, number, name, group, logo, streamId })
+   */
+  getLineupChannels() {
+    return [];
+  }
+
+  /**
+   * Start playback and wait for it
+   * @returns {Promise<boolean>} - false if the video never started (the tuner captures anyway)
+   */
+  async waitForPlayback(tuner, channel) {
+    return this.waitForVideoPlaying(tuner);
+  }
+
+  /**
+   * Turn on the player's closed captions (settings captions.enabled), before maximize()
+   * hides its controls. Best effort - caption-capture.js reads whatever the player shows.
+   */
+  async enableCaptions(tuner, channel) {}
+
+  /**
+   * Switch the player to an audio track in a language (ISO 639 code like 'es'), once
+   * playback has started. Tries the <video>'s audioTracks, then the player's audio menu.
+   * Other languages fall back to a track labelled SAP / Secondary.
+   * @returns {Promise<{method: string|null, available: string[], selected: string|null, matched: boolean}>}
+   *   method: 'audioTracks', 'menu' or null (no way to switch found); selected: the track playing now
+   */
+  async selectAudioLanguage(tuner, channel, language) {
+    const englishName = new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+    return tuner.page.evaluate(async ({ names, englishName, sapFallback, menuDelay }) => {
+      const words = text => ` ${String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+      const sameLanguage = (tag) => {
+        try {
+          return !!tag && new Intl.DisplayNames(['en'], { type: 'language' }).of(tag.split('-')[0]) === englishName;
+        } catch (e) {
+          return false;
+        }
+      };
+      const pick = (items, labelOf, languageOf = () => null) =>
+        items.find(item => names.some(name => words(labelOf(item)).includes(` ${name} `)) || sameLanguage(languageOf(item))) ||
+        (sapFallback ? items.find(item => / (sap|secondary) /.test(words(labelOf(item)))) : null) || null;
+
+      // Native audio tracks (HLS with alternate audio, or Chrome's AudioVideoTracks feature)
+      const video = document.querySelector('video');
+      const tracks = Array.from((video && video.audioTracks) || []);
+      if (tracks.length > 1) {
+        const track = pick(tracks, t => t.label, t => t.language);
+        if (track) tracks.forEach(t => { t.enabled = t === track; });
+        const current = tracks.find(t => t.enabled);
+        return {
+          method: 'audioTracks',
+          available: tracks.map(t => t.label || t.language),
+          selected: current ? current.label || current.language : null,
+          matched: !!track,
+        };
+      }
+
+      // The player's own audio / language menu
+      const opener = document.querySelector('[aria-label*="audio" i], [aria-label*="language" i], [aria-label*="sap" i], [title*="audio" i]');
+      if (!opener) {
+        return { method: null, available: [], selected: null, matched: false };
+      }
+      opener.click();
+      await new Promise(r => setTimeout(r, menuDelay));
+      const menuItems = () => Array.from(document.querySelectorAll('[role="menuitemradio"], [role="menuitem"], [role="option"], [role="radio"]'));
+      const items = menuItems().filter(el => el.getClientRects().length > 0 && el.textContent.trim());
+      const available = items.map(el => el.textContent.trim());
+      const item = pick(items, el => el.textContent);
+      if (item) {
+        item.click();
+        await new Promise(r => setTimeout(r, menuDelay));
+      }
+      // Players often re-render the menu on selection - find the checked entry again
+      const checked = menuItems().find(el => available.includes(el.textContent.trim()) &&
+        (el.getAttribute('aria-checked') === 'true' || el.getAttribute('aria-selected') === 'true'));
+      if (opener.getAttribute('aria-expanded') === 'true') opener.click();
+      return {
+        method: 'menu',
+        available,
+        selected: checked ? checked.textContent.trim() : item ? item.textContent.trim() : null,
+        matched: !!item,
+      };
+    }, { names: languageNames(language), englishName, sapFallback: englishName !== 'English', menuDelay: AUDIO_MENU_DELAY });
+  }
+
+  // ========== Helpers for subclasses ==========
+
+  // Wait for the first <video> on the page to be playing
+  async waitForVideoPlaying(tuner, maxWait = 15000) {
+    const checkInterval = 500;
+    let waited = 0;
+    let playAttempted = false;
+
+    while (waited < maxWait) {
+      try {
+        const videoState = await tuner.page.evaluate(() => {
+          const video = document.querySelector('video');
+          if (!video) return { found: false };
+          return {
+            found: true,
+            readyState: video.readyState,
+            paused: video.paused,
+            currentTime: video.currentTime,
+            duration: video.duration,
+            playing: !video.paused && video.readyState >= 3 && video.currentTime > 0,
+          };
+        });
+
+        if (videoState.playing) {
+          console.log(`[tuner-${tuner.id}] Video playing! (readyState: ${videoState.readyState}, currentTime: ${videoState.currentTime.toFixed(2)}s)`);
+          return true;
+        }
+
+        // If video is ready but paused, try to play it
+        if (videoState.found && videoState.readyState >= 3 && videoState.paused && !playAttempted) {
+          console.log(`[tuner-${tuner.id}] Video ready but paused, attempting to play...`);
+          playAttempted = true;
+          await tuner.page.evaluate(() => {
+            const video = document.querySelector('video');
+            if (video) {
+              video.muted = false;
+              video.play().catch(() => {});
+            }
+          });
+        }
+
+        if (videoState.found) {
+          // Consider video "playing" if readyState is 4 (enough data) even if paused
+          // because DirecTV might show paused but still be streaming
+          if (videoState.readyState >= 4) {
+            console.log(`[tuner-${tuner.id}] Video ready (readyState: ${videoState.readyState}), proceeding...`);
+            return true;
+          }
+          console.log(`[tuner-${tuner.id}] Video found but not ready yet (readyState: ${videoState.readyState}, paused: ${videoState.paused}, time: ${videoState.currentTime})`);
+        }
+      } catch (e) {
+        // Page might be navigating
+      }
+
+      await new Promise(r => setTimeout(r, checkInterval));
+      waited += checkInterval;
+    }
+
+    console.log(`[tuner-${tuner.id}] Video detection timed out after ${maxWait}ms`);
+    return false;
+  }
+
+  // Pin an element over the whole window with CSS, and unmute any video
+  async fillWindow(tuner, selector) {
+    await tuner.page.evaluate((selector) => {
+      const style = document.createElement('style');
+      style.textContent = `
+        ${selector} {
+          position: fixed !important;
+          top: 0 !important;
+          left: 0 !important;
+          width: 100vw !important;
+          height: 100vh !important;
+          z-index: 2147483647 !important;
+          object-fit: contain !important;
+          background: #000 !important;
+        }
+        html, body {
+          overflow: hidden !important;
+        }
+      `;
+      document.head.appendChild(style);
+
+      const video = document.querySelector('video');
+      if (video) {
+        video.muted = false;
+        video.volume = 1.0;
+      }
+    }, selector);
+  }
+}
+
+module.exports = BaseLiveSource;
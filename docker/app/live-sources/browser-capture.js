@@ -0,0 +1,116 @@
+// Browser Capture live source - any web player we can open in the tuner's Chrome
+// (a local news live stream, a security NVR's web UI, ...). Defined in settings.json
+// liveSources: one page per channel, an optional play button to click, and a way to
+// make the player fill the screen before FFmpeg captures it.
+
+const BaseLiveSource = require('./base-source');
+
+// How long to wait for the play button to appear
+const PLAY_BUTTON_TIMEOUT = 10000;
+
+// Pages without a <video> (MJPEG/canvas players) get this long to draw their first frame
+const NON_VIDEO_SETTLE = 3000;
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+class BrowserCaptureSource extends BaseLiveSource {
+  // options: a validated liveSources entry; index: its position, for a default ID
+  constructor(options, index = 0) {
+    const id = options.id || slugify(options.name) || `source${index + 1}`;
+    super({ id, name: options.name });
+    this.url = options.url;
+    this.group = options.group || 'Live';
+    this.logo = options.logo || '';
+    this.playSelector = options.playSelector || '';
+    this.fullscreen = options.fullscreen || 'video';
+    this.fullscreenSelector = options.fullscreenSelector || '';
+
+    // No channel list = the source page is the one channel
+    const channels = options.channels && options.channels.length > 0
+      ? options.channels
+      : [{ name: options.name, number: options.number }];
+
+    this.channels = channels.map((channel, i) => ({
+      id: channels.length === 1 ? id : `${id}-${slugify(channel.name) || i + 1}`,
+      number: channel.number || '',   // Filled in by the registry when empty
+      name: channel.name,
+      url: channel.url || this.url,
+      playSelector: channel.playSelector || this.playSelector,
+      source: id,
+    }));
+  }
+
+  // Capture channels are only found by their stream ID so they never shadow a DirecTV number
+  getChannel(channelId) {
+    return this.channels.find(channel => channel.id === String(channelId)) || null;
+  }
+
+  getLineupChannels() {
+    return this.channels.map(channel => ({
+      key: channel.id,
+      tvgId: channel.id,
+      number: String(channel.number),
+      name: channel.name,
+      group: this.group,
+      logo: this.logo,
+      streamId: channel.id,
+    }));
+  }
+
+  async navigate(tuner, channel) {
+    console.log(`[tuner-${tuner.id}] Opening ${channel.url}...`);
+    await tuner.page.goto(channel.url, {
+      waitUntil: 'domcontentloaded',
+      timeout: 30000,
+    });
+  }
+
+  // The page is the channel
+  async selectChannel(tuner, channel) {
+    return { clicked: true, strategy: 'url' };
+  }
+
+  async waitForPlayback(tuner, channel) {
+    if (channel.playSelector) {
+      try {
+        await tuner.page.click(channel.playSelector, { timeout: PLAY_BUTTON_TIMEOUT });
+        console.log(`[tuner-${tuner.id}] Clicked play button ${channel.playSelector}`);
+      } catch (e) {
+        console.log(`[tuner-${tuner.id}] Play button ${channel.playSelector} not found: ${e.message.split('\n')[0]}`);
+      }
+    }
+
+    // Filling the screen with some other element means there's no <video> to wait for
+    if (this.fullscreen === 'element') {
+      await new Promise(r => setTimeout(r, NON_VIDEO_SETTLE));
+      return true;
+    }
+    return this.waitForVideoPlaying(tuner);
+  }
+
+  async maximize(tuner, channel) {
+    try {
+      switch (this.fullscreen) {
+        case 'video':
+          await this.fillWindow(tuner, 'video');
+          break;
+        case 'element':
+          await this.fillWindow(tuner, this.fullscreenSelector || 'video');
+          break;
+        case 'button':
+          // The player's own fullscreen button (the Fullscreen API works in kiosk Chrome)
+          await tuner.page.click(this.fullscreenSelector, { timeout: 3000, force: true });
+          break;
+        default:
+          return;
+      }
+      console.log(`[tuner-${tuner.id}] Player maximized (${this.fullscreen})`);
+    } catch (e) {
+      console.log(`[tuner-${tuner.id}] Maximize error: ${e.message.split('\n')[0]}`);
+    }
+  }
+}
+
+module.exports = BrowserCaptureSource;
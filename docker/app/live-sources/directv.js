@@ -0,0 +1,695 @@
+// DirecTV Stream live source - the guide at stream.directv.com (or the simulator page
+// when DVR_SIMULATE=true). Channels come from the EPG, or channels.js before the first fetch.
+
+const config = require('../config');
+const { getChannel, getLineupChannels } = require('../channels');
+const directvEpg = require('../directv-epg');
+const tuningCache = require('../tuning-cache');
+const BaseLiveSource = require('./base-source');
+
+class DirectvSource extends BaseLiveSource {
+  constructor() {
+    super({ id: 'directv', name: 'DirecTV Stream' });
+  }
+
+  // Prioritize EPG data (dynamic, up-to-date channel names) over static channels.js
+  getChannel(channelId) {
+    return directvEpg.getChannelByNumber(channelId) || getChannel(channelId) || null;
+  }
+
+  // The EPG channel list, or channels.js before the first EPG fetch
+  getLineupChannels() {
+    const epgChannels = directvEpg.getLineupChannels();
+    return epgChannels.length > 0 ? epgChannels : getLineupChannels();
+  }
+
+  // Guide page - channels are picked from it in selectChannel()
+  async navigate(tuner, channel) {
+    const guideUrl = `${config.siteUrl}/guide`;
+    const currentUrl = tuner.page.url();
+
+    // Only navigate if not already on DirecTV
+    if (!config.isSiteUrl(currentUrl)) {
+      console.log(`[tuner-${tuner.id}] Navigating to DirecTV guide...`);
+      await tuner.page.goto(guideUrl, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000,
+      });
+      // Wait for guide grid to appear instead of fixed timeout
+      await this.waitForGuideReady(tuner);
+    } else if (!currentUrl.includes('/guide')) {
+      // On DirecTV but not on guide - navigate to guide
+      console.log(`[tuner-${tuner.id}] Navigating to guide page...`);
+      await tuner.page.goto(guideUrl, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000,
+      });
+      await this.waitForGuideReady(tuner);
+    } else {
+      console.log(`[tuner-${tuner.id}] Already on guide page`);
+      // Brief wait for any overlays to clear
+      await new Promise(r => setTimeout(r, 500));
+    }
+  }
+
+  // Click the channel in the guide (scrolling, then search as fallbacks)
+  async selectChannel(tuner, channel) {
+    console.log(`[tuner-${tuner.id}] Searching for channel ${channel.name} (${channel.number})...`);
+
+    // DirecTV guide uses aria-label like "view A3 New York 02 WCBS CBS"
+    // Format: "view [number] [location] [callsign] [name]"
+    // We'll search for the channel name or number in the aria-label using case-insensitive JS matching
+
+    // Use JavaScript evaluation for case-insensitive, flexible matching
+    // Strategy order comes from the tuning cache: the aria-label learned on a previous
+    // tune first, then searchTerms, padded number, number, exact name, first word -
+    // with strategies that keep failing for this channel moved to the back
+    const learnedLabel = tuningCache.getLearnedLabel(tuner.currentChannel);
+    const strategyOrder = tuningCache.getStrategyOrder(tuner.currentChannel);
+    let clicked = await tuner.page.evaluate((channelInfo) => {
+      const { name, number, searchTerms, order, learnedLabel } = channelInfo;
+      const allLinks = Array.from(document.querySelectorAll('[role="link"]'));
+
+      // Filter to only channel links
+      const channelLinks = allLinks.filter(link => {
+        const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
+        return ariaLabel.startsWith('view');
+      });
+
+      const activate = (link, strategy, method) => {
+        link.scrollIntoView({ behavior: 'instant', block: 'center' });
+        link.focus();
+        link.click();
+        link.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
+        return { clicked: true, strategy, method, ariaLabel: link.getAttribute('aria-label') };
+      };
+
+      const strategies = {
+        // Exact aria-label that worked last time
+        learned: () => {
+          const link = channelLinks.find(l => l.getAttribute('aria-label') === learnedLabel);
+          return link ? activate(link, 'learned', `learned label "${learnedLabel}"`) : null;
+        },
+
+        // Most specific for channels with alternative names
+        searchTerm: () => {
+          for (const term of searchTerms || []) {
+            const termLower = term.toLowerCase();
+            for (const link of channelLinks) {
+              const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
+              if (ariaLabel.includes(termLower)) {
+                return activate(link, 'searchTerm', `searchTerm "${termLower}" in "${ariaLabel}"`);
+              }
+            }
+          }
+          return null;
+        },
+
+        // Channel number with leading zero (for local channels like 02, 05)
+        paddedNumber: () => {
+          if (!number) return null;
+          const paddedNumber = number.padStart(2, '0');
+          const paddedPattern = ` ${paddedNumber} `;
+          for (const link of channelLinks) {
+            const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
+            if (ariaLabel.includes(paddedPattern)) {
+              return activate(link, 'paddedNumber', `padded channel number ${paddedNumber} in "${ariaLabel}"`);
+            }
+          }
+          return null;
+        },
+
+        // Non-padded number, but only if > 2 digits (to avoid matching "SHOWTIME 2")
+        number: () => {
+          if (!number || !(number.length >= 3 || parseInt(number) >= 100)) return null;
+          const numberPattern = ` ${number} `;
+          for (const link of channelLinks) {
+            const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
+            if (ariaLabel.includes(numberPattern)) {
+              return activate(link, 'number', `channel number ${number} in "${ariaLabel}"`);
+            }
+          }
+          return null;
+        },
+
+        // Exact name - check if aria-label ends with the name
+        // or has the name as a word (not substring of another word)
+        exactName: () => {
+          const exactName = name.toLowerCase();
+          for (const link of channelLinks) {
+            const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
+            if (ariaLabel.endsWith(exactName) || ariaLabel.includes(' ' + exactName + ' ') || ariaLabel.includes(' ' + exactName)) {
+              return activate(link, 'exactName', `exact name "${exactName}" in "${ariaLabel}"`);
+            }
+          }
+          return null;
+        },
+
+        // Last resort: first word of name
+        // But ONLY if first word is unique enough (3+ chars and not common)
+        firstWord: () => {
+          const firstWord = name.split(' ')[0].toLowerCase();
+          const commonWords = ['the', 'fox', 'nbc', 'cbs', 'abc', 'cnn', 'hbo', 'tbs', 'tnt', 'usa', 'amc', 'bet'];  // Skip common network prefixes
+          if (firstWord.length < 3 || commonWords.includes(firstWord)) return null;
+          for (const link of channelLinks) {
+            const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
+            if (ariaLabel.includes(firstWord)) {
+              return activate(link, 'firstWord', `first word "${firstWord}" in "${ariaLabel}"`);
+            }
+          }
+          return null;
+        },
+      };
+
+      for (const key of (learnedLabel ? ['learned'] : []).concat(order)) {
+        const result = strategies[key] ? strategies[key]() : null;
+        if (result) return result;
+      }
+
+      return { clicked: false };
+    }, { name: channel.name, number: channel.number, searchTerms: channel.searchTerms || [], order: strategyOrder, learnedLabel });
+
+    if (clicked.clicked) {
+      console.log(`[tuner-${tuner.id}] Found channel: ${clicked.method}`);
+    } else {
+      // Try scrolling down the guide to find the channel
+      console.log(`[tuner-${tuner.id}] Channel not visible, trying to scroll...`);
+
+      // Scroll down the page a few times looking for the channel
+      for (let i = 0; i < 15; i++) {
+        await tuner.page.keyboard.press('PageDown');
+        await new Promise(r => setTimeout(r, 400));
+
+        const found = await tuner.page.evaluate((channelInfo) => {
+          const { name, number, searchTerms } = channelInfo;
+          const allLinks = Array.from(document.querySelectorAll('[role="link"]'));
+          const channelLinks = allLinks.filter(link => {
+            const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
+            return ariaLabel.startsWith('view');
+          });
+
+          // Priority 1: Channel number
+          if (number) {
+            const numberPattern = ` ${number} `;
+            for (const link of channelLinks) {
+              const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
+              if (ariaLabel.includes(numberPattern)) {
+                link.scrollIntoView({ behavior: 'instant', block: 'center' });
+                link.focus();
+                link.click();
+                link.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
+                return { clicked: true, strategy: 'scroll', method: `scroll: channel ${number}`, ariaLabel: link.getAttribute('aria-label') };
+              }
+            }
+          }
+
+          // Priority 2: Exact name - check if aria-label ends with name or has it as a whole word
+          const exactName = name.toLowerCase();
+          for (const link of channelLinks) {
+            const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
+            if (ariaLabel.endsWith(exactName) || ariaLabel.includes(' ' + exactName + ' ') || ariaLabel.includes(' ' + exactName)) {
+              link.scrollIntoView({ behavior: 'instant', block: 'center' });
+              link.focus();
+              link.click();
+              link.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
+              return { clicked: true, strategy: 'scroll', method: `scroll: exact name "${exactName}"`, ariaLabel: link.getAttribute('aria-label') };
+            }
+          }
+
+          // Priority 3: searchTerms
+          if (searchTerms && searchTerms.length > 0) {
+            for (const term of searchTerms) {
+              const termLower = term.toLowerCase();
+              for (const link of channelLinks) {
+                const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
+                if (ariaLabel.includes(termLower)) {
+                  link.scrollIntoView({ behavior: 'instant', block: 'center' });
+                  link.focus();
+                  link.click();
+                  link.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
+                  return { clicked: true, strategy: 'scroll', method: `scroll: searchTerm "${termLower}"`, ariaLabel: link.getAttribute('aria-label') };
+                }
+              }
+            }
+          }
+
+          return { clicked: false };
+        }, { name: channel.name, number: channel.number, searchTerms: channel.searchTerms || [] });
+
+        if (found.clicked) {
+          console.log(`[tuner-${tuner.id}] Found channel after scrolling: ${found.method}`);
+          clicked = found;
+          break;
+        }
+      }
+    }
+
+    if (!clicked.clicked) {
+      console.log(`[tuner-${tuner.id}] Could not find channel ${channel.name} in guide, trying search...`);
+
+      // Fallback: Use search box to find channel
+      clicked = await this.searchAndTuneChannel(tuner, channel);
+      if (clicked.clicked) clicked.strategy = 'search';
+    }
+
+    // Check for "No upcoming airings" modal before looking for play button
+    if (await this.checkNoUpcomingAirings(tuner)) {
+      // Close the modal so the next tune starts from the guide
+      await this.closeNoAiringsModal(tuner);
+      return { ...clicked, offAir: true };
+    }
+    return clicked;
+  }
+
+  // Play button in the channel modal, then the video element
+  async waitForPlayback(tuner, channel) {
+    // Wait for play button to appear and click it (smart wait instead of fixed delay)
+    console.log(`[tuner-${tuner.id}] Looking for play button...`);
+    const playClicked = await this.waitForAndClickPlayButton(tuner);
+
+    if (playClicked) {
+      console.log(`[tuner-${tuner.id}] Play button clicked!`);
+    } else {
+      console.log(`[tuner-${tuner.id}] Could not find play button`);
+    }
+
+    return this.waitForVideoPlaying(tuner);
+  }
+
+  async waitForAndClickPlayButton(tuner) {
+    const maxWait = 8000;  // 8 seconds max for play button to appear
+    const checkInterval = 300;
+    let waited = 0;
+
+    while (waited < maxWait) {
+      try {
+        // Try to find and click play button in the channel info modal
+        const result = await tuner.page.evaluate(() => {
+          // Method 1: Look for the play button in the "On Now" section of the modal
+          // The play button is typically a circular button with play icon next to show info
+
+          // Find buttons/divs with role="button" that might be play buttons
+          const buttons = document.querySelectorAll('[role="button"]');
+          for (const btn of buttons) {
+            const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
+            // Look for play-related aria labels
+            if (ariaLabel.includes('play') || ariaLabel.includes('watch') || ariaLabel.includes('tune')) {
+              btn.click();
+              return { clicked: true, method: 'aria-label: ' + ariaLabel };
+            }
+          }
+
+          // Method 2: Look for SVG play icon (triangle in circle)
+          const svgs = document.querySelectorAll('svg');
+          for (const svg of svgs) {
+            const parent = svg.closest('[role="button"], button, [onclick], [class*="play"]');
+            if (parent) {
+              // Check if this SVG might be a play icon (has path elements typical of play)
+              const paths = svg.querySelectorAll('path, polygon');
+              if (paths.length > 0) {
+                const svgHtml = svg.outerHTML.toLowerCase();
+                if (svgHtml.includes('play') || svgHtml.includes('polygon')) {
+                  parent.click();
+                  return { clicked: true, method: 'svg-play-icon' };
+                }
+              }
+            }
+          }
+
+          // Method 3: Look for the "On Now" row which typically has the play button
+          // Find elements containing "On Now" text
+          const onNowElements = Array.from(document.querySelectorAll('*')).filter(el =>
+            el.textContent && el.textContent.trim() === 'On Now'
+          );
+          for (const onNow of onNowElements) {
+            // Look for clickable elements near "On Now"
+            const parent = onNow.closest('[class*="row"], [class*="item"], div');
+            if (parent) {
+              const clickable = parent.querySelector('[role="button"], button, [class*="play"]');
+              if (clickable) {
+                clickable.click();
+                return { clicked: true, method: 'on-now-row' };
+              }
+            }
+          }
+
+          // Method 4: Click on the first program row in the modal (contains play button)
+          const modal = document.querySelector('[class*="modal"], [class*="dialog"], [class*="panel"], [role="dialog"]');
+          if (modal) {
+            // Look for the first clickable program entry
+            const programRows = modal.querySelectorAll('[role="button"], [role="link"]');
+            for (const row of programRows) {
+              const text = row.textContent || '';
+              // Skip if it's an X/close button
+              if (text.includes('×') || text.length < 3) continue;
+              // Click on program rows that have time info (like "5:00 - 6:00p")
+              if (text.match(/\d+:\d+/) || text.includes('On Now')) {
+                row.click();
+                return { clicked: true, method: 'program-row' };
+              }
+            }
+          }
+
+          // Method 5: Old fallback - look for mt_play in style
+          const allDivs = document.querySelectorAll('div');
+          for (const div of allDivs) {
+            const style = div.getAttribute('style') || '';
+            if (style.includes('mt_play') || style.includes('play_stroke')) {
+              div.click();
+              return { clicked: true, method: 'mt_play-style' };
+            }
+          }
+
+          // Method 6: Click on "What's Playing Now" program cell in the guide
+          // These cells have aria-label like "Movie | 2017, 187 of 5" and clicking opens player directly
+          const programCells = document.querySelectorAll('[aria-label*=" of "]');
+          for (const cell of programCells) {
+            const ariaLabel = cell.getAttribute('aria-label') || '';
+            // Look for program cells (contain " of " which indicates position in guide)
+            // and have content like "Movie | 2017" or show info
+            if (ariaLabel.match(/\d+ of \d+/)) {
+              cell.click();
+              return { clicked: true, method: 'program-cell: ' + ariaLabel.substring(0, 50) };
+            }
+          }
+
+          // Method 7: Click on first clickable program element in the currently selected channel row
+          // Look for elements with height: 80px which are the program cells
+          const programElements = document.querySelectorAll('div[style*="height: 80px"]');
+          for (const el of programElements) {
+            // Check if this element is clickable and has program content
+            const hasContent = el.querySelector('[class*="css-901oao"]');
+            if (hasContent && el.closest('[class*="r-1loqt21"]')) {
+              el.click();
+              return { clicked: true, method: 'program-element-80px' };
+            }
+          }
+
+          return { clicked: false };
+        });
+
+        if (result.clicked) {
+          console.log(`[tuner-${tuner.id}] Play button found and clicked after ${waited}ms (method: ${result.method})`);
+          return true;
+        }
+      } catch (e) {
+        console.log(`[tuner-${tuner.id}] Play button search error: ${e.message}`);
+      }
+
+      await new Promise(r => setTimeout(r, checkInterval));
+      waited += checkInterval;
+    }
+
+    console.log(`[tuner-${tuner.id}] Play button not found after ${maxWait}ms`);
+    return false;
+  }
+
+  async waitForGuideReady(tuner) {
+    const maxWait = 10000;  // 10 seconds max
+    const checkInterval = 300;
+    let waited = 0;
+
+    console.log(`[tuner-${tuner.id}] Waiting for guide grid to load...`);
+
+    while (waited < maxWait) {
+      try {
+        // Check if any channel links are visible in the guide
+        const hasChannels = await tuner.page.evaluate(() => {
+          const links = document.querySelectorAll('[role="link"][aria-label*="view"]');
+          return links.length > 0;
+        });
+
+        if (hasChannels) {
+          console.log(`[tuner-${tuner.id}] Guide ready after ${waited}ms`);
+          return true;
+        }
+      } catch (e) {
+        // Page might still be loading
+      }
+
+      await new Promise(r => setTimeout(r, checkInterval));
+      waited += checkInterval;
+    }
+
+    console.log(`[tuner-${tuner.id}] Guide wait timed out after ${maxWait}ms, proceeding anyway`);
+    return false;
+  }
+
+  async searchAndTuneChannel(tuner, channel) {
+    console.log(`[tuner-${tuner.id}] Using search to find channel ${channel.name}...`);
+
+    try {
+      // Find and click the search input box
+      const searchBoxFound = await tuner.page.evaluate(() => {
+        const searchInput = document.querySelector('input[placeholder*="TV Shows"], input[placeholder*="Keywords"], input[enterkeyhint="search"]');
+        if (searchInput) {
+          searchInput.click();
+          searchInput.focus();
+          return true;
+        }
+        return false;
+      });
+
+      if (!searchBoxFound) {
+        console.log(`[tuner-${tuner.id}] Search box not found`);
+        return { clicked: false };
+      }
+
+      // Clear any existing text and type the channel name
+      await tuner.page.keyboard.press('Control+a');
+      await new Promise(r => setTimeout(r, 100));
+
+      // Use a simpler search term - just the key word from channel name
+      const searchTerm = channel.name.split(' ')[0];  // e.g., "Cinemax" from "Cinemax Hits HD"
+      console.log(`[tuner-${tuner.id}] Typing search term: ${searchTerm}`);
+      await tuner.page.keyboard.type(searchTerm, { delay: 50 });
+
+      // Press Enter to search
+      await tuner.page.keyboard.press('Enter');
+
+      // Wait for search results
+      await new Promise(r => setTimeout(r, 2000));
+
+      // Try to click "View All" to see all results
+      const viewAllClicked = await tuner.page.evaluate(() => {
+        const viewAllLinks = Array.from(document.querySelectorAll('*')).filter(el =>
+          el.textContent && el.textContent.trim() === 'View All'
+        );
+        for (const link of viewAllLinks) {
+          const clickable = link.closest('[role="button"], [role="link"], a') || link;
+          clickable.click();
+          return true;
+        }
+        return false;
+      });
+
+      if (viewAllClicked) {
+        console.log(`[tuner-${tuner.id}] Clicked View All, waiting for search results page...`);
+        await new Promise(r => setTimeout(r, 2000));
+      }
+
+      // Now find and click the channel card with the matching name
+      const channelClicked = await tuner.page.evaluate((channelName) => {
+        const channelLower = channelName.toLowerCase();
+
+        // Find all channel cards - they have the channel name and "Tune to Channel" text
+        const allElements = document.querySelectorAll('*');
+
+        for (const el of allElements) {
+          const text = (el.textContent || '').toLowerCase();
+
+          // Check if this element contains our channel name AND "tune to channel"
+          if (text.includes(channelLower) ||
+              (channelLower.includes('hits') && text.includes('hits hd')) ||
+              (channelLower.includes('cinemax') && text.includes(channelLower.replace(' ', '')))) {
+
+            // Look for a clickable card container
+            const card = el.closest('[class*="r-1loqt21"], [role="button"], [role="link"]');
+            if (card && card.textContent.toLowerCase().includes('tune to channel')) {
+              // Try to find the play button (SVG with play icon) or click the card
+              const playBtn = card.querySelector('svg, [class*="play"]');
+              if (playBtn) {
+                const playContainer = playBtn.closest('[role="button"]') || playBtn.parentElement;
+                playContainer.click();
+                return { clicked: true, method: `search: play button on "${channelName}"` };
+              }
+              card.click();
+              return { clicked: true, method: `search: card for "${channelName}"` };
+            }
+          }
+        }
+
+        // Alternative: Look specifically for channel name header with Tune to Channel
+        const headers = document.querySelectorAll('div');
+        for (const header of headers) {
+          const headerText = header.textContent || '';
+          if (headerText.includes(channelName) ||
+              (channelName.includes('Hits') && headerText.includes('Hits HD'))) {
+            // Found channel name, look for nearby Tune to Channel
+            const parent = header.closest('div[class*="r-"]');
+            if (parent) {
+              const tuneText = parent.querySelector('*');
+              if (parent.textContent.includes('Tune to Channel')) {
+                parent.click();
+                return { clicked: true, method: `search: header card "${channelName}"` };
+              }
+            }
+          }
+        }
+
+        return { clicked: false };
+      }, channel.name);
+
+      if (channelClicked.clicked) {
+        console.log(`[tuner-${tuner.id}] ${channelClicked.method}`);
+      } else {
+        console.log(`[tuner-${tuner.id}] Could not find channel in search results`);
+      }
+
+      return channelClicked;
+    } catch (err) {
+      console.log(`[tuner-${tuner.id}] Search failed: ${err.message}`);
+      return { clicked: false };
+    }
+  }
+
+  async checkNoUpcomingAirings(tuner) {
+    // Wait a moment for the modal to fully load
+    await new Promise(r => setTimeout(r, 1000));
+
+    try {
+      const hasNoAirings = await tuner.page.evaluate(() => {
+        // Look for "No upcoming airings" text in the page
+        const bodyText = document.body.innerText || '';
+        return bodyText.includes('No upcoming airings');
+      });
+      return hasNoAirings;
+    } catch (e) {
+      console.log(`[tuner-${tuner.id}] Error checking for no airings: ${e.message}`);
+      return false;
+    }
+  }
+
+  async closeNoAiringsModal(tuner) {
+    try {
+      // Try to close the modal by clicking the X button or pressing Escape
+      await tuner.page.evaluate(() => {
+        // Look for close button (X)
+        const closeButtons = document.querySelectorAll('[aria-label="close"], [aria-label="Close"], button');
+        for (const btn of closeButtons) {
+          const text = btn.textContent || '';
+          const ariaLabel = btn.getAttribute('aria-label') || '';
+          if (text === '×' || text === 'X' || ariaLabel.toLowerCase().includes('close')) {
+            btn.click();
+            return true;
+          }
+        }
+        return false;
+      });
+
+      // Also try pressing Escape
+      await tuner.page.keyboard.press('Escape');
+      await new Promise(r => setTimeout(r, 500));
+    } catch (e) {
+      console.log(`[tuner-${tuner.id}] Error closing modal: ${e.message}`);
+    }
+  }
+
+  // Press the player's CC button unless it's already on
+  async enableCaptions(tuner) {
+    try {
+      const ccBtn = await tuner.page.$('[aria-label="closed captions"], [aria-label*="caption" i], [aria-label*="subtitle" i]');
+      if (!ccBtn) {
+        console.log(`[tuner-${tuner.id}] No closed captions button found`);
+        return;
+      }
+      const pressed = await ccBtn.evaluate(el => el.getAttribute('aria-pressed') === 'true' || el.getAttribute('aria-checked') === 'true');
+      if (!pressed) {
+        console.log(`[tuner-${tuner.id}] Turning on closed captions...`);
+        await ccBtn.click({ timeout: 3000, force: true });
+      }
+    } catch (e) {
+      console.log(`[tuner-${tuner.id}] Could not turn on captions: ${e.message.split('\n')[0]}`);
+    }
+  }
+
+  async maximize(tuner) {
+    try {
+      console.log(`[tuner-${tuner.id}] Maximizing video and unmuting...`);
+
+      // First, unmute the video by clicking the volume button if muted
+      try {
+        const unmuteBtn = await tuner.page.$('[aria-label="unmute"]');
+        if (unmuteBtn) {
+          console.log(`[tuner-${tuner.id}] Found unmute button, clicking...`);
+          await unmuteBtn.click();
+          await new Promise(r => setTimeout(r, 500));
+        }
+      } catch (e) {
+        console.log(`[tuner-${tuner.id}] Could not unmute: ${e.message}`);
+      }
+
+      // Click the fullscreen button on the DirecTV player
+      // Use short timeout and force to avoid long retries
+      try {
+        const fullscreenBtn = await tuner.page.$('[aria-label="full screen"]');
+        if (fullscreenBtn) {
+          console.log(`[tuner-${tuner.id}] Found fullscreen button, clicking...`);
+          await fullscreenBtn.click({ timeout: 3000, force: true });
+          await new Promise(r => setTimeout(r, 500));
+        } else {
+          // Try alternate selector
+          const resizeBtn = await tuner.page.$('.player-button__resize');
+          if (resizeBtn) {
+            console.log(`[tuner-${tuner.id}] Found resize button, clicking...`);
+            await resizeBtn.click({ timeout: 3000, force: true });
+            await new Promise(r => setTimeout(r, 500));
+          }
+        }
+      } catch (e) {
+        // Fullscreen click failed - not critical, CSS injection will handle it
+        console.log(`[tuner-${tuner.id}] Fullscreen click skipped (video CSS will handle it)`);
+      }
+
+      // Hide the controls overlay and any browser chrome via CSS injection
+      await tuner.page.evaluate(() => {
+        // Hide the DirecTV player controls
+        const style = document.createElement('style');
+        style.textContent = `
+          .controls__top, .controls__bottom, .controls__center,
+          .controls__go-previous, .content-info, .video-player-seekbar__wrapper,
+          [class*="controls"] {
+            opacity: 0 !important;
+            pointer-events: none !important;
+          }
+          video {
+            position: fixed !important;
+            top: 0 !important;
+            left: 0 !important;
+            width: 100vw !important;
+            height: 100vh !important;
+            z-index: 9999 !important;
+            object-fit: contain !important;
+          }
+        `;
+        document.head.appendChild(style);
+
+        // Also try to unmute via the video element directly
+        const video = document.querySelector('video');
+        if (video) {
+          video.muted = false;
+          video.volume = 1.0;
+        }
+      });
+
+      // Press F11 for browser fullscreen (works in kiosk mode)
+      await tuner.page.keyboard.press('F11');
+
+      console.log(`[tuner-${tuner.id}] Video maximized`);
+    } catch (e) {
+      console.log(`[tuner-${tuner.id}] Maximize error: ${e.message}`);
+    }
+  }
+}
+
+module.exports = DirectvSource;
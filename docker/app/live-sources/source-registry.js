@@ -0,0 +1,95 @@
+// Live Source Registry - which site each live channel is tuned on
+// DirecTV is always registered; browser capture sources come from settings.json
+// liveSources and are rebuilt whenever that setting changes. The lineup also lists the
+// passthrough channels (passthrough.js), which are streamed without a tuner.
+
+const effectiveConfig = require('../effective-config');
+const DirectvSource = require('./directv');
+const BrowserCaptureSource = require('./browser-capture');
+const passthrough = require('../passthrough');
+
+// Capture channels without a number are numbered from here, in settings order
+const FIRST_CAPTURE_NUMBER = 9001;
+
+class SourceRegistry {
+  constructor() {
+    this.directv = new DirectvSource();
+    this.captureSources = [];
+    this.captureConfig = null;   // JSON of the liveSources the capture sources were built from
+  }
+
+  // Browser capture sources for the current settings
+  getCaptureSources() {
+    const options = effectiveConfig.get('liveSources') || [];
+    const json = JSON.stringify(options);
+    if (json !== this.captureConfig) {
+      this.captureSources = options
+        .map((entry, index) => ({ entry, index }))
+        .filter(({ entry }) => entry.enabled !== false && entry.url)
+        .map(({ entry, index }) => new BrowserCaptureSource(entry, index));
+      this.captureConfig = json;
+
+      const channels = this.captureSources.flatMap(source => source.channels);
+      const used = new Set(channels.map(channel => channel.number).filter(Boolean));
+      let nextNumber = FIRST_CAPTURE_NUMBER;
+      for (const channel of channels.filter(ch => !ch.number)) {
+        while (used.has(String(nextNumber))) nextNumber++;
+        channel.number = String(nextNumber++);
+      }
+      if (this.captureSources.length > 0) {
+        console.log(`[sources] ${this.captureSources.length} browser capture source(s): ${this.captureSources.map(s => s.id).join(', ')}`);
+      }
+    }
+    return this.captureSources;
+  }
+
+  // Capture sources first - their channels are matched by stream ID only
+  getAll() {
+    return [...this.getCaptureSources(), this.directv];
+  }
+
+  get(sourceId) {
+    return this.getAll().find(source => source.id === sourceId) || null;
+  }
+
+  // { source, channel } for a channel ID from a stream or tune request, or null
+  resolve(channelId) {
+    for (const source of this.getAll()) {
+      const channel = source.getChannel(channelId);
+      if (channel) return { source, channel };
+    }
+    return null;
+  }
+
+  getChannel(channelId) {
+    const resolved = this.resolve(channelId);
+    return resolved ? resolved.channel : null;
+  }
+
+  // Base lineup for the overlay: DirecTV, then the channels added in settings
+  getLineupChannels() {
+    return [...this.directv.getLineupChannels(), ...this.getAddedLineupChannels()];
+  }
+
+  // Capture channels, then passthrough channels
+  getAddedLineupChannels() {
+    return [
+      ...this.getCaptureSources().flatMap(source => source.getLineupChannels()),
+      ...passthrough.getLineupChannels(),
+    ];
+  }
+
+  // Sources for API responses
+  getSourceInfo() {
+    return [this.directv, ...this.getCaptureSources()].map(source => ({
+      id: source.id,
+      name: source.name,
+      type: source === this.directv ? 'directv' : 'browser-capture',
+      channels: source === this.directv
+        ? source.getLineupChannels().length
+        : source.channels.map(({ id, number, name, url }) => ({ id, number, name, url })),
+    }));
+  }
+}
+
+module.exports = new SourceRegistry();
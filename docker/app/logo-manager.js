@@ -0,0 +1,327 @@
+// Logo Manager - local channel logos served from /logos/:channelId.png
+// Remote logos (the DirecTV image server, or a URL set in the lineup editor) are
+// downloaded at EPG refresh, so playlists keep working when those URLs rotate and
+// clients that can't reach the internet still get logos. Channels without a logo get
+// a generated text logo, and an uploaded image replaces either.
+//
+// Files in /data/logos, named by the channel's stream id:
+//   <id>.png            downloaded logo (converted to PNG if needed)
+//   <id>.upload.png     user upload
+//   <id>.generated.png  text fallback
+// index.json records where each download came from.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const LOGO_DIR = process.env.DVR_DATA_DIR
+  ? path.join(process.env.DVR_DATA_DIR, 'logos')
+  : '/data/logos';
+const INDEX_PATH = path.join(LOGO_DIR, 'index.json');
+
+// Re-download logos older than this even if the URL hasn't changed
+const LOGO_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+// Don't retry a failed download on every request
+const RETRY_DELAY = 60 * 60 * 1000;
+const DOWNLOAD_TIMEOUT = 10000;
+const MAX_LOGO_BYTES = 5 * 1024 * 1024;
+
+// Fallback logo
+const FALLBACK_SIZE = { width: 400, height: 300 };
+const FALLBACK_BACKGROUND = '0x252540';
+const FONT_FILE = '/usr/share/fonts/truetype/liberation/LiberationSans-Bold.ttf';
+
+class LogoManager {
+  constructor() {
+    this.index = {};
+    this.pending = new Map();
+    this.refreshing = false;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(INDEX_PATH)) {
+        this.index = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+        console.log(`[logos] Loaded ${Object.keys(this.index).length} cached logo(s)`);
+      }
+    } catch (err) {
+      console.warn('[logos] Failed to load logo index:', err.message);
+    }
+  }
+
+  save() {
+    ensureDir();
+    fs.writeFileSync(INDEX_PATH, JSON.stringify(this.index, null, 2));
+  }
+
+  // Path to serve for a lineup channel ({ streamId, name, logo }): upload, then the
+  // downloaded logo, then the text fallback. Downloads on the spot if nothing is cached
+  // or the logo URL changed since the last download.
+  async getLogoPath(channel) {
+    const id = String(channel.streamId);
+    const upload = this.getUploadPath(id);
+    if (fs.existsSync(upload)) {
+      return upload;
+    }
+
+    const cached = this.getCachedPath(id);
+    const entry = this.index[id];
+    const url = remoteUrl(channel.logo);
+    const stale = !fs.existsSync(cached) || entry?.source !== url;
+    if (url && stale && !(entry?.failedAt && Date.now() - entry.failedAt < RETRY_DELAY)) {
+      await this.download(id, url).catch(() => {});
+    }
+    if (fs.existsSync(cached)) {
+      return cached;
+    }
+
+    return this.generateFallback(id, channel.name || id);
+  }
+
+  // Download logos for a whole lineup (called after each EPG refresh)
+  async refresh(channels) {
+    if (this.refreshing) return null;
+    this.refreshing = true;
+
+    let downloaded = 0;
+    let failed = 0;
+    try {
+      for (const channel of channels) {
+        const id = String(channel.streamId);
+        const url = remoteUrl(channel.logo);
+        const entry = this.index[id];
+        const fresh = entry?.source === url && Date.now() - entry.fetchedAt < LOGO_MAX_AGE &&
+          fs.existsSync(this.getCachedPath(id));
+        if (!url || fresh) continue;
+
+        try {
+          await this.download(id, url);
+          downloaded++;
+        } catch (err) {
+          failed++;
+        }
+      }
+      if (downloaded > 0 || failed > 0) {
+        console.log(`[logos] Refresh: ${downloaded} downloaded, ${failed} failed`);
+      }
+    } finally {
+      this.refreshing = false;
+    }
+    return { downloaded, failed };
+  }
+
+  // Fetch one logo; a failure keeps whatever was cached before
+  async download(id, url) {
+    if (this.pending.has(id)) {
+      return this.pending.get(id);
+    }
+
+    const task = (async () => {
+      try {
+        const res = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT) });
+        if (!res.ok) {
+          throw new Error(`HTTP ${res.status}`);
+        }
+        const data = Buffer.from(await res.arrayBuffer());
+        if (data.length > MAX_LOGO_BYTES) {
+          throw new Error('Logo is too large');
+        }
+
+        ensureDir();
+        fs.writeFileSync(this.getCachedPath(id), await toPng(data));
+        this.index[id] = { source: url, fetchedAt: Date.now() };
+        this.save();
+      } catch (err) {
+        console.warn(`[logos] Failed to download logo for ${id}: ${err.message}`);
+        this.index[id] = { ...this.index[id], failedAt: Date.now(), error: err.message };
+        this.save();
+        throw err;
+      } finally {
+        this.pending.delete(id);
+      }
+    })();
+
+    this.pending.set(id, task);
+    return task;
+  }
+
+  // Plain centred text on the UI's panel colour; regenerated if the channel is renamed
+  async generateFallback(id, name) {
+    const file = this.getFallbackPath(id);
+    const label = fallbackLabel(name);
+    if (fs.existsSync(file) && this.index[id]?.fallback === label) {
+      return file;
+    }
+
+    ensureDir();
+    const textFile = path.join(LOGO_DIR, `${safeId(id)}.txt`);
+    fs.writeFileSync(textFile, label);
+    try {
+      const longest = Math.max(...label.split('\n').map(line => line.length));
+      const fontSize = Math.min(110, Math.floor((FALLBACK_SIZE.width * 0.85) / (longest * 0.6)));
+      const font = fs.existsSync(FONT_FILE) ? `fontfile=${FONT_FILE}:` : '';
+      const image = await runFfmpeg([
+        '-f', 'lavfi', '-i', `color=c=${FALLBACK_BACKGROUND}:s=${FALLBACK_SIZE.width}x${FALLBACK_SIZE.height}`,
+        '-vf', `drawtext=${font}textfile=${textFile}:expansion=none:fontcolor=white:fontsize=${fontSize}:line_spacing=8:x=(w-text_w)/2:y=(h-text_h)/2`,
+        '-frames:v', '1', '-f', 'image2', '-c:v', 'png', 'pipe:1',
+      ]);
+      fs.writeFileSync(file, image);
+    } finally {
+      fs.rmSync(textFile, { force: true });
+    }
+
+    this.index[id] = { ...this.index[id], fallback: label };
+    this.save();
+    return file;
+  }
+
+  // Uploaded image (PNG, JPEG, GIF or WebP) replacing the channel's logo
+  async setUpload(id, data) {
+    if (!data || data.length === 0) {
+      throw new Error('No image uploaded');
+    }
+    if (data.length > MAX_LOGO_BYTES) {
+      throw new Error('Logo is too large');
+    }
+    ensureDir();
+    fs.writeFileSync(this.getUploadPath(String(id)), await toPng(data));
+    console.log(`[logos] Uploaded logo for ${id}`);
+  }
+
+  removeUpload(id) {
+    fs.rmSync(this.getUploadPath(String(id)), { force: true });
+  }
+
+  hasUpload(id) {
+    return fs.existsSync(this.getUploadPath(String(id)));
+  }
+
+  // Where each channel's logo comes from, for the lineup editor
+  getStatus(channels) {
+    return channels.map(channel => {
+      const id = String(channel.streamId);
+      const entry = this.index[id] || {};
+      let source = 'none';
+      if (this.hasUpload(id)) {
+        source = 'upload';
+      } else if (fs.existsSync(this.getCachedPath(id))) {
+        source = 'cached';
+      } else if (fs.existsSync(this.getFallbackPath(id))) {
+        source = 'generated';
+      }
+      return {
+        streamId: channel.streamId,
+        source,
+        url: remoteUrl(channel.logo),
+        fetchedAt: entry.fetchedAt || null,
+        error: entry.failedAt ? entry.error : null,
+      };
+    });
+  }
+
+  getCachedPath(id) {
+    return path.join(LOGO_DIR, `${safeId(id)}.png`);
+  }
+
+  getUploadPath(id) {
+    return path.join(LOGO_DIR, `${safeId(id)}.upload.png`);
+  }
+
+  getFallbackPath(id) {
+    return path.join(LOGO_DIR, `${safeId(id)}.generated.png`);
+  }
+}
+
+function ensureDir() {
+  if (!fs.existsSync(LOGO_DIR)) {
+    fs.mkdirSync(LOGO_DIR, { recursive: true });
+  }
+}
+
+// Stream ids are channel numbers or slugs, but keep them out of other paths regardless
+function safeId(id) {
+  return String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function remoteUrl(logo) {
+  return /^https?:\/\//i.test(logo || '') ? logo : null;
+}
+
+// Channel name on one line, or split over two at the space nearest the middle
+function fallbackLabel(name) {
+  const text = String(name).trim().replace(/\s+/g, ' ');
+  if (text.length <= 12 || !text.includes(' ')) {
+    return text;
+  }
+  const middle = text.length / 2;
+  let split = -1;
+  for (let i = text.indexOf(' '); i !== -1; i = text.indexOf(' ', i + 1)) {
+    if (split === -1 || Math.abs(i - middle) < Math.abs(split - middle)) split = i;
+  }
+  return `${text.slice(0, split)}\n${text.slice(split + 1)}`;
+}
+
+function imageType(data) {
+  if (data.length < 12) return null;
+  if (data[0] === 0x89 && data.toString('ascii', 1, 4) === 'PNG') return 'png';
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'jpeg';
+  if (data.toString('ascii', 0, 3) === 'GIF') return 'gif';
+  if (data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+// Everything is served as PNG; other formats go through FFmpeg
+async function toPng(data) {
+  const type = imageType(data);
+  if (!type) {
+    throw new Error('Unsupported image type (use PNG, JPEG, GIF or WebP)');
+  }
+  if (type === 'png') {
+    return data;
+  }
+  return runFfmpeg(['-i', 'pipe:0', '-frames:v', '1', '-f', 'image2', '-c:v', 'png', 'pipe:1'], data);
+}
+
+function runFfmpeg(args, input) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('ffmpeg', ['-hide_banner', '-loglevel', 'error', ...args], {
+      stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+    });
+
+    const chunks = [];
+    let stderr = '';
+    const timeout = setTimeout(() => proc.kill('SIGKILL'), 15000);
+
+    proc.stdout.on('data', (chunk) => chunks.push(chunk));
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+    proc.on('close', (code) => {
+      clearTimeout(timeout);
+      const output = Buffer.concat(chunks);
+      if (code === 0 && output.length > 0) {
+        resolve(output);
+      } else {
+        reject(new Error(stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`));
+      }
+    });
+
+    if (input) {
+      proc.stdin.on('error', () => {});
+      proc.stdin.end(input);
+    }
+  });
+}
+
+// Absolute URL of a channel's local logo, for playlists and XMLTV
+function logoUrl(host, streamId) {
+  return `http://${host}/logos/${encodeURIComponent(streamId)}.png`;
+}
+
+const logoManager = new LogoManager();
+
+module.exports = logoManager;
+module.exports.logoUrl = logoUrl;
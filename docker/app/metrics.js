@@ -0,0 +1,194 @@
+// Metrics - Prometheus text exposition for /metrics
+// Event counters (tunes, restarts, bytes out, black screens) are recorded as they
+// happen; point-in-time values (tuner state, clients, EPG, GPU/CPU) are filled in
+// by collectors registered from stream-proxy at scrape time.
+
+const PREFIX = 'dvr_';
+
+// Tune latency buckets, seconds (a guide tune usually takes 5-20s)
+const TUNE_BUCKETS = [1, 2.5, 5, 7.5, 10, 15, 20, 30, 45, 60, 90];
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();  // label key -> { labels, value }
+  }
+
+  key(labels) {
+    return this.labelNames.map(l => String(labels[l] ?? '')).join('\u0000');
+  }
+
+  entry(labels, initial) {
+    const k = this.key(labels);
+    if (!this.values.has(k)) {
+      const picked = {};
+      for (const l of this.labelNames) picked[l] = labels[l] ?? '';
+      this.values.set(k, { labels: picked, value: initial() });
+    }
+    return this.values.get(k);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels, () => 0).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    if (value === null || value === undefined || Number.isNaN(Number(value))) return;
+    this.entry(labels, () => 0).value = Number(value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const h = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) h.counts[i]++;
+    });
+    h.sum += value;
+    h.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value: h } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${h.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${h.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(h.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${h.count}`);
+    }
+    return lines;
+  }
+}
+
+class Metrics {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+
+    // Events
+    this.tunes = this.add(new Counter('tunes_total', 'Channel tunes by guide matching method and result', ['method', 'result']));
+    this.tuneDuration = this.add(new Histogram('tune_duration_seconds', 'Time from tune request to playing video', ['method'], TUNE_BUCKETS));
+    this.ffmpegRestarts = this.add(new Counter('ffmpeg_restarts_total', 'FFmpeg auto-restarts after an unexpected exit', ['tuner']));
+    this.bytesOut = this.add(new Counter('bytes_out_total', 'Stream bytes sent to clients (HLS segments and MPEG-TS pipes)', ['tuner']));
+    this.blackScreens = this.add(new Counter('black_screen_detections_total', 'Black screens detected by the segment size monitor', ['tuner']));
+
+    // Filled in by collectors at scrape time
+    this.tunerState = this.add(new Gauge('tuner_state', 'Tuner state (1 for the current state)', ['tuner', 'state']));
+    this.tunerClients = this.add(new Gauge('tuner_clients', 'Clients attached to the tuner', ['tuner']));
+    this.tunerPriority = this.add(new Gauge('tuner_priority', 'Priority the tuner is held at (0 background .. 3 recording)', ['tuner']));
+    this.ffmpegRunning = this.add(new Gauge('ffmpeg_running', 'Whether the tuner\'s FFmpeg process is running', ['tuner']));
+    this.ffmpegBitrate = this.add(new Gauge('ffmpeg_bitrate_bps', 'Average FFmpeg output bitrate since start', ['tuner']));
+    this.segmentSize = this.add(new Gauge('segment_size_bytes', 'Size of the latest HLS segment', ['tuner']));
+    this.epgChannels = this.add(new Gauge('epg_channels', 'Channels in the DirecTV EPG'));
+    this.epgAge = this.add(new Gauge('epg_last_fetch_age_seconds', 'Seconds since the EPG was last fetched'));
+    this.cpuUsage = this.add(new Gauge('cpu_usage_percent', 'Host CPU utilisation'));
+    this.memoryUsed = this.add(new Gauge('memory_used_bytes', 'Host memory in use'));
+    this.gpuUtilization = this.add(new Gauge('gpu_utilization_percent', 'GPU engine utilisation', ['gpu', 'engine']));
+    this.gpuMemoryUsed = this.add(new Gauge('gpu_memory_used_bytes', 'GPU memory in use', ['gpu']));
+    this.gpuTemperature = this.add(new Gauge('gpu_temperature_celsius', 'GPU temperature', ['gpu']));
+    this.gpuEncoderSessions = this.add(new Gauge('gpu_encoder_sessions', 'Active NVENC sessions', ['gpu']));
+  }
+
+  add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  // fn(metrics) runs before every scrape; collectors own their gauges and reset them first
+  registerCollector(fn) {
+    this.collectors.push(fn);
+  }
+
+  // ============================================
+  // Event recording
+  // ============================================
+
+  recordTune(method, success, durationMs) {
+    const labels = { method: method || 'unknown' };
+    this.tunes.inc({ ...labels, result: success ? 'success' : 'failure' });
+    if (success && durationMs) {
+      this.tuneDuration.observe(labels, durationMs / 1000);
+    }
+  }
+
+  recordFfmpegRestart(tunerId) {
+    this.ffmpegRestarts.inc({ tuner: tunerId });
+  }
+
+  recordBytesOut(tunerId, bytes) {
+    this.bytesOut.inc({ tuner: tunerId }, bytes);
+  }
+
+  recordBlackScreen(tunerId) {
+    this.blackScreens.inc({ tuner: tunerId });
+  }
+
+  // ============================================
+  // Exposition
+  // ============================================
+
+  render() {
+    for (const collect of this.collectors) {
+      try {
+        collect(this);
+      } catch (err) {
+        console.error('[metrics] Collector failed:', err.message);
+      }
+    }
+    return this.metrics.flatMap(m => m.render()).join('\n') + '\n';
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+const metrics = new Metrics();
+
+module.exports = metrics;
+module.exports.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
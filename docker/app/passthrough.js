@@ -0,0 +1,560 @@
+// Passthrough channels - upstream HLS / MPEG-TS streams in the lineup without a tuner
+// (FAST channels, a church's public HLS feed, IP cameras). Defined in settings.json
+// passthroughChannels. FFmpeg pulls the upstream and remuxes it (or transcodes it with
+// mode "transcode") into HLS under <hlsDir>/passthrough-<id>/, or straight to MPEG-TS
+// clients when DVR_HLS_MODE=false. A session runs while someone is watching and stops
+// after the FFmpeg idle timeout. Channels can take their guide from an XMLTV URL.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const effectiveConfig = require('./effective-config');
+const eventBus = require('./event-bus');
+const { EventType } = eventBus;
+const xmltv = require('./xmltv');
+
+const GUIDE_CACHE_PATH = process.env.DVR_DATA_DIR
+  ? path.join(process.env.DVR_DATA_DIR, 'xmltv-cache.json')
+  : '/data/xmltv-cache.json';
+
+// Channels without a number are numbered from here, in settings order
+const FIRST_PASSTHROUGH_NUMBER = 9501;
+
+// Upstream drops: restart this many times in a row before giving up
+const MAX_RESTARTS = 3;
+const RESTART_DELAY = 2000;
+// A session that ran this long before failing starts counting restarts again
+const STABLE_RUN = 60000;
+
+const IDLE_CHECK_INTERVAL = 10000;
+const READY_TIMEOUT = 20000;
+
+const GUIDE_FETCH_TIMEOUT = 30000;
+// An XMLTV file without the channel isn't fetched again sooner than this
+const GUIDE_RETRY_DELAY = 60 * 60 * 1000;
+// Programmes that ended longer ago than this are dropped from the cache
+const GUIDE_RETENTION = 2 * 60 * 60 * 1000;
+
+const SEGMENT_PATTERN = /^segment\d+\.ts$/;
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function getRefreshInterval() {
+  return effectiveConfig.get('epg.refreshInterval') * 60 * 60 * 1000;
+}
+
+// One FFmpeg pulling one upstream
+class PassthroughSession {
+  constructor(channel) {
+    this.channel = channel;
+    this.config = JSON.stringify(channel);
+    this.tag = `[passthrough-${channel.id}]`;
+    this.hlsMode = config.hlsMode !== false;
+    this.dir = path.join(config.hlsDir || '/data/streams', `passthrough-${channel.id}`);
+    this.playlistPath = path.join(this.dir, 'stream.m3u8');
+    this.process = null;
+    this.clients = [];          // MPEG-TS clients (DVR_HLS_MODE=false)
+    this.stopping = false;
+    this.failed = false;        // Gave up after MAX_RESTARTS
+    this.restarts = 0;
+    this.restartTimer = null;
+    this.error = null;
+    this.stderr = [];
+    this.startedAt = null;
+    this.lastActivity = Date.now();
+  }
+
+  buildArgs() {
+    const { channel } = this;
+    const input = ['-fflags', '+genpts'];
+    if (/^https?:/i.test(channel.url)) {
+      // HLS playlists and TS over HTTP both come through the http protocol
+      input.push('-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '5');
+      if (channel.userAgent) {
+        input.push('-user_agent', channel.userAgent);
+      }
+    } else if (/^rtsp:/i.test(channel.url)) {
+      input.push('-rtsp_transport', 'tcp');
+    }
+
+    let codecArgs;
+    if (channel.mode === 'transcode') {
+      // Same stream settings as the tuners (channel overrides included), never upscaled
+      const settings = effectiveConfig.resolve(channel.number);
+      const { height } = settings.video.resolution;
+      codecArgs = [
+        '-vf', `scale=-2:'min(${height},ih)'`,
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-pix_fmt', 'yuv420p',
+        '-b:v', settings.video.bitrate,
+        '-maxrate', settings.video.bitrate,
+        '-bufsize', settings.encoding.bufferSize,
+        '-g', String(settings.encoding.gopSize),
+        '-c:a', 'aac',
+        '-b:a', settings.audio.bitrate,
+        '-ac', '2',
+      ];
+    } else {
+      codecArgs = ['-c', 'copy'];
+    }
+
+    let outputArgs;
+    if (this.hlsMode) {
+      const { hls } = effectiveConfig.resolve(channel.number);
+      outputArgs = [
+        '-f', 'hls',
+        '-hls_time', String(hls.segmentTime),
+        '-hls_list_size', String(hls.listSize),
+        '-hls_flags', 'delete_segments+append_list',
+        '-hls_segment_filename', path.join(this.dir, 'segment%03d.ts'),
+        this.playlistPath,
+      ];
+    } else {
+      outputArgs = ['-f', 'mpegts', 'pipe:1'];
+    }
+
+    // FFmpeg's default stream selection takes the best video and audio of a multi-variant playlist
+    return ['-hide_banner', '-loglevel', 'warning', ...input, '-i', channel.url, ...codecArgs, '-sn', '-dn', ...outputArgs];
+  }
+
+  start() {
+    this.stopping = false;
+    this.error = null;
+    this.stderr = [];
+    if (this.hlsMode) {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const args = this.buildArgs();
+    console.log(`${this.tag} ${this.channel.mode === 'transcode' ? 'Transcoding' : 'Remuxing'} ${this.channel.url} (${this.hlsMode ? 'HLS' : 'MPEG-TS'})`);
+
+    const proc = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    this.process = proc;
+    this.startedAt = Date.now();
+
+    proc.stdout.on('data', (data) => {
+      for (const client of [...this.clients]) {
+        if (client.writable && !client.destroyed) {
+          client.write(data);
+        }
+      }
+    });
+
+    proc.stderr.on('data', (data) => {
+      const lines = data.toString().split('\n').map(line => line.trim()).filter(Boolean);
+      this.stderr.push(...lines);
+      this.stderr.splice(0, Math.max(0, this.stderr.length - 20));
+    });
+
+    proc.on('error', (err) => {
+      this.error = err.code === 'ENOENT' ? 'ffmpeg not found' : err.message;
+    });
+
+    proc.on('close', (code) => this.onExit(proc, code));
+  }
+
+  onExit(proc, code) {
+    if (this.process !== proc) return;
+    this.process = null;
+    if (this.stopping) return;
+
+    this.error = this.error || this.stderr[this.stderr.length - 1] || `FFmpeg exited with code ${code}`;
+    console.warn(`${this.tag} FFmpeg exited (${code}): ${this.error}`);
+
+    if (Date.now() - this.startedAt > STABLE_RUN) {
+      this.restarts = 0;
+    }
+    if (this.restarts < MAX_RESTARTS) {
+      this.restarts++;
+      console.log(`${this.tag} Restarting in ${RESTART_DELAY * this.restarts / 1000}s (attempt ${this.restarts}/${MAX_RESTARTS})`);
+      this.restartTimer = setTimeout(() => {
+        this.restartTimer = null;
+        if (!this.stopping) this.start();
+      }, RESTART_DELAY * this.restarts);
+      return;
+    }
+
+    this.failed = true;
+    console.error(`${this.tag} Giving up after ${MAX_RESTARTS} restarts`);
+    eventBus.publish(EventType.PASSTHROUGH_ERROR, `Passthrough channel ${this.channel.name} stopped: ${this.error}`,
+      { channel: this.channel.id, url: this.channel.url, error: this.error });
+    this.endClients();
+  }
+
+  stop() {
+    this.stopping = true;
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+    if (this.process) {
+      const proc = this.process;
+      proc.kill('SIGTERM');
+      setTimeout(() => {
+        if (proc.exitCode === null && proc.signalCode === null) proc.kill('SIGKILL');
+      }, 3000);
+      this.process = null;
+    }
+    this.endClients();
+    if (this.hlsMode) {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+  }
+
+  endClients() {
+    for (const client of this.clients) {
+      if (!client.destroyed) client.end();
+    }
+    this.clients = [];
+  }
+
+  addClient(res) {
+    this.clients.push(res);
+    this.lastActivity = Date.now();
+    console.log(`${this.tag} Client connected, ${this.clients.length} total`);
+    res.on('close', () => {
+      const idx = this.clients.indexOf(res);
+      if (idx !== -1) {
+        this.clients.splice(idx, 1);
+        this.lastActivity = Date.now();
+        console.log(`${this.tag} Client disconnected, ${this.clients.length} remaining`);
+      }
+    });
+  }
+
+  // HLS: the playlist lists a segment; MPEG-TS: FFmpeg is running
+  isReady() {
+    if (!this.process) return false;
+    if (!this.hlsMode) return true;
+    try {
+      return fs.readFileSync(this.playlistPath, 'utf8').includes('#EXTINF');
+    } catch (e) {
+      return false;
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.failed ? 'failed' : (this.process ? (this.isReady() ? 'streaming' : 'starting') : 'restarting'),
+      startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      lastActivity: new Date(this.lastActivity).toISOString(),
+      clients: this.clients.length,
+      restarts: this.restarts,
+      error: this.error,
+    };
+  }
+}
+
+class PassthroughManager {
+  constructor() {
+    this.channels = [];
+    this.channelConfig = null;  // JSON of the passthroughChannels the channels were built from
+    this.sessions = new Map();  // channel id -> PassthroughSession
+    this.idleTimer = null;
+    this.guides = {};           // XMLTV URL -> { fetchedAt, error, programmes: { channel id: [...] } }
+    this.guideRefresh = null;   // Promise of the running refresh
+    this.guideTimer = null;
+    this.loadGuideCache();
+  }
+
+  // ========== Channels ==========
+
+  getChannels() {
+    const options = effectiveConfig.get('passthroughChannels') || [];
+    const json = JSON.stringify(options);
+    if (json !== this.channelConfig) {
+      const used = new Set(options.map(entry => entry.number).filter(Boolean));
+      let nextNumber = FIRST_PASSTHROUGH_NUMBER;
+      this.channels = options
+        .map((entry, index) => ({ entry, index }))
+        // settings.json edited by hand isn't validated until the next save
+        .filter(({ entry }) => entry.enabled !== false && entry.url)
+        .map(({ entry, index }) => {
+          let number = entry.number;
+          if (!number) {
+            while (used.has(String(nextNumber))) nextNumber++;
+            number = String(nextNumber++);
+          }
+          return {
+            id: entry.id || slugify(entry.name) || `passthrough${index + 1}`,
+            number,
+            name: entry.name,
+            url: entry.url,
+            mode: entry.mode || 'remux',
+            group: entry.group || 'Passthrough',
+            logo: entry.logo || '',
+            userAgent: entry.userAgent || '',
+            xmltvUrl: entry.xmltvUrl || '',
+            xmltvId: entry.xmltvId || '',
+          };
+        });
+      this.channelConfig = json;
+      if (this.channels.length > 0) {
+        console.log(`[passthrough] ${this.channels.length} passthrough channel(s): ${this.channels.map(ch => ch.id).join(', ')}`);
+      }
+    }
+    return this.channels;
+  }
+
+  // Found by stream ID only, like the browser capture channels
+  getChannel(channelId) {
+    return this.getChannels().find(channel => channel.id === String(channelId)) || null;
+  }
+
+  getLineupChannels() {
+    return this.getChannels().map(channel => ({
+      key: channel.id,
+      tvgId: channel.id,
+      number: String(channel.number),
+      name: channel.name,
+      group: channel.group,
+      logo: channel.logo,
+      streamId: channel.id,
+    }));
+  }
+
+  // ========== Sessions ==========
+
+  // Running session for a channel, started (or restarted after a settings change) if needed
+  startSession(channel) {
+    let session = this.sessions.get(channel.id);
+    if (session && (session.failed || session.config !== JSON.stringify(channel))) {
+      session.stop();
+      session = null;
+    }
+    if (!session) {
+      session = new PassthroughSession(channel);
+      this.sessions.set(channel.id, session);
+      session.start();
+      this.startIdleCheck();
+    }
+    session.lastActivity = Date.now();
+    return session;
+  }
+
+  // Start the channel and wait for its first segment. Resolves null on timeout,
+  // rejects if the upstream can't be played.
+  async waitUntilReady(channel, timeout = READY_TIMEOUT) {
+    const session = this.startSession(channel);
+    const started = Date.now();
+    while (!session.isReady()) {
+      if (session.failed) {
+        throw new Error(session.error || 'Upstream stream failed');
+      }
+      if (Date.now() - started > timeout) return null;
+      await new Promise(r => setTimeout(r, 500));
+    }
+    session.lastActivity = Date.now();
+    return session;
+  }
+
+  // MPEG-TS mode: stream straight to the client until it disconnects
+  pipeToClient(channel, res) {
+    this.startSession(channel).addClient(res);
+  }
+
+  // Live playlist with absolute segment URLs (so ?token= is added to them), or null
+  getPlaylist(channelId, host) {
+    const session = this.sessions.get(channelId);
+    if (!session || session.failed || !session.isReady()) return null;
+    session.lastActivity = Date.now();
+    const playlist = fs.readFileSync(session.playlistPath, 'utf8');
+    return playlist.replace(/^(segment\d+\.ts)$/gm, `http://${host}/passthrough/${channelId}/$1`);
+  }
+
+  getSegmentPath(channelId, segment) {
+    const session = this.sessions.get(channelId);
+    if (!session || !SEGMENT_PATTERN.test(segment)) return null;
+    const segmentPath = path.join(session.dir, segment);
+    if (!fs.existsSync(segmentPath)) return null;
+    session.lastActivity = Date.now();
+    return segmentPath;
+  }
+
+  startIdleCheck() {
+    if (this.idleTimer) return;
+    this.idleTimer = setInterval(() => this.checkIdle(), IDLE_CHECK_INTERVAL);
+  }
+
+  // Stop sessions nobody has fetched from (or is connected to) for the FFmpeg idle timeout
+  checkIdle() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (session.clients.length > 0) {
+        session.lastActivity = now;
+      } else if (session.failed || now - session.lastActivity > config.ffmpegIdleTimeout) {
+        console.log(`[passthrough-${id}] ${session.failed ? 'Removing failed session' : 'Idle, stopping FFmpeg'}`);
+        session.stop();
+        this.sessions.delete(id);
+      }
+    }
+    if (this.sessions.size === 0) {
+      clearInterval(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  shutdown() {
+    for (const session of this.sessions.values()) {
+      session.stop();
+    }
+    this.sessions.clear();
+    if (this.idleTimer) {
+      clearInterval(this.idleTimer);
+      this.idleTimer = null;
+    }
+    if (this.guideTimer) {
+      clearInterval(this.guideTimer);
+      this.guideTimer = null;
+    }
+  }
+
+  // ========== Guide (XMLTV) ==========
+
+  loadGuideCache() {
+    try {
+      if (fs.existsSync(GUIDE_CACHE_PATH)) {
+        this.guides = JSON.parse(fs.readFileSync(GUIDE_CACHE_PATH, 'utf8'));
+      }
+    } catch (err) {
+      console.warn('[passthrough] Failed to load XMLTV cache:', err.message);
+    }
+  }
+
+  saveGuideCache() {
+    try {
+      fs.mkdirSync(path.dirname(GUIDE_CACHE_PATH), { recursive: true });
+      fs.writeFileSync(GUIDE_CACHE_PATH, JSON.stringify(this.guides));
+    } catch (err) {
+      console.warn('[passthrough] Failed to save XMLTV cache:', err.message);
+    }
+  }
+
+  startGuideRefresh() {
+    if (this.guideTimer) return;
+    setTimeout(() => this.refreshGuides(), 10000);  // Wait for the server to be ready
+    this.guideTimer = setInterval(() => this.refreshGuides(), getRefreshInterval());
+  }
+
+  needsGuideFetch(url, channels, force) {
+    const entry = this.guides[url];
+    if (!entry || force) return true;
+    const age = Date.now() - entry.fetchedAt;
+    if (age > getRefreshInterval()) return true;
+    return channels.some(channel => !(channel.id in entry.programmes)) && age > GUIDE_RETRY_DELAY;
+  }
+
+  // Fetch the XMLTV URLs that are stale (or all with force) - one refresh at a time
+  refreshGuides({ force = false } = {}) {
+    if (this.guideRefresh) return this.guideRefresh;
+
+    const byUrl = new Map();
+    for (const channel of this.getChannels().filter(ch => ch.xmltvUrl)) {
+      byUrl.set(channel.xmltvUrl, [...(byUrl.get(channel.xmltvUrl) || []), channel]);
+    }
+    const stale = [...byUrl].filter(([url, channels]) => this.needsGuideFetch(url, channels, force));
+    if (stale.length === 0) return Promise.resolve();
+
+    this.guideRefresh = (async () => {
+      for (const [url, channels] of stale) {
+        await this.fetchGuide(url, channels);
+      }
+      // Forget URLs no channel uses any more
+      for (const url of Object.keys(this.guides)) {
+        if (!byUrl.has(url)) delete this.guides[url];
+      }
+      this.saveGuideCache();
+    })().finally(() => {
+      this.guideRefresh = null;
+    });
+    return this.guideRefresh;
+  }
+
+  async fetchGuide(url, channels) {
+    const previous = this.guides[url];
+    try {
+      const res = await fetch(url, { signal: AbortSignal.timeout(GUIDE_FETCH_TIMEOUT) });
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      const guide = xmltv.parse(Buffer.from(await res.arrayBuffer()));
+      const cutoff = Date.now() - GUIDE_RETENTION;
+
+      const programmes = {};
+      for (const channel of channels) {
+        const guideId = this.matchGuideChannel(channel, guide.channels);
+        if (!guideId) {
+          console.warn(`[passthrough] No channel in ${url} matches ${channel.id}${channel.xmltvId ? ` (xmltvId ${channel.xmltvId})` : ''}`);
+        }
+        programmes[channel.id] = (guide.programmes[guideId] || []).filter(p => Date.parse(p.endTime) > cutoff);
+      }
+
+      this.guides[url] = { fetchedAt: Date.now(), error: null, programmes };
+      const total = Object.values(programmes).reduce((sum, list) => sum + list.length, 0);
+      console.log(`[passthrough] Loaded ${total} programme(s) for ${channels.length} channel(s) from ${url}`);
+    } catch (err) {
+      const message = err.name === 'TimeoutError' ? 'timed out' : err.message;
+      console.error(`[passthrough] XMLTV fetch failed for ${url}: ${message}`);
+      // Keep serving the last good guide
+      this.guides[url] = { ...(previous || { programmes: {} }), fetchedAt: Date.now(), error: message };
+      eventBus.publish(EventType.EPG_REFRESH_FAILED, `XMLTV fetch failed for ${url}: ${message}`,
+        { url, error: message, severity: 'warning' });
+    }
+  }
+
+  // XMLTV channel id for one of ours: xmltvId, else a display name equal to the channel
+  // name, else the only channel in the file
+  matchGuideChannel(channel, guideChannels) {
+    if (channel.xmltvId) {
+      return channel.xmltvId;
+    }
+    const name = String(channel.name).toLowerCase();
+    const byName = guideChannels.find(gc => gc.names.some(n => n.toLowerCase() === name));
+    if (byName) return byName.id;
+    return guideChannels.length === 1 ? guideChannels[0].id : null;
+  }
+
+  // Channels for epg.xml: { tvgId, streamId, name, number, programmes }. Channels whose
+  // XMLTV hasn't been fetched yet start a fetch and show up without programmes this time.
+  getGuideChannels() {
+    const channels = this.getChannels();
+    if (channels.some(ch => ch.xmltvUrl && !(ch.id in (this.guides[ch.xmltvUrl]?.programmes || {})))) {
+      this.refreshGuides().catch(() => {});
+    }
+    return channels.map(channel => ({
+      tvgId: channel.id,
+      streamId: channel.id,
+      name: channel.name,
+      number: channel.number,
+      programmes: this.guides[channel.xmltvUrl]?.programmes[channel.id] || [],
+    }));
+  }
+
+  // For API responses
+  getStatus() {
+    return this.getChannels().map(channel => {
+      const guide = channel.xmltvUrl ? this.guides[channel.xmltvUrl] : null;
+      return {
+        id: channel.id,
+        number: channel.number,
+        name: channel.name,
+        url: channel.url,
+        mode: channel.mode,
+        session: this.sessions.get(channel.id)?.getStatus() || null,
+        guide: channel.xmltvUrl ? {
+          url: channel.xmltvUrl,
+          programmes: guide?.programmes[channel.id]?.length || 0,
+          fetchedAt: guide?.fetchedAt ? new Date(guide.fetchedAt).toISOString() : null,
+          error: guide?.error || null,
+        } : null,
+      };
+    });
+  }
+}
+
+module.exports = new PassthroughManager();
@@ -16,6 +16,9 @@ const presets = {
       hls: {
         segmentTime: 4,
         listSize: 5
+      },
+      abr: {
+        enabled: false
       }
     }
   },
@@ -33,6 +36,9 @@ const presets = {
       hls: {
         segmentTime: 4,
         listSize: 5
+      },
+      abr: {
+        enabled: false
       }
     }
   },
@@ -50,6 +56,9 @@ const presets = {
       hls: {
         segmentTime: 2,
         listSize: 5
+      },
+      abr: {
+        enabled: false
       }
     }
   },
@@ -67,8 +76,83 @@ const presets = {
       hls: {
         segmentTime: 2,
         listSize: 5
+      },
+      abr: {
+        enabled: false
       }
     }
+  },
+  'abr-adaptive': {
+    name: 'Adaptive (ABR)',
+    description: '1080p/720p/480p ladder - players switch by bandwidth',
+    settings: {
+      video: {
+        resolution: { width: 1920, height: 1080 },
+        bitrate: '5M'
+      },
+      audio: {
+        bitrate: '128k'
+      },
+      hls: {
+        segmentTime: 4,
+        listSize: 5
+      },
+      abr: {
+        enabled: true,
+        ladder: 'standard'
+      }
+    }
+  },
+  'abr-mobile': {
+    name: 'Adaptive Mobile (ABR)',
+    description: '720p/480p/360p ladder for remote and mobile viewers',
+    settings: {
+      video: {
+        resolution: { width: 1280, height: 720 },
+        bitrate: '2500k'
+      },
+      audio: {
+        bitrate: '96k'
+      },
+      hls: {
+        segmentTime: 4,
+        listSize: 5
+      },
+      abr: {
+        enabled: true,
+        ladder: 'mobile'
+      }
+    }
+  }
+};
+
+/**
+ * ABR renditions encoded from the one capture when settings.abr is enabled.
+ * Ordered highest first; renditions taller than the capture resolution are skipped.
+ */
+const ladders = {
+  standard: {
+    name: 'Standard (1080p / 720p / 480p)',
+    renditions: [
+      { name: '1080p', width: 1920, height: 1080, videoBitrate: '5M', audioBitrate: '128k' },
+      { name: '720p', width: 1280, height: 720, videoBitrate: '2800k', audioBitrate: '128k' },
+      { name: '480p', width: 854, height: 480, videoBitrate: '1200k', audioBitrate: '96k' }
+    ]
+  },
+  mobile: {
+    name: 'Mobile (720p / 480p / 360p)',
+    renditions: [
+      { name: '720p', width: 1280, height: 720, videoBitrate: '2500k', audioBitrate: '96k' },
+      { name: '480p', width: 854, height: 480, videoBitrate: '1000k', audioBitrate: '96k' },
+      { name: '360p', width: 640, height: 360, videoBitrate: '600k', audioBitrate: '64k' }
+    ]
+  },
+  hd: {
+    name: 'HD (1080p / 720p)',
+    renditions: [
+      { name: '1080p', width: 1920, height: 1080, videoBitrate: '6M', audioBitrate: '192k' },
+      { name: '720p', width: 1280, height: 720, videoBitrate: '3M', audioBitrate: '128k' }
+    ]
   }
 };
 
@@ -90,8 +174,29 @@ function getPreset(id) {
   return presets[id] || null;
 }
 
+/**
+ * Get all ABR ladders
+ */
+function getLadders() {
+  return Object.entries(ladders).map(([id, ladder]) => ({
+    id,
+    name: ladder.name,
+    renditions: ladder.renditions
+  }));
+}
+
+/**
+ * Get a specific ABR ladder by ID
+ */
+function getLadder(id) {
+  return ladders[id] || null;
+}
+
 module.exports = {
   presets,
+  ladders,
   getPresets,
-  getPreset
+  getPreset,
+  getLadders,
+  getLadder
 };
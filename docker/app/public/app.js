@@ -6,18 +6,55 @@ function settingsApp() {
         bitrate: '2500k'
       },
       audio: {
-        bitrate: '128k'
+        bitrate: '128k',
+        language: ''
       },
       hls: {
         segmentTime: 4,
         listSize: 5
       },
       epg: {
-        refreshInterval: 4
+        refreshInterval: 4,
+        days: 3
+      },
+      market: {
+        zipCode: '',
+        dmaId: '',
+        regionId: ''
+      },
+      abr: {
+        enabled: false,
+        ladder: 'standard'
+      },
+      timeshift: {
+        enabled: false,
+        minutes: 30,
+        maxSizeMB: 2048,
+        tuners: []
+      },
+      captions: {
+        enabled: false,
+        selectors: []
+      },
+      breaks: {
+        enabled: false,
+        silenceDb: -50
+      },
+      recordings: {
+        prePadding: 1,
+        postPadding: 2
       },
       tuners: {
         count: 1
       },
+      notifications: {
+        webhooks: []
+      },
+      priority: {
+        maxRequestPriority: 'pinned',
+        keys: {}
+      },
+      channelOverrides: {},
       encoding: {
         bufferSize: '8M',
         threadQueueSize: 2048,
@@ -29,10 +66,24 @@ function settingsApp() {
       }
     },
     presets: [],
+    ladders: [],
+
+    // Event log (Status tab)
+    events: [],
+
+    // Auth
+    auth: { enabled: false, passwordFromEnv: false, role: null, via: null },
+    apiKeys: [],
+    passwordForm: { current: '', next: '', setupToken: '' },
+    keyForm: { name: '', role: 'viewer', maxPriority: '' },
+    newKey: null,
     activePreset: null,
     activeTab: 'video',
     isDirty: false,
     saving: false,
+    hotApply: false,        // ?apply=true: restart encoders whose settings changed
+    settingsErrors: [],     // [{ field, message }] from the last rejected save
+    settingsHistory: [],
     toast: {
       show: false,
       message: '',
@@ -47,6 +98,18 @@ function settingsApp() {
     logsInterval: null,
     maxLogs: 500,
 
+    // Lineup editor state
+    lineup: { source: '', channels: [], overlay: { order: [], channels: {} } },
+    lineupLoaded: false,
+    lineupFilter: '',
+    lineupHiddenOnly: false,
+    lineupEditing: null,
+    // Cache-buster for logo previews after an upload
+    logoStamp: Date.now(),
+    lineupDirty: false,
+    lineupReordered: false,
+    savingLineup: false,
+
     // System status
     systemStatus: {
       system: {
@@ -67,6 +130,15 @@ function settingsApp() {
         lastRefresh: null,
         isRefreshing: false
       },
+      market: {
+        source: 'default',
+        zipCode: null,
+        dmaId: null,
+        regionId: null,
+        state: null,
+        account: null,
+        lineupCurrent: true
+      },
       tuners: {
         total: 1,
         active: 0,
@@ -86,6 +158,8 @@ function settingsApp() {
       }
     },
     statusInterval: null,
+    // Cache-buster for the tuner preview tiles, bumped on every status poll
+    snapshotStamp: Date.now(),
 
     // Base URL for playlist/EPG
     baseUrl: window.location.origin,
@@ -125,6 +199,8 @@ function settingsApp() {
       await this.loadGpuStatus();
       await this.loadSettings();
       await this.loadPresets();
+      await this.loadLadders();
+      await this.loadAuth();
       // Refresh version/uptime every 60 seconds
       setInterval(() => this.loadVersion(), 60000);
       // Poll status every 10 seconds
@@ -167,10 +243,101 @@ function settingsApp() {
       }
     },
 
+    async loadLadders() {
+      try {
+        const res = await fetch('/api/presets/ladders');
+        if (res.ok) {
+          this.ladders = await res.json();
+        }
+      } catch (err) {
+        console.error('Failed to load ABR ladders:', err);
+      }
+    },
+
+    async loadAuth() {
+      try {
+        const res = await fetch('/api/auth/status');
+        if (res.ok) {
+          this.auth = await res.json();
+        }
+        const keysRes = await fetch('/api/auth/keys');
+        if (keysRes.ok) {
+          this.apiKeys = await keysRes.json();
+        }
+      } catch (err) {
+        console.error('Failed to load auth status:', err);
+      }
+    },
+
+    async changePassword() {
+      try {
+        const res = await fetch('/api/auth/password', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ currentPassword: this.passwordForm.current, newPassword: this.passwordForm.next, setupToken: this.passwordForm.setupToken })
+        });
+        const data = await res.json();
+        if (res.ok) {
+          this.passwordForm = { current: '', next: '', setupToken: '' };
+          this.showToast(data.firstPassword ? 'Admin password set - auth is now on' : 'Password changed', 'success');
+          await this.loadAuth();
+        } else {
+          this.showToast(data.error || 'Failed to change password', 'error');
+        }
+      } catch (err) {
+        console.error('Failed to change password:', err);
+        this.showToast('Failed to change password', 'error');
+      }
+    },
+
+    async logout() {
+      await fetch('/api/auth/logout', { method: 'POST' });
+      window.location.href = '/login.html';
+    },
+
+    async createKey() {
+      try {
+        const res = await fetch('/api/auth/keys', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(this.keyForm)
+        });
+        const data = await res.json();
+        if (res.ok) {
+          this.newKey = data;
+          this.keyForm = { name: '', role: 'viewer', maxPriority: '' };
+          this.showToast(`Created key "${data.name}" - copy the URL now, it won't be shown again`, 'success');
+          await this.loadAuth();
+        } else {
+          this.showToast(data.error || 'Failed to create key', 'error');
+        }
+      } catch (err) {
+        console.error('Failed to create key:', err);
+        this.showToast('Failed to create key', 'error');
+      }
+    },
+
+    async revokeKey(key) {
+      if (!confirm(`Revoke key "${key.name}"? Devices using it will stop working.`)) return;
+      try {
+        const res = await fetch(`/api/auth/keys/${key.id}`, { method: 'DELETE' });
+        if (res.ok) {
+          this.showToast(`Revoked "${key.name}"`, 'success');
+          await this.loadAuth();
+        } else {
+          const err = await res.json();
+          this.showToast(err.error || 'Failed to revoke key', 'error');
+        }
+      } catch (err) {
+        console.error('Failed to revoke key:', err);
+        this.showToast('Failed to revoke key', 'error');
+      }
+    },
+
     async saveSettings() {
       this.saving = true;
       try {
-        const res = await fetch('/api/settings', {
+        const res = await fetch(`/api/settings${this.applyQuery()}`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(this.settings)
@@ -180,10 +347,12 @@ function settingsApp() {
           const data = await res.json();
           this.settings = data.settings;
           this.isDirty = false;
-          this.showToast('Settings saved! Some changes may require a restart.', 'success');
+          this.showToast(this.savedMessage('Settings saved', data), 'success');
+          this.afterSettingsSaved();
         } else {
           const err = await res.json();
-          this.showToast(err.error || 'Failed to save settings', 'error');
+          this.settingsErrors = err.errors || [];
+          this.showToast(err.errors ? `${err.errors.length} setting(s) out of range - not saved` : (err.error || 'Failed to save settings'), 'error');
         }
       } catch (err) {
         console.error('Failed to save settings:', err);
@@ -195,7 +364,7 @@ function settingsApp() {
 
     async applyPreset(presetId) {
       try {
-        const res = await fetch(`/api/presets/${presetId}`, {
+        const res = await fetch(`/api/presets/${presetId}${this.applyQuery()}`, {
           method: 'POST'
         });
 
@@ -204,7 +373,8 @@ function settingsApp() {
           this.settings = data.settings;
           this.activePreset = presetId;
           this.isDirty = false;
-          this.showToast(`Applied "${data.name}" preset`, 'success');
+          this.showToast(this.savedMessage(`Applied "${data.name}" preset`, data), 'success');
+          this.afterSettingsSaved();
         } else {
           const err = await res.json();
           this.showToast(err.error || 'Failed to apply preset', 'error');
@@ -219,7 +389,7 @@ function settingsApp() {
       if (!confirm('Reset all settings to defaults?')) return;
 
       try {
-        const res = await fetch('/api/settings/reset', {
+        const res = await fetch(`/api/settings/reset${this.applyQuery()}`, {
           method: 'POST'
         });
 
@@ -228,7 +398,8 @@ function settingsApp() {
           this.settings = data.settings;
           this.activePreset = null;
           this.isDirty = false;
-          this.showToast('Settings reset to defaults', 'success');
+          this.showToast(this.savedMessage('Settings reset to defaults', data), 'success');
+          this.afterSettingsSaved();
         } else {
           this.showToast('Failed to reset settings', 'error');
         }
@@ -238,6 +409,67 @@ function settingsApp() {
       }
     },
 
+    async loadSettingsHistory() {
+      try {
+        const res = await fetch('/api/settings/history');
+        if (res.ok) {
+          this.settingsHistory = (await res.json()).versions;
+        }
+      } catch (err) {
+        console.error('Failed to load settings history:', err);
+      }
+    },
+
+    async rollbackSettings(version) {
+      if (this.isDirty && !confirm('Discard unsaved changes?')) return;
+      if (!confirm(`Roll back to settings version ${version}?`)) return;
+
+      try {
+        const res = await fetch(`/api/settings/history/${version}/rollback${this.applyQuery()}`, { method: 'POST' });
+        if (res.ok) {
+          const data = await res.json();
+          this.settings = data.settings;
+          this.activePreset = null;
+          this.isDirty = false;
+          this.showToast(this.savedMessage(`Rolled back to version ${version}`, data), 'success');
+          this.afterSettingsSaved();
+        } else {
+          const err = await res.json();
+          this.showToast(err.error || 'Failed to roll back settings', 'error');
+        }
+      } catch (err) {
+        console.error('Failed to roll back settings:', err);
+        this.showToast('Failed to roll back settings', 'error');
+      }
+    },
+
+    applyQuery() {
+      return this.hotApply ? '?apply=true' : '';
+    },
+
+    afterSettingsSaved() {
+      this.settingsErrors = [];
+      this.loadSettingsHistory();
+    },
+
+    // Toast text saying when the saved settings reach running streams
+    savedMessage(prefix, data) {
+      const restarted = (data.applied || []).filter(r => r.status === 'restarted').length;
+      if (restarted > 0) {
+        return `${prefix} - ${restarted} encoder(s) restarted`;
+      }
+      if (data.restartRequired) {
+        return `${prefix} - running streams switch on their next start`;
+      }
+      return `${prefix}!`;
+    },
+
+    formatChanges(changes) {
+      if (!changes || changes.length === 0) return '';
+      const shown = changes.slice(0, 4).join(', ');
+      return changes.length > 4 ? `${shown} +${changes.length - 4} more` : shown;
+    },
+
     markDirty() {
       this.isDirty = true;
       this.activePreset = null;
@@ -263,6 +495,152 @@ function settingsApp() {
     },
 
     // Logs functionality
+    async loadLineup() {
+      try {
+        const res = await fetch('/api/lineup');
+        if (res.ok) {
+          this.lineup = await res.json();
+          this.lineupLoaded = true;
+          this.lineupDirty = false;
+          this.lineupReordered = false;
+        }
+      } catch (err) {
+        console.error('Failed to load lineup:', err);
+        this.showToast('Failed to load lineup', 'error');
+      }
+    },
+
+    async uploadLogo(ch, event) {
+      const file = event.target.files[0];
+      event.target.value = '';
+      if (!file) return;
+
+      try {
+        const res = await fetch(`/api/logos/${encodeURIComponent(ch.streamId)}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': file.type || 'application/octet-stream' },
+          body: file
+        });
+        const data = await res.json();
+        if (res.ok) {
+          ch.logoUploaded = true;
+          this.logoStamp = Date.now();
+          this.showToast(`Logo uploaded for ${ch.name}`, 'success');
+        } else {
+          this.showToast(data.error || 'Failed to upload logo', 'error');
+        }
+      } catch (err) {
+        console.error('Failed to upload logo:', err);
+        this.showToast('Failed to upload logo', 'error');
+      }
+    },
+
+    async removeLogo(ch) {
+      try {
+        const res = await fetch(`/api/logos/${encodeURIComponent(ch.streamId)}`, { method: 'DELETE' });
+        if (res.ok) {
+          ch.logoUploaded = false;
+          this.logoStamp = Date.now();
+          this.showToast(`Uploaded logo removed for ${ch.name}`, 'success');
+        } else {
+          this.showToast('Failed to remove logo', 'error');
+        }
+      } catch (err) {
+        console.error('Failed to remove logo:', err);
+        this.showToast('Failed to remove logo', 'error');
+      }
+    },
+
+    get filteredLineup() {
+      const q = this.lineupFilter.trim().toLowerCase();
+      return this.lineup.channels.filter(ch =>
+        (!this.lineupHiddenOnly || !ch.enabled) &&
+        (!q || [ch.name, ch.number, ch.group, ch.original.name, ch.original.number]
+          .some(v => String(v || '').toLowerCase().includes(q)))
+      );
+    },
+
+    get lineupVisibleCount() {
+      return this.lineup.channels.filter(ch => ch.enabled).length;
+    },
+
+    setAllChannels(enabled) {
+      this.filteredLineup.forEach(ch => { ch.enabled = enabled; });
+      this.lineupDirty = true;
+    },
+
+    moveChannel(ch, direction) {
+      const list = this.lineup.channels;
+      const from = list.indexOf(ch);
+      const to = from + direction;
+      if (from < 0 || to < 0 || to >= list.length) return;
+      list.splice(from, 1);
+      list.splice(to, 0, ch);
+      this.lineupReordered = true;
+      this.lineupDirty = true;
+    },
+
+    resetChannel(ch) {
+      Object.assign(ch, ch.original, { enabled: true });
+      this.lineupDirty = true;
+    },
+
+    async saveLineup() {
+      // Only values that differ from the original channel become overrides
+      const channels = {};
+      for (const ch of this.lineup.channels) {
+        const override = {};
+        if (!ch.enabled) override.enabled = false;
+        for (const field of ['number', 'name', 'group', 'logo']) {
+          const value = String(ch[field] || '').trim();
+          if (value && value !== String(ch.original[field] || '')) override[field] = value;
+        }
+        if (Object.keys(override).length > 0) channels[ch.key] = override;
+      }
+      const order = this.lineupReordered
+        ? this.lineup.channels.map(ch => ch.key)
+        : this.lineup.overlay.order;
+
+      this.savingLineup = true;
+      try {
+        const res = await fetch('/api/lineup', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ order, channels })
+        });
+        if (res.ok) {
+          this.lineup = await res.json();
+          this.lineupDirty = false;
+          this.lineupReordered = false;
+          this.showToast('Lineup saved', 'success');
+        } else {
+          const err = await res.json();
+          this.showToast(err.error || 'Failed to save lineup', 'error');
+        }
+      } catch (err) {
+        console.error('Failed to save lineup:', err);
+        this.showToast('Failed to save lineup', 'error');
+      } finally {
+        this.savingLineup = false;
+      }
+    },
+
+    async resetLineup() {
+      if (!confirm('Remove all lineup changes and restore the original channel list?')) return;
+      try {
+        const res = await fetch('/api/lineup', { method: 'DELETE' });
+        if (res.ok) {
+          this.lineup = await res.json();
+          this.lineupDirty = false;
+          this.lineupReordered = false;
+          this.showToast('Lineup reset', 'success');
+        }
+      } catch (err) {
+        console.error('Failed to reset lineup:', err);
+        this.showToast('Failed to reset lineup', 'error');
+      }
+    },
+
     get filteredLogs() {
       if (this.logFilter === 'all') {
         return this.logs;
@@ -371,6 +749,11 @@ function settingsApp() {
             isRefreshing: data.epg?.isRefreshing || false
           };
 
+          // Update market
+          if (data.market) {
+            this.systemStatus.market = data.market;
+          }
+
           // Update tuners status
           const tunerList = (data.tuners?.tuners || []).map(t => ({
             id: t.id,
@@ -378,12 +761,15 @@ function settingsApp() {
             channel: t.channel || '',
             channelName: t.channelName || '',
             state: t.state,
+            clients: t.clients || 0,
+            programme: t.programme || null,
             uptime: t.stream?.uptimeFormatted || '',
             bytes: t.stream?.bytesFormatted || '',
             loggedIn: t.login?.isLoggedIn || false,
             needsLogin: t.login?.needsLogin || false
           }));
           const activeCount = tunerList.filter(t => t.streaming).length;
+          this.snapshotStamp = Date.now();
           this.systemStatus.tuners = {
             total: data.tuners?.numTuners || 1,
             active: activeCount,
@@ -573,7 +959,66 @@ function settingsApp() {
 
     startStatusPolling() {
       if (!this.statusInterval) {
-        this.statusInterval = setInterval(() => this.loadStatus(), 10000);
+        this.loadEvents();
+        this.statusInterval = setInterval(() => {
+          this.loadStatus();
+          this.loadEvents();
+        }, 10000);
+      }
+    },
+
+    async loadEvents() {
+      try {
+        const res = await fetch('/api/events?limit=20');
+        if (res.ok) {
+          this.events = (await res.json()).events;
+        }
+      } catch (err) {
+        console.error('Failed to load events:', err);
+      }
+    },
+
+    async clearEvents() {
+      await fetch('/api/events', { method: 'DELETE' });
+      this.events = [];
+    },
+
+    addWebhook() {
+      this.settings.notifications.webhooks.push({
+        name: '',
+        enabled: true,
+        format: 'ntfy',
+        url: '',
+        token: '',
+        events: [],
+        minSeverity: 'warning',
+        cooldownSeconds: 300,
+        maxPerHour: 30
+      });
+      this.markDirty();
+    },
+
+    removeWebhook(index) {
+      this.settings.notifications.webhooks.splice(index, 1);
+      this.markDirty();
+    },
+
+    async testWebhook(hook) {
+      try {
+        const res = await fetch('/api/webhooks/test', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(hook)
+        });
+        if (res.ok) {
+          this.showToast('Test notification sent', 'success');
+        } else {
+          const err = await res.json();
+          this.showToast(`Webhook failed: ${err.error}`, 'error');
+        }
+      } catch (err) {
+        console.error('Failed to test webhook:', err);
+        this.showToast('Failed to test webhook', 'error');
       }
     },
 
@@ -0,0 +1,319 @@
+// TV guide grid with in-browser playback (hls.js)
+// Works with an admin session or a device key passed as ?token= (added to every request)
+
+const PX_PER_MINUTE = 4;
+const WINDOW_HOURS = 3;
+const FAVOURITES_KEY = 'dvr-guide-favourites';
+
+function guideApp() {
+  return {
+    rows: [],
+    groups: [],
+    group: '',
+    filter: '',
+    favouritesOnly: false,
+    favourites: [],
+    loading: true,
+    authError: false,
+    from: null,
+    now: Date.now(),
+    tuners: [],
+    selected: null,
+    playing: null,
+    playerStatus: '',
+    hls: null,
+    streamAbort: null,
+    token: new URLSearchParams(window.location.search).get('token'),
+    toast: {
+      show: false,
+      message: '',
+      type: 'success'
+    },
+
+    async init() {
+      try {
+        this.favourites = JSON.parse(localStorage.getItem(FAVOURITES_KEY) || '[]');
+      } catch (err) {
+        this.favourites = [];
+      }
+      this.goNow();
+      this.loadTuners();
+      // Keep the now line and tuner badges current
+      setInterval(() => { this.now = Date.now(); }, 30000);
+      setInterval(() => this.loadTuners(), 10000);
+      // Give the tuner back when the tab goes away
+      window.addEventListener('pagehide', () => this.releaseTuner(true));
+    },
+
+    withToken(url) {
+      if (!this.token) return url;
+      return url + (url.includes('?') ? '&' : '?') + 'token=' + encodeURIComponent(this.token);
+    },
+
+    async api(url, options) {
+      const res = await fetch(this.withToken(url), options);
+      if (res.status === 401) {
+        this.authError = true;
+      }
+      return res;
+    },
+
+    // ============================================
+    // Grid
+    // ============================================
+
+    goNow() {
+      const halfHour = 30 * 60 * 1000;
+      this.now = Date.now();
+      this.from = Math.floor(this.now / halfHour) * halfHour;
+      this.loadGrid();
+    },
+
+    shift(minutes) {
+      this.from += minutes * 60 * 1000;
+      this.loadGrid();
+    },
+
+    async loadGrid() {
+      this.loading = true;
+      try {
+        const res = await this.api(`/tve/directv/epg/grid?from=${this.from}&hours=${WINDOW_HOURS}`);
+        if (res.ok) {
+          const data = await res.json();
+          this.rows = data.channels;
+          this.groups = [...new Set(this.rows.map(row => row.channel.group).filter(Boolean))].sort();
+        }
+      } catch (err) {
+        console.error('Failed to load guide:', err);
+        this.showToast('Failed to load guide', 'error');
+      } finally {
+        this.loading = false;
+      }
+    },
+
+    get visibleRows() {
+      const q = this.filter.trim().toLowerCase();
+      return this.rows.filter(row =>
+        (!this.group || row.channel.group === this.group) &&
+        (!this.favouritesOnly || this.isFavourite(row.channel)) &&
+        (!q || row.channel.name.toLowerCase().includes(q) || String(row.channel.number).includes(q))
+      );
+    },
+
+    get slotsWidth() {
+      return WINDOW_HOURS * 60 * PX_PER_MINUTE;
+    },
+
+    get timeSlots() {
+      const slots = [];
+      for (let minute = 0; minute < WINDOW_HOURS * 60; minute += 30) {
+        const time = this.from + minute * 60 * 1000;
+        slots.push({ time, left: minute * PX_PER_MINUTE, label: this.formatTime(time) });
+      }
+      return slots;
+    },
+
+    get nowLeft() {
+      const minutes = (this.now - this.from) / 60000;
+      return minutes >= 0 && minutes <= WINDOW_HOURS * 60 ? minutes * PX_PER_MINUTE : null;
+    },
+
+    programmeStyle(programme) {
+      const windowEnd = this.from + WINDOW_HOURS * 60 * 60 * 1000;
+      const start = Math.max(Date.parse(programme.startTime), this.from);
+      const end = Math.min(Date.parse(programme.endTime), windowEnd);
+      const left = ((start - this.from) / 60000) * PX_PER_MINUTE;
+      const width = Math.max(((end - start) / 60000) * PX_PER_MINUTE - 2, 2);
+      return `left:${left}px;width:${width}px`;
+    },
+
+    isOnNow(programme) {
+      return Date.parse(programme.startTime) <= this.now && Date.parse(programme.endTime) > this.now;
+    },
+
+    formatTime(time) {
+      if (!time) return '';
+      return new Date(time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    },
+
+    // Clicking something that's on now starts playing it straight away
+    select(row, programme) {
+      this.selected = { channel: row.channel, programme };
+      if (this.isOnNow(programme)) {
+        this.play(row.channel, programme);
+      }
+    },
+
+    // ============================================
+    // Favourites (per browser)
+    // ============================================
+
+    isFavourite(channel) {
+      return !!channel && this.favourites.includes(channel.streamId);
+    },
+
+    toggleFavourite(channel) {
+      if (!channel) return;
+      this.favourites = this.isFavourite(channel)
+        ? this.favourites.filter(id => id !== channel.streamId)
+        : [...this.favourites, channel.streamId];
+      localStorage.setItem(FAVOURITES_KEY, JSON.stringify(this.favourites));
+    },
+
+    // ============================================
+    // Tuners and playback
+    // ============================================
+
+    async loadTuners() {
+      try {
+        const res = await this.api('/tuners');
+        if (res.ok) {
+          this.tuners = (await res.json()).tuners || [];
+          this.updatePlayerStatus();
+        }
+      } catch (err) {
+        console.error('Failed to load tuners:', err);
+      }
+    },
+
+    // Tuner currently streaming this channel, if any
+    tunerFor(channel) {
+      return this.tuners.find(t => t.channel === channel.streamId && t.state === 'streaming') || null;
+    },
+
+    updatePlayerStatus() {
+      if (this.playing?.tunerId == null) return;
+      const tuner = this.tuners.find(t => t.id === this.playing.tunerId);
+      this.playerStatus = tuner
+        ? `Tuner ${tuner.id} · ${tuner.state} · ${tuner.clients} viewer(s)`
+        : `Tuner ${this.playing.tunerId}`;
+    },
+
+    async play(channel, programme) {
+      await this.stop();
+      this.playing = { channel, programme, tunerId: null };
+      this.playerStatus = 'Tuning... (this can take up to a minute)';
+
+      // /stream allocates a tuner, waits for the first segments and redirects to its playlist
+      const controller = new AbortController();
+      this.streamAbort = controller;
+      try {
+        const res = await this.api(`/stream/${encodeURIComponent(channel.streamId)}`, { signal: controller.signal });
+        const playlist = new URL(res.url);
+        const match = playlist.pathname.match(/^\/tuner\/(\d+)\//);
+        if (!res.ok || !match) {
+          // Without HLS the server answers with an endless MPEG-TS stream
+          controller.abort();
+          const err = res.ok ? { error: 'HLS output is off - use VLC instead' } : await res.json().catch(() => ({}));
+          throw new Error(err.message || err.error || `HTTP ${res.status}`);
+        }
+
+        this.playing.tunerId = parseInt(match[1]);
+        this.attach(playlist.pathname + playlist.search);
+        this.updatePlayerStatus();
+        this.loadTuners();
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error('Failed to play:', err);
+        this.playerStatus = `Could not play: ${err.message}`;
+        this.showToast(`Could not play: ${err.message}`, 'error');
+      } finally {
+        if (this.streamAbort === controller) {
+          this.streamAbort = null;
+        }
+      }
+    },
+
+    attach(src) {
+      const video = this.$refs.video;
+      if (window.Hls && Hls.isSupported()) {
+        this.hls = new Hls({ liveSyncDurationCount: 3 });
+        this.hls.loadSource(src);
+        this.hls.attachMedia(video);
+        this.hls.on(Hls.Events.ERROR, (event, data) => {
+          if (data.fatal) {
+            this.playerStatus = `Playback error: ${data.details}`;
+          }
+        });
+      } else if (video.canPlayType('application/vnd.apple.mpegurl')) {
+        // Safari plays HLS natively
+        video.src = src;
+      } else {
+        throw new Error('This browser cannot play HLS');
+      }
+      video.play().catch(() => {});
+    },
+
+    async stop() {
+      if (this.streamAbort) {
+        this.streamAbort.abort();
+        this.streamAbort = null;
+      }
+      if (this.hls) {
+        this.hls.destroy();
+        this.hls = null;
+      }
+      const video = this.$refs.video;
+      video.removeAttribute('src');
+      video.load();
+      this.releaseTuner(false);
+      this.playing = null;
+      this.playerStatus = '';
+    },
+
+    releaseTuner(beacon) {
+      if (this.playing?.tunerId == null) return;
+      const url = this.withToken(`/tuner/${this.playing.tunerId}/release`);
+      if (beacon) {
+        navigator.sendBeacon(url);
+      } else {
+        fetch(url, { method: 'POST' }).catch(() => {});
+      }
+    },
+
+    // ============================================
+    // Actions
+    // ============================================
+
+    async record(selection, type) {
+      if (!selection) return;
+      const body = type === 'series'
+        ? { type: 'series', channel: selection.channel.streamId, title: selection.programme.title }
+        : { type: 'once', channel: selection.channel.streamId, startTime: selection.programme.startTime };
+      try {
+        const res = await this.api('/api/recordings/timers', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (res.ok) {
+          this.showToast(type === 'series' ? `Recording every "${body.title}"` : 'Recording scheduled', 'success');
+        } else if (res.status === 403) {
+          this.showToast('Only an admin can schedule recordings', 'error');
+        } else {
+          this.showToast(data.error || 'Failed to schedule recording', 'error');
+        }
+      } catch (err) {
+        console.error('Failed to schedule recording:', err);
+        this.showToast('Failed to schedule recording', 'error');
+      }
+    },
+
+    // VLC registers vlc:// on most desktops; with auth on it needs the ?token= this page was opened with
+    vlcUrl(channel) {
+      if (!channel) return '#';
+      return 'vlc://' + window.location.origin + this.withToken(`/stream/${encodeURIComponent(channel.streamId)}`);
+    },
+
+    showToast(message, type = 'success') {
+      this.toast.message = message;
+      this.toast.type = type;
+      this.toast.show = true;
+
+      setTimeout(() => {
+        this.toast.show = false;
+      }, 3000);
+    }
+  };
+}
@@ -0,0 +1,632 @@
+// Recording Manager - EPG-driven DVR timers
+// One-off timers record a single programme (or a manual time window),
+// series timers record every airing of a title found in the EPG.
+// At start time a tuner is allocated through the tuner manager and its
+// output is remuxed to an HLS recording on disk.
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const tunerManager = require('./tuner-manager');
+const { TunerPriority } = tunerManager;
+const directvEpg = require('./directv-epg');
+const effectiveConfig = require('./effective-config');
+const eventBus = require('./event-bus');
+const { EventType } = eventBus;
+const hlsPlaylist = require('./hls-playlist');
+const breakDetect = require('./break-detect');
+const settingsSchema = require('./settings-schema');
+
+const DATA_DIR = process.env.DVR_DATA_DIR || '/data';
+const RECORDINGS_DB = path.join(DATA_DIR, 'recordings.json');
+const RECORDINGS_DIR = process.env.DVR_RECORDINGS_DIR || path.join(DATA_DIR, 'recordings');
+
+const SCHEDULER_INTERVAL = 15000;  // Check timers every 15 seconds
+
+const RecordingStatus = {
+  SCHEDULED: 'scheduled',
+  RECORDING: 'recording',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// rec.breakDetection.status
+const BreakDetectionStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+// Per-timer padding in minutes: null (use the global setting) or a whole number in the
+// global setting's range
+function parsePadding(data, key) {
+  const value = data[key];
+  if (value === null || value === undefined || value === '') return null;
+  const result = settingsSchema.validateValue(settingsSchema.SCHEMA.recordings[key], value, key);
+  if (result.errors.length > 0) {
+    throw new Error(`${key} ${result.errors[0].message}`);
+  }
+  return result.value;
+}
+
+class RecordingManager {
+  constructor() {
+    this.timers = [];
+    this.recordings = [];
+    this.active = new Map();  // recordingId -> { process, tuner, pipeMode }
+    this.schedulerTimer = null;
+    this.breakQueue = Promise.resolve();  // Break detection runs one recording at a time
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(RECORDINGS_DB)) {
+        const data = JSON.parse(fs.readFileSync(RECORDINGS_DB, 'utf8'));
+        this.timers = data.timers || [];
+        this.recordings = data.recordings || [];
+
+        // Anything that was recording when we went down is now incomplete
+        for (const rec of this.recordings) {
+          if (rec.status === RecordingStatus.RECORDING) {
+            rec.status = RecordingStatus.FAILED;
+            rec.error = 'Interrupted by server restart';
+            rec.endedAt = rec.endedAt || Date.now();
+          }
+          if (rec.breakDetection && (rec.breakDetection.status === BreakDetectionStatus.QUEUED ||
+              rec.breakDetection.status === BreakDetectionStatus.RUNNING)) {
+            rec.breakDetection.status = BreakDetectionStatus.FAILED;
+            rec.breakDetection.error = 'Interrupted by server restart';
+          }
+        }
+        console.log(`[recordings] Loaded ${this.timers.length} timer(s), ${this.recordings.length} recording(s)`);
+      }
+    } catch (err) {
+      console.error('[recordings] Error loading recordings database:', err.message);
+    }
+  }
+
+  save() {
+    try {
+      if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+      }
+      fs.writeFileSync(RECORDINGS_DB, JSON.stringify({ timers: this.timers, recordings: this.recordings }, null, 2));
+    } catch (err) {
+      console.error('[recordings] Error saving recordings database:', err.message);
+    }
+  }
+
+  start() {
+    if (this.schedulerTimer) return;
+    console.log(`[recordings] Scheduler started (recordings in ${RECORDINGS_DIR})`);
+    const tick = () => this.tick().catch(err => {
+      console.error(`[recordings] Scheduler error: ${err.message}`);
+    });
+    this.schedulerTimer = setInterval(tick, SCHEDULER_INTERVAL);
+    tick();
+  }
+
+  async stop() {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+    for (const id of Array.from(this.active.keys())) {
+      await this.stopRecording(id, RecordingStatus.COMPLETED);
+    }
+  }
+
+  // Padding in milliseconds - per-timer values override the global settings
+  getPadding(rec) {
+    const settings = effectiveConfig.get('recordings');
+    const pre = rec.prePadding ?? settings.prePadding;
+    const post = rec.postPadding ?? settings.postPadding;
+    return { pre: pre * 60000, post: post * 60000 };
+  }
+
+  // ========== Timers ==========
+
+  getTimers() {
+    return this.timers;
+  }
+
+  getTimer(id) {
+    return this.timers.find(t => t.id === id);
+  }
+
+  // Create a timer
+  // once:   { type: 'once', channel, startTime } - programme looked up in the EPG
+  //         { type: 'once', channel, startTime, endTime, title } - manual time window
+  // series: { type: 'series', title, channel? } - every airing of title (on any channel if omitted)
+  createTimer(data) {
+    const type = data.type || 'once';
+    if (type !== 'once' && type !== 'series') {
+      throw new Error(`Invalid timer type: ${type}`);
+    }
+
+    const timer = {
+      id: crypto.randomUUID(),
+      type,
+      channel: data.channel ? String(data.channel) : null,
+      title: data.title || null,
+      prePadding: parsePadding(data, 'prePadding'),
+      postPadding: parsePadding(data, 'postPadding'),
+      createdAt: Date.now(),
+    };
+
+    if (type === 'once') {
+      if (!timer.channel || !data.startTime) {
+        throw new Error('One-off timers require channel and startTime');
+      }
+
+      const startTime = new Date(data.startTime).getTime();
+      if (isNaN(startTime)) {
+        throw new Error(`Invalid startTime: ${data.startTime}`);
+      }
+
+      let endTime = data.endTime ? new Date(data.endTime).getTime() : null;
+      let programme = null;
+      if (!endTime) {
+        programme = directvEpg.getSchedule(timer.channel)
+          .find(p => new Date(p.startTime).getTime() === startTime);
+        if (!programme) {
+          throw new Error(`No programme on channel ${timer.channel} starting at ${new Date(startTime).toISOString()}`);
+        }
+        endTime = new Date(programme.endTime).getTime();
+      }
+      if (isNaN(endTime) || endTime <= startTime) {
+        throw new Error('endTime must be after startTime');
+      }
+
+      timer.startTime = startTime;
+      timer.endTime = endTime;
+      timer.title = timer.title || programme?.title || `Channel ${timer.channel}`;
+      this.timers.push(timer);
+      this.scheduleRecording(timer, { title: timer.title, subtitle: programme?.subtitle, startTime, endTime });
+    } else {
+      if (!timer.title) {
+        throw new Error('Series timers require a title');
+      }
+      this.timers.push(timer);
+      this.expandSeriesTimer(timer);
+    }
+
+    console.log(`[recordings] Created ${type} timer "${timer.title}"${timer.channel ? ` on ${timer.channel}` : ''}`);
+    this.save();
+    return timer;
+  }
+
+  updateTimer(id, data) {
+    const timer = this.getTimer(id);
+    if (!timer) return null;
+
+    // Validate both before changing anything
+    const prePadding = data.prePadding !== undefined ? parsePadding(data, 'prePadding') : timer.prePadding;
+    const postPadding = data.postPadding !== undefined ? parsePadding(data, 'postPadding') : timer.postPadding;
+
+    if (data.title !== undefined && timer.type === 'series') timer.title = data.title;
+    timer.prePadding = prePadding;
+    timer.postPadding = postPadding;
+
+    // Push padding changes down to recordings that haven't started yet
+    for (const rec of this.recordings) {
+      if (rec.timerId === id && rec.status === RecordingStatus.SCHEDULED) {
+        rec.prePadding = timer.prePadding;
+        rec.postPadding = timer.postPadding;
+      }
+    }
+
+    this.save();
+    return timer;
+  }
+
+  // Delete a timer and cancel its pending recordings (active ones keep going)
+  deleteTimer(id) {
+    const idx = this.timers.findIndex(t => t.id === id);
+    if (idx === -1) return false;
+
+    this.timers.splice(idx, 1);
+    for (const rec of this.recordings) {
+      if (rec.timerId === id && rec.status === RecordingStatus.SCHEDULED) {
+        rec.status = RecordingStatus.CANCELLED;
+      }
+    }
+    this.save();
+    return true;
+  }
+
+  // ========== Recordings ==========
+
+  getRecordings(status) {
+    return status ? this.recordings.filter(r => r.status === status) : this.recordings;
+  }
+
+  getRecording(id) {
+    return this.recordings.find(r => r.id === id);
+  }
+
+  scheduleRecording(timer, programme) {
+    const exists = this.recordings.find(r =>
+      r.channel === (programme.channel || timer.channel) &&
+      r.startTime === programme.startTime &&
+      r.status !== RecordingStatus.CANCELLED
+    );
+    if (exists) return exists;
+
+    const rec = {
+      id: crypto.randomUUID(),
+      timerId: timer.id,
+      channel: programme.channel || timer.channel,
+      title: programme.title,
+      subtitle: programme.subtitle || null,
+      startTime: programme.startTime,
+      endTime: programme.endTime,
+      prePadding: timer.prePadding,
+      postPadding: timer.postPadding,
+      status: RecordingStatus.SCHEDULED,
+      tunerId: null,
+      startedAt: null,
+      endedAt: null,
+      error: null,
+    };
+    this.recordings.push(rec);
+    return rec;
+  }
+
+  // Find upcoming airings of a series title in the EPG
+  expandSeriesTimer(timer) {
+    const now = Date.now();
+    const titleLower = timer.title.toLowerCase();
+    const channels = timer.channel
+      ? [directvEpg.getChannelByNumber(timer.channel)].filter(Boolean)
+      : directvEpg.getChannels();
+
+    let added = 0;
+    for (const channel of channels) {
+      for (const programme of directvEpg.getSchedule(channel.number)) {
+        if ((programme.title || '').toLowerCase() !== titleLower) continue;
+
+        const startTime = new Date(programme.startTime).getTime();
+        const endTime = new Date(programme.endTime).getTime();
+        if (endTime <= now) continue;
+
+        const before = this.recordings.length;
+        this.scheduleRecording(timer, {
+          channel: String(channel.number),
+          title: programme.title,
+          subtitle: programme.subtitle,
+          startTime,
+          endTime,
+        });
+        if (this.recordings.length > before) added++;
+      }
+    }
+
+    if (added > 0) {
+      console.log(`[recordings] Series "${timer.title}": scheduled ${added} new airing(s)`);
+    }
+    return added;
+  }
+
+  // Cancel a scheduled recording, stop an active one, or delete a finished one from disk
+  async deleteRecording(id) {
+    const rec = this.getRecording(id);
+    if (!rec) return false;
+
+    if (rec.status === RecordingStatus.SCHEDULED) {
+      rec.status = RecordingStatus.CANCELLED;
+    } else if (rec.status === RecordingStatus.RECORDING) {
+      await this.stopRecording(id, RecordingStatus.CANCELLED);
+    } else {
+      try {
+        fs.rmSync(this.getRecordingDir(id), { recursive: true, force: true });
+      } catch (err) {
+        console.error(`[recordings] Failed to delete files for ${id}: ${err.message}`);
+      }
+      this.recordings = this.recordings.filter(r => r.id !== id);
+    }
+
+    this.save();
+    return true;
+  }
+
+  getRecordingDir(id) {
+    return path.join(RECORDINGS_DIR, id);
+  }
+
+  getPlaylistPath(id) {
+    return path.join(this.getRecordingDir(id), 'index.m3u8');
+  }
+
+  getSegmentPath(id, filename) {
+    return path.join(this.getRecordingDir(id), filename);
+  }
+
+  // The recording's playlist, with EXT-X-DATERANGE tags for its breaks once they're
+  // detected (needs the EXT-X-PROGRAM-DATE-TIME recordings are written with)
+  getPlaylist(id) {
+    const rec = this.getRecording(id);
+    const content = fs.readFileSync(this.getPlaylistPath(id), 'utf8');
+    const breaks = rec && rec.breakDetection && rec.breakDetection.status === BreakDetectionStatus.DONE
+      ? rec.breakDetection.breaks
+      : [];
+    if (breaks.length === 0) {
+      return content;
+    }
+
+    const playlist = hlsPlaylist.parse(content);
+    const [firstDate] = hlsPlaylist.segmentDates(playlist);
+    if (!Number.isFinite(firstDate)) {
+      return content;
+    }
+    const ranges = breakDetect.toDateRanges(breaks, firstDate / 1000);
+    return hlsPlaylist.serialize(hlsPlaylist.addDateRanges(playlist, ranges), { type: 'EVENT' });
+  }
+
+  // ========== Break detection ==========
+
+  // Queue a recording for break detection (again, if it was done before).
+  // Returns its breakDetection, or null if there's nothing on disk to analyse.
+  detectBreaks(id) {
+    const rec = this.getRecording(id);
+    if (!rec || !fs.existsSync(this.getPlaylistPath(id))) return null;
+    if (rec.breakDetection && (rec.breakDetection.status === BreakDetectionStatus.QUEUED ||
+        rec.breakDetection.status === BreakDetectionStatus.RUNNING)) {
+      return rec.breakDetection;
+    }
+
+    rec.breakDetection = { status: BreakDetectionStatus.QUEUED, breaks: [], duration: null, analyzedAt: null, error: null };
+    this.breakQueue = this.breakQueue.then(() => this.runBreakDetection(rec));
+    this.save();
+    return rec.breakDetection;
+  }
+
+  async runBreakDetection(rec) {
+    // Deleted while it was queued
+    if (!this.getRecording(rec.id)) return;
+
+    rec.breakDetection.status = BreakDetectionStatus.RUNNING;
+    console.log(`[recordings] Detecting breaks in "${rec.title}"`);
+    try {
+      const { breaks, duration } = await breakDetect.detect(this.getPlaylistPath(rec.id),
+        { silenceDb: effectiveConfig.get('breaks.silenceDb') });
+      Object.assign(rec.breakDetection, { status: BreakDetectionStatus.DONE, breaks, duration, analyzedAt: Date.now() });
+      console.log(`[recordings] "${rec.title}": ${breaks.length} break(s) found`);
+    } catch (err) {
+      Object.assign(rec.breakDetection, { status: BreakDetectionStatus.FAILED, error: err.message });
+      console.error(`[recordings] Break detection failed for "${rec.title}": ${err.message}`);
+    }
+    this.save();
+  }
+
+  // ========== Scheduler ==========
+
+  async tick() {
+    const now = Date.now();
+
+    // Pick up new airings for series timers (EPG may have refreshed)
+    for (const timer of this.timers) {
+      if (timer.type === 'series') {
+        this.expandSeriesTimer(timer);
+      }
+    }
+
+    for (const rec of this.recordings) {
+      const padding = this.getPadding(rec);
+
+      if (rec.status === RecordingStatus.SCHEDULED) {
+        if (now >= rec.endTime + padding.post) {
+          rec.status = RecordingStatus.FAILED;
+          rec.error = 'Missed - no tuner was started before the programme ended';
+          eventBus.publish(EventType.RECORDING_FAILED, `Recording "${rec.title}" missed - no tuner was started before the programme ended`,
+            { recordingId: rec.id, title: rec.title, channel: rec.channel, error: rec.error });
+        } else if (now >= rec.startTime - padding.pre && !this.active.has(rec.id)) {
+          this.startRecording(rec).catch(err => {
+            console.error(`[recordings] Failed to start "${rec.title}": ${err.message}`);
+          });
+        }
+      } else if (rec.status === RecordingStatus.RECORDING) {
+        const active = this.active.get(rec.id);
+        if (now >= rec.endTime + padding.post) {
+          await this.stopRecording(rec.id, RecordingStatus.COMPLETED);
+        } else if (active && active.tuner && active.tuner.currentChannel !== rec.channel) {
+          console.warn(`[recordings] Tuner ${active.tuner.id} left channel ${rec.channel} during "${rec.title}"`);
+          await this.stopRecording(rec.id, RecordingStatus.FAILED, `Tuner switched to channel ${active.tuner.currentChannel}`);
+        }
+      }
+    }
+
+    // One-off timers are done once their recording has finished
+    const before = this.timers.length;
+    this.timers = this.timers.filter(t => {
+      if (t.type !== 'once') return true;
+      return this.recordings.some(r => r.timerId === t.id &&
+        (r.status === RecordingStatus.SCHEDULED || r.status === RecordingStatus.RECORDING));
+    });
+
+    if (this.timers.length !== before || this.active.size > 0 || this.recordings.some(r => r.status === RecordingStatus.SCHEDULED)) {
+      this.save();
+    }
+  }
+
+  async startRecording(rec) {
+    // Mark as active immediately so the next tick doesn't start it twice
+    this.active.set(rec.id, { process: null, tuner: null, pipeMode: false });
+    console.log(`[recordings] Starting "${rec.title}" on channel ${rec.channel}`);
+
+    let tuner;
+    try {
+      tuner = await tunerManager.allocateTuner(rec.channel, { priority: TunerPriority.RECORDING, owner: 'dvr' });
+    } catch (err) {
+      this.active.delete(rec.id);
+      rec.error = err.message;  // Retried on the next tick until the programme ends
+      throw err;
+    }
+
+    if (!tuner) {
+      this.active.delete(rec.id);
+      rec.error = 'No tuner available';
+      console.log(`[recordings] No tuner available for "${rec.title}", will retry`);
+      return;
+    }
+
+    // Cancelled while we were waiting for the tuner
+    if (rec.status !== RecordingStatus.SCHEDULED) {
+      this.active.delete(rec.id);
+      tunerManager.releaseClient(tuner.id);
+      return;
+    }
+
+    rec.status = RecordingStatus.RECORDING;
+    rec.startedAt = Date.now();
+    rec.tunerId = tuner.id;
+    rec.error = null;
+    eventBus.publish(EventType.RECORDING_STARTED, `Recording "${rec.title}" on tuner ${tuner.id}`,
+      { recordingId: rec.id, title: rec.title, channel: rec.channel, tunerId: tuner.id });
+
+    const dir = this.getRecordingDir(rec.id);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const pipeMode = !(tuner.ffmpeg && tuner.ffmpeg.isHlsMode());
+    let input;
+    if (pipeMode) {
+      input = 'pipe:0';
+    } else {
+      // Wait for the tuner's first HLS segments
+      let waited = 0;
+      while (!tuner.ffmpeg.isHlsReady() && waited < 20000) {
+        await new Promise(r => setTimeout(r, 500));
+        waited += 500;
+      }
+      input = tuner.getPlaylistPath();
+    }
+
+    const args = [
+      ...(pipeMode ? [] : ['-live_start_index', '-1']),
+      '-i', input,
+      '-map', '0',
+      '-c', 'copy',
+      '-f', 'hls',
+      '-hls_time', '6',
+      '-hls_list_size', '0',
+      '-hls_playlist_type', 'event',
+      '-hls_flags', 'program_date_time',
+      '-hls_segment_filename', path.join(dir, 'segment%05d.ts'),
+      this.getPlaylistPath(rec.id),
+    ];
+
+    const proc = spawn('ffmpeg', args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    this.active.set(rec.id, { process: proc, tuner, pipeMode });
+
+    proc.stderr.on('data', (data) => {
+      const msg = data.toString();
+      if (msg.includes('Error') || msg.includes('error')) {
+        console.error(`[recordings] ffmpeg (${rec.title}): ${msg.trim().substring(0, 200)}`);
+      }
+    });
+
+    proc.on('close', (code) => {
+      console.log(`[recordings] ffmpeg for "${rec.title}" exited with code ${code}`);
+      if (this.active.has(rec.id) && rec.status === RecordingStatus.RECORDING) {
+        // Exited on its own before the end time
+        this.finishRecording(rec, RecordingStatus.FAILED, `ffmpeg exited with code ${code}`);
+      }
+    });
+
+    if (pipeMode) {
+      // The tuner writes MPEG-TS straight into ffmpeg's stdin
+      await tuner.pipeToClient(proc.stdin);
+    }
+
+    console.log(`[recordings] Recording "${rec.title}" from tuner ${tuner.id}`);
+    this.save();
+  }
+
+  async stopRecording(id, status, error = null) {
+    const rec = this.getRecording(id);
+    const active = this.active.get(id);
+    if (!rec || !active) return;
+
+    if (active.process) {
+      const proc = active.process;
+      // SIGINT lets ffmpeg finalize the playlist with #EXT-X-ENDLIST
+      proc.kill('SIGINT');
+      await new Promise((resolve) => {
+        const timeout = setTimeout(() => {
+          // proc.killed is already true once SIGINT was sent - check it actually exited
+          if (proc.exitCode === null && proc.signalCode === null) proc.kill('SIGKILL');
+          resolve();
+        }, 5000);
+        proc.once('close', () => {
+          clearTimeout(timeout);
+          resolve();
+        });
+      });
+    }
+
+    this.finishRecording(rec, status, error);
+  }
+
+  finishRecording(rec, status, error = null) {
+    const active = this.active.get(rec.id);
+    this.active.delete(rec.id);
+
+    rec.status = status;
+    rec.error = error;
+    rec.endedAt = Date.now();
+    rec.size = this.getRecordingSize(rec.id);
+
+    // Release our hold on the tuner (pipe mode clients release themselves on stdin close)
+    if (active && active.tuner && !active.pipeMode) {
+      tunerManager.releaseClient(active.tuner.id);
+    }
+    if (active && active.tuner && active.tuner.clients === 0) {
+      tunerManager.releaseTuner(active.tuner.id);
+    } else if (active && active.tuner && active.tuner.priority === TunerPriority.RECORDING) {
+      // Viewers still watching keep the tuner, but no longer protected as a recording
+      active.tuner.priority = TunerPriority.VIEWER;
+    }
+
+    console.log(`[recordings] "${rec.title}" ${status}${error ? `: ${error}` : ''}`);
+    if (status === RecordingStatus.COMPLETED || status === RecordingStatus.FAILED) {
+      eventBus.publish(
+        status === RecordingStatus.COMPLETED ? EventType.RECORDING_COMPLETED : EventType.RECORDING_FAILED,
+        `Recording "${rec.title}" ${status}${error ? `: ${error}` : ''}`,
+        { recordingId: rec.id, title: rec.title, channel: rec.channel, error }
+      );
+    }
+    if (status === RecordingStatus.COMPLETED && effectiveConfig.get('breaks.enabled')) {
+      this.detectBreaks(rec.id);
+    }
+    this.save();
+  }
+
+  getRecordingSize(id) {
+    try {
+      const dir = this.getRecordingDir(id);
+      return fs.readdirSync(dir).reduce((total, f) => total + fs.statSync(path.join(dir, f)).size, 0);
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  getStatus() {
+    return {
+      timers: this.timers.length,
+      scheduled: this.getRecordings(RecordingStatus.SCHEDULED).length,
+      recording: this.getRecordings(RecordingStatus.RECORDING).length,
+      completed: this.getRecordings(RecordingStatus.COMPLETED).length,
+      recordingsDir: RECORDINGS_DIR,
+    };
+  }
+}
+
+const recordingManager = new RecordingManager();
+
+module.exports = recordingManager;
+module.exports.RecordingStatus = RecordingStatus;
+module.exports.BreakDetectionStatus = BreakDetectionStatus;
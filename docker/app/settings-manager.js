@@ -1,10 +1,18 @@
 const fs = require('fs');
 const path = require('path');
+const settingsSchema = require('./settings-schema');
+const { CHANNEL_OVERRIDE_GROUPS } = settingsSchema;
 
 // Use /data for persistent storage (Docker volume mount point)
 const SETTINGS_PATH = process.env.DVR_DATA_DIR
   ? path.join(process.env.DVR_DATA_DIR, 'settings.json')
   : '/data/settings.json';
+const HISTORY_PATH = process.env.DVR_DATA_DIR
+  ? path.join(process.env.DVR_DATA_DIR, 'settings-history.json')
+  : '/data/settings-history.json';
+
+// Saved versions kept for rollback
+const MAX_HISTORY = 50;
 
 // Default settings - matches current config.js values
 const DEFAULTS = {
@@ -13,18 +21,59 @@ const DEFAULTS = {
     bitrate: '2500k'
   },
   audio: {
-    bitrate: '128k'
+    bitrate: '128k',
+    language: ''                // Preferred audio track (ISO 639 code like 'es'), empty = the player's default
   },
   hls: {
     segmentTime: 4,
     listSize: 5
   },
   epg: {
-    refreshInterval: 4
+    refreshInterval: 4,
+    days: 3                     // Guide length (3-7 days), fetched in pages from the schedule API
+  },
+  market: {
+    zipCode: '',                // DirecTV market for the guide lineup (locals, RSNs);
+    dmaId: '',                  // empty fields use the logged-in account's market
+    regionId: ''
+  },
+  abr: {
+    enabled: false,             // Encode an adaptive bitrate ladder instead of one rendition
+    ladder: 'standard'          // Ladder ID from presets.js
+  },
+  timeshift: {
+    enabled: false,             // Keep a rolling window on disk for pause/rewind
+    minutes: 30,                // Window length
+    maxSizeMB: 2048,            // Per-tuner disk cap, oldest segments removed first
+    tuners: []                  // Tuner IDs with timeshift (empty = all)
+  },
+  captions: {
+    enabled: false,             // Read the player's closed captions into a WebVTT rendition
+                                // (WebVTT only - not embedded in the TS as CEA-608/708)
+    selectors: []               // Extra CSS selectors for the player's caption overlay
+  },
+  breaks: {
+    enabled: false,             // Detect commercial breaks (black + silence) live and in recordings
+    silenceDb: -50              // Audio quieter than this counts as silence
+  },
+  recordings: {
+    prePadding: 1,              // Minutes to start recording before the programme
+    postPadding: 2              // Minutes to keep recording after the programme ends
   },
   tuners: {
     count: 1
   },
+  notifications: {
+    webhooks: []                // See SCHEMA in settings-schema.js for the fields of each entry
+  },
+  priority: {
+    maxRequestPriority: 'pinned',  // Highest ?priority= a client may ask for without a key
+    keys: {}                       // API key -> priority granted, e.g. { "abc123": "recording" }
+  },
+  channelOverrides: {},         // Channel -> stream settings for that channel only, e.g.
+                                // { "206": { "video": { "bitrate": "6M" } } } (see CHANNEL_OVERRIDE_GROUPS)
+  liveSources: [],              // Browser capture sources besides DirecTV - see SCHEMA in settings-schema.js
+  passthroughChannels: [],      // Upstream HLS/TS streams remuxed without a tuner - see SCHEMA in settings-schema.js
   encoding: {
     bufferSize: '8M',           // Encoder buffer size (e.g., '2M', '4M', '8M', '12M')
     threadQueueSize: 2048,      // FFmpeg thread queue size (1024, 2048, 4096)
@@ -37,6 +86,8 @@ const DEFAULTS = {
 };
 
 let cachedSettings = null;
+let savedSettings = {};
+let history = null;            // [{ version, time, source, settings }], oldest first
 
 /**
  * Load settings from settings.json, merging with defaults
@@ -45,62 +96,53 @@ function loadSettings() {
   try {
     if (fs.existsSync(SETTINGS_PATH)) {
       const data = fs.readFileSync(SETTINGS_PATH, 'utf8');
-      const saved = JSON.parse(data);
+      savedSettings = JSON.parse(data);
       // Deep merge with defaults
-      cachedSettings = deepMerge(DEFAULTS, saved);
+      cachedSettings = deepMerge(DEFAULTS, savedSettings);
     } else {
+      savedSettings = {};
       cachedSettings = { ...DEFAULTS };
     }
   } catch (err) {
     console.warn('[settings] Failed to load settings.json, using defaults:', err.message);
+    savedSettings = {};
     cachedSettings = { ...DEFAULTS };
   }
   return cachedSettings;
 }
 
 /**
- * Save settings to settings.json
+ * Validate and save settings to settings.json
+ * Throws an error with code INVALID_SETTINGS and errors: [{ field, message }] if any
+ * field is out of range; nothing is saved in that case.
+ * @param {object} newSettings - complete settings object (missing fields use defaults)
+ * @param {object} [options] - { source } recorded in the history ('settings', 'preset:<id>', ...)
  */
-function saveSettings(newSettings) {
-  // Validate and normalize
-  const settings = {
-    video: {
-      resolution: {
-        width: parseInt(newSettings.video?.resolution?.width) || DEFAULTS.video.resolution.width,
-        height: parseInt(newSettings.video?.resolution?.height) || DEFAULTS.video.resolution.height
-      },
-      bitrate: String(newSettings.video?.bitrate || DEFAULTS.video.bitrate)
-    },
-    audio: {
-      bitrate: String(newSettings.audio?.bitrate || DEFAULTS.audio.bitrate)
-    },
-    hls: {
-      segmentTime: parseInt(newSettings.hls?.segmentTime) || DEFAULTS.hls.segmentTime,
-      listSize: parseInt(newSettings.hls?.listSize) || DEFAULTS.hls.listSize
-    },
-    epg: {
-      refreshInterval: parseInt(newSettings.epg?.refreshInterval) || DEFAULTS.epg.refreshInterval
-    },
-    tuners: {
-      count: parseInt(newSettings.tuners?.count) || DEFAULTS.tuners.count
-    },
-    encoding: {
-      bufferSize: String(newSettings.encoding?.bufferSize || DEFAULTS.encoding.bufferSize),
-      threadQueueSize: parseInt(newSettings.encoding?.threadQueueSize) || DEFAULTS.encoding.threadQueueSize,
-      probeSize: String(newSettings.encoding?.probeSize || DEFAULTS.encoding.probeSize),
-      drawMouse: Boolean(newSettings.encoding?.drawMouse ?? DEFAULTS.encoding.drawMouse),
-      vsync: ['cfr', 'vfr', 'passthrough'].includes(newSettings.encoding?.vsync)
-        ? newSettings.encoding.vsync : DEFAULTS.encoding.vsync,
-      gopSize: parseInt(newSettings.encoding?.gopSize) || DEFAULTS.encoding.gopSize,
-      lowLatency: Boolean(newSettings.encoding?.lowLatency ?? DEFAULTS.encoding.lowLatency)
-    }
-  };
+function saveSettings(newSettings, { source = 'settings' } = {}) {
+  const { settings, errors } = settingsSchema.validate(newSettings, DEFAULTS);
+  if (errors.length > 0) {
+    const err = new Error(`Invalid settings: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    err.code = 'INVALID_SETTINGS';
+    err.errors = errors;
+    throw err;
+  }
 
+  const previous = getSavedSettings();
   fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2));
   cachedSettings = settings;
+  savedSettings = settings;
+  recordHistory(previous, settings, source);
   return settings;
 }
 
+/**
+ * Normalize one channel override: only CHANNEL_OVERRIDE_GROUPS fields, validated
+ * against the schema. Returns { override, errors }.
+ */
+function normalizeChannelOverride(override, channel = '') {
+  return settingsSchema.validateOverride(override, channel ? `channelOverrides.${channel}` : '');
+}
+
 /**
  * Get current settings (cached)
  */
@@ -111,6 +153,112 @@ function getSettings() {
   return cachedSettings;
 }
 
+/**
+ * Get only what settings.json contains (no defaults merged in)
+ */
+function getSavedSettings() {
+  if (!cachedSettings) {
+    loadSettings();
+  }
+  return savedSettings;
+}
+
+/**
+ * Saved versions, newest first, with the fields each one changed
+ */
+function getHistory() {
+  const entries = loadHistory();
+  return entries.map((entry, index) => ({
+    version: entry.version,
+    time: entry.time,
+    source: entry.source,
+    changes: index > 0 ? diffSettings(entries[index - 1].settings, entry.settings) : [],
+    current: index === entries.length - 1
+  })).reverse();
+}
+
+/**
+ * One saved version, or null
+ */
+function getHistoryVersion(version) {
+  return loadHistory().find(entry => entry.version === Number(version)) || null;
+}
+
+/**
+ * Save an earlier version again (as a new version, so the rollback can be undone)
+ */
+function rollback(version) {
+  const entry = getHistoryVersion(version);
+  if (!entry) {
+    return null;
+  }
+  return saveSettings(entry.settings, { source: `rollback:${entry.version}` });
+}
+
+function loadHistory() {
+  if (!history) {
+    try {
+      history = fs.existsSync(HISTORY_PATH) ? JSON.parse(fs.readFileSync(HISTORY_PATH, 'utf8')) : [];
+    } catch (err) {
+      console.warn('[settings] Failed to load settings history:', err.message);
+      history = [];
+    }
+  }
+  return history;
+}
+
+/**
+ * Version number of the saved settings (0 before the first save)
+ */
+function getCurrentVersion() {
+  const entries = loadHistory();
+  return entries.length > 0 ? entries[entries.length - 1].version : 0;
+}
+
+// Append a version unless nothing changed; the first save also records what it replaced
+function recordHistory(previous, settings, source) {
+  const entries = loadHistory();
+  const last = entries[entries.length - 1];
+  if (!last) {
+    const initial = deepMerge(DEFAULTS, previous);
+    entries.push({ version: 1, time: Date.now(), source: 'initial', settings: initial });
+  } else if (diffSettings(last.settings, settings).length === 0) {
+    return;
+  }
+
+  const version = entries[entries.length - 1].version + 1;
+  entries.push({ version, time: Date.now(), source, settings });
+  history = entries.slice(-MAX_HISTORY);
+  try {
+    fs.writeFileSync(HISTORY_PATH, JSON.stringify(history, null, 2));
+  } catch (err) {
+    console.warn('[settings] Failed to save settings history:', err.message);
+  }
+}
+
+/**
+ * Dotted keys whose values differ between two settings objects
+ */
+function diffSettings(before, after, prefix = '') {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  for (const key of keys) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const a = before?.[key];
+    const b = after?.[key];
+    if (isPlainObject(a) && isPlainObject(b) && field !== 'channelOverrides' && field !== 'priority.keys') {
+      changes.push(...diffSettings(a, b, field));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push(field);
+    }
+  }
+  return changes;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
 /**
  * Get default settings
  */
@@ -137,6 +285,14 @@ module.exports = {
   loadSettings,
   saveSettings,
   getSettings,
+  getSavedSettings,
   getDefaults,
-  DEFAULTS
+  normalizeChannelOverride,
+  getHistory,
+  getHistoryVersion,
+  getCurrentVersion,
+  rollback,
+  diffSettings,
+  DEFAULTS,
+  CHANNEL_OVERRIDE_GROUPS
 };
@@ -0,0 +1,369 @@
+/**
+ * Settings schema - the type and allowed values of every field in settings.json
+ *
+ * Leaves are rules ({ type, ... }); anything else is a group of fields. Missing or
+ * empty values take the default; values that are present but don't fit the rule are
+ * reported as { field, message } instead of being silently replaced.
+ */
+const { getLadders } = require('./presets');
+
+// Tuner priority levels, lowest first (see TunerPriority in tuner.js)
+const PRIORITY_LEVELS = ['background', 'viewer', 'pinned', 'recording'];
+
+// Webhook payload formats and event severities (see webhooks.js / event-bus.js)
+const WEBHOOK_FORMATS = ['generic', 'ntfy', 'discord', 'gotify'];
+const SEVERITIES = ['info', 'warning', 'error'];
+
+// How a browser capture source fills the screen (see live-sources/browser-capture.js)
+const FULLSCREEN_STRATEGIES = ['video', 'element', 'button', 'none'];
+
+// How a passthrough channel's upstream is copied (see passthrough.js)
+const PASSTHROUGH_MODES = ['remux', 'transcode'];
+
+const URL_RULE = { type: 'string', pattern: /^https?:\/\/\S+$/i, hint: 'an http(s) URL' };
+const STREAM_URL_RULE = { type: 'string', pattern: /^(https?|rtsp|rtmp|udp|srt):\/\/\S+$/i, hint: 'an http(s), rtsp, rtmp, udp or srt URL' };
+const CHANNEL_NUMBER_RULE = { type: 'string', pattern: /^\d+(\.\d+)?$/, hint: 'a channel number like 9001 or 9001.1', default: '' };
+
+// Settings groups a channel override may change
+const CHANNEL_OVERRIDE_GROUPS = ['video', 'audio', 'hls', 'abr', 'encoding'];
+
+const SCHEMA = {
+  video: {
+    resolution: {
+      width: { type: 'integer', min: 640, max: 3840 },
+      height: { type: 'integer', min: 360, max: 2160 }
+    },
+    bitrate: { type: 'rate', min: 200e3, max: 50e6 }
+  },
+  audio: {
+    bitrate: { type: 'rate', min: 32e3, max: 512e3 },
+    language: { type: 'string', pattern: /^[a-z]{2,3}$/, hint: 'a language code like es' }
+  },
+  hls: {
+    segmentTime: { type: 'integer', min: 1, max: 30 },
+    listSize: { type: 'integer', min: 2, max: 60 }
+  },
+  epg: {
+    refreshInterval: { type: 'integer', min: 1, max: 48 },
+    days: { type: 'integer', min: 3, max: 7 }
+  },
+  market: {
+    zipCode: { type: 'string', pattern: /^\d{5}$/, hint: 'a 5-digit zip code' },
+    dmaId: { type: 'string', pattern: /^\d+$/, hint: 'a number' },
+    regionId: { type: 'string' }
+  },
+  abr: {
+    enabled: { type: 'boolean' },
+    ladder: { type: 'enum', values: () => getLadders().map(ladder => ladder.id) }
+  },
+  timeshift: {
+    enabled: { type: 'boolean' },
+    minutes: { type: 'integer', min: 1, max: 720 },
+    maxSizeMB: { type: 'integer', min: 100, max: 1024 * 1024 },
+    tuners: { type: 'list', items: { type: 'integer', min: 0, max: 63 } }
+  },
+  captions: {
+    enabled: { type: 'boolean' },
+    selectors: { type: 'list', items: { type: 'string' }, split: ',' }
+  },
+  breaks: {
+    enabled: { type: 'boolean' },
+    silenceDb: { type: 'integer', min: -90, max: -20 }
+  },
+  recordings: {
+    prePadding: { type: 'integer', min: 0, max: 60 },
+    postPadding: { type: 'integer', min: 0, max: 120 }
+  },
+  tuners: {
+    count: { type: 'integer', min: 1, max: 16 }
+  },
+  notifications: {
+    webhooks: {
+      type: 'list',
+      // Entries without a URL are unfinished rows from the editor - dropped, not errors
+      skip: hook => !hook || !hook.url,
+      items: {
+        type: 'object',
+        defaultName: index => `Webhook ${index + 1}`,
+        fields: {
+          name: { type: 'string' },
+          enabled: { type: 'boolean', default: true },
+          format: { type: 'enum', values: WEBHOOK_FORMATS, default: 'generic' },
+          url: URL_RULE,
+          token: { type: 'string', default: '' },              // ntfy access token / Gotify app token
+          events: { type: 'list', items: { type: 'string' }, split: ',' },  // Event types or prefixes (empty = all)
+          minSeverity: { type: 'enum', values: SEVERITIES, default: 'warning' },
+          cooldownSeconds: { type: 'integer', min: 0, max: 86400, default: 300 },  // Per event type
+          maxPerHour: { type: 'integer', min: 1, max: 3600, default: 30 }
+        }
+      }
+    }
+  },
+  priority: {
+    maxRequestPriority: { type: 'enum', values: PRIORITY_LEVELS },
+    keys: { type: 'map', values: { type: 'enum', values: PRIORITY_LEVELS } }
+  },
+  channelOverrides: { type: 'map', values: { type: 'override' } },   // CHANNEL_OVERRIDE_GROUPS only
+  liveSources: {
+    type: 'list',
+    skip: source => !source || !source.url,
+    items: {
+      type: 'object',
+      defaultName: index => `Live Source ${index + 1}`,
+      fields: {
+        id: { type: 'string', pattern: /^[a-z0-9][a-z0-9-]*$/, hint: 'lowercase letters, digits and dashes', default: '' },
+        name: { type: 'string' },
+        enabled: { type: 'boolean', default: true },
+        url: URL_RULE,
+        number: CHANNEL_NUMBER_RULE,
+        group: { type: 'string', default: 'Live' },
+        logo: { type: 'string', default: '' },
+        playSelector: { type: 'string', default: '' },        // CSS selector clicked to start playback
+        fullscreen: { type: 'enum', values: FULLSCREEN_STRATEGIES, default: 'video' },
+        fullscreenSelector: { type: 'string', default: '' },  // Element to fill the screen with, or the button to click
+        channels: {
+          type: 'list',
+          skip: channel => !channel || !channel.name,
+          items: {
+            type: 'object',
+            fields: {
+              name: { type: 'string' },
+              number: CHANNEL_NUMBER_RULE,
+              url: { ...URL_RULE, default: '' },              // Empty = the source's URL
+              playSelector: { type: 'string', default: '' }   // Empty = the source's selector
+            }
+          }
+        }
+      }
+    }
+  },
+  passthroughChannels: {
+    type: 'list',
+    skip: channel => !channel || !channel.url,
+    items: {
+      type: 'object',
+      defaultName: index => `Passthrough ${index + 1}`,
+      fields: {
+        id: { type: 'string', pattern: /^[a-z0-9][a-z0-9-]*$/, hint: 'lowercase letters, digits and dashes', default: '' },
+        name: { type: 'string' },
+        enabled: { type: 'boolean', default: true },
+        url: STREAM_URL_RULE,                                 // Upstream HLS playlist or MPEG-TS stream
+        number: CHANNEL_NUMBER_RULE,
+        group: { type: 'string', default: 'Passthrough' },
+        logo: { type: 'string', default: '' },
+        mode: { type: 'enum', values: PASSTHROUGH_MODES, default: 'remux' },
+        userAgent: { type: 'string', default: '' },
+        xmltvUrl: { ...URL_RULE, default: '' },               // Guide for this channel
+        xmltvId: { type: 'string', default: '' }              // Its channel id in that guide (empty = match by name)
+      }
+    }
+  },
+  encoding: {
+    bufferSize: { type: 'rate', min: 100e3, max: 100e6 },
+    threadQueueSize: { type: 'integer', min: 64, max: 16384 },
+    probeSize: { type: 'rate', min: 32, max: 100e6 },
+    drawMouse: { type: 'boolean' },
+    vsync: { type: 'enum', values: ['cfr', 'vfr', 'passthrough'] },
+    gopSize: { type: 'integer', min: 1, max: 600 },
+    lowLatency: { type: 'boolean' }
+  }
+};
+
+/**
+ * Validate a complete settings object against the schema
+ * @returns {{ settings: object, errors: Array<{field: string, message: string}> }}
+ */
+function validate(input, defaults) {
+  const errors = [];
+  const settings = checkGroup(SCHEMA, input || {}, defaults, '', errors, false);
+  return { settings, errors };
+}
+
+/**
+ * Validate a channel override: only the fields it sets, within CHANNEL_OVERRIDE_GROUPS
+ */
+function validateOverride(input, field = '') {
+  const errors = [];
+  const override = checkOverride(input, field, errors);
+  return { override, errors };
+}
+
+/**
+ * Validate one value against a schema rule (e.g. SCHEMA.recordings.prePadding)
+ * @returns {{ value: *, errors: Array<{field: string, message: string}> }}
+ */
+function validateValue(rule, value, field = '') {
+  const errors = [];
+  const normalized = checkValue(rule, value, undefined, field, errors);
+  return { value: normalized, errors };
+}
+
+function isRule(node) {
+  return node && typeof node.type === 'string';
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// A group of fields. Partial groups (channel overrides) keep only the fields given.
+function checkGroup(schema, input, defaults, prefix, errors, partial) {
+  const result = {};
+  const values = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  if (!isEmpty(input) && values !== input) {
+    errors.push({ field: prefix, message: 'must be an object' });
+  }
+
+  for (const [key, node] of Object.entries(schema)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const value = values[key];
+    if (partial && (isEmpty(value) || (isRule(node) ? false : Object.keys(value).length === 0))) {
+      continue;
+    }
+
+    if (isRule(node)) {
+      const normalized = checkValue(node, value, defaults?.[key], field, errors);
+      if (!partial || normalized !== undefined) {
+        result[key] = normalized;
+      }
+    } else {
+      const group = checkGroup(node, value, defaults?.[key], field, errors, partial);
+      if (!partial || Object.keys(group).length > 0) {
+        result[key] = group;
+      }
+    }
+  }
+  return result;
+}
+
+// Invalid fields are reported and left out, so they fall through to the global value
+function checkOverride(input, field, errors) {
+  const groups = Object.fromEntries(CHANNEL_OVERRIDE_GROUPS.map(group => [group, SCHEMA[group]]));
+  return checkGroup(groups, input, undefined, field, errors, true);
+}
+
+// One value against its rule; returns the normalized value (the default if invalid)
+function checkValue(rule, value, defaultValue, field, errors) {
+  const fallback = defaultValue !== undefined ? defaultValue : rule.default;
+  if (isEmpty(value) && rule.type !== 'list' && rule.type !== 'map') {
+    return fallback;
+  }
+  const fail = (message) => {
+    errors.push({ field, message });
+    return fallback;
+  };
+
+  switch (rule.type) {
+    case 'integer': {
+      const number = Number(value);
+      if (typeof value === 'boolean' || !Number.isInteger(number)) {
+        return fail('must be a whole number');
+      }
+      if (number < rule.min || number > rule.max) {
+        return fail(`must be between ${rule.min} and ${rule.max}`);
+      }
+      return number;
+    }
+
+    case 'rate': {
+      const text = String(value).trim();
+      const match = text.match(/^(\d+(?:\.\d+)?)([kKmM]?)$/);
+      if (!match) {
+        return fail('must be a number with an optional k or M suffix, e.g. 2500k or 4M');
+      }
+      const number = parseFloat(match[1]) * ({ k: 1e3, m: 1e6 }[match[2].toLowerCase()] || 1);
+      if (number < rule.min || number > rule.max) {
+        return fail(`must be between ${formatRate(rule.min)} and ${formatRate(rule.max)}`);
+      }
+      return text;
+    }
+
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return fail('must be true or false');
+
+    case 'enum': {
+      const values = typeof rule.values === 'function' ? rule.values() : rule.values;
+      if (!values.includes(value)) {
+        return fail(`must be one of: ${values.join(', ')}`);
+      }
+      return value;
+    }
+
+    case 'string': {
+      const text = String(value).trim();
+      if (rule.pattern && !rule.pattern.test(text)) {
+        return fail(`must be ${rule.hint}`);
+      }
+      return text;
+    }
+
+    case 'list': {
+      let items = value;
+      if (isEmpty(items)) {
+        items = [];
+      } else if (typeof items === 'string' && rule.split) {
+        items = items.split(rule.split).map(item => item.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(items)) {
+        return fail('must be a list');
+      }
+      return items
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => !(rule.skip && rule.skip(item)))
+        .map(({ item, index }) => checkValue(rule.items, item, undefined, `${field}.${index}`, errors));
+    }
+
+    case 'object': {
+      const entry = checkGroup(rule.fields, value, {}, field, errors, false);
+      // Defaults that depend on the item's position, e.g. "Webhook 2"
+      if (rule.defaultName && !entry.name) {
+        entry.name = rule.defaultName(Number(field.split('.').pop()));
+      }
+      return entry;
+    }
+
+    case 'map': {
+      const entries = isEmpty(value) ? {} : value;
+      if (typeof entries !== 'object' || Array.isArray(entries)) {
+        return fail('must be an object');
+      }
+      const result = {};
+      for (const [key, item] of Object.entries(entries)) {
+        const name = String(key).trim();
+        if (!name) continue;
+        const normalized = checkValue(rule.values, item, undefined, `${field}.${name}`, errors);
+        if (normalized !== undefined && !(typeof normalized === 'object' && Object.keys(normalized).length === 0)) {
+          result[name] = normalized;
+        }
+      }
+      return result;
+    }
+
+    case 'override':
+      return checkOverride(value, field, errors);
+
+    default:
+      return fail(`unknown rule type ${rule.type}`);
+  }
+}
+
+function formatRate(value) {
+  if (value >= 1e6) return `${value / 1e6}M`;
+  if (value >= 1e3) return `${value / 1e3}k`;
+  return String(value);
+}
+
+module.exports = {
+  SCHEMA,
+  validate,
+  validateOverride,
+  validateValue,
+  PRIORITY_LEVELS,
+  WEBHOOK_FORMATS,
+  SEVERITIES,
+  FULLSCREEN_STRATEGIES,
+  PASSTHROUGH_MODES,
+  CHANNEL_OVERRIDE_GROUPS
+};
@@ -0,0 +1,155 @@
+// Offline simulator (DVR_SIMULATE=true)
+// A fake lineup and guide for development and CI: the tuners drive the local guide/player
+// page in simulator/site instead of stream.directv.com, and the EPG loads a generated
+// schedule instead of calling the DirecTV API.
+
+const fs = require('fs');
+
+// Fake lineup - locals, a 3-digit news channel, sports, movies and one channel with no
+// airings, so every path in tuner.tuneToChannel() has something to match
+const CHANNELS = [
+  { number: 2, callSign: 'WSIM', name: 'WSIM CBS', network: 'CBS', location: 'Testville', genre: 'Local' },
+  { number: 4, callSign: 'WTST', name: 'WTST NBC', network: 'NBC', location: 'Testville', genre: 'Local' },
+  { number: 7, callSign: 'WMCK', name: 'WMCK ABC', network: 'ABC', location: 'Testville', genre: 'Local' },
+  { number: 202, callSign: 'SNEWS', name: 'Sim News', genre: 'News' },
+  { number: 206, callSign: 'SSPRT', name: 'Sim Sports', genre: 'Sports' },
+  { number: 209, callSign: 'SSPT2', name: 'Sim Sports 2', genre: 'Sports' },
+  { number: 229, callSign: 'SHOME', name: 'Sim Home', genre: 'Lifestyle' },
+  { number: 242, callSign: 'SCMDY', name: 'Sim Comedy', genre: 'Comedy' },
+  { number: 256, callSign: 'SMOVI', name: 'Sim Movies', genre: 'Movies' },
+  { number: 278, callSign: 'SDOCS', name: 'Sim Discovery', genre: 'Documentary' },
+  { number: 296, callSign: 'SKIDS', name: 'Sim Kids', genre: 'Children' },
+  { number: 327, callSign: 'SMUSC', name: 'Sim Music', genre: 'Music' },
+  { number: 501, callSign: 'SPREM', name: 'Sim Premium', genre: 'Movies' },
+  { number: 999, callSign: 'OFFAIR', name: 'Off Air', genre: null },
+];
+
+// Programme length (minutes) and titles by genre
+const SHOWS = {
+  Local: { slot: 30, titles: ['Testville Morning', 'Action News', 'Game Show Hour', 'Late Night Sim'] },
+  News: { slot: 60, titles: ['Sim News Now', 'The Briefing', 'World Tonight', 'Headline Review'] },
+  Sports: { slot: 120, titles: ['Sim League Live', 'Highlights Tonight', 'Classic Matches'] },
+  Lifestyle: { slot: 30, titles: ['Fixer Simulator', 'Kitchen Test', 'House Hunters Sim'] },
+  Comedy: { slot: 30, titles: ['The Office Test', 'Stand-Up Sim', 'Sitcom Rerun'] },
+  Movies: { slot: 120, titles: ['The Test Pattern', 'Return of the Bars', 'A Tone in the Dark'] },
+  Documentary: { slot: 60, titles: ['Planet Sim', 'How It Works', 'Deep Ocean Test'] },
+  Children: { slot: 30, titles: ['Color Bars Club', 'Counting Frames', 'Sim Cartoons'] },
+  Music: { slot: 60, titles: ['Top 20 Countdown', 'Unplugged Sim', 'Video Hits'] },
+};
+
+// Schedules start this far in the past, like a freshly fetched guide
+const SCHEDULE_HISTORY = 2 * 60 * 60 * 1000;
+
+// Same label format the guide rows use on stream.directv.com - locals carry their market
+// and a zero-padded number ("view A3 New York 02 WCBS CBS")
+function ariaLabel(channel) {
+  if (channel.location) {
+    const padded = String(channel.number).padStart(2, '0');
+    return `view ${channel.number} ${channel.location} ${padded} ${channel.callSign} ${channel.network}`;
+  }
+  return `view ${channel.number} ${channel.callSign} ${channel.name}`;
+}
+
+function channelId(channel) {
+  return `sim-${channel.number}`;
+}
+
+// Channels in the shape DirectvEpg.setChannels() produces
+function getChannels() {
+  return CHANNELS.map(channel => ({
+    id: channelId(channel),
+    name: channel.name,
+    number: channel.number,
+    callSign: channel.callSign,
+    ccid: `sim-${channel.callSign.toLowerCase()}`,
+    logo: null,
+    format: 'HD'
+  }));
+}
+
+// Programmes for one channel between from and to. Slots are aligned to the clock and the
+// title depends only on the slot, so every refresh produces the same schedule.
+function getProgrammes(channel, from, to) {
+  const show = SHOWS[channel.genre];
+  if (!show) return [];
+
+  const slot = show.slot * 60 * 1000;
+  const programmes = [];
+  for (let start = Math.floor(from / slot) * slot; start < to; start += slot) {
+    const index = Math.floor(start / slot);
+    const title = show.titles[(index + channel.number) % show.titles.length];
+    programmes.push({
+      title,
+      subtitle: show.slot <= 60 ? `Episode ${(index % 20) + 1}` : null,
+      description: `Simulated ${channel.genre.toLowerCase()} programme on ${channel.name}.`,
+      startTime: new Date(start).toISOString(),
+      endTime: new Date(start + slot).toISOString(),
+      duration: show.slot * 60,
+      categories: [channel.genre],
+      genres: [channel.genre],
+      rating: channel.genre === 'Children' ? 'TV-Y' : 'TV-PG',
+      seasonNumber: show.slot <= 60 ? 1 : undefined,
+      episodeNumber: show.slot <= 60 ? (index % 20) + 1 : undefined,
+      originalAirDate: undefined,
+      year: channel.genre === 'Movies' ? 2000 + (index % 25) : undefined
+    });
+  }
+  return programmes;
+}
+
+// The whole guide window, keyed by channel id like DirectvEpg.schedules
+function getSchedule(days, now = Date.now()) {
+  const from = now - SCHEDULE_HISTORY;
+  const to = now + days * 24 * 60 * 60 * 1000;
+  const schedules = {};
+  for (const channel of CHANNELS) {
+    schedules[channelId(channel)] = getProgrammes(channel, from, to);
+  }
+  return { channels: getChannels(), schedules };
+}
+
+// What the fake guide page renders: every row with its current and next programme
+function getGuide(now = Date.now()) {
+  return CHANNELS.map(channel => {
+    const [current, next] = getProgrammes(channel, now, now + 4 * 60 * 60 * 1000);
+    return {
+      number: channel.number,
+      callSign: channel.callSign,
+      name: channel.name,
+      ariaLabel: ariaLabel(channel),
+      current: current ? { title: current.title, startTime: current.startTime, endTime: current.endTime } : null,
+      next: next ? { title: next.title, startTime: next.startTime, endTime: next.endTime } : null
+    };
+  });
+}
+
+// Whether an X server is running on the display - without one there is nothing to capture,
+// so the browser runs headless and FFmpeg generates the picture itself
+function hasDisplay(displayNum) {
+  return fs.existsSync(`/tmp/.X11-unix/X${displayNum}`);
+}
+
+// FFmpeg inputs for a generated test pattern with the channel and a clock burned in,
+// plus a 1 kHz tone - used in place of x11grab/PulseAudio when there is no display
+function testPatternInputs(channel, width, height) {
+  const font = '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf';
+  const label = `Channel ${channel || '-'}`.replace(/:/g, '\\:').replace(/'/g, "\\'");
+  return [
+    '-re',
+    '-f', 'lavfi',
+    '-i', `testsrc2=s=${width}x${height}:r=30,drawtext=fontfile=${font}:fontsize=${Math.round(height / 15)}:fontcolor=white:box=1:boxcolor=black@0.6:x=(w-text_w)/2:y=h/8:text='${label}',drawtext=fontfile=${font}:fontsize=${Math.round(height / 20)}:fontcolor=white:box=1:boxcolor=black@0.6:x=(w-text_w)/2:y=h-h/6:text='%{localtime\\:%X}'`,
+    '-f', 'lavfi',
+    '-i', 'sine=frequency=1000:sample_rate=48000',
+  ];
+}
+
+module.exports = {
+  CHANNELS,
+  ariaLabel,
+  getChannels,
+  getProgrammes,
+  getSchedule,
+  getGuide,
+  hasDisplay,
+  testPatternInputs
+};
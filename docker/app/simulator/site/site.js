@@ -0,0 +1,281 @@
+// Fake DirecTV guide and player for the offline simulator (DVR_SIMULATE=true)
+// Mirrors what tuner.tuneToChannel() looks for: [role="link"] rows labelled
+// "view <number> <callsign> <name>", a channel dialog with a play [role="button"] or
+// "No upcoming airings", search cards with "Tune to Channel", and a <video> player.
+
+const PLAY_ICON = '<svg viewBox="0 0 24 24"><polygon points="6,4 20,12 6,20"></polygon></svg>';
+const BARS = ['#c0c0c0', '#c0c000', '#00c0c0', '#00c000', '#c000c0', '#c00000', '#0000c0'];
+const WIDTH = 1280;
+const HEIGHT = 720;
+const CAPTION_SECONDS = 3;
+// Audio tracks every channel has - each beeps at its own pitch
+const AUDIO_TRACKS = [{ label: 'English', tone: 1000 }, { label: 'Español', tone: 600 }];
+
+let channels = [];
+let dialogChannel = null;
+let playback = null;
+let captionTrack = null;
+let captionsOn = false;
+let audioTrack = 0;
+
+function el(tag, attrs = {}, ...children) {
+  const node = document.createElement(tag);
+  for (const [key, value] of Object.entries(attrs)) {
+    if (key === 'className') node.className = value;
+    else if (key === 'onclick') node.addEventListener('click', value);
+    else node.setAttribute(key, value);
+  }
+  for (const child of children) {
+    node.append(child);
+  }
+  return node;
+}
+
+function icon() {
+  const span = el('span');
+  span.innerHTML = PLAY_ICON;
+  return span.firstChild;
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+function formatSlot(programme) {
+  return `${formatTime(programme.startTime)} - ${formatTime(programme.endTime)}`;
+}
+
+async function loadGuide() {
+  const res = await fetch('/simulator/api/guide');
+  channels = (await res.json()).channels;
+  renderRows();
+
+  const match = window.location.pathname.match(/\/watch\/(\d+)/);
+  const channel = match && channels.find(ch => String(ch.number) === match[1]);
+  if (channel) play(channel);
+}
+
+// ---- Guide ----
+
+function renderRows() {
+  const rows = document.getElementById('rows');
+  rows.replaceChildren(...channels.map(channel => {
+    const link = el('div', { className: 'row__channel', role: 'link', tabindex: '0', 'aria-label': channel.ariaLabel },
+      el('span', { className: 'row__number' }, String(channel.number)),
+      el('span', { className: 'muted' }, channel.callSign));
+    link.addEventListener('click', () => openChannel(channel));
+    link.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') openChannel(channel);
+    });
+
+    const cell = (programme) => el('div', { className: 'row__programme', onclick: () => openChannel(channel) },
+      el('span', {}, programme ? programme.title : 'No information available'),
+      el('span', { className: 'muted' }, programme ? formatSlot(programme) : ''));
+
+    return el('div', { className: 'row' }, link, cell(channel.current), cell(channel.next));
+  }));
+}
+
+// Click and Enter both open it - the tuner sends both
+function openChannel(channel) {
+  if (dialogChannel === channel) return;
+  dialogChannel = channel;
+
+  const dialog = document.getElementById('dialog');
+  const content = [
+    el('button', { className: 'dialog__close', 'aria-label': 'close', onclick: closeDialog }, '×'),
+    el('h2', {}, `${channel.number} ${channel.name}`)
+  ];
+
+  if (channel.current) {
+    const playButton = el('div', { className: 'dialog__play', role: 'button', 'aria-label': `play ${channel.current.title}`, onclick: () => play(channel) }, icon());
+    content.push(el('div', { className: 'dialog__on-now' },
+      playButton,
+      el('div', {},
+        el('div', { className: 'muted' }, 'On Now'),
+        el('div', {}, channel.current.title),
+        el('div', { className: 'muted' }, formatSlot(channel.current)))));
+    if (channel.next) {
+      content.push(el('p', { className: 'muted' }, `Up Next: ${channel.next.title} (${formatSlot(channel.next)})`));
+    }
+  } else {
+    content.push(el('p', {}, 'No upcoming airings'));
+  }
+
+  dialog.replaceChildren(...content);
+  dialog.hidden = false;
+}
+
+function closeDialog() {
+  const dialog = document.getElementById('dialog');
+  dialog.hidden = true;
+  dialog.replaceChildren();
+  dialogChannel = null;
+}
+
+// ---- Search ----
+
+function search(term) {
+  const query = term.trim().toLowerCase();
+  const matches = channels.filter(ch =>
+    query && [ch.name, ch.callSign, ch.current?.title || ''].some(text => text.toLowerCase().includes(query)));
+
+  const results = document.getElementById('results');
+  const cards = matches.map(channel => el('div', { className: 'card', role: 'button', onclick: () => play(channel) },
+    el('div', {}, el('div', {}, channel.name), el('div', { className: 'muted' }, 'Tune to Channel')),
+    icon()));
+
+  results.replaceChildren(
+    el('div', { role: 'link' }, 'View All'),
+    ...(cards.length ? cards : [el('p', { className: 'muted' }, 'No results')]));
+  results.hidden = false;
+}
+
+// ---- Player ----
+
+function play(channel) {
+  closeDialog();
+  document.getElementById('guide').hidden = true;
+  document.getElementById('player').hidden = false;
+  document.getElementById('now-playing').textContent = `${channel.number} ${channel.name}${channel.current ? ` - ${channel.current.title}` : ''}`;
+  if (!window.location.pathname.endsWith(`/watch/${channel.number}`)) {
+    history.pushState({}, '', `/simulator/watch/${channel.number}`);
+  }
+  startPlayback(channel);
+}
+
+// Colour bars with the channel, programme and a running clock, plus a one-second beep
+function startPlayback(channel) {
+  stopPlayback();
+
+  const canvas = el('canvas', { width: WIDTH, height: HEIGHT });
+  const ctx = canvas.getContext('2d');
+  const audio = new AudioContext();
+  const oscillator = audio.createOscillator();
+  const gain = audio.createGain();
+  const destination = audio.createMediaStreamDestination();
+  oscillator.frequency.value = AUDIO_TRACKS[audioTrack].tone;
+  gain.gain.value = 0;
+  oscillator.connect(gain).connect(destination);
+  oscillator.start();
+  audio.resume().catch(() => {});
+
+  const draw = () => {
+    const now = new Date();
+    const barWidth = WIDTH / BARS.length;
+    BARS.forEach((colour, i) => {
+      ctx.fillStyle = colour;
+      ctx.fillRect(i * barWidth, 0, barWidth + 1, HEIGHT * 0.7);
+    });
+    ctx.fillStyle = '#101010';
+    ctx.fillRect(0, HEIGHT * 0.7, WIDTH, HEIGHT * 0.3);
+
+    // Moving marker so consecutive frames always differ
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect((now.getTime() / 4) % WIDTH, HEIGHT * 0.7, 40, 8);
+
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 48px sans-serif';
+    ctx.fillText(`${channel.number} ${channel.callSign}`, WIDTH / 2, HEIGHT * 0.8);
+    ctx.font = '32px sans-serif';
+    ctx.fillText(channel.current ? channel.current.title : channel.name, WIDTH / 2, HEIGHT * 0.87);
+    ctx.font = '28px monospace';
+    ctx.fillText(now.toLocaleTimeString(), WIDTH / 2, HEIGHT * 0.94);
+    ctx.textAlign = 'left';
+    ctx.font = '24px sans-serif';
+    ctx.fillText(`Audio: ${AUDIO_TRACKS[audioTrack].label}`, 24, HEIGHT * 0.77);
+
+    gain.gain.value = now.getMilliseconds() < 200 ? 0.2 : 0;
+  };
+  draw();
+  // setInterval rather than requestAnimationFrame - keeps drawing in headless/background tabs
+  const timer = setInterval(draw, 1000 / 30);
+
+  const stream = new MediaStream([
+    ...canvas.captureStream(30).getVideoTracks(),
+    ...destination.stream.getAudioTracks()
+  ]);
+  const video = document.getElementById('video');
+  video.srcObject = stream;
+  video.play().catch(() => {
+    // Autoplay with sound blocked - start muted, the unmute button turns it on
+    video.muted = true;
+    video.play().catch(() => {});
+  });
+
+  // Closed captions as a native text track, one cue every few seconds while CC is on.
+  // Tracks can't be removed from a <video>, so channel changes reuse it.
+  if (!captionTrack) captionTrack = video.addTextTrack('captions', 'English', 'en');
+  const captions = captionTrack;
+  Array.from(captions.cues || []).forEach(cue => captions.removeCue(cue));
+  if (captions.mode !== 'hidden') captions.mode = captionsOn ? 'showing' : 'disabled';
+  const captionTimer = setInterval(() => {
+    if (!captionsOn) return;
+    const title = channel.current ? channel.current.title : channel.name;
+    captions.addCue(new VTTCue(video.currentTime, video.currentTime + CAPTION_SECONDS - 0.5,
+      `${channel.callSign}: ${title}\n${new Date().toLocaleTimeString()}`));
+  }, CAPTION_SECONDS * 1000);
+
+  playback = { timer, captionTimer, stream, audio, oscillator };
+}
+
+function stopPlayback() {
+  if (!playback) return;
+  clearInterval(playback.timer);
+  clearInterval(playback.captionTimer);
+  playback.stream.getTracks().forEach(track => track.stop());
+  playback.audio.close().catch(() => {});
+  playback = null;
+}
+
+// ---- Events ----
+
+document.getElementById('search').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') search(e.target.value);
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeDialog();
+});
+
+document.getElementById('unmute').addEventListener('click', () => {
+  const video = document.getElementById('video');
+  video.muted = false;
+  playback?.audio.resume().catch(() => {});
+});
+
+document.getElementById('captions').addEventListener('click', (e) => {
+  captionsOn = !captionsOn;
+  e.currentTarget.setAttribute('aria-pressed', String(captionsOn));
+  if (captionTrack) captionTrack.mode = captionsOn ? 'showing' : 'disabled';
+});
+
+// Audio language menu, built like a player's: menuitemradio entries with aria-checked
+function toggleAudioMenu(open) {
+  const menu = document.getElementById('audio-menu');
+  menu.replaceChildren(...AUDIO_TRACKS.map((track, i) => el('button', {
+    role: 'menuitemradio',
+    'aria-checked': String(i === audioTrack),
+    onclick: () => selectAudioTrack(i),
+  }, track.label)));
+  menu.hidden = !open;
+  document.getElementById('audio-language').setAttribute('aria-expanded', String(open));
+}
+
+function selectAudioTrack(index) {
+  audioTrack = index;
+  if (playback) playback.oscillator.frequency.value = AUDIO_TRACKS[index].tone;
+  toggleAudioMenu(false);
+}
+
+document.getElementById('audio-language').addEventListener('click', () => {
+  toggleAudioMenu(document.getElementById('audio-menu').hidden);
+});
+
+document.getElementById('fullscreen').addEventListener('click', () => {
+  document.getElementById('player').requestFullscreen?.().catch(() => {});
+});
+
+window.addEventListener('popstate', () => window.location.reload());
+
+loadGuide();
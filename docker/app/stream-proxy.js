@@ -3,7 +3,16 @@ const path = require('path');
 const fs = require('fs');
 const config = require('./config');
 const tunerManager = require('./tuner-manager');
-const { generateM3U, getAllChannels, getChannel } = require('./channels');
+const { TunerState, TunerPriority, parsePriority, priorityName } = tunerManager;
+const tuningCache = require('./tuning-cache');
+const { DEFAULT_STRATEGIES } = tuningCache;
+const { generateM3U, getAllChannels, getLineupChannels } = require('./channels');
+const lineupManager = require('./lineup-manager');
+const logoManager = require('./logo-manager');
+const liveSources = require('./live-sources/source-registry');
+const audioSinks = require('./audio-sinks');
+const passthrough = require('./passthrough');
+const metrics = require('./metrics');
 const { getAllMovies, getMovie, searchMovies, getMoviesByCategory, getCategories, generateCinebyM3U, refreshCache } = require('./cineby-movies');
 const cinebyStreamer = require('./cineby-streamer');
 const vodBuilder = require('./cineby-vod-builder');
@@ -11,6 +20,18 @@ const vodBuilder = require('./cineby-vod-builder');
 // DirecTV EPG Service
 const directvEpg = require('./directv-epg');
 
+// Event log and webhook notifications
+const eventBus = require('./event-bus');
+const { EventType } = eventBus;
+const webhookNotifier = require('./webhooks');
+
+// DVR recordings (EPG-driven timers)
+const recordingManager = require('./recording-manager');
+const { RecordingStatus, BreakDetectionStatus } = recordingManager;
+
+// Commercial break detection exports (EDL, chapters)
+const breakDetect = require('./break-detect');
+
 // CinemaOS Database Manager (for auto-refresh)
 const CinemaOSDbManager = require('./cinemaos-db-manager');
 const cinemaosManager = new CinemaOSDbManager();
@@ -31,9 +52,14 @@ providerRegistry.register(new CinebyProvider());
 providerRegistry.register(new CinemaOSProvider());
 providerRegistry.register(new OneMoviesProvider());
 
+// Admin password, API keys and roles
+const authManager = require('./auth');
+const { isLocalRequest } = authManager;
+
 // Settings GUI
 const settingsManager = require('./settings-manager');
-const { getPresets, getPreset } = require('./presets');
+const effectiveConfig = require('./effective-config');
+const { getPresets, getPreset, getLadders } = require('./presets');
 
 const app = express();
 
@@ -45,12 +71,16 @@ const LOGIN_CHECK_INTERVAL = 5000; // Check every 5 seconds
 // JSON body parsing for settings API
 app.use(express.json());
 
+// Auth (before static files so the settings UI is protected too)
+app.use(authManager.middleware());
+
 // Serve static files (settings GUI)
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Middleware for logging
 app.use((req, res, next) => {
-  if (!req.url.startsWith('/api/logs')) console.log(`[server] ${req.method} ${req.url}`);
+  // Tokens in playlist URLs must not end up in logs (or diagnostics bundles)
+  if (!req.url.startsWith('/api/logs')) console.log(`[server] ${req.method} ${req.url.replace(/([?&]token=)[^&]+/, '$1***')}`);
   next();
 });
 
@@ -58,7 +88,7 @@ app.use((req, res, next) => {
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Key');
   next();
 });
 
@@ -117,7 +147,7 @@ app.get("/api/status", async (req, res) => {
       if (tuner && tuner.page) {
         const url = tuner.page.url();
         loginStatus.currentUrl = url;
-        loginStatus.isLoggedIn = url.includes("stream.directv.com") && !url.includes("login") && !url.includes("signin") && !url.includes("auth");
+        loginStatus.isLoggedIn = config.isSiteUrl(url) && !url.includes("login") && !url.includes("signin") && !url.includes("auth");
         loginStatus.needsLogin = url.includes("login") || url.includes("signin") || url.includes("auth");
         if (loginStatus.needsLogin) {
           loginStatus.message = "Please log in via noVNC";
@@ -186,15 +216,26 @@ app.get("/api/status", async (req, res) => {
         const tuner = tunerManager.getTuner(t.id);
         if (tuner && tuner.page) {
           const url = tuner.page.url();
-          tunerLoginStatus.isLoggedIn = url.includes("stream.directv.com") && !url.includes("login") && !url.includes("signin") && !url.includes("auth");
+          tunerLoginStatus.isLoggedIn = config.isSiteUrl(url) && !url.includes("login") && !url.includes("signin") && !url.includes("auth");
           tunerLoginStatus.needsLogin = url.includes("login") || url.includes("signin") || url.includes("auth");
         }
       } catch (e) {}
 
+      // What's on now, for the preview tiles
+      let programme = null;
+      if (t.channel) {
+        const [nowNext] = directvEpg.getNowNext({ channels: t.channel });
+        if (nowNext && nowNext.now) {
+          const { title, subtitle, startTime, endTime, progress } = nowNext.now;
+          programme = { title, subtitle, startTime, endTime, progress };
+        }
+      }
+
       return {
         ...t,
         channelName: channelMap[t.channel] ? channelMap[t.channel].name : "",
         channelFullName: channelMap[t.channel] ? channelMap[t.channel].fullName : "",
+        programme,
         login: tunerLoginStatus
       };
     }));
@@ -223,6 +264,7 @@ app.get("/api/status", async (req, res) => {
       },
       login: loginStatus,
       epg: epgStatus,
+      market: epgStatus.market,
       cinemaos: cinemaosStatus,
       tv: tvStatus,
       tuners: tunerStatus
@@ -243,36 +285,213 @@ app.get('/api/settings', (req, res) => {
   res.json(settingsManager.getSettings());
 });
 
-// Save settings
-app.post('/api/settings', (req, res) => {
+// Run a settings save, then the market change check, the change event (if a new version
+// was saved) and, with ?apply=true, encoder restarts on tuners whose settings changed
+// (see TunerManager.applySettings). Resolves to null if save() found nothing to save.
+async function saveAndApply(req, source, save) {
+  const previousVersion = settingsManager.getCurrentVersion();
+  const settings = save();
+  if (!settings) {
+    return null;
+  }
+
+  directvEpg.checkMarketChange();
+  const version = settingsManager.getCurrentVersion();
+  if (version !== previousVersion) {
+    eventBus.publish(EventType.SETTINGS_CHANGED, `Settings saved (version ${version}, ${source})`, { version, source });
+  }
+
+  const applied = req.query.apply === 'true' ? await tunerManager.applySettings() : null;
+  return {
+    settings,
+    version,
+    applied,
+    // Running encoders still on the old settings (they switch on their next start)
+    restartRequired: tunerManager.tuners.some(t => t.ffmpeg && t.ffmpeg.needsRestart())
+  };
+}
+
+// Invalid fields are the caller's mistake: 400 with { field, message } for each
+function sendSettingsError(res, err, action) {
+  if (err.code === 'INVALID_SETTINGS') {
+    return res.status(400).json({ error: err.message, errors: err.errors });
+  }
+  console.error(`[server] Failed to ${action}:`, err.message);
+  res.status(500).json({ error: err.message });
+}
+
+// Save settings (?apply=true restarts affected encoders now)
+app.post('/api/settings', async (req, res) => {
   try {
-    const saved = settingsManager.saveSettings(req.body);
-    res.json({ success: true, settings: saved, restartRequired: false });
+    const result = await saveAndApply(req, 'settings', () => settingsManager.saveSettings(req.body, { source: 'settings' }));
+    res.json({ success: true, ...result });
   } catch (err) {
-    console.error('[server] Failed to save settings:', err.message);
-    res.status(500).json({ error: err.message });
+    sendSettingsError(res, err, 'save settings');
   }
 });
 
 // Reset to defaults
-app.post('/api/settings/reset', (req, res) => {
+app.post('/api/settings/reset', async (req, res) => {
   try {
     const defaults = settingsManager.getDefaults();
-    const saved = settingsManager.saveSettings(defaults);
-    res.json({ success: true, settings: saved });
+    const result = await saveAndApply(req, 'reset', () => settingsManager.saveSettings(defaults, { source: 'reset' }));
+    res.json({ success: true, ...result });
   } catch (err) {
-    console.error('[server] Failed to reset settings:', err.message);
-    res.status(500).json({ error: err.message });
+    sendSettingsError(res, err, 'reset settings');
+  }
+});
+
+// Saved versions, newest first, with the fields each changed
+app.get('/api/settings/history', (req, res) => {
+  res.json({ current: settingsManager.getCurrentVersion(), versions: settingsManager.getHistory() });
+});
+
+app.get('/api/settings/history/:version', (req, res) => {
+  const entry = settingsManager.getHistoryVersion(req.params.version);
+  if (!entry) {
+    return res.status(404).json({ error: `Settings version ${req.params.version} not found` });
+  }
+  res.json(entry);
+});
+
+// Restore an earlier version (saved as a new version; ?apply=true as for saves)
+app.post('/api/settings/history/:version/rollback', async (req, res) => {
+  try {
+    const result = await saveAndApply(req, `rollback:${req.params.version}`, () => settingsManager.rollback(req.params.version));
+    if (!result) {
+      return res.status(404).json({ error: `Settings version ${req.params.version} not found` });
+    }
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendSettingsError(res, err, 'roll back settings');
+  }
+});
+
+// Every setting's effective value and the layer it came from (default, env, settings
+// or channel). ?channel= includes that channel's overrides, as FFmpeg would see them.
+app.get('/api/config/effective', (req, res) => {
+  res.json(effectiveConfig.describe(req.query.channel || null));
+});
+
+// Per-channel stream settings, e.g. PUT /api/config/channels/206 { "video": { "bitrate": "6M" } }
+// Applies from the channel's next tune, or now with ?apply=true.
+app.put('/api/config/channels/:channel', async (req, res) => {
+  try {
+    const settings = settingsManager.getSettings();
+    const { override, errors } = settingsManager.normalizeChannelOverride(req.body || {}, req.params.channel);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid channel override', errors });
+    }
+    if (Object.keys(override).length === 0) {
+      return res.status(400).json({ error: `Nothing to override - allowed groups: ${settingsManager.CHANNEL_OVERRIDE_GROUPS.join(', ')}` });
+    }
+    const source = `channel:${req.params.channel}`;
+    const { settings: saved, ...result } = await saveAndApply(req, source, () => settingsManager.saveSettings({
+      ...settings,
+      channelOverrides: { ...settings.channelOverrides, [req.params.channel]: override }
+    }, { source }));
+    res.json({ success: true, channel: req.params.channel, override: saved.channelOverrides[req.params.channel], ...result });
+  } catch (err) {
+    sendSettingsError(res, err, 'save channel override');
+  }
+});
+
+app.delete('/api/config/channels/:channel', async (req, res) => {
+  try {
+    const settings = settingsManager.getSettings();
+    const { [req.params.channel]: removed, ...channelOverrides } = settings.channelOverrides || {};
+    const source = `channel:${req.params.channel}`;
+    const { version, applied, restartRequired } = await saveAndApply(req, source, () =>
+      settingsManager.saveSettings({ ...settings, channelOverrides }, { source }));
+    res.json({ success: true, channel: req.params.channel, version, applied, restartRequired });
+  } catch (err) {
+    sendSettingsError(res, err, 'remove channel override');
+  }
+});
+
+// ============================================
+// Auth API
+// ============================================
+
+app.get('/api/auth/status', (req, res) => {
+  res.json(authManager.getStatus(req));
+});
+
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const sessionId = authManager.login(req.body?.password, req.ip);
+    res.setHeader('Set-Cookie', authManager.sessionCookie(sessionId, req));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  authManager.logout(authManager.getSessionId(req));
+  res.setHeader('Set-Cookie', authManager.clearSessionCookie());
+  res.json({ success: true });
+});
+
+// Set or change the admin password (setting the first one turns auth on)
+app.post('/api/auth/password', (req, res) => {
+  try {
+    const wasEnabled = authManager.isEnabled();
+    authManager.setPassword(req.body?.currentPassword, req.body?.newPassword, {
+      setupToken: req.body?.setupToken,
+      local: isLocalRequest(req),
+    });
+    // Keep the browser that made the change signed in
+    const sessionId = authManager.login(req.body.newPassword, req.ip);
+    res.setHeader('Set-Cookie', authManager.sessionCookie(sessionId, req));
+    res.json({ success: true, enabled: true, firstPassword: !wasEnabled });
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message });
+  }
+});
+
+app.get('/api/auth/keys', (req, res) => {
+  res.json(authManager.getKeys());
+});
+
+// Create a device key - the token is only shown in this response
+app.post('/api/auth/keys', (req, res) => {
+  try {
+    const { name, role, maxPriority } = req.body || {};
+    if (maxPriority && parsePriority(maxPriority) === null) {
+      return res.status(400).json({ error: `Invalid priority "${maxPriority}"` });
+    }
+    const key = authManager.createKey({ name, role, maxPriority });
+    const host = req.headers.host || `${config.host}:${config.port}`;
+    res.status(201).json({
+      ...key,
+      playlistUrl: `http://${host}/playlist.m3u?token=${key.token}`,
+      epgUrl: `http://${host}/tve/directv/epg.xml?token=${key.token}`,
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
 });
 
+app.delete('/api/auth/keys/:id', (req, res) => {
+  if (!authManager.revokeKey(req.params.id)) {
+    return res.status(404).json({ error: `Key ${req.params.id} not found` });
+  }
+  res.json({ success: true });
+});
+
 // Get available presets
 app.get('/api/presets', (req, res) => {
   res.json(getPresets());
 });
 
-// Apply a preset
-app.post('/api/presets/:presetId', (req, res) => {
+// Get available ABR ladders
+app.get('/api/presets/ladders', (req, res) => {
+  res.json(getLadders());
+});
+
+// Apply a preset (?apply=true as for saves)
+app.post('/api/presets/:presetId', async (req, res) => {
   const { presetId } = req.params;
   const preset = getPreset(presetId);
 
@@ -289,11 +508,11 @@ app.post('/api/presets/:presetId', (req, res) => {
     };
 
     // Save the preset settings
-    settingsManager.saveSettings(newSettings);
-    res.json({ success: true, name: preset.name, settings: newSettings });
+    const source = `preset:${presetId}`;
+    const result = await saveAndApply(req, source, () => settingsManager.saveSettings(newSettings, { source }));
+    res.json({ success: true, name: preset.name, ...result });
   } catch (err) {
-    console.error('[server] Failed to apply preset:', err.message);
-    res.status(500).json({ error: err.message });
+    sendSettingsError(res, err, 'apply preset');
   }
 });
 
@@ -397,6 +616,197 @@ app.get('/api/logs', (req, res) => {
   }
 });
 
+// ============================================
+// Events API
+// ============================================
+
+// Recent events, newest first. ?type= (comma-separated types or prefixes), ?severity= (minimum), ?since=, ?limit=
+app.get('/api/events', (req, res) => {
+  const { type, severity, since, limit } = req.query;
+  res.json({
+    events: eventBus.getEvents({ type, severity, since, limit }),
+    types: Object.values(EventType),
+  });
+});
+
+app.delete('/api/events', (req, res) => {
+  eventBus.clear();
+  res.json({ success: true });
+});
+
+// Send a test notification to a webhook (saved or not yet saved)
+app.post('/api/webhooks/test', async (req, res) => {
+  const hook = req.body || {};
+  if (!hook.url) {
+    return res.status(400).json({ error: 'Webhook url is required' });
+  }
+  try {
+    const result = await webhookNotifier.test(hook);
+    res.json(result);
+  } catch (err) {
+    console.error('[webhooks] Test failed:', err.message);
+    res.status(502).json({ error: err.message });
+  }
+});
+
+
+// ============================================
+// Lineup API
+// ============================================
+
+// Base lineup the overlay applies to: the EPG channel list (or channels.js before the first
+// EPG fetch) followed by the browser capture and passthrough channels from settings
+function getBaseLineup() {
+  return {
+    source: directvEpg.getLineupChannels().length > 0 ? 'epg' : 'static',
+    channels: liveSources.getLineupChannels(),
+  };
+}
+
+function getLineupResponse() {
+  const { source, channels } = getBaseLineup();
+  return {
+    source,
+    channels: lineupManager.apply(channels).map(ch => ({ ...ch, logoUploaded: logoManager.hasUpload(ch.streamId) })),
+    overlay: lineupManager.getOverlay(),
+  };
+}
+
+// Every channel (hidden ones included) with overrides resolved, in playlist order
+app.get('/api/lineup', (req, res) => {
+  res.json(getLineupResponse());
+});
+
+// Replace the whole overlay: { order: [key, ...], channels: { key: { enabled, number, name, group, logo } } }
+app.put('/api/lineup', (req, res) => {
+  try {
+    lineupManager.setOverlay(req.body || {});
+    res.json(getLineupResponse());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/lineup', (req, res) => {
+  try {
+    lineupManager.reset();
+    res.json(getLineupResponse());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update one channel's override; keys are original channel numbers
+app.patch('/api/lineup/channels/:key', (req, res) => {
+  try {
+    const override = lineupManager.setChannel(req.params.key, req.body || {});
+    res.json({ success: true, key: req.params.key, override });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/lineup/channels/:key', (req, res) => {
+  try {
+    lineupManager.resetChannel(req.params.key);
+    res.json({ success: true, key: req.params.key });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Live sources the tuners can capture: DirecTV and the browser capture sources in settings.liveSources,
+// plus the passthrough channels with their FFmpeg session and guide state
+app.get('/api/live-sources', (req, res) => {
+  res.json({ sources: liveSources.getSourceInfo(), passthrough: passthrough.getStatus() });
+});
+
+// Fetch the passthrough channels' XMLTV guides again now
+app.post('/api/live-sources/passthrough/guide/refresh', async (req, res) => {
+  try {
+    await passthrough.refreshGuides({ force: true });
+    res.json({ success: true, passthrough: passthrough.getStatus() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============================================
+// Channel Logos
+// ============================================
+
+// Lineup channel behind a /logos/ id - EPG channels are keyed by number, the
+// built-in list (/playlist.m3u) by slug
+function findLogoChannel(streamId) {
+  for (const channels of [liveSources.getLineupChannels(), getLineupChannels()]) {
+    const channel = lineupManager.apply(channels).find(ch => String(ch.streamId) === streamId);
+    if (channel) return channel;
+  }
+  return null;
+}
+
+// Uploaded, cached or generated logo for a channel
+app.get('/logos/:channelId.png', async (req, res) => {
+  const { channelId } = req.params;
+  try {
+    const channel = findLogoChannel(channelId);
+    if (!channel && !logoManager.hasUpload(channelId)) {
+      return res.status(404).json({ error: `Channel ${channelId} not found` });
+    }
+    const file = channel ? await logoManager.getLogoPath(channel) : logoManager.getUploadPath(channelId);
+    res.setHeader('Cache-Control', 'max-age=300');
+    res.sendFile(file);
+  } catch (err) {
+    console.error(`[server] Failed to serve logo for ${channelId}:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Where each lineup channel's logo comes from
+app.get('/api/logos', (req, res) => {
+  const { channels } = getBaseLineup();
+  res.json({
+    refreshing: logoManager.refreshing,
+    channels: logoManager.getStatus(lineupManager.apply(channels))
+  });
+});
+
+// Download every remote logo again now instead of at the next EPG refresh
+app.post('/api/logos/refresh', async (req, res) => {
+  try {
+    const { channels } = getBaseLineup();
+    const result = await logoManager.refresh(lineupManager.apply(channels));
+    if (!result) {
+      return res.status(409).json({ error: 'Logo refresh already running' });
+    }
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Upload a logo (PNG, JPEG, GIF or WebP as the request body) replacing the channel's own
+app.put('/api/logos/:channelId', express.raw({ type: '*/*', limit: '5mb' }), async (req, res) => {
+  if (!Buffer.isBuffer(req.body)) {
+    return res.status(400).json({ error: 'Send the image file as the request body' });
+  }
+  try {
+    await logoManager.setUpload(req.params.channelId, req.body);
+    res.json({ success: true, channelId: req.params.channelId });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/logos/:channelId', (req, res) => {
+  try {
+    logoManager.removeUpload(req.params.channelId);
+    res.json({ success: true, channelId: req.params.channelId });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 
 // ============================================
 // System Info API
@@ -442,6 +852,43 @@ app.get('/api/system-info', (req, res) => {
 // Diagnostics Export API
 // ============================================
 
+// Settings that work as credentials, by dotted key, and what bundles show instead.
+// Discord/Slack webhook URLs carry their secret in the path; ntfy/Gotify use the token.
+const REDACTED_SETTINGS = {
+  'priority.keys': keys => Object.keys(keys || {}).length,
+  'notifications.webhooks': hooks => (hooks || []).map(hook => ({
+    ...hook,
+    url: redactUrl(hook.url),
+    token: hook.token ? '[redacted]' : '',
+  })),
+};
+
+function redactUrl(url) {
+  try {
+    return url ? `${new URL(url).origin}/[redacted]` : url;
+  } catch (e) {
+    return '[redacted]';
+  }
+}
+
+function redactSetting(key, value) {
+  return REDACTED_SETTINGS[key] ? REDACTED_SETTINGS[key](value) : value;
+}
+
+// Copy of a settings object with the credentials replaced
+function redactSettings(settings) {
+  const redacted = JSON.parse(JSON.stringify(settings));
+  for (const key of Object.keys(REDACTED_SETTINGS)) {
+    const parts = key.split('.');
+    const parent = parts.slice(0, -1).reduce((obj, part) => obj?.[part], redacted);
+    const name = parts[parts.length - 1];
+    if (parent && name in parent) {
+      parent[name] = redactSetting(key, parent[name]);
+    }
+  }
+  return redacted;
+}
+
 app.get('/api/diagnostics', async (req, res) => {
   try {
     const os = require('os');
@@ -482,14 +929,40 @@ app.get('/api/diagnostics', async (req, res) => {
       archive.append(`Error getting tuner status: ${e.message}`, { name: 'tuner-status-error.txt' });
     }
 
+    // What each tuner was showing
+    for (const tuner of tunerManager.tuners) {
+      try {
+        const snapshot = await tuner.getSnapshot();
+        if (snapshot) {
+          archive.append(snapshot.image, { name: `snapshots/tuner-${tuner.id}.jpg` });
+        }
+      } catch (e) {
+        archive.append(`Error taking snapshot: ${e.message}`, { name: `snapshots/tuner-${tuner.id}-error.txt` });
+      }
+    }
+
     // Current settings
     try {
-      const settings = settingsManager.getSettings();
+      const settings = redactSettings(settingsManager.getSettings());
       archive.append(JSON.stringify(settings, null, 2), { name: 'settings.json' });
     } catch (e) {
       archive.append(`Error getting settings: ${e.message}`, { name: 'settings-error.txt' });
     }
 
+    // Effective settings and where each value came from
+    try {
+      const effective = effectiveConfig.describe();
+      // Every layer's value is redacted, not just the winning one
+      effective.values = effective.values.map(entry => !REDACTED_SETTINGS[entry.key] ? entry : {
+        ...entry,
+        value: redactSetting(entry.key, entry.value),
+        layers: entry.layers.map(l => ({ ...l, value: redactSetting(entry.key, l.value) }))
+      });
+      archive.append(JSON.stringify(effective, null, 2), { name: 'effective-config.json' });
+    } catch (e) {
+      archive.append(`Error resolving settings: ${e.message}`, { name: 'effective-config-error.txt' });
+    }
+
     // Log files
     const logFiles = [
       '/var/log/supervisor/dvr.log',
@@ -547,10 +1020,10 @@ app.get('/api/diagnostics', async (req, res) => {
 });
 
 
-// M3U Playlist endpoint
+// M3U Playlist endpoint - built-in channels, then the capture and passthrough channels from settings
 app.get('/playlist.m3u', (req, res) => {
   const host = req.headers.host || `${config.host}:${config.port}`;
-  const m3u = generateM3U(host);
+  const m3u = generateM3U(host, [...getLineupChannels(), ...liveSources.getAddedLineupChannels()]);
 
   res.setHeader('Content-Type', 'application/x-mpegurl');
   res.setHeader('Content-Disposition', 'attachment; filename="directv.m3u"');
@@ -567,6 +1040,58 @@ app.get('/tuners', (req, res) => {
   res.json(tunerManager.getStatus());
 });
 
+// Check every tuner's PulseAudio sink now - 503 if any tuner's audio isn't isolated
+async function sendAudioCheck(res, options) {
+  try {
+    const tuners = [];
+    for (const tuner of tunerManager.tuners) {
+      tuners.push({ id: tuner.id, state: tuner.state, ...(await tuner.checkAudio(options)) });
+    }
+    const healthy = tuners.every(tuner => tuner.healthy !== false);
+    res.status(healthy ? 200 : 503).json({ healthy, tuners });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Audio isolation probe, read-only (usable as a container health check)
+app.get('/tuners/audio', (req, res) => sendAudioCheck(res, { fix: false }));
+
+// Same check, recreating missing sinks and moving stray Chrome audio back (admin only)
+app.post('/api/tuners/audio/repair', (req, res) => sendAudioCheck(res, { fix: true }));
+
+// ============================================
+// HDHomeRun Emulation (Plex/Jellyfin/Emby)
+// ============================================
+const hdhomerun = require('./hdhomerun');
+
+if (config.hdhomerun.enabled) {
+  app.get('/discover.json', (req, res) => {
+    const host = req.headers.host || `${config.host}:${config.port}`;
+    res.json(hdhomerun.getDiscoverData(host));
+  });
+
+  app.get('/lineup.json', (req, res) => {
+    const host = req.headers.host || `${config.host}:${config.port}`;
+    res.json(hdhomerun.getLineup(host));
+  });
+
+  app.get('/lineup_status.json', (req, res) => {
+    res.json(hdhomerun.getLineupStatus());
+  });
+
+  // Clients POST here to trigger a channel scan - our lineup is always current
+  app.post('/lineup.post', (req, res) => {
+    res.status(200).end();
+  });
+
+  app.get('/device.xml', (req, res) => {
+    const host = req.headers.host || `${config.host}:${config.port}`;
+    res.setHeader('Content-Type', 'application/xml');
+    res.send(hdhomerun.getDeviceXml(host));
+  });
+}
+
 // Stream health statistics
 app.get('/stats', (req, res) => {
   const status = tunerManager.getStatus();
@@ -587,6 +1112,28 @@ app.get('/stats', (req, res) => {
   res.json(stats);
 });
 
+// Work out a stream request's tuner priority and owner.
+// ?priority= (background|viewer|pinned|recording) is capped at settings.priority.maxRequestPriority,
+// unless an API key (?key= or X-Api-Key) listed in settings.priority.keys grants a higher level.
+function getRequestPriority(req) {
+  const settings = effectiveConfig.get('priority');
+  // Device API keys (auth) carry their own cap; settings.priority.keys still works without auth
+  const authKey = req.auth?.key;
+  const key = authKey ? authKey.id : (req.query.key || req.headers['x-api-key']);
+  const keyPriority = authKey
+    ? parsePriority(authKey.maxPriority)
+    : (key ? parsePriority(settings.keys?.[key]) : null);
+
+  const maxPriority = keyPriority ?? parsePriority(settings.maxRequestPriority) ?? TunerPriority.PINNED;
+  const requested = parsePriority(req.query.priority) ?? keyPriority ?? TunerPriority.VIEWER;
+
+  return {
+    priority: Math.min(requested, maxPriority),
+    // Same owner may switch channels on its own stream at equal priority
+    owner: keyPriority !== null || authKey ? `key:${key}` : `ip:${req.ip}`,
+  };
+}
+
 // Main stream endpoint - serves HLS playlist or MPEG-TS depending on mode
 app.get('/stream/:channelId', async (req, res) => {
   const { channelId } = req.params;
@@ -595,20 +1142,29 @@ app.get('/stream/:channelId', async (req, res) => {
 
   log(`Stream request for ${channelId}`);
 
-  // Try to find channel in static channels.js first, then fall back to EPG data
-  let channel = getChannel(channelId);
-  if (!channel) {
-    // Try EPG data for dynamically discovered channels (like locals)
-    channel = directvEpg.getChannelByNumber(channelId);
+  // Passthrough channels don't use a tuner
+  const external = passthrough.getChannel(channelId);
+  if (external) {
+    return servePassthrough(req, res, external, log);
   }
+
+  // DirecTV (EPG or channels.js) or a browser capture channel
+  const channel = liveSources.getChannel(channelId);
   if (!channel) {
     return res.status(404).json({ error: `Unknown channel: ${channelId}` });
   }
 
+  // ?lang=es - preferred audio language, instead of the channel's audio.language setting
+  const language = req.query.lang ? String(req.query.lang).toLowerCase() : undefined;
+  if (language && !/^[a-z]{2,3}$/.test(language)) {
+    return res.status(400).json({ error: `Invalid lang: ${req.query.lang} (expected a language code like es)` });
+  }
+
   try {
     // Allocate a tuner for this channel
-    log('Allocating tuner...');
-    const tuner = await tunerManager.allocateTuner(channelId);
+    const { priority, owner } = getRequestPriority(req);
+    log(`Allocating tuner (priority: ${priorityName(priority)}${language ? `, audio: ${language}` : ''})...`);
+    const tuner = await tunerManager.allocateTuner(channelId, { priority, owner, language });
     log(`Tuner allocated: ${tuner ? tuner.id : 'none'} (state: ${tuner?.state})`);
 
     if (!tuner) {
@@ -665,7 +1221,19 @@ app.get('/stream/:channelId', async (req, res) => {
 
       // Redirect to HLS playlist
       const host = req.headers.host || `${config.host}:${config.port}`;
-      const hlsUrl = `http://${host}/tuner/${tuner.id}/stream.m3u8`;
+      // ?timeshift=true serves the pause/rewind playlist when the tuner keeps a window
+      const wantsTimeshift = req.query.timeshift === 'true' && tuner.ffmpeg.timeshift;
+      const depthQuery = req.query.depth ? `depth=${encodeURIComponent(req.query.depth)}` : '';
+      let hlsUrl;
+      if (tuner.ffmpeg.renditions || effectiveConfig.get('captions.enabled')) {
+        // ABR or captions: hand out the master playlist so players can pick a rendition
+        const query = wantsTimeshift ? `?timeshift=true${depthQuery ? `&${depthQuery}` : ''}` : '';
+        hlsUrl = `http://${host}/tuner/${tuner.id}/master.m3u8${query}`;
+      } else {
+        hlsUrl = wantsTimeshift
+          ? `http://${host}/tuner/${tuner.id}/timeshift.m3u8${depthQuery ? `?${depthQuery}` : ''}`
+          : `http://${host}/tuner/${tuner.id}/stream.m3u8`;
+      }
       log(`Redirecting to HLS: ${hlsUrl}`);
       return res.redirect(302, hlsUrl);
     }
@@ -717,37 +1285,118 @@ app.get('/stream/:channelId', async (req, res) => {
       return;
     }
 
+    // Every tuner is held by someone we're not allowed to preempt
+    if (err.code === 'TUNERS_BUSY') {
+      return res.status(503).json({
+        error: 'All tuners busy',
+        message: err.message,
+      });
+    }
+
     console.error(`[server] Error allocating tuner for ${channelId}:`, err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Serve HLS playlist for a tuner
-app.get('/tuner/:tunerId/stream.m3u8', async (req, res) => {
-  const { tunerId } = req.params;
+// Passthrough channel: redirect to its HLS playlist once FFmpeg has the first segment,
+// or pipe MPEG-TS when HLS mode is off
+async function servePassthrough(req, res, channel, log) {
+  try {
+    if (!config.hlsMode) {
+      res.setHeader('Content-Type', 'video/mp2t');
+      res.setHeader('Cache-Control', 'no-cache, no-store');
+      log(`Starting MPEG-TS passthrough of ${channel.url}`);
+      return passthrough.pipeToClient(channel, res);
+    }
+
+    log(`Passthrough of ${channel.url} - waiting for playlist...`);
+    const session = await passthrough.waitUntilReady(channel);
+    if (!session) {
+      return res.status(503).json({
+        error: 'Stream not ready',
+        message: 'Upstream has not produced a segment yet, please retry in a few seconds'
+      });
+    }
+
+    const host = req.headers.host || `${config.host}:${config.port}`;
+    const hlsUrl = `http://${host}/passthrough/${channel.id}/stream.m3u8`;
+    log(`Redirecting to HLS: ${hlsUrl}`);
+    res.redirect(302, hlsUrl);
+  } catch (err) {
+    console.error(`[server] Passthrough ${channel.id} failed:`, err.message);
+    res.status(502).json({ error: 'Upstream stream failed', message: err.message });
+  }
+}
+
+app.get('/passthrough/:channelId/stream.m3u8', (req, res) => {
+  const host = req.headers.host || `${config.host}:${config.port}`;
+  const playlist = passthrough.getPlaylist(req.params.channelId, host);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Stream not ready' });
+  }
+  res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+  res.setHeader('Cache-Control', 'no-cache, no-store');
+  res.send(playlist);
+});
+
+app.get('/passthrough/:channelId/:segment', (req, res) => {
+  const segmentPath = passthrough.getSegmentPath(req.params.channelId, req.params.segment);
+  if (!segmentPath) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+  res.setHeader('Content-Type', 'video/mp2t');
+  res.setHeader('Cache-Control', 'no-cache');
+  fs.createReadStream(segmentPath).pipe(res);
+});
+
+// Replace segment filenames with full URLs (both regular HLS and LL-HLS)
+// rendition: ABR rendition directory the segments live in (omit for single-rendition output)
+function rewriteTunerPlaylist(playlist, host, tunerId, rendition) {
+  const base = `http://${host}/tuner/${tunerId}${rendition ? `/${rendition}` : ''}`;
+  return playlist
+    .replace(/^(segment\d+\.ts)$/gm, `${base}/$1`)
+    .replace(/^(segment\d+\.m4s)$/gm, `${base}/$1`)
+    // Handle init.mp4 in EXT-X-MAP tag: #EXT-X-MAP:URI="init.mp4"
+    .replace(/URI="(init\.mp4)"/g, `URI="${base}/$1"`);
+}
+
+// Look up a tuner with a ready HLS playlist, or send the error response and return null
+function getReadyTuner(req, res) {
+  const { tunerId, rendition } = req.params;
   const tuner = tunerManager.getTuner(tunerId);
 
   if (!tuner) {
-    return res.status(404).json({ error: `Tuner ${tunerId} not found` });
+    res.status(404).json({ error: `Tuner ${tunerId} not found` });
+    return null;
+  }
+
+  if (rendition && !tuner.ffmpeg?.hasRendition(rendition)) {
+    res.status(404).json({ error: `Rendition ${rendition} not found on tuner ${tunerId}` });
+    return null;
   }
 
   const playlistPath = tuner.getPlaylistPath();
   if (!playlistPath || !fs.existsSync(playlistPath)) {
-    return res.status(404).json({ error: 'Stream not ready' });
+    res.status(404).json({ error: 'Stream not ready' });
+    return null;
   }
 
+  return tuner;
+}
+
+// Serve a tuner's live playlist (top-level = the default/top rendition)
+function sendLivePlaylist(req, res) {
+  const tuner = getReadyTuner(req, res);
+  if (!tuner) return;
+
+  const rendition = req.params.rendition || tuner.ffmpeg.getDefaultRendition();
+
   // Update activity
   tuner.lastActivity = Date.now();
 
   // Read and modify playlist to use absolute URLs
-  let playlist = fs.readFileSync(playlistPath, 'utf8');
-
-  // Replace segment filenames with full URLs (both regular HLS and LL-HLS)
   const host = req.headers.host || `${config.host}:${config.port}`;
-  playlist = playlist.replace(/^(segment\d+\.ts)$/gm, `http://${host}/tuner/${tunerId}/$1`);
-  playlist = playlist.replace(/^(segment\d+\.m4s)$/gm, `http://${host}/tuner/${tunerId}/$1`);
-  // Handle init.mp4 in EXT-X-MAP tag: #EXT-X-MAP:URI="init.mp4"
-  playlist = playlist.replace(/URI="(init\.mp4)"/g, `URI="http://${host}/tuner/${tunerId}/$1"`);
+  let playlist = rewriteTunerPlaylist(tuner.ffmpeg.getLivePlaylist(rendition), host, tuner.id, rendition);
 
   // Add EXT-X-START to force players to start near live edge (reduces stuttering on resume)
   // TIME-OFFSET=-3 means start 3 seconds before live edge
@@ -758,11 +1407,185 @@ app.get('/tuner/:tunerId/stream.m3u8', async (req, res) => {
   res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
   res.setHeader('Cache-Control', 'no-cache, no-store');
   res.send(playlist);
+}
+
+// Timeshift playlist - sliding live playlist over the tuner's rolling window,
+// so players can pause and rewind. ?depth= limits it to the last N minutes.
+function sendTimeshiftPlaylist(req, res) {
+  const tuner = getReadyTuner(req, res);
+  if (!tuner) return;
+
+  const rendition = req.params.rendition || tuner.ffmpeg.getDefaultRendition();
+  const depth = parseFloat(req.query.depth);
+  const playlist = tuner.ffmpeg.getTimeshiftPlaylist(depth > 0 ? depth * 60 : null, rendition);
+  if (!playlist) {
+    return res.status(404).json({ error: `Timeshift is not enabled for tuner ${tuner.id}` });
+  }
+
+  tuner.lastActivity = Date.now();
+
+  const host = req.headers.host || `${config.host}:${config.port}`;
+  res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+  res.setHeader('Cache-Control', 'no-cache, no-store');
+  // Start at the live edge; the rest of the window is there to seek back into
+  res.send(rewriteTunerPlaylist(playlist, host, tuner.id, rendition)
+    .replace('#EXTM3U', '#EXTM3U\n#EXT-X-START:TIME-OFFSET=-3,PRECISE=YES'));
+}
+
+// Serve HLS playlist for a tuner
+app.get('/tuner/:tunerId/stream.m3u8', sendLivePlaylist);
+app.get('/tuner/:tunerId/timeshift.m3u8', sendTimeshiftPlaylist);
+
+// Master playlist listing the ABR renditions (a single variant when ABR is off)
+// ?timeshift=true points the variants at the timeshift playlists instead
+app.get('/tuner/:tunerId/master.m3u8', (req, res) => {
+  const tuner = getReadyTuner(req, res);
+  if (!tuner) return;
+
+  const wantsTimeshift = req.query.timeshift === 'true';
+  if (wantsTimeshift && !tuner.ffmpeg.timeshift) {
+    return res.status(404).json({ error: `Timeshift is not enabled for tuner ${tuner.id}` });
+  }
+
+  tuner.lastActivity = Date.now();
+
+  const host = req.headers.host || `${config.host}:${config.port}`;
+  const depth = wantsTimeshift && req.query.depth ? `?depth=${encodeURIComponent(req.query.depth)}` : '';
+  const captionsUri = effectiveConfig.get('captions.enabled')
+    ? `http://${host}/tuner/${tuner.id}/captions.m3u8${wantsTimeshift ? `?timeshift=true${depth.replace('?', '&')}` : ''}`
+    : null;
+  const master = tuner.ffmpeg.getMasterPlaylist(wantsTimeshift ? 'timeshift.m3u8' : 'stream.m3u8', captionsUri)
+    .replace(/^([^#\s].*)$/gm, `http://${host}/tuner/${tuner.id}/$1${depth}`);
+
+  res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+  res.setHeader('Cache-Control', 'no-cache, no-store');
+  res.send(master);
+});
+
+// WebVTT captions rendition (settings captions.enabled): a subtitle playlist mirroring the
+// top rendition's playlist - ?timeshift=true&depth= as for master.m3u8 - with one .vtt per segment
+app.get('/tuner/:tunerId/captions.m3u8', (req, res) => {
+  if (!effectiveConfig.get('captions.enabled')) {
+    return res.status(404).json({ error: 'Captions are not enabled' });
+  }
+  const tuner = getReadyTuner(req, res);
+  if (!tuner) return;
+
+  const rendition = tuner.ffmpeg.getDefaultRendition();
+  let playlist;
+  if (req.query.timeshift === 'true') {
+    const depth = parseFloat(req.query.depth);
+    playlist = tuner.ffmpeg.getTimeshiftPlaylist(depth > 0 ? depth * 60 : null, rendition);
+    if (!playlist) {
+      return res.status(404).json({ error: `Timeshift is not enabled for tuner ${tuner.id}` });
+    }
+  } else {
+    playlist = tuner.ffmpeg.getLivePlaylist(rendition);
+  }
+
+  tuner.lastActivity = Date.now();
+
+  const host = req.headers.host || `${config.host}:${config.port}`;
+  res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+  res.setHeader('Cache-Control', 'no-cache, no-store');
+  res.send(tuner.captions.getPlaylist(playlist, `http://${host}/tuner/${tuner.id}/captions`));
+});
+
+app.get('/tuner/:tunerId/captions/:segment', (req, res) => {
+  const tuner = getReadyTuner(req, res);
+  if (!tuner) return;
+
+  const match = req.params.segment.match(/^(segment\d+)\.vtt$/);
+  if (!match) {
+    return res.status(400).json({ error: 'Invalid segment' });
+  }
+
+  try {
+    const rendition = tuner.ffmpeg.getDefaultRendition();
+    const vtt = tuner.captions.getSegmentVtt(tuner.ffmpeg.getPlaylistSegments(rendition), match[1],
+      tuner.getSegmentPath(`${match[1]}.ts`, rendition));
+    if (!vtt) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(vtt);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Preview frame of what the tuner is showing (cached for a few seconds)
+app.get('/tuner/:tunerId/snapshot.jpg', async (req, res) => {
+  const tuner = tunerManager.getTuner(req.params.tunerId);
+  if (!tuner) {
+    return res.status(404).json({ error: `Tuner ${req.params.tunerId} not found` });
+  }
+
+  try {
+    const snapshot = await tuner.getSnapshot();
+    if (!snapshot) {
+      return res.status(404).json({ error: `No picture from tuner ${tuner.id} yet` });
+    }
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'no-cache, no-store');
+    res.setHeader('Last-Modified', new Date(snapshot.time).toUTCString());
+    res.setHeader('X-Snapshot-Source', snapshot.source);
+    res.send(snapshot.image);
+  } catch (err) {
+    console.error(`[server] Snapshot failed for tuner ${tuner.id}:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Commercial breaks found on a tuner's stream so far (settings breaks.enabled).
+// JSON has wall-clock times; the EDL and chapters count from when detection started.
+function getBreakDetector(req, res) {
+  const tuner = tunerManager.getTuner(req.params.tunerId);
+  if (!tuner) {
+    res.status(404).json({ error: `Tuner ${req.params.tunerId} not found` });
+    return null;
+  }
+  if (!tuner.ffmpeg || !tuner.ffmpeg.breakDetection) {
+    res.status(404).json({ error: `Break detection is not running on tuner ${tuner.id}` });
+    return null;
+  }
+  return tuner.ffmpeg.breakDetector;
+}
+
+app.get('/tuner/:tunerId/breaks', (req, res) => {
+  const detector = getBreakDetector(req, res);
+  if (!detector) return;
+  res.json(detector.getStatus());
+});
+
+app.get('/tuner/:tunerId/breaks.edl', (req, res) => {
+  const detector = getBreakDetector(req, res);
+  if (!detector) return;
+  res.setHeader('Content-Type', 'text/plain');
+  res.setHeader('Cache-Control', 'no-cache, no-store');
+  res.send(breakDetect.toEdl(detector.getRelativeBreaks().filter(b => !b.open)));
+});
+
+app.get('/tuner/:tunerId/chapters.txt', (req, res) => {
+  const detector = getBreakDetector(req, res);
+  if (!detector) return;
+  const duration = detector.until !== null ? detector.until - detector.since : 0;
+  res.setHeader('Content-Type', 'text/plain');
+  res.setHeader('Cache-Control', 'no-cache, no-store');
+  res.send(breakDetect.toFfmetadata(breakDetect.toChapters(detector.getRelativeBreaks(), duration)));
 });
 
+// Per-rendition playlists and segments (ABR)
+app.get('/tuner/:tunerId/:rendition/stream.m3u8', sendLivePlaylist);
+app.get('/tuner/:tunerId/:rendition/timeshift.m3u8', sendTimeshiftPlaylist);
+app.get('/tuner/:tunerId/:rendition/:segment', (req, res) => sendTunerSegment(req, res));
+
 // Serve HLS segments for a tuner (supports both regular HLS and LL-HLS)
-app.get('/tuner/:tunerId/:segment', (req, res) => {
-  const { tunerId, segment } = req.params;
+app.get('/tuner/:tunerId/:segment', (req, res) => sendTunerSegment(req, res));
+
+function sendTunerSegment(req, res) {
+  const { tunerId, rendition, segment } = req.params;
   const tuner = tunerManager.getTuner(tunerId);
 
   if (!tuner) {
@@ -780,7 +1603,8 @@ app.get('/tuner/:tunerId/:segment', (req, res) => {
     return res.status(400).json({ error: 'Invalid segment' });
   }
 
-  const segmentPath = tuner.getSegmentPath(segment);
+  // Without a rendition in the URL, ABR output serves the top rendition
+  const segmentPath = tuner.getSegmentPath(segment, rendition || tuner.ffmpeg?.getDefaultRendition());
   if (!segmentPath || !fs.existsSync(segmentPath)) {
     return res.status(404).json({ error: 'Segment not found' });
   }
@@ -797,8 +1621,10 @@ app.get('/tuner/:tunerId/:segment', (req, res) => {
   res.setHeader('Content-Type', contentType);
   // Short cache for LL-HLS segments, longer for init
   res.setHeader('Cache-Control', segment === 'init.mp4' ? 'max-age=3600' : 'no-cache');
-  fs.createReadStream(segmentPath).pipe(res);
-});
+  const stream = fs.createReadStream(segmentPath);
+  stream.on('end', () => metrics.recordBytesOut(tuner.id, stream.bytesRead));
+  stream.pipe(res);
+}
 
 // Release a client from tuner (called when client stops watching)
 app.post('/tuner/:tunerId/release', (req, res) => {
@@ -839,6 +1665,35 @@ app.post('/api/tuner/:tunerId/reset', async (req, res) => {
   }
 });
 
+// Learned guide-matching strategies per channel
+app.get('/api/tuning-cache', (req, res) => {
+  const channels = tuningCache.getAll();
+  res.json({ count: channels.length, defaultOrder: DEFAULT_STRATEGIES, channels });
+});
+
+app.get('/api/tuning-cache/:channelId', (req, res) => {
+  const entry = tuningCache.getEntry(req.params.channelId);
+  if (!entry) {
+    return res.status(404).json({ error: `Nothing learned for channel ${req.params.channelId}` });
+  }
+  res.json({ ...entry, order: tuningCache.getStrategyOrder(req.params.channelId) });
+});
+
+// Reset everything learned
+app.delete('/api/tuning-cache', (req, res) => {
+  tuningCache.clear();
+  console.log('[server] Tuning cache cleared');
+  res.json({ success: true });
+});
+
+// Reset a single channel
+app.delete('/api/tuning-cache/:channelId', (req, res) => {
+  if (!tuningCache.clear(req.params.channelId)) {
+    return res.status(404).json({ error: `Nothing learned for channel ${req.params.channelId}` });
+  }
+  res.json({ success: true });
+});
+
 // Clear Chrome cache for a tuner AND restart Chrome (fixes DirecTV "streaming limit" errors)
 app.post('/api/tuner/:tunerId/clear-cache', async (req, res) => {
   const tunerId = parseInt(req.params.tunerId);
@@ -904,7 +1759,7 @@ app.post('/api/tuner/:tunerId/clear-cache', async (req, res) => {
     ];
 
     const chrome = spawn('/usr/bin/google-chrome-stable', chromeArgs, {
-      env: { ...process.env, DISPLAY: `:${displayNum}` },
+      env: { ...process.env, DISPLAY: `:${displayNum}`, ...audioSinks.getChromeEnv(tunerId) },
       detached: true,
       stdio: 'ignore'
     });
@@ -1050,8 +1905,7 @@ async function syncChromeProfiles() {
       env: {
         ...process.env,
         DISPLAY: `:${displayNum}`,
-        PULSE_SERVER: 'unix:/run/pulse/native',
-        PULSE_SINK: `virtual_speaker_${i}`
+        ...audioSinks.getChromeEnv(i)
       },
       detached: true,
       stdio: 'ignore'
@@ -1078,7 +1932,7 @@ async function checkAndAutoSyncLogin() {
     if (!tuner || !tuner.page) return;
 
     const url = tuner.page.url();
-    const isLoggedIn = url.includes("stream.directv.com") && !url.includes("login") && !url.includes("signin") && !url.includes("auth");
+    const isLoggedIn = config.isSiteUrl(url) && !url.includes("login") && !url.includes("signin") && !url.includes("auth");
 
     if (isLoggedIn) {
       // Check if cookies exist
@@ -1228,6 +2082,84 @@ app.get('/api/gpu/sessions', (req, res) => {
   }
 });
 
+// ============================================
+// Prometheus Metrics
+// ============================================
+
+// Tuners and FFmpeg
+metrics.registerCollector((m) => {
+  m.tunerState.reset();
+  m.tunerClients.reset();
+  m.tunerPriority.reset();
+  m.ffmpegRunning.reset();
+  m.ffmpegBitrate.reset();
+  m.segmentSize.reset();
+
+  for (const tuner of tunerManager.getStatus().tuners) {
+    const labels = { tuner: tuner.id };
+    for (const state of Object.values(TunerState)) {
+      m.tunerState.set({ ...labels, state }, tuner.state === state ? 1 : 0);
+    }
+    m.tunerClients.set(labels, tuner.clients);
+    m.tunerPriority.set(labels, parsePriority(tuner.priority));
+    if (tuner.stream) {
+      m.ffmpegRunning.set(labels, tuner.stream.isRunning ? 1 : 0);
+      m.ffmpegBitrate.set(labels, Math.round(parseFloat(tuner.stream.avgBitrateMbps) * 1000000));
+    }
+    if (tuner.segmentMonitor) {
+      m.segmentSize.set(labels, tuner.segmentMonitor.latestSegmentSize);
+    }
+  }
+});
+
+// EPG
+metrics.registerCollector((m) => {
+  const epg = directvEpg.getStatus();
+  m.epgChannels.set({}, epg.channelCount);
+  m.epgAge.reset();
+  m.epgAge.set({}, epg.cacheAge);
+});
+
+// GPU / CPU
+metrics.registerCollector((m) => {
+  const gpu = gpuMonitor.getStatus();
+  m.gpuUtilization.reset();
+  m.gpuMemoryUsed.reset();
+  m.gpuTemperature.reset();
+  m.gpuEncoderSessions.reset();
+
+  if (gpu.cpu) {
+    m.cpuUsage.set({}, gpu.cpu.usage);
+    m.memoryUsed.set({}, Math.round(gpu.cpu.memory.used * 1024 * 1024 * 1024));
+  }
+  if (gpu.nvidia) {
+    const labels = { gpu: gpu.nvidia.name };
+    for (const [engine, value] of Object.entries(gpu.nvidia.utilization)) {
+      m.gpuUtilization.set({ ...labels, engine }, value);
+    }
+    // nvidia-smi reports MiB
+    m.gpuMemoryUsed.set(labels, gpu.nvidia.memory.used * 1024 * 1024);
+    m.gpuTemperature.set(labels, gpu.nvidia.temperature);
+    m.gpuEncoderSessions.set(labels, gpu.nvidia.encoderSessions);
+  }
+  if (gpu.intel) {
+    const labels = { gpu: gpu.intel.name };
+    for (const [engine, value] of Object.entries(gpu.intel.utilization)) {
+      m.gpuUtilization.set({ ...labels, engine }, value);
+    }
+  }
+});
+
+app.get('/metrics', (req, res) => {
+  try {
+    res.setHeader('Content-Type', metrics.CONTENT_TYPE);
+    res.send(metrics.render());
+  } catch (err) {
+    console.error('[server] Failed to render metrics:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 
 // ================== CINEBY ENDPOINTS ==================
 
@@ -2344,10 +3276,11 @@ app.get('/vod/combined-playlist.m3u', async (req, res) => {
 
 // XMLTV EPG for TvMate/IPTV apps
 app.get('/tve/directv/epg.xml', (req, res) => {
-  const hours = parseInt(req.query.hours) || 24;
+  const hours = parseInt(req.query.hours) || directvEpg.getGuideHours();
   console.log(`[epg] Generating XMLTV EPG (${hours} hours)`);
 
-  const xml = directvEpg.generateXMLTV(hours);
+  const host = req.headers.host || `${config.host}:${config.port}`;
+  const xml = directvEpg.generateXMLTV(hours, host, passthrough.getGuideChannels());
 
   res.setHeader('Content-Type', 'application/xml');
   res.setHeader('Content-Disposition', 'attachment; filename="directv-epg.xml"');
@@ -2359,7 +3292,7 @@ app.get('/tve/directv/playlist.m3u', (req, res) => {
   const host = req.headers.host || `${config.host}:${config.port}`;
   console.log('[epg] Generating DirecTV M3U playlist with EPG IDs');
 
-  const m3u = directvEpg.generateM3U(host);
+  const m3u = directvEpg.generateM3U(host, liveSources.getLineupChannels());
 
   res.setHeader('Content-Type', 'application/x-mpegurl');
   res.setHeader('Content-Disposition', 'attachment; filename="directv.m3u"');
@@ -2375,9 +3308,86 @@ app.get('/tve/directv/channels', (req, res) => {
   });
 });
 
-// EPG status
+// EPG status with per-channel guide coverage
 app.get('/tve/directv/epg/status', (req, res) => {
-  res.json(directvEpg.getStatus());
+  res.json({
+    ...directvEpg.getStatus(),
+    coverage: directvEpg.getCoverage()
+  });
+});
+
+// JSON guide API - times are ISO dates or epoch milliseconds
+function findInvalidTime(...values) {
+  return values.find(value => value && directvEpg.parseTime(value) === null);
+}
+
+// What's on now and next. ?channels= (comma-separated numbers/call signs/names), ?at=
+app.get('/tve/directv/epg/now', (req, res) => {
+  const { at, channels } = req.query;
+  const invalid = findInvalidTime(at);
+  if (invalid) {
+    return res.status(400).json({ error: `Invalid time: ${invalid}` });
+  }
+  res.json({
+    time: new Date(directvEpg.parseTime(at) ?? Date.now()).toISOString(),
+    channels: directvEpg.getNowNext({ at, channels })
+  });
+});
+
+// Programme search: ?q= (words in title/subtitle/description), ?genre=, ?rating=, ?channel=, ?from=, ?to=, ?limit=
+app.get('/tve/directv/epg/search', (req, res) => {
+  const { q, genre, rating, channel, from, to, limit } = req.query;
+  const invalid = findInvalidTime(from, to);
+  if (invalid) {
+    return res.status(400).json({ error: `Invalid time: ${invalid}` });
+  }
+  res.json(directvEpg.searchProgrammes({ q, genre, rating, channel, from, to, limit }));
+});
+
+// One channel's programmes in a window: ?from= (default now), ?to= (default +24h)
+app.get('/tve/directv/epg/channel/:channel', (req, res) => {
+  const channel = directvEpg.findChannel(req.params.channel);
+  if (!channel) {
+    return res.status(404).json({ error: `Channel ${req.params.channel} not found` });
+  }
+  const { from, to } = req.query;
+  const invalid = findInvalidTime(from, to);
+  if (invalid) {
+    return res.status(400).json({ error: `Invalid time: ${invalid}` });
+  }
+  res.json(directvEpg.getProgrammes(channel, { from, to }));
+});
+
+// Guide grid for the web guide: visible lineup channels (overlay numbers/names/order applied)
+// with their programmes in a window. ?from= (default now), ?hours= (default 3, max 24)
+app.get('/tve/directv/epg/grid', (req, res) => {
+  const invalid = findInvalidTime(req.query.from);
+  if (invalid) {
+    return res.status(400).json({ error: `Invalid time: ${invalid}` });
+  }
+  const from = directvEpg.parseTime(req.query.from) ?? Date.now();
+  const hours = Math.min(Math.max(parseFloat(req.query.hours) || 3, 0.5), 24);
+  const to = from + hours * 60 * 60 * 1000;
+
+  const channels = lineupManager.getVisible(directvEpg.getLineupChannels()).map(entry => {
+    const { programmes } = directvEpg.getProgrammes(directvEpg.getChannelByNumber(entry.key), { from, to });
+    return {
+      channel: {
+        number: entry.number,
+        name: entry.name,
+        group: entry.group,
+        logo: `/logos/${encodeURIComponent(entry.streamId)}.png`,
+        streamId: String(entry.streamId)
+      },
+      programmes
+    };
+  });
+
+  res.json({
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    channels
+  });
 });
 
 // Refresh EPG data from DirecTV (requires authenticated browser session)
@@ -2392,6 +3402,7 @@ app.post('/tve/directv/epg/refresh', async (req, res) => {
     });
   } catch (error) {
     console.error('[epg] Refresh error:', error.message);
+    eventBus.publish(EventType.EPG_REFRESH_FAILED, `Manual EPG refresh failed: ${error.message}`, { error: error.message, manual: true });
     res.status(500).json({
       success: false,
       error: error.message
@@ -2416,6 +3427,181 @@ app.get('/tve/directv/stream/:channelNumber', async (req, res) => {
 
 // ================== END DIRECTV EPG ENDPOINTS ==================
 
+// ================== RECORDINGS (DVR) ENDPOINTS ==================
+
+// List timers
+app.get('/api/recordings/timers', (req, res) => {
+  res.json({ timers: recordingManager.getTimers() });
+});
+
+// Create a timer (one-off programme/time window, or series by title)
+app.post('/api/recordings/timers', (req, res) => {
+  try {
+    const timer = recordingManager.createTimer(req.body || {});
+    res.status(201).json({ success: true, timer });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Update a timer's padding (or series title)
+app.put('/api/recordings/timers/:id', (req, res) => {
+  try {
+    const timer = recordingManager.updateTimer(req.params.id, req.body || {});
+    if (!timer) {
+      return res.status(404).json({ error: 'Timer not found' });
+    }
+    res.json({ success: true, timer });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Delete a timer and cancel its pending recordings
+app.delete('/api/recordings/timers/:id', (req, res) => {
+  if (!recordingManager.deleteTimer(req.params.id)) {
+    return res.status(404).json({ error: 'Timer not found' });
+  }
+  res.json({ success: true });
+});
+
+// List recordings, optionally filtered by ?status=scheduled|recording|completed|failed|cancelled
+app.get('/api/recordings', (req, res) => {
+  const recordings = recordingManager.getRecordings(req.query.status);
+  res.json({ count: recordings.length, recordings, status: recordingManager.getStatus() });
+});
+
+// Completed recordings with playback URLs
+app.get('/api/recordings/completed', (req, res) => {
+  const host = req.headers.host || `${config.host}:${config.port}`;
+  const recordings = recordingManager.getRecordings(RecordingStatus.COMPLETED).map(rec => ({
+    ...rec,
+    url: `http://${host}/recordings/${rec.id}/index.m3u8`
+  }));
+  res.json({ count: recordings.length, recordings });
+});
+
+app.get('/api/recordings/:id', (req, res) => {
+  const rec = recordingManager.getRecording(req.params.id);
+  if (!rec) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  res.json(rec);
+});
+
+// Cancel (scheduled), stop (in progress) or delete (finished) a recording
+app.delete('/api/recordings/:id', async (req, res) => {
+  try {
+    if (!(await recordingManager.deleteRecording(req.params.id))) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Detect the commercial breaks in a finished recording (runs in the background;
+// completed recordings are analysed automatically when breaks.enabled is on)
+app.post('/api/recordings/:id/breaks', (req, res) => {
+  const rec = recordingManager.getRecording(req.params.id);
+  if (!rec) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  if (rec.status === RecordingStatus.SCHEDULED || rec.status === RecordingStatus.RECORDING) {
+    return res.status(400).json({ error: `Recording is ${rec.status} - breaks can be detected once it has finished` });
+  }
+
+  const breakDetection = recordingManager.detectBreaks(rec.id);
+  if (!breakDetection) {
+    return res.status(404).json({ error: 'Recording has no files to analyse' });
+  }
+  res.status(202).json(breakDetection);
+});
+
+// Detected breaks of a recording as an EDL (Kodi/MPlayer) or FFmpeg chapter metadata
+function getDetectedBreaks(req, res) {
+  const rec = recordingManager.getRecording(req.params.id);
+  if (!rec) {
+    res.status(404).json({ error: 'Recording not found' });
+    return null;
+  }
+  if (!rec.breakDetection || rec.breakDetection.status !== BreakDetectionStatus.DONE) {
+    res.status(404).json({ error: 'Breaks have not been detected for this recording', breakDetection: rec.breakDetection || null });
+    return null;
+  }
+  return rec.breakDetection;
+}
+
+app.get('/recordings/:id/breaks.edl', (req, res) => {
+  const detected = getDetectedBreaks(req, res);
+  if (!detected) return;
+  res.setHeader('Content-Type', 'text/plain');
+  res.send(breakDetect.toEdl(detected.breaks));
+});
+
+app.get('/recordings/:id/chapters.txt', (req, res) => {
+  const detected = getDetectedBreaks(req, res);
+  if (!detected) return;
+  res.setHeader('Content-Type', 'text/plain');
+  res.send(breakDetect.toFfmetadata(breakDetect.toChapters(detected.breaks, detected.duration)));
+});
+
+// Serve a recording's HLS playlist (also works while still recording)
+app.get('/recordings/:id/index.m3u8', (req, res) => {
+  const rec = recordingManager.getRecording(req.params.id);
+  const playlistPath = rec && recordingManager.getPlaylistPath(rec.id);
+  if (!playlistPath || !fs.existsSync(playlistPath)) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+
+  const host = req.headers.host || `${config.host}:${config.port}`;
+  const playlist = recordingManager.getPlaylist(rec.id)
+    .replace(/^(segment\d+\.ts)$/gm, `http://${host}/recordings/${rec.id}/$1`);
+
+  res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(playlist);
+});
+
+// Serve recording segments
+app.get('/recordings/:id/:segment', (req, res) => {
+  const { id, segment } = req.params;
+  if (!recordingManager.getRecording(id) || !/^segment\d+\.ts$/.test(segment)) {
+    return res.status(400).json({ error: 'Invalid segment' });
+  }
+
+  const segmentPath = recordingManager.getSegmentPath(id, segment);
+  if (!fs.existsSync(segmentPath)) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+
+  res.setHeader('Content-Type', 'video/mp2t');
+  res.setHeader('Cache-Control', 'max-age=3600');
+  fs.createReadStream(segmentPath).pipe(res);
+});
+
+// ================== END RECORDINGS (DVR) ENDPOINTS ==================
+
+// ================== SIMULATOR ENDPOINTS ==================
+// Fake guide/player the tuners drive when DVR_SIMULATE=true (see simulator/index.js).
+// Public - the tuner browsers have no session.
+if (config.simulate) {
+  const simulator = require('./simulator');
+  const simulatorSite = path.join(__dirname, 'simulator', 'site');
+
+  app.get('/simulator/api/guide', (req, res) => {
+    res.json({ channels: simulator.getGuide() });
+  });
+
+  app.get(['/simulator/guide', '/simulator/watch/:number'], (req, res) => {
+    res.sendFile(path.join(simulatorSite, 'index.html'));
+  });
+
+  app.use('/simulator', express.static(simulatorSite));
+}
+// ================== END SIMULATOR ENDPOINTS ==================
+
 // Startup
 // Login watcher - monitors for login and triggers EPG refresh when logged in
 let loginWatcherActive = false;
@@ -2437,7 +3623,7 @@ async function startLoginWatcher() {
       const tuner = tunerManager.getTuner(0);
       if (tuner && tuner.page) {
         const url = tuner.page.url();
-        const isLoggedIn = url.includes("stream.directv.com") && 
+        const isLoggedIn = config.isSiteUrl(url) && 
           !url.includes("login") && 
           !url.includes("signin") && 
           !url.includes("auth");
@@ -2487,6 +3673,9 @@ async function start() {
   console.log('DirecTV IPTV Proxy Server');
   console.log('='.repeat(60));
 
+  // Webhooks first, so tuner startup failures are delivered too
+  webhookNotifier.start();
+
   // Initialize tuner manager
   console.log('[server] Initializing tuners...');
   await tunerManager.initialize();
@@ -2506,6 +3695,16 @@ async function start() {
     console.log(`  Stream Health:    http://<host>:${config.port}/stats`);
     console.log(`  Stream:           http://<host>:${config.port}/stream/<channelId>`);
     console.log('');
+    if (config.hdhomerun.enabled) {
+      console.log('HDHomeRun Emulation (Plex/Jellyfin/Emby):');
+      console.log(`  Device:           http://<host>:${config.port}/discover.json`);
+      console.log(`  Lineup:           http://<host>:${config.port}/lineup.json`);
+      console.log('');
+    }
+    console.log('Recordings (DVR):');
+    console.log(`  Timers:           http://<host>:${config.port}/api/recordings/timers`);
+    console.log(`  Recordings:       http://<host>:${config.port}/api/recordings`);
+    console.log('');
     console.log('Cineby Movie Endpoints (Native playback with pause/rewind!):');
     console.log(`  Full Playlist:    http://<host>:${config.port}/full-playlist.m3u`);
     console.log(`  Cineby Only:      http://<host>:${config.port}/cineby-playlist.m3u`);
@@ -2538,6 +3737,17 @@ async function start() {
     // Start EPG auto-refresh (every 4 hours)
     directvEpg.startAutoRefresh();
 
+    // Announce as an HDHomeRun tuner on the LAN
+    if (config.hdhomerun.enabled && config.hdhomerun.ssdp) {
+      hdhomerun.ssdp.start();
+    }
+
+    // Start the DVR scheduler
+    recordingManager.start();
+
+    // Fetch the passthrough channels' XMLTV guides
+    passthrough.startGuideRefresh();
+
     // Start CinemaOS movie database auto-refresh (every 6 hours)
     process.env.DATA_DIR = path.join(__dirname, 'data');
     process.env.TUNER_HOST = `${config.host}:${config.port}`;
@@ -2553,12 +3763,18 @@ async function start() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n[server] Shutting down...');
+  hdhomerun.ssdp.stop();
+  await recordingManager.stop();
+  passthrough.shutdown();
   await tunerManager.shutdown();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\n[server] Shutting down...');
+  hdhomerun.ssdp.stop();
+  await recordingManager.stop();
+  passthrough.shutdown();
   await tunerManager.shutdown();
   process.exit(0);
 });
@@ -0,0 +1,165 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const breakDetect = require('../break-detect');
+
+const { parseOutput, mergeIntervals, findBreaks, toEdl, toChapters, toFfmetadata, toDateRanges } = breakDetect;
+
+// Half a second of black and silence at each time - one marker each
+function markers(...times) {
+  const intervals = times.map(t => ({ start: t, end: t + 0.5 }));
+  return { black: intervals, silence: intervals.map(i => ({ ...i })) };
+}
+
+function breaksAt(...times) {
+  const { black, silence } = markers(...times);
+  return findBreaks(black, silence).map(({ start, end }) => [start, end]);
+}
+
+describe('breakDetect.parseOutput', () => {
+  it('reads black and silence intervals and the duration', () => {
+    const output = [
+      '  Duration: 00:01:30.50, start: 1.400000, bitrate: 2000 kb/s',
+      '[blackdetect @ 0x1] black_start:10.2 black_end:10.8 black_duration:0.6',
+      '[silencedetect @ 0x2] silence_start: 10.1',
+      '[silencedetect @ 0x2] silence_end: 10.9 | silence_duration: 0.8',
+      '[blackdetect @ 0x1] black_start:-0.04 black_end:0.5 black_duration:0.54',
+    ].join('\n');
+    assert.deepEqual(parseOutput(output), {
+      black: [{ start: 10.2, end: 10.8 }, { start: 0, end: 0.5 }],
+      silence: [{ start: 10.1, end: 10.9 }],
+      duration: 90.5,
+    });
+  });
+
+  it('starts silence carried over from the previous segment at 0', () => {
+    const { silence } = parseOutput('[silencedetect @ 0x2] silence_end: 0.4 | silence_duration: 0.4\n');
+    assert.deepEqual(silence, [{ start: 0, end: 0.4 }]);
+  });
+
+  it('closes silence that runs to the end at the duration', () => {
+    const output = '  Duration: 00:00:06.00, start: 0.000000\n[silencedetect @ 0x2] silence_start: 5.5\n';
+    assert.deepEqual(parseOutput(output).silence, [{ start: 5.5, end: 6 }]);
+    // Without a duration there is nothing to close it at
+    assert.deepEqual(parseOutput('[silencedetect @ 0x2] silence_start: 5.5\n').silence, []);
+  });
+});
+
+describe('breakDetect.mergeIntervals', () => {
+  it('sorts and joins intervals no further apart than maxGap', () => {
+    const input = [{ start: 5, end: 6 }, { start: 0, end: 1 }, { start: 1.2, end: 2 }, { start: 2.5, end: 3 }];
+    assert.deepEqual(mergeIntervals(input, 0.2), [{ start: 0, end: 2 }, { start: 2.5, end: 3 }, { start: 5, end: 6 }]);
+    assert.deepEqual(input[1], { start: 0, end: 1 }, 'input is not modified');
+  });
+
+  it('keeps the later end of contained intervals', () => {
+    assert.deepEqual(mergeIntervals([{ start: 0, end: 10 }, { start: 2, end: 3 }], 0), [{ start: 0, end: 10 }]);
+  });
+});
+
+describe('breakDetect.findBreaks', () => {
+  it('finds a break from a run of markers', () => {
+    const { black, silence } = markers(100, 130, 160);
+    assert.deepEqual(findBreaks(black, silence), [{ start: 100, end: 160.5, markers: 3, open: false }]);
+  });
+
+  it('needs black and silence together for a marker', () => {
+    const { black } = markers(100, 130, 160);
+    assert.deepEqual(findBreaks(black, []), []);
+    // Black at 160 without silence isn't part of the break
+    assert.deepEqual(findBreaks(black, [{ start: 100, end: 100.5 }, { start: 130, end: 130.5 }]),
+      [{ start: 100, end: 130.5, markers: 2, open: false }]);
+  });
+
+  it('pairs black and silence up to half a second apart', () => {
+    const black = [{ start: 100, end: 100.5 }, { start: 140, end: 140.5 }];
+    assert.equal(findBreaks(black, [{ start: 100.9, end: 101 }, { start: 139, end: 139.6 }]).length, 1);
+    assert.equal(findBreaks(black, [{ start: 101.1, end: 101.2 }, { start: 139, end: 139.6 }]).length, 0);
+  });
+
+  it('counts markers less than a second apart as one', () => {
+    const { black, silence } = markers(100, 100.8, 140);
+    assert.equal(findBreaks(black, silence)[0].markers, 2);
+  });
+
+  it('ends a break when markers are more than a spot apart', () => {
+    assert.deepEqual(breaksAt(100, 140, 400, 430), [[100, 140.5], [400, 430.5]]);
+    // 125 seconds from the end of one marker to the next is still one spot
+    assert.deepEqual(breaksAt(0, 125.5), [[0, 126]]);
+    assert.deepEqual(breaksAt(0, 125.6), []);
+  });
+
+  it('drops runs shorter than a break or longer than one', () => {
+    assert.deepEqual(breaksAt(100, 120), []);
+    assert.deepEqual(breaksAt(100, 129.5), [[100, 130]]);
+    assert.deepEqual(breaksAt(0, 100, 200, 300, 400, 500, 600), []);
+    assert.deepEqual(breaksAt(0, 100, 200, 300, 400, 500, 599.5), [[0, 600]]);
+  });
+
+  it('sorts silence before matching', () => {
+    const { black, silence } = markers(100, 130);
+    assert.equal(findBreaks(black, silence.reverse()).length, 1);
+  });
+
+  it('marks a break that can still continue as open', () => {
+    const { black, silence } = markers(100, 130);
+    assert.equal(findBreaks(black, silence, { until: 200 })[0].open, true);
+    assert.equal(findBreaks(black, silence, { until: 255.5 })[0].open, true);
+    assert.equal(findBreaks(black, silence, { until: 255.6 })[0].open, false);
+    // Only the last run can be open
+    const later = markers(100, 130, 300, 340);
+    assert.deepEqual(findBreaks(later.black, later.silence, { until: 350 }).map(b => b.open), [false, true]);
+  });
+
+  it('leaves out an open run that is not long enough yet', () => {
+    const { black, silence } = markers(100, 110);
+    assert.deepEqual(findBreaks(black, silence, { until: 115 }), []);
+  });
+});
+
+describe('breakDetect exports', () => {
+  const breaks = [{ start: 0, end: 30, markers: 2 }, { start: 100.25, end: 160.5, markers: 3 }];
+
+  it('writes an EDL', () => {
+    assert.equal(toEdl(breaks), '0.00\t30.00\t3\n100.25\t160.50\t3\n');
+    assert.equal(toEdl([]), '');
+  });
+
+  it('alternates programme parts and breaks in chapters', () => {
+    assert.deepEqual(toChapters(breaks, 300), [
+      { start: 0, end: 30, title: 'Break 1', break: true },
+      { start: 30, end: 100.25, title: 'Part 1' },
+      { start: 100.25, end: 160.5, title: 'Break 2', break: true },
+      { start: 160.5, end: 300, title: 'Part 2' },
+    ]);
+  });
+
+  it('ends chapters at the last break without a duration', () => {
+    assert.deepEqual(toChapters([{ start: 10, end: 50 }], null), [
+      { start: 0, end: 10, title: 'Part 1' },
+      { start: 10, end: 50, title: 'Break 1', break: true },
+    ]);
+    assert.deepEqual(toChapters([], 60), [{ start: 0, end: 60, title: 'Part 1' }]);
+  });
+
+  it('writes chapters as FFmpeg metadata', () => {
+    const metadata = toFfmetadata([
+      { start: 0, end: 30.0004, title: 'Part 1' },
+      { start: 30.0004, end: 61.5, title: 'Break=1; #x' },
+    ]);
+    assert.equal(metadata, [
+      ';FFMETADATA1',
+      '',
+      '[CHAPTER]', 'TIMEBASE=1/1000', 'START=0', 'END=30000', 'title=Part 1',
+      '',
+      '[CHAPTER]', 'TIMEBASE=1/1000', 'START=30000', 'END=61500', 'title=Break\\=1\\; \\#x',
+      '',
+    ].join('\n'));
+  });
+
+  it('turns breaks into DATERANGEs, open ones without an end', () => {
+    assert.deepEqual(toDateRanges([{ start: 10, end: 50 }, { start: 100, end: 140, open: true }], 1700000000), [
+      { id: 'break-1700000010000', class: 'com.directvtuner.break', start: 1700000010000, end: 1700000050000 },
+      { id: 'break-1700000100000', class: 'com.directvtuner.break', start: 1700000100000, end: null },
+    ]);
+  });
+});
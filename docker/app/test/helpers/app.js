@@ -0,0 +1,111 @@
+// Starts stream-proxy.js in simulator mode on a free port with its own data directory,
+// for tests that talk to the app over HTTP
+
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const APP_DIR = path.join(__dirname, '..', '..');
+
+// Tuners give up on Chrome after 30s, so a box without a browser still boots in this time
+const START_TIMEOUT = 120000;
+const STOP_TIMEOUT = 15000;
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function hasFfmpeg() {
+  try {
+    execFileSync('ffmpeg', ['-version'], { stdio: 'ignore' });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Whether the tuners can actually stream here: Playwright's Chromium and FFmpeg
+function canStream() {
+  try {
+    const { chromium } = require('playwright');
+    return fs.existsSync(chromium.executablePath()) && hasFfmpeg();
+  } catch (e) {
+    return false;
+  }
+}
+
+async function startApp(env = {}) {
+  const port = await getFreePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dvr-test-'));
+  const output = [];
+
+  const proc = spawn(process.execPath, ['stream-proxy.js'], {
+    cwd: APP_DIR,
+    env: {
+      ...process.env,
+      DVR_SIMULATE: 'true',
+      DVR_DATA_DIR: dataDir,
+      DVR_HLS_DIR: path.join(dataDir, 'streams'),
+      DVR_HOST: '127.0.0.1',
+      DVR_PORT: String(port),
+      DVR_NUM_TUNERS: '1',
+      DVR_HDHR_SSDP: 'false',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  proc.stdout.on('data', data => output.push(data.toString()));
+  proc.stderr.on('data', data => output.push(data.toString()));
+
+  await new Promise((resolve, reject) => {
+    const onExit = (code) => fail(`App exited with code ${code}`);
+    const poll = setInterval(() => {
+      if (output.join('').includes('[server] Server running on')) {
+        done();
+        resolve();
+      }
+    }, 200);
+    const timer = setTimeout(() => fail(`App did not start within ${START_TIMEOUT}ms`), START_TIMEOUT);
+    const done = () => {
+      clearInterval(poll);
+      clearTimeout(timer);
+      proc.off('exit', onExit);
+    };
+    const fail = (message) => {
+      done();
+      proc.kill('SIGKILL');
+      reject(new Error(`${message}\n${output.join('').slice(-2000)}`));
+    };
+    proc.on('exit', onExit);
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  return {
+    baseUrl,
+    output,
+    request: (urlPath, options) => fetch(`${baseUrl}${urlPath}`, { redirect: 'manual', ...options }),
+    async stop() {
+      if (proc.exitCode === null && proc.signalCode === null) {
+        const exited = new Promise(resolve => proc.once('exit', resolve));
+        proc.kill('SIGTERM');
+        const timer = setTimeout(() => proc.kill('SIGKILL'), STOP_TIMEOUT);
+        await exited;
+        clearTimeout(timer);
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { startApp, canStream, hasFfmpeg, getFreePort };
@@ -0,0 +1,222 @@
+// Passthrough channels against a local upstream: channel list and XMLTV guides, then
+// HLS and raw MPEG-TS upstreams remuxed by FFmpeg (skipped without FFmpeg)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const zlib = require('zlib');
+const { hasFfmpeg } = require('./helpers/app');
+
+// The modules read their data paths when they're loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dvr-test-'));
+process.env.DVR_DATA_DIR = dataDir;
+process.env.DVR_HLS_DIR = path.join(dataDir, 'streams');
+// Removed once the event log's debounced save has run
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const config = require('../config');
+const eventBus = require('../event-bus');
+const passthrough = require('../passthrough');
+const settingsManager = require('../settings-manager');
+
+const ffmpeg = hasFfmpeg();
+const fixtureDir = path.join(dataDir, 'upstream');
+
+function xmltvDate(time) {
+  return new Date(time).toISOString().replace(/[-:T]/g, '').slice(0, 14) + ' +0000';
+}
+
+// Two hours of half-hour programmes from now
+function guideXml(channelId, name, title) {
+  const start = Math.floor(Date.now() / 1800000) * 1800000;
+  const programmes = [0, 1, 2, 3].map(i => `
+  <programme start="${xmltvDate(start + i * 1800000)}" stop="${xmltvDate(start + (i + 1) * 1800000)}" channel="${channelId}">
+    <title>${title} ${i + 1}</title>
+  </programme>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tv>
+  <channel id="${channelId}"><display-name>${name}</display-name></channel>
+  <channel id="other.example"><display-name>Other</display-name></channel>${programmes}
+</tv>
+`;
+}
+
+describe('passthrough', () => {
+  let upstream;
+  let baseUrl;
+  let flakyGuideFails = false;
+
+  before(async () => {
+    upstream = http.createServer((req, res) => {
+      if (req.url === '/church.xml.gz') {
+        res.setHeader('Content-Type', 'application/gzip');
+        return res.end(zlib.gzipSync(guideXml('church.example', 'Grace Church', 'Sunday Service')));
+      }
+      if (req.url === '/cam.xml') {
+        return res.end(guideXml('cam.example', 'Camera Feed', 'Door'));
+      }
+      if (req.url === '/flaky.xml') {
+        res.statusCode = flakyGuideFails ? 503 : 200;
+        return res.end(flakyGuideFails ? 'unavailable' : guideXml('flaky.example', 'Flaky', 'Flaky Show'));
+      }
+      if (req.url === '/fail') {
+        res.statusCode = 500;
+        return res.end('upstream error');
+      }
+      if (req.url === '/drop') {
+        return req.socket.destroy();
+      }
+      const file = path.join(fixtureDir, path.basename(req.url));
+      if (!fs.existsSync(file)) {
+        res.statusCode = 404;
+        return res.end();
+      }
+      if (file.endsWith('.m3u8')) {
+        // Served as a live playlist, so FFmpeg keeps waiting for more segments like it would upstream
+        res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+        return res.end(fs.readFileSync(file, 'utf8').replace(/^#EXT-X-(ENDLIST|PLAYLIST-TYPE:.*)\n/gm, ''));
+      }
+      res.setHeader('Content-Type', 'video/mp2t');
+      fs.createReadStream(file).pipe(res);
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    if (ffmpeg) {
+      // Some test pattern as an HLS playlist and as one MPEG-TS file
+      fs.mkdirSync(fixtureDir, { recursive: true });
+      const input = ['-f', 'lavfi', '-i', 'testsrc=size=320x180:rate=25', '-f', 'lavfi', '-i', 'sine=frequency=440',
+        '-t', '12', '-c:v', 'libx264', '-preset', 'ultrafast', '-g', '25', '-c:a', 'aac'];
+      execFileSync('ffmpeg', ['-y', '-loglevel', 'error', ...input, '-f', 'hls', '-hls_time', '2',
+        '-hls_playlist_type', 'vod', '-hls_segment_filename', path.join(fixtureDir, 'live%d.ts'),
+        path.join(fixtureDir, 'live.m3u8')]);
+      execFileSync('ffmpeg', ['-y', '-loglevel', 'error', ...input, '-f', 'mpegts', path.join(fixtureDir, 'raw.ts')]);
+    }
+
+    settingsManager.saveSettings({
+      passthroughChannels: [
+        { name: 'Grace Church', url: `${baseUrl}/live.m3u8`, xmltvUrl: `${baseUrl}/church.xml.gz` },
+        { id: 'cam', name: 'Front Door', number: '9600', url: `${baseUrl}/raw.ts`,
+          xmltvUrl: `${baseUrl}/cam.xml`, xmltvId: 'cam.example' },
+        { name: 'Flaky', url: `${baseUrl}/fail`, xmltvUrl: `${baseUrl}/flaky.xml` },
+        { name: 'Dropped', url: `${baseUrl}/drop`, xmltvUrl: `${baseUrl}/fail` },
+        { name: 'Hidden', url: `${baseUrl}/raw.ts`, enabled: false },
+      ],
+    });
+  });
+
+  after(async () => {
+    passthrough.shutdown();
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  describe('channels', () => {
+    it('numbers channels without a number from 9501 and skips disabled ones', () => {
+      const channels = passthrough.getChannels();
+      assert.deepEqual(channels.map(ch => [ch.id, ch.number]), [
+        ['grace-church', '9501'],
+        ['cam', '9600'],
+        ['flaky', '9502'],
+        ['dropped', '9503'],
+      ]);
+      assert.equal(channels[0].mode, 'remux');
+      assert.equal(channels[0].group, 'Passthrough');
+      assert.equal(passthrough.getChannel('hidden'), null);
+    });
+  });
+
+  describe('guide', () => {
+    it('fetches XMLTV guides and matches channels by name or xmltvId', async () => {
+      await passthrough.refreshGuides({ force: true });
+      const guides = Object.fromEntries(passthrough.getGuideChannels().map(ch => [ch.tvgId, ch.programmes]));
+
+      // Gzipped, matched by display name
+      assert.deepEqual(guides['grace-church'].map(p => p.title),
+        ['Sunday Service 1', 'Sunday Service 2', 'Sunday Service 3', 'Sunday Service 4']);
+      // Matched by xmltvId
+      assert.equal(guides.cam.length, 4);
+      assert.equal(guides.cam[0].title, 'Door 1');
+      assert.equal(guides.flaky.length, 4);
+    });
+
+    it('reports a failing guide URL and keeps the last good guide', async () => {
+      flakyGuideFails = true;
+      await passthrough.refreshGuides({ force: true });
+
+      const status = Object.fromEntries(passthrough.getStatus().map(ch => [ch.id, ch]));
+      assert.equal(status.dropped.guide.error, 'HTTP 500');
+      assert.equal(status.dropped.guide.programmes, 0);
+      assert.equal(status.flaky.guide.error, 'HTTP 503');
+      assert.equal(status.flaky.guide.programmes, 4);
+      assert.equal(status['grace-church'].guide.error, null);
+
+      const events = eventBus.getEvents({ type: 'epg.refresh_failed' });
+      assert.ok(events.some(event => event.data.url === `${baseUrl}/flaky.xml`));
+    });
+
+    it('caches the guides in the data directory', () => {
+      const cache = JSON.parse(fs.readFileSync(path.join(dataDir, 'xmltv-cache.json'), 'utf8'));
+      assert.equal(cache[`${baseUrl}/church.xml.gz`].programmes['grace-church'].length, 4);
+    });
+  });
+
+  describe('streaming', { skip: !ffmpeg && 'needs FFmpeg' }, () => {
+    it('remuxes an HLS upstream into our own playlist', async () => {
+      const channel = passthrough.getChannel('grace-church');
+      const session = await passthrough.waitUntilReady(channel, 30000);
+      assert.ok(session, 'no segment within 30s');
+      assert.equal(session.getStatus().state, 'streaming');
+
+      const playlist = passthrough.getPlaylist('grace-church', 'dvr.local:7070');
+      assert.match(playlist, /#EXTINF/);
+      const [segment] = playlist.match(/^http:\/\/dvr\.local:7070\/passthrough\/grace-church\/segment\d+\.ts$/m) || [];
+      assert.ok(segment, 'segment URLs are absolute');
+
+      const segmentPath = passthrough.getSegmentPath('grace-church', path.basename(segment));
+      assert.ok(segmentPath && fs.statSync(segmentPath).size > 0);
+      assert.equal(passthrough.getSegmentPath('grace-church', '../stream.m3u8'), null);
+    });
+
+    it('pipes a raw MPEG-TS upstream to clients when HLS mode is off', async () => {
+      const hlsMode = config.hlsMode;
+      config.hlsMode = false;
+      try {
+        const client = new PassThrough();
+        const chunks = [];
+        client.on('data', chunk => chunks.push(chunk));
+        passthrough.pipeToClient(passthrough.getChannel('cam'), client);
+
+        const started = Date.now();
+        while (Buffer.concat(chunks).length < 188 * 10 && Date.now() - started < 20000) {
+          await new Promise(r => setTimeout(r, 200));
+        }
+        const data = Buffer.concat(chunks);
+        assert.ok(data.length >= 188 * 10, `only ${data.length} bytes received`);
+        // MPEG-TS sync byte at the start of every 188-byte packet
+        assert.equal(data[0], 0x47);
+        assert.equal(data[188], 0x47);
+      } finally {
+        config.hlsMode = hlsMode;
+      }
+    });
+
+    it('gives up on a failing upstream after the restarts', async () => {
+      await assert.rejects(passthrough.waitUntilReady(passthrough.getChannel('flaky'), 60000));
+
+      const status = passthrough.getStatus().find(ch => ch.id === 'flaky');
+      assert.equal(status.session.state, 'failed');
+      assert.equal(status.session.restarts, 3);
+      const events = eventBus.getEvents({ type: 'passthrough.error' });
+      assert.ok(events.some(event => event.data.channel === 'flaky'));
+    });
+
+    it('gives up on an upstream that drops the connection', async () => {
+      await assert.rejects(passthrough.waitUntilReady(passthrough.getChannel('dropped'), 60000));
+    });
+  });
+});
@@ -0,0 +1,136 @@
+// The app in simulator mode (DVR_SIMULATE=true): EPG output, then tuner allocation, tuning
+// and release. Tuning needs Playwright's Chromium and FFmpeg and is skipped without them.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const simulator = require('../simulator');
+const { startApp, canStream } = require('./helpers/app');
+
+const streamable = canStream();
+
+describe('simulator', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    if (app) await app.stop();
+  });
+
+  describe('EPG', () => {
+    it('lists the simulator lineup', async () => {
+      const res = await app.request('/tve/directv/channels');
+      assert.equal(res.status, 200);
+      const body = await res.json();
+      assert.equal(body.count, simulator.CHANNELS.length);
+      assert.deepEqual(body.channels.map(ch => ch.id), simulator.CHANNELS.map(ch => `sim-${ch.number}`));
+    });
+
+    it('serves the generated schedule as XMLTV', async () => {
+      const res = await app.request('/tve/directv/epg.xml?hours=6');
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /application\/xml/);
+      const xml = await res.text();
+
+      for (const channel of simulator.CHANNELS) {
+        assert.ok(xml.includes(`<channel id="dtv-${channel.number}">`), `channel dtv-${channel.number} missing`);
+      }
+      const { schedules } = simulator.getSchedule(1);
+      const upcoming = schedules['sim-202'].find(p => Date.parse(p.endTime) > Date.now());
+      assert.ok(xml.includes(`<title lang="en">${upcoming.title}</title>`));
+      // The off-air channel has no airings
+      assert.ok(!xml.includes('channel="dtv-999"'));
+    });
+
+    it('reports what is on now', async () => {
+      const at = Date.now();
+      const res = await app.request(`/tve/directv/epg/now?channels=202,999&at=${at}`);
+      assert.equal(res.status, 200);
+      const { channels } = await res.json();
+      assert.deepEqual(channels.map(entry => entry.channel.id), ['sim-202', 'sim-999']);
+
+      const { schedules } = simulator.getSchedule(1, at);
+      const current = schedules['sim-202'].find(p => Date.parse(p.startTime) <= at && Date.parse(p.endTime) > at);
+      assert.equal(channels[0].now.title, current.title);
+      assert.equal(channels[1].now, null);
+    });
+
+    it('rejects an invalid time', async () => {
+      const res = await app.request('/tve/directv/epg/now?at=yesterday');
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('tuners', () => {
+    it('reports the configured tuner count', async () => {
+      const res = await app.request('/tuners');
+      assert.equal(res.status, 200);
+      const status = await res.json();
+      assert.equal(status.numTuners, 1);
+      assert.equal(status.tuners[0].id, 0);
+    });
+
+    it('returns 404 for an unknown channel without taking a tuner', async () => {
+      const res = await app.request('/stream/sim-12345');
+      assert.equal(res.status, 404);
+      const { tuners } = await (await app.request('/tuners')).json();
+      assert.equal(tuners[0].clients, 0);
+    });
+
+    it('allocates a tuner, tunes and releases it', { skip: !streamable && 'needs Playwright Chromium and FFmpeg' }, async () => {
+      const res = await app.request('/stream/sim-202');
+      assert.equal(res.status, 302);
+      assert.match(res.headers.get('location'), /\/tuner\/0\/stream\.m3u8$/);
+
+      let { tuners } = await (await app.request('/tuners')).json();
+      assert.equal(tuners[0].state, 'streaming');
+      assert.equal(tuners[0].channel, 'sim-202');
+      assert.equal(tuners[0].clients, 1);
+
+      const playlist = await (await app.request('/tuner/0/stream.m3u8')).text();
+      assert.match(playlist, /#EXTINF/);
+
+      // A second viewer of the same channel shares the tuner
+      assert.equal((await app.request('/stream/sim-202')).status, 302);
+      ({ tuners } = await (await app.request('/tuners')).json());
+      assert.equal(tuners[0].clients, 2);
+
+      for (let i = 0; i < 2; i++) {
+        const release = await app.request('/tuner/0/release', { method: 'POST' });
+        assert.equal(release.status, 200);
+      }
+      ({ tuners } = await (await app.request('/tuners')).json());
+      assert.equal(tuners[0].clients, 0);
+
+      // The released tuner can be tuned to another channel
+      assert.equal((await app.request('/stream/sim-206')).status, 302);
+      ({ tuners } = await (await app.request('/tuners')).json());
+      assert.equal(tuners[0].channel, 'sim-206');
+      await app.request('/tuner/0/release', { method: 'POST' });
+    });
+  });
+});
+
+describe('simulator schedule', () => {
+  it('is the same on every refresh', () => {
+    const now = Date.now();
+    const first = simulator.getSchedule(1, now).schedules['sim-202'];
+    const later = simulator.getSchedule(1, now + 60 * 60 * 1000).schedules['sim-202'];
+    const overlap = later.filter(p => first.some(q => q.startTime === p.startTime));
+    assert.ok(overlap.length > 20);
+    for (const programme of overlap) {
+      assert.deepEqual(programme, first.find(p => p.startTime === programme.startTime));
+    }
+  });
+
+  it('covers the guide window from two hours back', () => {
+    const now = Date.parse('2024-01-01T12:10:00Z');
+    const { schedules } = simulator.getSchedule(1, now);
+    const news = schedules['sim-202'];
+    assert.equal(news[0].startTime, '2024-01-01T10:00:00.000Z');
+    assert.ok(Date.parse(news[news.length - 1].endTime) >= now + 24 * 60 * 60 * 1000);
+    assert.deepEqual(schedules['sim-999'], []);
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const xmltv = require('../xmltv');
+
+const GUIDE = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE tv SYSTEM "xmltv.dtd">
+<tv generator-info-name="test">
+  <channel id="news.example">
+    <display-name>Grace &amp; Truth News</display-name>
+    <display-name>101</display-name>
+  </channel>
+  <channel id='kids.example'>
+    <display-name lang="en">Kids &#x26; Family</display-name>
+  </channel>
+  <programme start="20240101130000 +0100" stop="20240101140000 +0100" channel="news.example">
+    <title lang="en">Morning &lt;Live&gt; &quot;Edition&quot;</title>
+    <sub-title>Caf&#233; &#x2013; Part&apos;s One</sub-title>
+    <desc><![CDATA[Fish & chips <b>tonight</b>]]></desc>
+    <category>News</category>
+    <category>Talk</category>
+    <episode-num system="onscreen">S02E04</episode-num>
+    <episode-num system="xmltv_ns">1.3/10.</episode-num>
+    <date>20231225</date>
+    <rating system="VCHIP"><value>TV-PG</value></rating>
+  </programme>
+  <programme start="20240101120000 +0000" stop="20240101123000 +0000" channel="kids.example">
+    <title>Second</title>
+  </programme>
+  <programme start="20240101063000 -0500" channel="kids.example">
+    <title>First</title>
+  </programme>
+  <programme start="20240101130000" channel="kids.example">
+    <title>Last</title>
+  </programme>
+</tv>
+`;
+
+describe('xmltv.parseDate', () => {
+  it('applies the timezone offset', () => {
+    assert.equal(xmltv.parseDate('20240101120000 +0000').toISOString(), '2024-01-01T12:00:00.000Z');
+    assert.equal(xmltv.parseDate('20240101120000 +0100').toISOString(), '2024-01-01T11:00:00.000Z');
+    assert.equal(xmltv.parseDate('20240101120000 -0500').toISOString(), '2024-01-01T17:00:00.000Z');
+    assert.equal(xmltv.parseDate('20240101120000 -0330').toISOString(), '2024-01-01T15:30:00.000Z');
+    assert.equal(xmltv.parseDate('20240101120000 +05:30').toISOString(), '2024-01-01T06:30:00.000Z');
+  });
+
+  it('treats a date without an offset as UTC', () => {
+    assert.equal(xmltv.parseDate('20240101120000').toISOString(), '2024-01-01T12:00:00.000Z');
+    assert.equal(xmltv.parseDate('202401011200').toISOString(), '2024-01-01T12:00:00.000Z');
+    assert.equal(xmltv.parseDate('20240101').toISOString(), '2024-01-01T00:00:00.000Z');
+  });
+
+  it('returns null for anything else', () => {
+    assert.equal(xmltv.parseDate(''), null);
+    assert.equal(xmltv.parseDate(undefined), null);
+    assert.equal(xmltv.parseDate('tomorrow'), null);
+  });
+});
+
+describe('xmltv.parse', () => {
+  it('reads every channel with its display names', () => {
+    const { channels } = xmltv.parse(GUIDE);
+    assert.deepEqual(channels, [
+      { id: 'news.example', names: ['Grace & Truth News', '101'] },
+      { id: 'kids.example', names: ['Kids & Family'] },
+    ]);
+  });
+
+  it('decodes entities and CDATA', () => {
+    const [programme] = xmltv.parse(GUIDE).programmes['news.example'];
+    assert.equal(programme.title, 'Morning <Live> "Edition"');
+    assert.equal(programme.subtitle, 'Café – Part\'s One');
+    assert.equal(programme.description, 'Fish & chips <b>tonight</b>');
+  });
+
+  it('reads times, categories, episode numbers, date and rating', () => {
+    const [programme] = xmltv.parse(GUIDE).programmes['news.example'];
+    assert.deepEqual(programme, {
+      startTime: '2024-01-01T12:00:00.000Z',
+      endTime: '2024-01-01T13:00:00.000Z',
+      title: programme.title,
+      subtitle: programme.subtitle,
+      description: programme.description,
+      categories: ['News', 'Talk'],
+      seasonNumber: 2,
+      episodeNumber: 4,
+      originalAirDate: '2023-12-25',
+      rating: 'TV-PG',
+    });
+  });
+
+  it('groups programmes by channel, sorted by start', () => {
+    const { programmes } = xmltv.parse(GUIDE);
+    assert.deepEqual(Object.keys(programmes).sort(), ['kids.example', 'news.example']);
+    assert.deepEqual(programmes['kids.example'].map(p => p.title), ['First', 'Second', 'Last']);
+    assert.deepEqual(programmes['kids.example'].map(p => p.startTime),
+      ['2024-01-01T11:30:00.000Z', '2024-01-01T12:00:00.000Z', '2024-01-01T13:00:00.000Z']);
+  });
+
+  it('fills a missing stop from the next programme, or 30 minutes', () => {
+    const kids = xmltv.parse(GUIDE).programmes['kids.example'];
+    const first = kids.find(p => p.title === 'First');
+    const last = kids.find(p => p.title === 'Last');
+    assert.equal(first.endTime, '2024-01-01T12:00:00.000Z');
+    assert.equal(last.endTime, '2024-01-01T13:30:00.000Z');
+  });
+
+  it('leaves optional fields empty', () => {
+    const second = xmltv.parse(GUIDE).programmes['kids.example'].find(p => p.title === 'Second');
+    assert.equal(second.subtitle, null);
+    assert.equal(second.description, null);
+    assert.deepEqual(second.categories, []);
+    assert.equal(second.seasonNumber, null);
+    assert.equal(second.episodeNumber, null);
+    assert.equal(second.originalAirDate, null);
+    assert.equal(second.rating, null);
+  });
+
+  it('skips programmes without a channel or a valid start', () => {
+    const { programmes } = xmltv.parse(`<tv>
+      <programme start="20240101120000 +0000"><title>No channel</title></programme>
+      <programme start="soon" channel="a"><title>Bad start</title></programme>
+      <programme start="20240101120000 +0000" channel="a"><title>Good</title></programme>
+    </tv>`);
+    assert.deepEqual(Object.keys(programmes), ['a']);
+    assert.deepEqual(programmes.a.map(p => p.title), ['Good']);
+  });
+
+  it('reads a Buffer, gzipped or not', () => {
+    const expected = xmltv.parse(GUIDE);
+    assert.deepEqual(xmltv.parse(Buffer.from(GUIDE)), expected);
+    assert.deepEqual(xmltv.parse(zlib.gzipSync(GUIDE)), expected);
+  });
+});
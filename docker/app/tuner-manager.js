@@ -1,5 +1,12 @@
-const { Tuner, TunerState } = require('./tuner');
+const { Tuner, TunerState, TunerPriority, parsePriority, priorityName } = require('./tuner');
 const config = require('./config');
+const effectiveConfig = require('./effective-config');
+const directvEpg = require('./directv-epg');
+const eventBus = require('./event-bus');
+const { EventType } = eventBus;
+
+// HLS viewers that haven't fetched the playlist for this long can be preempted
+const ABANDONED_TIMEOUT = 60000;
 
 class TunerManager {
   constructor() {
@@ -9,14 +16,17 @@ class TunerManager {
     this.pendingChannel = null;
     this.pendingResolvers = [];
     this.tuningLock = false;
+    // Last known DirecTV login state (null until the page reaches DirecTV)
+    this.loggedIn = null;
   }
 
   async initialize() {
     if (this.initialized) return;
 
-    console.log(`[tuner-manager] Initializing ${config.numTuners} tuner(s)...`);
+    const numTuners = effectiveConfig.get('tuners.count');
+    console.log(`[tuner-manager] Initializing ${numTuners} tuner(s)...`);
 
-    for (let i = 0; i < config.numTuners; i++) {
+    for (let i = 0; i < numTuners; i++) {
       const tuner = new Tuner(i);
       this.tuners.push(tuner);
 
@@ -32,6 +42,9 @@ class TunerManager {
 
     // Start idle cleanup interval
     this.startIdleCleanup();
+
+    // Background EPG scraping yields to anyone using the tuners
+    directvEpg.setDeferCheck(() => this.getBackgroundBlocker());
   }
 
   startIdleCleanup() {
@@ -49,6 +62,18 @@ class TunerManager {
           this.recoverTuner(tuner.id);
         }
 
+        // Audio isolation probe - a streaming tuner's Chrome must play only into its own sink
+        if (tuner.state === TunerState.STREAMING) {
+          try {
+            const audio = await tuner.checkAudio();
+            if (audio.healthy === false) {
+              console.log(`[tuner-manager] Tuner ${tuner.id} audio routing problem: ${audio.problem}`);
+            }
+          } catch (e) {
+            console.log(`[tuner-manager] Tuner ${tuner.id} audio check error: ${e.message}`);
+          }
+        }
+
         // Periodic health check for FREE tuners - check CDP connection
         if (tuner.state === TunerState.FREE) {
           try {
@@ -62,9 +87,24 @@ class TunerManager {
           }
         }
       }
+
+      this.checkLogin();
     }, 30000);  // Check every 30 seconds
   }
 
+  // All tuners share one Chrome profile, so the first tuner's page speaks for the DirecTV session
+  checkLogin() {
+    const loggedIn = this.tuners[0] ? this.tuners[0].getLoginState() : null;
+    if (loggedIn === null) return;
+
+    if (!loggedIn && this.loggedIn !== false) {
+      eventBus.publish(EventType.LOGIN_LOST, 'DirecTV login lost - log in again through noVNC', { tunerId: this.tuners[0].id });
+    } else if (loggedIn && this.loggedIn === false) {
+      eventBus.publish(EventType.LOGIN_RESTORED, 'DirecTV login restored', { tunerId: this.tuners[0].id });
+    }
+    this.loggedIn = loggedIn;
+  }
+
   // Attempt to recover a tuner from error state
   async recoverTuner(tunerId) {
     const tuner = this.getTuner(tunerId);
@@ -82,11 +122,14 @@ class TunerManager {
 
       if (reconnected) {
         console.log(`[tuner-manager] Tuner ${tunerId} recovered and reconnected to Chrome`);
+        eventBus.publish(EventType.TUNER_RECOVERED, `Tuner ${tunerId} recovered and reconnected to Chrome`, { tunerId });
       } else {
         // Fallback: just reset the state so it can try again later
         tuner.state = TunerState.FREE;
         tuner.currentChannel = null;
         tuner.clients = 0;
+        tuner.priority = TunerPriority.BACKGROUND;
+        tuner.owner = null;
         console.log(`[tuner-manager] Tuner ${tunerId} reset to FREE state (reconnect will retry on next use)`);
       }
     } catch (err) {
@@ -95,22 +138,34 @@ class TunerManager {
   }
 
   // Find a tuner for the requested channel
-  // Handles rapid channel surfing by queuing and debouncing requests
-  async allocateTuner(channelId) {
+  // Handles rapid channel surfing by queuing and debouncing requests.
+  // options.priority / options.owner decide who may take over a busy tuner:
+  // a request only preempts a tuner held at lower priority (or its own stream
+  // at the same priority). Throws an error with code TUNERS_BUSY otherwise.
+  // options.language (?lang=) overrides the channel's audio.language setting; tuners
+  // are only shared between requests for the same channel and language.
+  async allocateTuner(channelId, options = {}) {
+    const priority = options.priority ?? TunerPriority.VIEWER;
+    const owner = options.owner || null;
+    const language = options.language || effectiveConfig.get('audio.language', channelId) || null;
+    const tuneOptions = { language };
+    const isOn = t => t.currentChannel === channelId && (t.audioLanguage?.requested || null) === language;
+
     // First, check if any tuner is already streaming this channel
     const existingTuner = this.tuners.find(
-      t => t.state === TunerState.STREAMING && t.currentChannel === channelId
+      t => t.state === TunerState.STREAMING && isOn(t)
     );
 
     if (existingTuner) {
       console.log(`[tuner-manager] Reusing tuner ${existingTuner.id} already on ${channelId}`);
+      this.raisePriority(existingTuner, priority, owner);
       existingTuner.addClient();
       return existingTuner;
     }
 
     // Check if a tuner is currently TUNING to this channel - wait for it
     const tuningToThis = this.tuners.find(
-      t => t.state === TunerState.TUNING && t.currentChannel === channelId
+      t => t.state === TunerState.TUNING && isOn(t)
     );
 
     if (tuningToThis) {
@@ -121,8 +176,9 @@ class TunerManager {
       while (waited < maxWait) {
         await new Promise(r => setTimeout(r, 500));
         waited += 500;
-        if (tuningToThis.state === TunerState.STREAMING && tuningToThis.currentChannel === channelId) {
+        if (tuningToThis.state === TunerState.STREAMING && isOn(tuningToThis)) {
           console.log(`[tuner-manager] Tuner ${tuningToThis.id} finished tuning to ${channelId}`);
+          this.raisePriority(tuningToThis, priority, owner);
           tuningToThis.addClient();
           return tuningToThis;
         }
@@ -136,7 +192,7 @@ class TunerManager {
     // If we're currently tuning to a DIFFERENT channel, this is channel surfing
     // Queue this request and cancel/supersede the current one
     const tuningTuner = this.tuners.find(t => t.state === TunerState.TUNING);
-    if (tuningTuner && tuningTuner.currentChannel !== channelId) {
+    if (tuningTuner && tuningTuner.currentChannel !== channelId && this.canPreempt(tuningTuner, priority, owner)) {
       console.log(`[tuner-manager] Channel surf detected: ${tuningTuner.currentChannel} -> ${channelId}, queuing new channel`);
 
       // Store the new channel as the target - the current tune will complete
@@ -160,11 +216,13 @@ class TunerManager {
       // Clear pending since we're about to process this
       this.pendingChannel = null;
 
-      // Now switch to the new channel
-      if (tuningTuner.state === TunerState.STREAMING || tuningTuner.state === TunerState.FREE) {
+      // Now switch to the new channel (unless someone more important claimed it meanwhile)
+      if ((tuningTuner.state === TunerState.STREAMING || tuningTuner.state === TunerState.FREE) &&
+          this.canPreempt(tuningTuner, priority, owner)) {
         console.log(`[tuner-manager] Now switching to queued channel ${channelId}`);
         tuningTuner.clients = 0;
-        await tuningTuner.tuneToChannel(channelId);
+        this.claim(tuningTuner, priority, owner);
+        await tuningTuner.tuneToChannel(channelId, tuneOptions);
         tuningTuner.addClient();
         return tuningTuner;
       }
@@ -175,7 +233,8 @@ class TunerManager {
 
     if (freeTuner) {
       console.log(`[tuner-manager] Allocating free tuner ${freeTuner.id} for ${channelId}`);
-      await freeTuner.tuneToChannel(channelId);
+      this.claim(freeTuner, priority, owner);
+      await freeTuner.tuneToChannel(channelId, tuneOptions);
       freeTuner.addClient();
       return freeTuner;
     }
@@ -187,25 +246,101 @@ class TunerManager {
 
     if (idleTuner) {
       console.log(`[tuner-manager] Stealing idle tuner ${idleTuner.id} for ${channelId}`);
-      await idleTuner.tuneToChannel(channelId);
+      this.claim(idleTuner, priority, owner);
+      await idleTuner.tuneToChannel(channelId, tuneOptions);
       idleTuner.addClient();
       return idleTuner;
     }
 
-    // AUTO-SWITCH: For single-tuner setup, auto-switch busy tuner to new channel
-    // This allows channel switching without manual release
-    const busyTuner = this.tuners.find(t => t.state === TunerState.STREAMING);
+    // PREEMPT: take over the lowest-priority busy tuner we are allowed to
+    // (abandoned HLS viewers first, then lower priority, then least recently used)
+    const busyTuner = this.tuners
+      .filter(t => t.state === TunerState.STREAMING && this.canPreempt(t, priority, owner))
+      .sort((a, b) => (this.isAbandoned(b) - this.isAbandoned(a)) ||
+        (a.priority - b.priority) || (a.lastActivity - b.lastActivity))[0];
+
     if (busyTuner) {
-      console.log(`[tuner-manager] Auto-switching tuner ${busyTuner.id} from ${busyTuner.currentChannel} to ${channelId}`);
+      console.log(`[tuner-manager] Preempting tuner ${busyTuner.id} (${priorityName(busyTuner.priority)} on ${busyTuner.currentChannel}) for ${priorityName(priority)} request on ${channelId}`);
       // Reset clients since we're switching to a new channel
       busyTuner.clients = 0;
-      await busyTuner.tuneToChannel(channelId);
+      this.claim(busyTuner, priority, owner);
+      await busyTuner.tuneToChannel(channelId, tuneOptions);
       busyTuner.addClient();
       return busyTuner;
     }
 
-    // All tuners busy with active clients or in error state
-    console.log(`[tuner-manager] All tuners busy or unavailable`);
+    // All tuners busy with higher/equal priority holders or in error state
+    const reason = this.getBusyReason(priority);
+    console.log(`[tuner-manager] Cannot allocate ${channelId} at ${priorityName(priority)} priority: ${reason}`);
+    const err = new Error(reason);
+    err.code = 'TUNERS_BUSY';
+    throw err;
+  }
+
+  // Mark a tuner as held by this request
+  claim(tuner, priority, owner) {
+    tuner.priority = priority;
+    tuner.owner = owner;
+    tuner.lastActivity = Date.now();
+  }
+
+  // A higher-priority client joining a shared stream protects it at that level
+  raisePriority(tuner, priority, owner) {
+    if (priority > tuner.priority) {
+      this.claim(tuner, priority, owner);
+    }
+  }
+
+  // HLS viewers never disconnect explicitly, so a tuner whose playlist
+  // hasn't been fetched for a while is treated as abandoned
+  isAbandoned(tuner) {
+    return tuner.state === TunerState.STREAMING &&
+      tuner.priority < TunerPriority.RECORDING &&
+      !!tuner.ffmpeg && tuner.ffmpeg.isHlsMode() &&
+      Date.now() - tuner.lastActivity > ABANDONED_TIMEOUT;
+  }
+
+  // Can a request at this priority take over the tuner?
+  canPreempt(tuner, priority, owner) {
+    if (tuner.clients === 0 || this.isAbandoned(tuner)) return true;
+    if (priority > tuner.priority) return true;
+    // Same viewer changing channel on their own stream
+    return priority === tuner.priority && priority < TunerPriority.RECORDING &&
+      owner !== null && owner === tuner.owner;
+  }
+
+  // Human-readable explanation of why no tuner could be allocated
+  getBusyReason(priority) {
+    if (this.tuners.length === 0) {
+      return 'No tuners configured';
+    }
+
+    const details = this.tuners.map(t => {
+      if (t.state === TunerState.STREAMING || t.state === TunerState.TUNING) {
+        const holder = t.priority === TunerPriority.RECORDING ? 'recording' : `${priorityName(t.priority)} viewer on`;
+        return `tuner ${t.id} ${holder} channel ${t.currentChannel}`;
+      }
+      return `tuner ${t.id} ${t.state}`;
+    });
+
+    const inUse = this.tuners.some(t => t.state === TunerState.STREAMING || t.state === TunerState.TUNING);
+    if (!inUse) {
+      return `No tuners available (${details.join(', ')})`;
+    }
+    return `All tuners busy with equal or higher priority than ${priorityName(priority)} (${details.join(', ')})`;
+  }
+
+  // Returns why a background job (EPG scrape) should wait, or null if it may run.
+  // The EPG scraper shares the first tuner's Chrome instance.
+  getBackgroundBlocker() {
+    const tuner = this.tuners.find(t => t.debugPort === config.baseDebugPort);
+    if (!tuner) return null;
+    if (tuner.state === TunerState.TUNING) {
+      return `tuner ${tuner.id} is tuning`;
+    }
+    if (tuner.state === TunerState.STREAMING && tuner.clients > 0 && !this.isAbandoned(tuner)) {
+      return `tuner ${tuner.id} is streaming channel ${tuner.currentChannel}`;
+    }
     return null;
   }
 
@@ -233,10 +368,43 @@ class TunerManager {
       tuner.state = TunerState.FREE;
       tuner.currentChannel = null;
       tuner.clients = 0;
+      tuner.priority = TunerPriority.BACKGROUND;
+      tuner.owner = null;
       console.log(`[tuner-manager] Released tuner ${tunerId}`);
     }
   }
 
+  // Hot-apply saved settings: restart encoders whose settings changed, one tuner at a
+  // time. Idle and streaming tuners restart in place; tuners that are tuning or held
+  // by a recording pick the settings up on their next start.
+  async applySettings() {
+    const results = [];
+    for (const tuner of this.tuners) {
+      if (!tuner.ffmpeg || !tuner.ffmpeg.needsRestart()) continue;
+
+      const result = { tunerId: tuner.id, channel: tuner.currentChannel };
+      if (tuner.state !== TunerState.STREAMING && tuner.state !== TunerState.FREE) {
+        result.status = 'deferred';
+        result.reason = `tuner is ${tuner.state}`;
+      } else if (tuner.priority === TunerPriority.RECORDING) {
+        result.status = 'deferred';
+        result.reason = 'recording in progress';
+      } else {
+        try {
+          console.log(`[tuner-manager] Restarting encoder on tuner ${tuner.id} to apply settings`);
+          await tuner.ffmpeg.restart();
+          result.status = 'restarted';
+        } catch (err) {
+          console.error(`[tuner-manager] Failed to restart encoder on tuner ${tuner.id}:`, err.message);
+          result.status = 'failed';
+          result.reason = err.message;
+        }
+      }
+      results.push(result);
+    }
+    return results;
+  }
+
   // Get status of all tuners
   getStatus() {
     return {
@@ -260,3 +428,7 @@ class TunerManager {
 const tunerManager = new TunerManager();
 
 module.exports = tunerManager;
+module.exports.TunerPriority = TunerPriority;
+module.exports.parsePriority = parsePriority;
+module.exports.priorityName = priorityName;
+module.exports.TunerState = TunerState;
@@ -2,10 +2,18 @@ const { spawn } = require('child_process');
 const { chromium } = require('playwright');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const config = require('./config');
 const FFmpegCapture = require('./ffmpeg-capture');
-const { getChannel, getChannelUrl } = require('./channels');
-const directvEpg = require('./directv-epg');
+const CaptionCapture = require('./caption-capture');
+const audioSinks = require('./audio-sinks');
+const effectiveConfig = require('./effective-config');
+const liveSources = require('./live-sources/source-registry');
+const tuningCache = require('./tuning-cache');
+const metrics = require('./metrics');
+const eventBus = require('./event-bus');
+const simulator = require('./simulator');
+const { EventType } = eventBus;
 
 // Tuner states
 const TunerState = {
@@ -17,6 +25,33 @@ const TunerState = {
   ERROR: 'error',
 };
 
+// Who is holding a tuner - higher values may preempt lower ones
+const TunerPriority = {
+  BACKGROUND: 0,  // EPG scraping
+  VIEWER: 1,      // Normal playback
+  PINNED: 2,      // Viewer that asked not to be interrupted
+  RECORDING: 3,   // Scheduled DVR recording
+};
+
+const PRIORITY_NAMES = ['background', 'viewer', 'pinned', 'recording'];
+
+// Snapshots are reused for a few seconds so preview tiles don't spawn an FFmpeg per request
+const SNAPSHOT_CACHE_MS = 5000;
+const SNAPSHOT_WIDTH = 640;
+
+// Parse a priority name ('pinned') or number ('2'), returns null if invalid
+function parsePriority(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const idx = PRIORITY_NAMES.indexOf(String(value).toLowerCase());
+  if (idx !== -1) return idx;
+  const num = parseInt(value);
+  return num >= 0 && num < PRIORITY_NAMES.length ? num : null;
+}
+
+function priorityName(priority) {
+  return PRIORITY_NAMES[priority] || 'unknown';
+}
+
 class Tuner {
   constructor(id) {
     this.id = id;
@@ -27,6 +62,10 @@ class Tuner {
     this.clients = 0;
     this.lastActivity = Date.now();
 
+    // Priority of the current holder, and who that is (API key, client IP or 'dvr')
+    this.priority = TunerPriority.BACKGROUND;
+    this.owner = null;
+
     // Processes
     this.xvfbProcess = null;
     this.chromeProcess = null;
@@ -34,6 +73,20 @@ class Tuner {
     this.page = null;
     this.ffmpeg = null;
 
+    // Last audio routing check (audio-sinks.js)
+    this.audio = null;
+
+    // Preferred audio language of the current tune and the track the player gave us:
+    // { requested, method, available, selected, matched }, null = the player's default
+    this.audioLanguage = null;
+
+    // Closed captions read from the player page, served as a WebVTT rendition
+    this.captions = new CaptionCapture(id);
+
+    // Latest preview frame { image, source, channel, time }
+    this.snapshot = null;
+    this.snapshotPending = null;
+
     // CDP connection health tracking
     this.lastConnectionCheck = Date.now();
     this.connectionHealthy = false;
@@ -56,9 +109,15 @@ class Tuner {
     console.log(`[tuner-${this.id}] Starting...`);
 
     try {
+      // This tuner's PulseAudio sink has to exist before Chrome plays into it
+      await audioSinks.ensureSink(this.id);
+
       // In Docker, Chrome and Xvfb are managed by supervisor
       // We just need to connect to the existing Chrome instance
-      if (config.getPlatform() === 'linux') {
+      if (config.simulate && !simulator.hasDisplay(this.displayNum)) {
+        // Simulator without an X server (dev box, CI) - run our own headless browser
+        await this.startHeadlessChrome();
+      } else if (config.getPlatform() === 'linux') {
         console.log(`[tuner-${this.id}] Docker mode - connecting to existing Chrome on port ${this.debugPort}`);
         // Wait for Chrome to be ready (managed by supervisor)
         await this.waitForChrome();
@@ -90,6 +149,31 @@ class Tuner {
     }
   }
 
+  // Entering ERROR raises an event; other transitions are plain assignments
+  get state() {
+    return this._state;
+  }
+
+  set state(value) {
+    if (value === TunerState.ERROR && this._state !== TunerState.ERROR) {
+      eventBus.publish(EventType.TUNER_ERROR,
+        `Tuner ${this.id} entered ERROR state${this.currentChannel ? ` on channel ${this.currentChannel}` : ''}`,
+        { tunerId: this.id, channel: this.currentChannel, previousState: this._state });
+    }
+    this._state = value;
+  }
+
+  // true/false once the page is on DirecTV (or the simulator), null while it is still somewhere else (startup, about:blank)
+  getLoginState() {
+    try {
+      const url = this.page ? this.page.url() : '';
+      if (!config.isSiteUrl(url)) return null;
+      return !url.includes('login') && !url.includes('signin') && !url.includes('auth');
+    } catch (e) {
+      return null;
+    }
+  }
+
   async startXvfb() {
     console.log(`[tuner-${this.id}] Starting Xvfb on display :${this.displayNum}`);
 
@@ -141,10 +225,11 @@ class Tuner {
       `--window-size=${config.resolution.width},${config.resolution.height}`,
     ];
 
-    // On Linux, set DISPLAY environment variable
+    // On Linux, set DISPLAY and this tuner's audio sink
     const env = { ...process.env };
     if (config.getPlatform() === 'linux') {
       env.DISPLAY = `:${this.displayNum}`;
+      Object.assign(env, audioSinks.getChromeEnv(this.id));
     }
 
     this.chromeProcess = spawn(config.chromePath, args, {
@@ -165,6 +250,40 @@ class Tuner {
     await this.waitForChrome();
   }
 
+  // Playwright's bundled Chromium, headless, for the simulator when there is no display
+  async startHeadlessChrome() {
+    console.log(`[tuner-${this.id}] Simulator mode - starting headless Chromium on port ${this.debugPort}`);
+
+    const args = [
+      '--headless=new',
+      `--remote-debugging-port=${this.debugPort}`,
+      `--user-data-dir=${path.join(os.tmpdir(), `dvr-simulator-tuner${this.id}`)}`,
+      '--no-first-run',
+      '--no-default-browser-check',
+      '--autoplay-policy=no-user-gesture-required',
+      `--window-size=${config.resolution.width},${config.resolution.height}`,
+    ];
+    if (process.getuid && process.getuid() === 0) {
+      args.push('--no-sandbox');
+    }
+
+    this.chromeProcess = spawn(chromium.executablePath(), args, {
+      env: { ...process.env, ...audioSinks.getChromeEnv(this.id) },
+      stdio: 'ignore',
+      detached: true,
+    });
+
+    this.chromeProcess.on('error', (err) => {
+      console.error(`[tuner-${this.id}] Chromium error:`, err.message, err.code === 'ENOENT' ? '(install it with: npx playwright install chromium)' : '');
+    });
+
+    this.chromeProcess.on('close', (code) => {
+      console.log(`[tuner-${this.id}] Chromium exited with code ${code}`);
+    });
+
+    await this.waitForChrome();
+  }
+
   async waitForChrome() {
     const maxWait = 30000;
     const checkInterval = 500;
@@ -309,7 +428,8 @@ class Tuner {
     return true;
   }
 
-  async tuneToChannel(channelId) {
+  // options.language: preferred audio language (ISO 639 code), selected once playback starts
+  async tuneToChannel(channelId, options = {}) {
     // Ensure CDP connection is healthy before tuning
     try {
       await this.ensureConnection();
@@ -323,20 +443,22 @@ class Tuner {
       throw new Error('Tuner not started');
     }
 
-    // Prioritize EPG data (dynamic, up-to-date channel names) over static channels.js
-    let channel = directvEpg.getChannelByNumber(channelId);
-    if (!channel) {
-      // Fall back to static channel definitions
-      channel = getChannel(channelId);
-    }
-    if (!channel) {
+    // DirecTV, or a browser capture source from settings.liveSources
+    const resolved = liveSources.resolve(channelId);
+    if (!resolved) {
       throw new Error(`Unknown channel: ${channelId}`);
     }
+    const { source, channel } = resolved;
 
-    console.log(`[tuner-${this.id}] Tuning to ${channel.name} (ch ${channel.number})...`);
+    console.log(`[tuner-${this.id}] Tuning to ${channel.name} (ch ${channel.number}) on ${source.name}...`);
     this.state = TunerState.TUNING;
     this.currentChannel = channelId;
+    this.audioLanguage = options.language
+      ? { requested: options.language, method: null, available: [], selected: null, matched: false }
+      : null;
     this.lastActivity = Date.now();
+    const tuneStart = Date.now();
+    let strategyUsed = null;
 
     try {
       // Stop current FFmpeg if running
@@ -345,222 +467,16 @@ class Tuner {
         await new Promise(r => setTimeout(r, 500));  // Reduced from 1000ms
       }
 
-      // Navigate to guide page to select channel
-      const guideUrl = 'https://stream.directv.com/guide';
-      const currentUrl = this.page.url();
-
-      // Only navigate if not already on DirecTV
-      if (!currentUrl.includes('stream.directv.com')) {
-        console.log(`[tuner-${this.id}] Navigating to DirecTV guide...`);
-        await this.page.goto(guideUrl, {
-          waitUntil: 'domcontentloaded',
-          timeout: 30000,
-        });
-        // Wait for guide grid to appear instead of fixed timeout
-        await this.waitForGuideReady();
-      } else if (!currentUrl.includes('/guide')) {
-        // On DirecTV but not on guide - navigate to guide
-        console.log(`[tuner-${this.id}] Navigating to guide page...`);
-        await this.page.goto(guideUrl, {
-          waitUntil: 'domcontentloaded',
-          timeout: 30000,
-        });
-        await this.waitForGuideReady();
-      } else {
-        console.log(`[tuner-${this.id}] Already on guide page`);
-        // Brief wait for any overlays to clear
-        await new Promise(r => setTimeout(r, 500));
-      }
-
-      // Try to find and click the channel in the guide
-      console.log(`[tuner-${this.id}] Searching for channel ${channel.name} (${channel.number})...`);
+      this.captions.reset();
+      await source.navigate(this, channel);
 
-      // DirecTV guide uses aria-label like "view A3 New York 02 WCBS CBS"
-      // Format: "view [number] [location] [callsign] [name]"
-      // We'll search for the channel name or number in the aria-label using case-insensitive JS matching
-
-      // Use JavaScript evaluation for case-insensitive, flexible matching
-      // Priority: 1) channel number, 2) exact name/searchTerms, 3) first word (last resort)
-      let clicked = await this.page.evaluate((channelInfo) => {
-        const { name, number, searchTerms } = channelInfo;
-        const allLinks = Array.from(document.querySelectorAll('[role="link"]'));
-
-        // Filter to only channel links
-        const channelLinks = allLinks.filter(link => {
-          const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
-          return ariaLabel.startsWith('view');
-        });
+      const clicked = await source.selectChannel(this, channel);
+      strategyUsed = clicked.clicked ? clicked.strategy : null;
 
-        // Priority 1: Try searchTerms first (most specific for channels with alternative names)
-        if (searchTerms && searchTerms.length > 0) {
-          for (const term of searchTerms) {
-            const termLower = term.toLowerCase();
-            for (const link of channelLinks) {
-              const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
-              if (ariaLabel.includes(termLower)) {
-                link.scrollIntoView({ behavior: 'instant', block: 'center' });
-                link.focus();
-                link.click();
-                link.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
-                return { clicked: true, method: `searchTerm "${termLower}" in "${ariaLabel}"` };
-              }
-            }
-          }
-        }
-
-        // Priority 2: Try to match by channel number with leading zero (for local channels like 02, 05)
-        if (number) {
-          const paddedNumber = number.padStart(2, '0');
-          const paddedPattern = ` ${paddedNumber} `;
-          for (const link of channelLinks) {
-            const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
-            if (ariaLabel.includes(paddedPattern)) {
-              link.scrollIntoView({ behavior: 'instant', block: 'center' });
-              link.focus();
-              link.click();
-              link.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
-              return { clicked: true, method: `padded channel number ${paddedNumber} in "${ariaLabel}"` };
-            }
-          }
-          // Also try non-padded but only if > 2 digits (to avoid matching "SHOWTIME 2")
-          if (number.length >= 3 || parseInt(number) >= 100) {
-            const numberPattern = ` ${number} `;
-            for (const link of channelLinks) {
-              const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
-              if (ariaLabel.includes(numberPattern)) {
-                link.scrollIntoView({ behavior: 'instant', block: 'center' });
-                link.focus();
-                link.click();
-                link.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
-                return { clicked: true, method: `channel number ${number} in "${ariaLabel}"` };
-              }
-            }
-          }
-        }
-
-        // Priority 3: Try exact name match - check if aria-label ends with the name
-        // or has the name as a word (not substring of another word)
-        const exactName = name.toLowerCase();
-        for (const link of channelLinks) {
-          const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
-          // Check if name appears at end of aria-label OR as whole word with space before it
-          if (ariaLabel.endsWith(exactName) || ariaLabel.includes(' ' + exactName + ' ') || ariaLabel.includes(' ' + exactName)) {
-            link.scrollIntoView({ behavior: 'instant', block: 'center' });
-            link.focus();
-            link.click();
-            link.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
-            return { clicked: true, method: `exact name "${exactName}" in "${ariaLabel}"` };
-          }
-        }
-
-        // Priority 4 (last resort): Try first word of name
-        // But ONLY if first word is unique enough (3+ chars and not common)
-        const firstWord = name.split(' ')[0].toLowerCase();
-        const commonWords = ['the', 'fox', 'nbc', 'cbs', 'abc', 'cnn', 'hbo', 'tbs', 'tnt', 'usa', 'amc', 'bet'];  // Skip common network prefixes
-        if (firstWord.length >= 3 && !commonWords.includes(firstWord)) {
-          for (const link of channelLinks) {
-            const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
-            if (ariaLabel.includes(firstWord)) {
-              link.scrollIntoView({ behavior: 'instant', block: 'center' });
-              link.focus();
-              link.click();
-              link.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
-              return { clicked: true, method: `first word "${firstWord}" in "${ariaLabel}"` };
-            }
-          }
-        }
-
-        return { clicked: false };
-      }, { name: channel.name, number: channel.number, searchTerms: channel.searchTerms || [] });
-
-      if (clicked.clicked) {
-        console.log(`[tuner-${this.id}] Found channel: ${clicked.method}`);
-      } else {
-        // Try scrolling down the guide to find the channel
-        console.log(`[tuner-${this.id}] Channel not visible, trying to scroll...`);
-
-        // Scroll down the page a few times looking for the channel
-        for (let i = 0; i < 15; i++) {
-          await this.page.keyboard.press('PageDown');
-          await new Promise(r => setTimeout(r, 400));
-
-          const found = await this.page.evaluate((channelInfo) => {
-            const { name, number, searchTerms } = channelInfo;
-            const allLinks = Array.from(document.querySelectorAll('[role="link"]'));
-            const channelLinks = allLinks.filter(link => {
-              const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
-              return ariaLabel.startsWith('view');
-            });
-
-            // Priority 1: Channel number
-            if (number) {
-              const numberPattern = ` ${number} `;
-              for (const link of channelLinks) {
-                const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
-                if (ariaLabel.includes(numberPattern)) {
-                  link.scrollIntoView({ behavior: 'instant', block: 'center' });
-                  link.focus();
-                  link.click();
-                  link.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
-                  return { clicked: true, method: `scroll: channel ${number}` };
-                }
-              }
-            }
-
-            // Priority 2: Exact name - check if aria-label ends with name or has it as a whole word
-            const exactName = name.toLowerCase();
-            for (const link of channelLinks) {
-              const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
-              if (ariaLabel.endsWith(exactName) || ariaLabel.includes(' ' + exactName + ' ') || ariaLabel.includes(' ' + exactName)) {
-                link.scrollIntoView({ behavior: 'instant', block: 'center' });
-                link.focus();
-                link.click();
-                link.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
-                return { clicked: true, method: `scroll: exact name "${exactName}"` };
-              }
-            }
-
-            // Priority 3: searchTerms
-            if (searchTerms && searchTerms.length > 0) {
-              for (const term of searchTerms) {
-                const termLower = term.toLowerCase();
-                for (const link of channelLinks) {
-                  const ariaLabel = (link.getAttribute('aria-label') || '').toLowerCase();
-                  if (ariaLabel.includes(termLower)) {
-                    link.scrollIntoView({ behavior: 'instant', block: 'center' });
-                    link.focus();
-                    link.click();
-                    link.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', keyCode: 13, bubbles: true }));
-                    return { clicked: true, method: `scroll: searchTerm "${termLower}"` };
-                  }
-                }
-              }
-            }
-
-            return { clicked: false };
-          }, { name: channel.name, number: channel.number, searchTerms: channel.searchTerms || [] });
-
-          if (found.clicked) {
-            console.log(`[tuner-${this.id}] Found channel after scrolling: ${found.method}`);
-            clicked = found;
-            break;
-          }
-        }
-      }
-
-      if (!clicked.clicked) {
-        console.log(`[tuner-${this.id}] Could not find channel ${channel.name} in guide, trying search...`);
-
-        // Fallback: Use search box to find channel
-        clicked = await this.searchAndTuneChannel(channel);
-      }
-
-      // Check for "No upcoming airings" modal before looking for play button
-      const noAirings = await this.checkNoUpcomingAirings();
-      if (noAirings) {
+      if (clicked.offAir) {
         console.log(`[tuner-${this.id}] Channel ${channel.name} has no upcoming airings - playing placeholder`);
-        // Close the modal first
-        await this.closeNoAiringsModal();
+        eventBus.publish(EventType.NO_UPCOMING_AIRINGS, `${channel.name} has no upcoming airings, serving a placeholder`,
+          { tunerId: this.id, channel: channelId });
         // Start placeholder video stream
         await this.startPlaceholderStream(channel.name);
         this.state = TunerState.STREAMING;
@@ -568,29 +484,51 @@ class Tuner {
         return true;
       }
 
-      // Wait for play button to appear and click it (smart wait instead of fixed delay)
-      console.log(`[tuner-${this.id}] Looking for play button...`);
-      const playClicked = await this.waitForAndClickPlayButton();
-
-      if (playClicked) {
-        console.log(`[tuner-${this.id}] Play button clicked!`);
-      } else {
-        console.log(`[tuner-${this.id}] Could not find play button`);
-      }
-
-      // Wait for video element to be playing
+      // Start playback and wait for the video element to be playing
       console.log(`[tuner-${this.id}] Waiting for video to start playing...`);
-      const videoReady = await this.waitForVideoPlaying();
+      const videoReady = await source.waitForPlayback(this, channel);
 
       if (!videoReady) {
         console.log(`[tuner-${this.id}] Video not detected, proceeding anyway after timeout`);
+        tuningCache.recordFailure(channelId, channel.name, strategyUsed, 'video did not start');
+        metrics.recordTune(strategyUsed, false);
+      } else if (strategyUsed) {
+        tuningCache.recordSuccess(channelId, channel.name, {
+          strategy: strategyUsed,
+          // Search results aren't guide links, so there's no aria-label to reuse
+          ariaLabel: strategyUsed === 'search' ? null : clicked.ariaLabel,
+          timeToFirstFrame: Date.now() - tuneStart,
+        });
+      }
+      if (videoReady) {
+        metrics.recordTune(strategyUsed, true, Date.now() - tuneStart);
+      }
+
+      if (options.language) {
+        this.audioLanguage = await this.selectAudioLanguage(source, channel, options.language);
+      }
+
+      const captionsEnabled = effectiveConfig.get('captions.enabled');
+      if (captionsEnabled) {
+        await source.enableCaptions(this, channel);
       }
 
       // Try to maximize video
-      await this.maximizeVideo();
+      await source.maximize(this, channel);
+
+      if (captionsEnabled) {
+        try {
+          await this.captions.attach(this.page, effectiveConfig.get('captions.selectors') || []);
+        } catch (e) {
+          console.log(`[tuner-${this.id}] Caption capture failed: ${e.message.split('\n')[0]}`);
+        }
+      }
+
+      // The player is making sound now - make sure it goes into the sink FFmpeg records
+      await this.checkAudio();
 
       // Start FFmpeg capture
-      await this.ffmpeg.start(this.displayNum);
+      await this.ffmpeg.start(this.displayNum, channelId);
 
       this.state = TunerState.STREAMING;
       console.log(`[tuner-${this.id}] Now streaming ${channel.name}`);
@@ -598,388 +536,28 @@ class Tuner {
       return true;
     } catch (err) {
       console.error(`[tuner-${this.id}] Failed to tune to ${channelId}:`, err.message);
+      tuningCache.recordFailure(channelId, channel.name, strategyUsed, err.message);
+      metrics.recordTune(strategyUsed, false);
       this.state = TunerState.ERROR;
       this.currentChannel = null;
       throw err;
     }
   }
 
-  async waitForAndClickPlayButton() {
-    const maxWait = 8000;  // 8 seconds max for play button to appear
-    const checkInterval = 300;
-    let waited = 0;
-
-    while (waited < maxWait) {
-      try {
-        // Try to find and click play button in the channel info modal
-        const result = await this.page.evaluate(() => {
-          // Method 1: Look for the play button in the "On Now" section of the modal
-          // The play button is typically a circular button with play icon next to show info
-
-          // Find buttons/divs with role="button" that might be play buttons
-          const buttons = document.querySelectorAll('[role="button"]');
-          for (const btn of buttons) {
-            const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
-            // Look for play-related aria labels
-            if (ariaLabel.includes('play') || ariaLabel.includes('watch') || ariaLabel.includes('tune')) {
-              btn.click();
-              return { clicked: true, method: 'aria-label: ' + ariaLabel };
-            }
-          }
-
-          // Method 2: Look for SVG play icon (triangle in circle)
-          const svgs = document.querySelectorAll('svg');
-          for (const svg of svgs) {
-            const parent = svg.closest('[role="button"], button, [onclick], [class*="play"]');
-            if (parent) {
-              // Check if this SVG might be a play icon (has path elements typical of play)
-              const paths = svg.querySelectorAll('path, polygon');
-              if (paths.length > 0) {
-                const svgHtml = svg.outerHTML.toLowerCase();
-                if (svgHtml.includes('play') || svgHtml.includes('polygon')) {
-                  parent.click();
-                  return { clicked: true, method: 'svg-play-icon' };
-                }
-              }
-            }
-          }
-
-          // Method 3: Look for the "On Now" row which typically has the play button
-          // Find elements containing "On Now" text
-          const onNowElements = Array.from(document.querySelectorAll('*')).filter(el =>
-            el.textContent && el.textContent.trim() === 'On Now'
-          );
-          for (const onNow of onNowElements) {
-            // Look for clickable elements near "On Now"
-            const parent = onNow.closest('[class*="row"], [class*="item"], div');
-            if (parent) {
-              const clickable = parent.querySelector('[role="button"], button, [class*="play"]');
-              if (clickable) {
-                clickable.click();
-                return { clicked: true, method: 'on-now-row' };
-              }
-            }
-          }
-
-          // Method 4: Click on the first program row in the modal (contains play button)
-          const modal = document.querySelector('[class*="modal"], [class*="dialog"], [class*="panel"], [role="dialog"]');
-          if (modal) {
-            // Look for the first clickable program entry
-            const programRows = modal.querySelectorAll('[role="button"], [role="link"]');
-            for (const row of programRows) {
-              const text = row.textContent || '';
-              // Skip if it's an X/close button
-              if (text.includes('×') || text.length < 3) continue;
-              // Click on program rows that have time info (like "5:00 - 6:00p")
-              if (text.match(/\d+:\d+/) || text.includes('On Now')) {
-                row.click();
-                return { clicked: true, method: 'program-row' };
-              }
-            }
-          }
-
-          // Method 5: Old fallback - look for mt_play in style
-          const allDivs = document.querySelectorAll('div');
-          for (const div of allDivs) {
-            const style = div.getAttribute('style') || '';
-            if (style.includes('mt_play') || style.includes('play_stroke')) {
-              div.click();
-              return { clicked: true, method: 'mt_play-style' };
-            }
-          }
-
-          // Method 6: Click on "What's Playing Now" program cell in the guide
-          // These cells have aria-label like "Movie | 2017, 187 of 5" and clicking opens player directly
-          const programCells = document.querySelectorAll('[aria-label*=" of "]');
-          for (const cell of programCells) {
-            const ariaLabel = cell.getAttribute('aria-label') || '';
-            // Look for program cells (contain " of " which indicates position in guide)
-            // and have content like "Movie | 2017" or show info
-            if (ariaLabel.match(/\d+ of \d+/)) {
-              cell.click();
-              return { clicked: true, method: 'program-cell: ' + ariaLabel.substring(0, 50) };
-            }
-          }
-
-          // Method 7: Click on first clickable program element in the currently selected channel row
-          // Look for elements with height: 80px which are the program cells
-          const programElements = document.querySelectorAll('div[style*="height: 80px"]');
-          for (const el of programElements) {
-            // Check if this element is clickable and has program content
-            const hasContent = el.querySelector('[class*="css-901oao"]');
-            if (hasContent && el.closest('[class*="r-1loqt21"]')) {
-              el.click();
-              return { clicked: true, method: 'program-element-80px' };
-            }
-          }
-
-          return { clicked: false };
-        });
-
-        if (result.clicked) {
-          console.log(`[tuner-${this.id}] Play button found and clicked after ${waited}ms (method: ${result.method})`);
-          return true;
-        }
-      } catch (e) {
-        console.log(`[tuner-${this.id}] Play button search error: ${e.message}`);
-      }
-
-      await new Promise(r => setTimeout(r, checkInterval));
-      waited += checkInterval;
-    }
-
-    console.log(`[tuner-${this.id}] Play button not found after ${maxWait}ms`);
-    return false;
-  }
-
-  async waitForGuideReady() {
-    const maxWait = 10000;  // 10 seconds max
-    const checkInterval = 300;
-    let waited = 0;
-
-    console.log(`[tuner-${this.id}] Waiting for guide grid to load...`);
-
-    while (waited < maxWait) {
-      try {
-        // Check if any channel links are visible in the guide
-        const hasChannels = await this.page.evaluate(() => {
-          const links = document.querySelectorAll('[role="link"][aria-label*="view"]');
-          return links.length > 0;
-        });
-
-        if (hasChannels) {
-          console.log(`[tuner-${this.id}] Guide ready after ${waited}ms`);
-          return true;
-        }
-      } catch (e) {
-        // Page might still be loading
-      }
-
-      await new Promise(r => setTimeout(r, checkInterval));
-      waited += checkInterval;
-    }
-
-    console.log(`[tuner-${this.id}] Guide wait timed out after ${maxWait}ms, proceeding anyway`);
-    return false;
-  }
-
-  async searchAndTuneChannel(channel) {
-    console.log(`[tuner-${this.id}] Using search to find channel ${channel.name}...`);
-
+  // Pick the preferred audio language in the player and record which track we got
+  async selectAudioLanguage(source, channel, language) {
     try {
-      // Find and click the search input box
-      const searchBoxFound = await this.page.evaluate(() => {
-        const searchInput = document.querySelector('input[placeholder*="TV Shows"], input[placeholder*="Keywords"], input[enterkeyhint="search"]');
-        if (searchInput) {
-          searchInput.click();
-          searchInput.focus();
-          return true;
-        }
-        return false;
-      });
-
-      if (!searchBoxFound) {
-        console.log(`[tuner-${this.id}] Search box not found`);
-        return { clicked: false };
-      }
-
-      // Clear any existing text and type the channel name
-      await this.page.keyboard.press('Control+a');
-      await new Promise(r => setTimeout(r, 100));
-
-      // Use a simpler search term - just the key word from channel name
-      const searchTerm = channel.name.split(' ')[0];  // e.g., "Cinemax" from "Cinemax Hits HD"
-      console.log(`[tuner-${this.id}] Typing search term: ${searchTerm}`);
-      await this.page.keyboard.type(searchTerm, { delay: 50 });
-
-      // Press Enter to search
-      await this.page.keyboard.press('Enter');
-
-      // Wait for search results
-      await new Promise(r => setTimeout(r, 2000));
-
-      // Try to click "View All" to see all results
-      const viewAllClicked = await this.page.evaluate(() => {
-        const viewAllLinks = Array.from(document.querySelectorAll('*')).filter(el =>
-          el.textContent && el.textContent.trim() === 'View All'
-        );
-        for (const link of viewAllLinks) {
-          const clickable = link.closest('[role="button"], [role="link"], a') || link;
-          clickable.click();
-          return true;
-        }
-        return false;
-      });
-
-      if (viewAllClicked) {
-        console.log(`[tuner-${this.id}] Clicked View All, waiting for search results page...`);
-        await new Promise(r => setTimeout(r, 2000));
-      }
-
-      // Now find and click the channel card with the matching name
-      const channelClicked = await this.page.evaluate((channelName) => {
-        const channelLower = channelName.toLowerCase();
-
-        // Find all channel cards - they have the channel name and "Tune to Channel" text
-        const allElements = document.querySelectorAll('*');
-
-        for (const el of allElements) {
-          const text = (el.textContent || '').toLowerCase();
-
-          // Check if this element contains our channel name AND "tune to channel"
-          if (text.includes(channelLower) ||
-              (channelLower.includes('hits') && text.includes('hits hd')) ||
-              (channelLower.includes('cinemax') && text.includes(channelLower.replace(' ', '')))) {
-
-            // Look for a clickable card container
-            const card = el.closest('[class*="r-1loqt21"], [role="button"], [role="link"]');
-            if (card && card.textContent.toLowerCase().includes('tune to channel')) {
-              // Try to find the play button (SVG with play icon) or click the card
-              const playBtn = card.querySelector('svg, [class*="play"]');
-              if (playBtn) {
-                const playContainer = playBtn.closest('[role="button"]') || playBtn.parentElement;
-                playContainer.click();
-                return { clicked: true, method: `search: play button on "${channelName}"` };
-              }
-              card.click();
-              return { clicked: true, method: `search: card for "${channelName}"` };
-            }
-          }
-        }
-
-        // Alternative: Look specifically for channel name header with Tune to Channel
-        const headers = document.querySelectorAll('div');
-        for (const header of headers) {
-          const headerText = header.textContent || '';
-          if (headerText.includes(channelName) ||
-              (channelName.includes('Hits') && headerText.includes('Hits HD'))) {
-            // Found channel name, look for nearby Tune to Channel
-            const parent = header.closest('div[class*="r-"]');
-            if (parent) {
-              const tuneText = parent.querySelector('*');
-              if (parent.textContent.includes('Tune to Channel')) {
-                parent.click();
-                return { clicked: true, method: `search: header card "${channelName}"` };
-              }
-            }
-          }
-        }
-
-        return { clicked: false };
-      }, channel.name);
-
-      if (channelClicked.clicked) {
-        console.log(`[tuner-${this.id}] ${channelClicked.method}`);
+      const result = await source.selectAudioLanguage(this, channel, language);
+      if (result.matched) {
+        console.log(`[tuner-${this.id}] Audio language ${language}: playing "${result.selected}" (${result.method})`);
       } else {
-        console.log(`[tuner-${this.id}] Could not find channel in search results`);
-      }
-
-      return channelClicked;
-    } catch (err) {
-      console.log(`[tuner-${this.id}] Search failed: ${err.message}`);
-      return { clicked: false };
-    }
-  }
-
-  async waitForVideoPlaying() {
-    const maxWait = 15000;  // 15 seconds max
-    const checkInterval = 500;
-    let waited = 0;
-    let playAttempted = false;
-
-    while (waited < maxWait) {
-      try {
-        const videoState = await this.page.evaluate(() => {
-          const video = document.querySelector('video');
-          if (!video) return { found: false };
-          return {
-            found: true,
-            readyState: video.readyState,
-            paused: video.paused,
-            currentTime: video.currentTime,
-            duration: video.duration,
-            playing: !video.paused && video.readyState >= 3 && video.currentTime > 0,
-          };
-        });
-
-        if (videoState.playing) {
-          console.log(`[tuner-${this.id}] Video playing! (readyState: ${videoState.readyState}, currentTime: ${videoState.currentTime.toFixed(2)}s)`);
-          return true;
-        }
-
-        // If video is ready but paused, try to play it
-        if (videoState.found && videoState.readyState >= 3 && videoState.paused && !playAttempted) {
-          console.log(`[tuner-${this.id}] Video ready but paused, attempting to play...`);
-          playAttempted = true;
-          await this.page.evaluate(() => {
-            const video = document.querySelector('video');
-            if (video) {
-              video.muted = false;
-              video.play().catch(() => {});
-            }
-          });
-        }
-
-        if (videoState.found) {
-          // Consider video "playing" if readyState is 4 (enough data) even if paused
-          // because DirecTV might show paused but still be streaming
-          if (videoState.readyState >= 4) {
-            console.log(`[tuner-${this.id}] Video ready (readyState: ${videoState.readyState}), proceeding...`);
-            return true;
-          }
-          console.log(`[tuner-${this.id}] Video found but not ready yet (readyState: ${videoState.readyState}, paused: ${videoState.paused}, time: ${videoState.currentTime})`);
-        }
-      } catch (e) {
-        // Page might be navigating
+        console.log(`[tuner-${this.id}] No ${language} audio track on ${channel.name}` +
+          (result.available.length > 0 ? ` (available: ${result.available.join(', ')})` : ' (no audio track controls found)'));
       }
-
-      await new Promise(r => setTimeout(r, checkInterval));
-      waited += checkInterval;
-    }
-
-    console.log(`[tuner-${this.id}] Video detection timed out after ${maxWait}ms`);
-    return false;
-  }
-
-  async checkNoUpcomingAirings() {
-    // Wait a moment for the modal to fully load
-    await new Promise(r => setTimeout(r, 1000));
-
-    try {
-      const hasNoAirings = await this.page.evaluate(() => {
-        // Look for "No upcoming airings" text in the page
-        const bodyText = document.body.innerText || '';
-        return bodyText.includes('No upcoming airings');
-      });
-      return hasNoAirings;
-    } catch (e) {
-      console.log(`[tuner-${this.id}] Error checking for no airings: ${e.message}`);
-      return false;
-    }
-  }
-
-  async closeNoAiringsModal() {
-    try {
-      // Try to close the modal by clicking the X button or pressing Escape
-      await this.page.evaluate(() => {
-        // Look for close button (X)
-        const closeButtons = document.querySelectorAll('[aria-label="close"], [aria-label="Close"], button');
-        for (const btn of closeButtons) {
-          const text = btn.textContent || '';
-          const ariaLabel = btn.getAttribute('aria-label') || '';
-          if (text === '×' || text === 'X' || ariaLabel.toLowerCase().includes('close')) {
-            btn.click();
-            return true;
-          }
-        }
-        return false;
-      });
-
-      // Also try pressing Escape
-      await this.page.keyboard.press('Escape');
-      await new Promise(r => setTimeout(r, 500));
+      return { requested: language, ...result };
     } catch (e) {
-      console.log(`[tuner-${this.id}] Error closing modal: ${e.message}`);
+      console.log(`[tuner-${this.id}] Audio language selection failed: ${e.message.split('\n')[0]}`);
+      return { requested: language, method: null, available: [], selected: null, matched: false, error: e.message.split('\n')[0] };
     }
   }
 
@@ -996,84 +574,6 @@ class Tuner {
     }
   }
 
-  async maximizeVideo() {
-    try {
-      console.log(`[tuner-${this.id}] Maximizing video and unmuting...`);
-
-      // First, unmute the video by clicking the volume button if muted
-      try {
-        const unmuteBtn = await this.page.$('[aria-label="unmute"]');
-        if (unmuteBtn) {
-          console.log(`[tuner-${this.id}] Found unmute button, clicking...`);
-          await unmuteBtn.click();
-          await new Promise(r => setTimeout(r, 500));
-        }
-      } catch (e) {
-        console.log(`[tuner-${this.id}] Could not unmute: ${e.message}`);
-      }
-
-      // Click the fullscreen button on the DirecTV player
-      // Use short timeout and force to avoid long retries
-      try {
-        const fullscreenBtn = await this.page.$('[aria-label="full screen"]');
-        if (fullscreenBtn) {
-          console.log(`[tuner-${this.id}] Found fullscreen button, clicking...`);
-          await fullscreenBtn.click({ timeout: 3000, force: true });
-          await new Promise(r => setTimeout(r, 500));
-        } else {
-          // Try alternate selector
-          const resizeBtn = await this.page.$('.player-button__resize');
-          if (resizeBtn) {
-            console.log(`[tuner-${this.id}] Found resize button, clicking...`);
-            await resizeBtn.click({ timeout: 3000, force: true });
-            await new Promise(r => setTimeout(r, 500));
-          }
-        }
-      } catch (e) {
-        // Fullscreen click failed - not critical, CSS injection will handle it
-        console.log(`[tuner-${this.id}] Fullscreen click skipped (video CSS will handle it)`);
-      }
-
-      // Hide the controls overlay and any browser chrome via CSS injection
-      await this.page.evaluate(() => {
-        // Hide the DirecTV player controls
-        const style = document.createElement('style');
-        style.textContent = `
-          .controls__top, .controls__bottom, .controls__center,
-          .controls__go-previous, .content-info, .video-player-seekbar__wrapper,
-          [class*="controls"] {
-            opacity: 0 !important;
-            pointer-events: none !important;
-          }
-          video {
-            position: fixed !important;
-            top: 0 !important;
-            left: 0 !important;
-            width: 100vw !important;
-            height: 100vh !important;
-            z-index: 9999 !important;
-            object-fit: contain !important;
-          }
-        `;
-        document.head.appendChild(style);
-
-        // Also try to unmute via the video element directly
-        const video = document.querySelector('video');
-        if (video) {
-          video.muted = false;
-          video.volume = 1.0;
-        }
-      });
-
-      // Press F11 for browser fullscreen (works in kiosk mode)
-      await this.page.keyboard.press('F11');
-
-      console.log(`[tuner-${this.id}] Video maximized`);
-    } catch (e) {
-      console.log(`[tuner-${this.id}] Maximize error: ${e.message}`);
-    }
-  }
-
   async stop() {
     console.log(`[tuner-${this.id}] Stopping...`);
 
@@ -1082,6 +582,7 @@ class Tuner {
       this.ffmpeg.stop();
       this.ffmpeg = null;
     }
+    this.captions.reset();
 
     // Disconnect Playwright (but don't close browser in Docker mode)
     if (this.browser) {
@@ -1108,6 +609,10 @@ class Tuner {
         this.xvfbProcess.kill('SIGTERM');
         this.xvfbProcess = null;
       }
+    } else if (this.chromeProcess) {
+      // Headless simulator browser (see startHeadlessChrome)
+      this.chromeProcess.kill('SIGTERM');
+      this.chromeProcess = null;
     }
 
     this.state = TunerState.STOPPED;
@@ -1139,19 +644,87 @@ class Tuner {
       state: this.state,
       channel: this.currentChannel,
       clients: this.clients,
+      priority: priorityName(this.priority),
       lastActivity: this.lastActivity,
       debugPort: this.debugPort,
       stream: this.ffmpeg ? this.ffmpeg.getStats() : null,
       segmentMonitor: this.ffmpeg ? this.ffmpeg.getSegmentMonitorStatus() : null,
+      audioLanguage: this.audioLanguage,
+      captions: this.captions.getStatus(),
+      audio: this.audio || {
+        sink: audioSinks.getSinkName(this.id),
+        monitor: audioSinks.getMonitorName(this.id),
+        healthy: null,
+      },
     };
   }
 
+  // Health probe for audio isolation. With fix (the default), recreate a missing sink and
+  // pull this tuner's Chrome audio back from other sinks (where another tuner's FFmpeg
+  // would record it); without, only report.
+  async checkAudio({ fix = true } = {}) {
+    this.audio = await audioSinks.check(this.id, this.debugPort, { fix });
+    if (this.audio.fixed.length > 0 && this.state === TunerState.STREAMING) {
+      eventBus.publish(EventType.AUDIO_MISROUTED, `Tuner ${this.id} audio was not isolated: ${this.audio.fixed.join(', ')}`,
+        { tunerId: this.id, channel: this.currentChannel, sink: this.audio.sink, fixed: this.audio.fixed });
+    }
+    return this.audio;
+  }
+
   getPlaylistPath() {
     return this.ffmpeg ? this.ffmpeg.getPlaylistPath() : null;
   }
 
-  getSegmentPath(filename) {
-    return this.ffmpeg ? this.ffmpeg.getSegmentPath(filename) : null;
+  getSegmentPath(filename, rendition) {
+    return this.ffmpeg ? this.ffmpeg.getSegmentPath(filename, rendition) : null;
+  }
+
+  // JPEG of what the tuner is showing: a frame from the newest HLS segment, or a
+  // screenshot of the Chrome page (MPEG-TS mode, or nothing encoded yet).
+  // Returns null if neither is available.
+  async getSnapshot() {
+    if (this.snapshot && Date.now() - this.snapshot.time < SNAPSHOT_CACHE_MS &&
+        this.snapshot.channel === this.currentChannel) {
+      return this.snapshot;
+    }
+    // Concurrent requests share one capture
+    if (!this.snapshotPending) {
+      this.snapshotPending = this.captureSnapshot().finally(() => {
+        this.snapshotPending = null;
+      });
+    }
+    return this.snapshotPending;
+  }
+
+  async captureSnapshot() {
+    const channel = this.currentChannel;
+    let image = null;
+    let source = null;
+
+    const segment = this.ffmpeg ? this.ffmpeg.getLatestSegmentPath() : null;
+    if (segment) {
+      try {
+        image = await extractFrame(segment, SNAPSHOT_WIDTH);
+        source = 'segment';
+      } catch (err) {
+        console.log(`[tuner-${this.id}] Snapshot from segment failed: ${err.message}`);
+      }
+    }
+
+    if (!image && this.page) {
+      try {
+        image = await this.page.screenshot({ type: 'jpeg', quality: 70, timeout: 5000 });
+        source = 'screenshot';
+      } catch (err) {
+        console.log(`[tuner-${this.id}] Snapshot screenshot failed: ${err.message}`);
+      }
+    }
+
+    if (!image) {
+      return null;
+    }
+    this.snapshot = { image, source, channel, time: Date.now() };
+    return this.snapshot;
   }
 
   // Add a client to receive MPEG-TS stream
@@ -1188,10 +761,12 @@ class Tuner {
 
     const channel = this.currentChannel;
     console.log(`[tuner-${this.id}] Auto-retuning to ${channel} due to black screen...`);
+    eventBus.publish(EventType.BLACK_SCREEN, `Black screen on tuner ${this.id} (channel ${channel}), retuning`,
+      { tunerId: this.id, channel });
 
     try {
       // Re-tune to the same channel (this will stop FFmpeg, navigate, and restart)
-      await this.tuneToChannel(channel);
+      await this.tuneToChannel(channel, { language: this.audioLanguage?.requested });
       console.log(`[tuner-${this.id}] Auto-retune to ${channel} completed successfully`);
     } catch (err) {
       console.error(`[tuner-${this.id}] Auto-retune failed: ${err.message}`);
@@ -1206,4 +781,39 @@ class Tuner {
   }
 }
 
-module.exports = { Tuner, TunerState };
+// Decode the first frame of a segment to a JPEG scaled to width
+function extractFrame(segmentPath, width) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('ffmpeg', [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', segmentPath,
+      '-frames:v', '1',
+      '-vf', `scale=${width}:-2`,
+      '-q:v', '5',
+      '-f', 'image2', '-c:v', 'mjpeg',
+      'pipe:1',
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const chunks = [];
+    let stderr = '';
+    const timeout = setTimeout(() => proc.kill('SIGKILL'), 10000);
+
+    proc.stdout.on('data', (chunk) => chunks.push(chunk));
+    proc.stderr.on('data', (data) => { stderr += data.toString(); });
+    proc.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+    proc.on('close', (code) => {
+      clearTimeout(timeout);
+      const image = Buffer.concat(chunks);
+      if (code === 0 && image.length > 0) {
+        resolve(image);
+      } else {
+        reject(new Error(stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`));
+      }
+    });
+  });
+}
+
+module.exports = { Tuner, TunerState, TunerPriority, parsePriority, priorityName };
@@ -0,0 +1,189 @@
+// Tuning Cache - remembers how each channel was found in the DirecTV guide
+// Stores the matching strategy and aria-label that worked plus time to first
+// frame, so later tunes can click the learned link straight away and skip
+// strategies that keep picking the wrong channel.
+
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_PATH = process.env.DVR_DATA_DIR
+  ? path.join(process.env.DVR_DATA_DIR, 'tuning-cache.json')
+  : '/data/tuning-cache.json';
+
+// Guide matching strategies, in their default order
+const DEFAULT_STRATEGIES = ['searchTerm', 'paddedNumber', 'number', 'exactName', 'firstWord'];
+
+// Failures in a row before a strategy is moved to the back for a channel
+const DEMOTE_AFTER = 2;
+
+// Failures in a row before a learned aria-label is forgotten
+const FORGET_LABEL_AFTER = 3;
+
+class TuningCache {
+  constructor() {
+    this.entries = {};
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(CACHE_PATH)) {
+        this.entries = JSON.parse(fs.readFileSync(CACHE_PATH, 'utf8')).channels || {};
+        console.log(`[tuning-cache] Loaded ${Object.keys(this.entries).length} learned channel(s)`);
+      }
+    } catch (err) {
+      console.warn('[tuning-cache] Failed to load cache:', err.message);
+      this.entries = {};
+    }
+  }
+
+  // Debounced - tunes can finish close together on multi-tuner setups
+  save() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        const dir = path.dirname(CACHE_PATH);
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(CACHE_PATH, JSON.stringify({ channels: this.entries }, null, 2));
+      } catch (err) {
+        console.error('[tuning-cache] Failed to save cache:', err.message);
+      }
+    }, 1000);
+  }
+
+  getEntry(channelId) {
+    return this.entries[channelId] || null;
+  }
+
+  getOrCreate(channelId, channelName) {
+    if (!this.entries[channelId]) {
+      this.entries[channelId] = {
+        channelId,
+        name: channelName || null,
+        strategy: null,
+        ariaLabel: null,
+        successes: 0,
+        failures: 0,
+        labelFailures: 0,
+        lastSuccess: null,
+        lastFailure: null,
+        timeToFirstFrame: null,      // Last successful tune, ms
+        avgTimeToFirstFrame: null,   // Running average, ms
+        strategies: {},
+      };
+    }
+    if (channelName) this.entries[channelId].name = channelName;
+    return this.entries[channelId];
+  }
+
+  // Learned aria-label to try before any strategy, or null
+  getLearnedLabel(channelId) {
+    return this.getEntry(channelId)?.ariaLabel || null;
+  }
+
+  // Default strategy order, with strategies that keep failing for this channel moved to the back
+  getStrategyOrder(channelId) {
+    const entry = this.getEntry(channelId);
+    if (!entry) return DEFAULT_STRATEGIES.slice();
+
+    const failing = (s) => (entry.strategies[s]?.consecutiveFailures || 0) >= DEMOTE_AFTER;
+    const order = DEFAULT_STRATEGIES.filter(s => !failing(s));
+    const demoted = DEFAULT_STRATEGIES.filter(failing);
+
+    // The strategy that last worked goes first (unless it has since been demoted)
+    if (entry.strategy && order.includes(entry.strategy)) {
+      order.splice(order.indexOf(entry.strategy), 1);
+      order.unshift(entry.strategy);
+    }
+    return order.concat(demoted);
+  }
+
+  // Record a tune that reached a playing video
+  recordSuccess(channelId, channelName, { strategy, ariaLabel, timeToFirstFrame }) {
+    const entry = this.getOrCreate(channelId, channelName);
+    const stats = this.getStrategyStats(entry, strategy);
+
+    stats.successes++;
+    stats.consecutiveFailures = 0;
+
+    // 'learned' just re-confirms the stored label - keep the original strategy name
+    if (strategy !== 'learned') entry.strategy = strategy;
+    if (ariaLabel) entry.ariaLabel = ariaLabel;
+    entry.labelFailures = 0;
+    entry.successes++;
+    entry.lastSuccess = Date.now();
+
+    if (timeToFirstFrame) {
+      entry.timeToFirstFrame = timeToFirstFrame;
+      entry.avgTimeToFirstFrame = entry.avgTimeToFirstFrame
+        ? Math.round(entry.avgTimeToFirstFrame * 0.7 + timeToFirstFrame * 0.3)
+        : timeToFirstFrame;
+    }
+
+    console.log(`[tuning-cache] ${channelId}: ${strategy} succeeded${timeToFirstFrame ? ` (${(timeToFirstFrame / 1000).toFixed(1)}s to first frame)` : ''}`);
+    this.save();
+  }
+
+  // Record a tune where the strategy clicked something but no video followed
+  // (strategy is null when the channel couldn't be found at all)
+  recordFailure(channelId, channelName, strategy, reason) {
+    const entry = this.getOrCreate(channelId, channelName);
+    entry.failures++;
+    entry.lastFailure = Date.now();
+
+    if (strategy) {
+      const stats = this.getStrategyStats(entry, strategy);
+      stats.failures++;
+      stats.consecutiveFailures++;
+      if (stats.consecutiveFailures === DEMOTE_AFTER && DEFAULT_STRATEGIES.includes(strategy)) {
+        console.log(`[tuning-cache] ${channelId}: demoting ${strategy} after ${DEMOTE_AFTER} failures`);
+      }
+    }
+
+    if (strategy === 'learned') {
+      entry.labelFailures++;
+      if (entry.labelFailures >= FORGET_LABEL_AFTER) {
+        console.log(`[tuning-cache] ${channelId}: forgetting learned label "${entry.ariaLabel}"`);
+        entry.ariaLabel = null;
+        entry.labelFailures = 0;
+      }
+    }
+
+    console.log(`[tuning-cache] ${channelId}: ${strategy || 'tune'} failed${reason ? ` (${reason})` : ''}`);
+    this.save();
+  }
+
+  getStrategyStats(entry, strategy) {
+    if (!entry.strategies[strategy]) {
+      entry.strategies[strategy] = { successes: 0, failures: 0, consecutiveFailures: 0 };
+    }
+    return entry.strategies[strategy];
+  }
+
+  getAll() {
+    return Object.values(this.entries).map(entry => ({
+      ...entry,
+      order: this.getStrategyOrder(entry.channelId),
+    }));
+  }
+
+  clear(channelId) {
+    if (channelId) {
+      if (!this.entries[channelId]) return false;
+      delete this.entries[channelId];
+    } else {
+      this.entries = {};
+    }
+    this.save();
+    return true;
+  }
+}
+
+const tuningCache = new TuningCache();
+
+module.exports = tuningCache;
+module.exports.DEFAULT_STRATEGIES = DEFAULT_STRATEGIES;
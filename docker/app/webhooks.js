@@ -0,0 +1,178 @@
+// Webhooks - push event bus events to outside services
+// Configured under settings.notifications.webhooks. Each webhook picks a payload
+// format (generic JSON, ntfy, Discord, Gotify), which events it wants and how
+// chatty it may be: a cooldown per event type plus an hourly cap.
+
+const effectiveConfig = require('./effective-config');
+const eventBus = require('./event-bus');
+const { Severity, severityAtLeast } = eventBus;
+
+const SEND_TIMEOUT = 10000;
+
+// ntfy priorities 1-5, Gotify 0-10
+const NTFY_PRIORITY = { [Severity.INFO]: 3, [Severity.WARNING]: 4, [Severity.ERROR]: 5 };
+const GOTIFY_PRIORITY = { [Severity.INFO]: 2, [Severity.WARNING]: 5, [Severity.ERROR]: 8 };
+const DISCORD_COLOR = { [Severity.INFO]: 0x4a90d9, [Severity.WARNING]: 0xf59e0b, [Severity.ERROR]: 0xd94a4a };
+
+class WebhookNotifier {
+  constructor() {
+    this.lastSent = new Map();   // "<url>|<type>" -> ms
+    this.sentLog = new Map();    // url -> [ms, ...] within the last hour
+    this.listener = null;
+  }
+
+  start() {
+    if (this.listener) return;
+    this.listener = (event) => this.dispatch(event);
+    eventBus.on('event', this.listener);
+  }
+
+  stop() {
+    if (this.listener) {
+      eventBus.off('event', this.listener);
+      this.listener = null;
+    }
+  }
+
+  getWebhooks() {
+    return effectiveConfig.get('notifications.webhooks') || [];
+  }
+
+  dispatch(event) {
+    for (const hook of this.getWebhooks()) {
+      if (!hook.enabled || !this.wants(hook, event)) continue;
+      if (!this.allow(hook, event)) {
+        console.log(`[webhooks] Rate limited ${event.type} for "${hook.name}"`);
+        continue;
+      }
+      this.send(hook, event).catch(err => {
+        console.error(`[webhooks] "${hook.name}" failed: ${err.message}`);
+      });
+    }
+  }
+
+  // Event type filter (exact type or prefix, e.g. "tuner" matches "tuner.error") and minimum severity
+  wants(hook, event) {
+    if (!severityAtLeast(event.severity, hook.minSeverity)) return false;
+    if (!hook.events || hook.events.length === 0) return true;
+    return hook.events.some(t => event.type === t || event.type.startsWith(`${t}.`));
+  }
+
+  allow(hook, event) {
+    const now = Date.now();
+    const typeKey = `${hook.url}|${event.type}`;
+
+    const last = this.lastSent.get(typeKey);
+    if (last && now - last < hook.cooldownSeconds * 1000) {
+      return false;
+    }
+
+    const recent = (this.sentLog.get(hook.url) || []).filter(t => now - t < 3600000);
+    if (recent.length >= hook.maxPerHour) {
+      this.sentLog.set(hook.url, recent);
+      return false;
+    }
+
+    recent.push(now);
+    this.sentLog.set(hook.url, recent);
+    this.lastSent.set(typeKey, now);
+    return true;
+  }
+
+  async send(hook, event) {
+    const { url, options } = this.buildRequest(hook, event);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SEND_TIMEOUT);
+    try {
+      const res = await fetch(url, { method: 'POST', ...options, signal: controller.signal });
+      if (!res.ok) {
+        throw new Error(`HTTP ${res.status}`);
+      }
+      return { success: true, status: res.status };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  buildRequest(hook, event) {
+    const title = `DirecTV Tuner: ${event.type}`;
+
+    switch (hook.format) {
+      case 'ntfy': {
+        const headers = {
+          'Title': title,
+          'Priority': String(NTFY_PRIORITY[event.severity] || 3),
+          'Tags': [event.severity, event.type.split('.')[0]].join(','),
+        };
+        if (hook.token) headers['Authorization'] = `Bearer ${hook.token}`;
+        return { url: hook.url, options: { headers, body: event.message } };
+      }
+
+      case 'discord':
+        return {
+          url: hook.url,
+          options: {
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              username: 'DirecTV Tuner',
+              embeds: [{
+                title: event.type,
+                description: event.message,
+                color: DISCORD_COLOR[event.severity],
+                timestamp: event.time,
+                fields: Object.entries(event.data || {}).slice(0, 10).map(([name, value]) => ({
+                  name,
+                  value: String(value).slice(0, 1024),
+                  inline: true,
+                })),
+              }],
+            }),
+          },
+        };
+
+      case 'gotify': {
+        // Accept either the server URL or the full /message endpoint
+        const base = hook.url.replace(/\/+$/, '');
+        const endpoint = base.endsWith('/message') ? base : `${base}/message`;
+        return {
+          url: endpoint,
+          options: {
+            headers: { 'Content-Type': 'application/json', 'X-Gotify-Key': hook.token },
+            body: JSON.stringify({
+              title,
+              message: event.message,
+              priority: GOTIFY_PRIORITY[event.severity] ?? 5,
+              extras: { 'directvtuner::event': event },
+            }),
+          },
+        };
+      }
+
+      default:
+        return {
+          url: hook.url,
+          options: {
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source: 'directv-tuner', ...event }),
+          },
+        };
+    }
+  }
+
+  // Send a test event to one webhook, bypassing filters and rate limits
+  async test(hook) {
+    const event = {
+      id: 'test',
+      type: eventBus.EventType.TEST,
+      severity: Severity.INFO,
+      time: new Date().toISOString(),
+      message: `Test notification from DirecTV Tuner ("${hook.name || hook.url}")`,
+      data: {},
+    };
+    return this.send(hook, event);
+  }
+}
+
+const webhookNotifier = new WebhookNotifier();
+
+module.exports = webhookNotifier;
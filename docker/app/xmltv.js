@@ -0,0 +1,123 @@
+// XMLTV helpers
+// Reads guide files from other sources (attached to passthrough channels) into the
+// same programme shape directv-epg.js keeps, so they can be written back out with ours.
+// A small tag scanner is enough here - XMLTV files are flat and well-formed.
+
+const zlib = require('zlib');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Text content, CDATA included, without nested tags
+function textOf(content) {
+  const text = content.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (m, cdata) => cdata.replace(/[<>&]/g, c => `&#${c.charCodeAt(0)};`));
+  return decodeEntities(text.replace(/<[^>]*>/g, '')).trim();
+}
+
+function attributes(tag) {
+  const attrs = {};
+  for (const match of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attrs[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attrs;
+}
+
+// Every <name ...>...</name> (or <name ... />) inside content: [{ attrs, content }]
+function elements(content, name) {
+  const pattern = new RegExp(`<${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${name}>)`, 'g');
+  return [...content.matchAll(pattern)].map(match => ({ attrs: attributes(match[1]), content: match[2] || '' }));
+}
+
+function firstText(content, name) {
+  const [element] = elements(content, name);
+  return element ? textOf(element.content) : '';
+}
+
+// "20240101120000 +0000" -> Date (no offset = UTC)
+function parseDate(value) {
+  const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?\s*([+-]\d{2}):?(\d{2})?/)
+    || String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?$/);
+  if (!match) return null;
+  const [, year, month, day, hour = '00', minute = '00', second = '00', offsetHours, offsetMinutes = '00'] = match;
+  const utc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  if (!offsetHours) return new Date(utc);
+  const sign = offsetHours[0] === '-' ? -1 : 1;
+  const offset = sign * (Math.abs(parseInt(offsetHours, 10)) * 60 + parseInt(offsetMinutes, 10));
+  return new Date(utc - offset * 60000);
+}
+
+// xmltv_ns "s.e.p" (zero-based, "1/3" style totals allowed) -> { seasonNumber, episodeNumber }
+function parseEpisodeNum(value) {
+  const [season, episode] = String(value).split('.').map(part => parseInt(part.split('/')[0], 10));
+  return {
+    seasonNumber: Number.isInteger(season) ? season + 1 : null,
+    episodeNumber: Number.isInteger(episode) ? episode + 1 : null,
+  };
+}
+
+/**
+ * Parse an XMLTV document (a Buffer may be gzipped)
+ * @returns {{ channels: Array<{id, names: string[]}>, programmes: Object<string, Array> }}
+ *   programmes by channel id, each { startTime, endTime, title, subtitle, description,
+ *   categories, seasonNumber, episodeNumber, originalAirDate, rating }, sorted by start
+ */
+function parse(input) {
+  let xml = input;
+  if (Buffer.isBuffer(input)) {
+    xml = (input[0] === 0x1f && input[1] === 0x8b ? zlib.gunzipSync(input) : input).toString('utf8');
+  }
+
+  const channels = elements(xml, 'channel').map(({ attrs, content }) => ({
+    id: attrs.id,
+    names: elements(content, 'display-name').map(name => textOf(name.content)).filter(Boolean),
+  })).filter(channel => channel.id);
+
+  const programmes = {};
+  for (const { attrs, content } of elements(xml, 'programme')) {
+    const start = parseDate(attrs.start);
+    const stop = parseDate(attrs.stop);
+    if (!attrs.channel || !start) continue;
+
+    const episode = elements(content, 'episode-num').find(e => e.attrs.system === 'xmltv_ns');
+    const date = firstText(content, 'date');
+    const rating = elements(content, 'rating')[0];
+    const programme = {
+      startTime: start.toISOString(),
+      // Some feeds leave out stop - the next programme's start fills it in below
+      endTime: stop ? stop.toISOString() : null,
+      title: firstText(content, 'title'),
+      subtitle: firstText(content, 'sub-title') || null,
+      description: firstText(content, 'desc') || null,
+      categories: elements(content, 'category').map(category => textOf(category.content)).filter(Boolean),
+      ...(episode ? parseEpisodeNum(textOf(episode.content)) : { seasonNumber: null, episodeNumber: null }),
+      originalAirDate: /^\d{8}$/.test(date) ? `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}` : null,
+      rating: rating ? firstText(rating.content, 'value') || null : null,
+    };
+    (programmes[attrs.channel] = programmes[attrs.channel] || []).push(programme);
+  }
+
+  for (const list of Object.values(programmes)) {
+    list.sort((a, b) => a.startTime.localeCompare(b.startTime));
+    list.forEach((programme, i) => {
+      if (!programme.endTime) {
+        programme.endTime = list[i + 1]?.startTime || new Date(Date.parse(programme.startTime) + 30 * 60000).toISOString();
+      }
+    });
+  }
+
+  return { channels, programmes };
+}
+
+module.exports = {
+  parse,
+  parseDate,
+};